@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Class representing the last access of the keys, used by the eviction policies. It can be used like a Map
+ * from keys to access records, and also keeps the keys in a doubly linked list ordered from the least to
+ * the most recently set, so the least recently used key is found and a key is moved to the end of the
+ * list in constant time. A Map can't be used directly, as iterating it after many deletions skips over
+ * the removed entries.
+ */
+
+class AccessIndex {
+    #nodes;
+    #head;
+
+    /**
+     * Creates an empty AccessIndex.
+     */
+    constructor() {
+        this.#nodes = new Map();
+        // Sentinel node, the first node of the list follows it and the last one precedes it
+        this.#head = { key: undefined, access: undefined };
+        this.#head.previous = this.#head;
+        this.#head.next = this.#head;
+    }
+
+    /**
+     * Gets the number of keys.
+     * @return {number} The number of keys.
+     */
+    get size() {
+        return this.#nodes.size;
+    }
+
+    /**
+     * Checks whether a key has an access record.
+     * @param {*} key - The key.
+     * @return {boolean} True if the key has an access record.
+     */
+    has(key) {
+        return this.#nodes.has(key);
+    }
+
+    /**
+     * Returns the access record of a key.
+     * @param {*} key - The key.
+     * @return {Object|undefined} The access record, or undefined if the key has none.
+     */
+    get(key) {
+        const node = this.#nodes.get(key);
+        return node === undefined ? undefined : node.access;
+    }
+
+    /**
+     * Sets the access record of a key, and moves the key to the end of the list as the most recently used.
+     * @param {*} key - The key.
+     * @param {Object} access - The access record.
+     * @return {AccessIndex} The instance, allowing for chaining.
+     */
+    set(key, access) {
+        let node = this.#nodes.get(key);
+        if (node === undefined) {
+            node = { key, access };
+            this.#nodes.set(key, node);
+        } else {
+            node.access = access;
+            this.#unlink(node);
+        }
+
+        node.previous = this.#head.previous;
+        node.next = this.#head;
+        this.#head.previous.next = node;
+        this.#head.previous = node;
+        return this;
+    }
+
+    /**
+     * Removes the access record of a key.
+     * @param {*} key - The key.
+     * @return {boolean} True if the key had an access record.
+     */
+    delete(key) {
+        const node = this.#nodes.get(key);
+        if (node === undefined) {
+            return false;
+        }
+
+        this.#unlink(node);
+        this.#nodes.delete(key);
+        return true;
+    }
+
+    /**
+     * Removes all the access records.
+     */
+    clear() {
+        this.#nodes.clear();
+        this.#head.previous = this.#head;
+        this.#head.next = this.#head;
+    }
+
+    /**
+     * Returns an iterator over the keys, from the least to the most recently used.
+     * @return {Iterator<*>} The iterator.
+     */
+    *keys() {
+        for (let node = this.#head.next; node !== this.#head; node = node.next) {
+            yield node.key;
+        }
+    }
+
+    /**
+     * Returns an iterator over the [key, access record] pairs, from the least to the most recently used.
+     * @return {Iterator<Array>} The iterator.
+     */
+    *entries() {
+        for (let node = this.#head.next; node !== this.#head; node = node.next) {
+            yield [node.key, node.access];
+        }
+    }
+
+    /**
+     * Returns an iterator over the [key, access record] pairs, from the least to the most recently used.
+     * @return {Iterator<Array>} The iterator.
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Removes a node from the list.
+     * @param {Object} node - The node.
+     */
+    #unlink(node) {
+        node.previous.next = node.next;
+        node.next.previous = node.previous;
+    }
+}
+
+module.exports = AccessIndex;
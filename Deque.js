@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Class representing a double-ended queue, used to store lists. Elements are kept in a circular buffer whose
+ * capacity doubles when it is full and halves when it is mostly empty, so adding and removing elements at
+ * either end runs in amortized constant time, and so does accessing an element by index. Inserting or removing
+ * an element in the middle only moves the elements on the shorter side of it.
+ */
+
+const MIN_CAPACITY = 16;
+
+class Deque {
+    #buffer;
+    #head;
+    #length;
+
+    /**
+     * Creates an instance of Deque.
+     * @param {Iterable} [values=[]] - Initial elements of the deque.
+     */
+    constructor(values = []) {
+        this.#buffer = new Array(MIN_CAPACITY);
+        this.#head = 0;
+        this.#length = 0;
+        for (const value of values) {
+            this.push(value);
+        }
+    }
+
+    /**
+     * Gets the number of elements in the deque.
+     * @return {number} The number of elements.
+     */
+    get length() {
+        return this.#length;
+    }
+
+    /**
+     * Adds elements to the end of the deque.
+     * @param {...*} values - The elements to add.
+     * @return {number} The new length of the deque.
+     */
+    push(...values) {
+        for (const value of values) {
+            this.#grow();
+            this.#buffer[this.#index(this.#length)] = value;
+            this.#length++;
+        }
+        return this.#length;
+    }
+
+    /**
+     * Adds elements to the beginning of the deque, in the order they are given, like Array#unshift.
+     * @param {...*} values - The elements to add.
+     * @return {number} The new length of the deque.
+     */
+    unshift(...values) {
+        for (let i = values.length - 1; i >= 0; i--) {
+            this.#grow();
+            this.#head = this.#index(-1);
+            this.#buffer[this.#head] = values[i];
+            this.#length++;
+        }
+        return this.#length;
+    }
+
+    /**
+     * Removes the last element of the deque.
+     * @return {*} The removed element, or undefined if the deque is empty.
+     */
+    pop() {
+        if (this.#length === 0) {
+            return undefined;
+        }
+        const index = this.#index(this.#length - 1);
+        const value = this.#buffer[index];
+        this.#buffer[index] = undefined;
+        this.#length--;
+        this.#shrink();
+        return value;
+    }
+
+    /**
+     * Removes the first element of the deque.
+     * @return {*} The removed element, or undefined if the deque is empty.
+     */
+    shift() {
+        if (this.#length === 0) {
+            return undefined;
+        }
+        const value = this.#buffer[this.#head];
+        this.#buffer[this.#head] = undefined;
+        this.#head = this.#index(1);
+        this.#length--;
+        this.#shrink();
+        return value;
+    }
+
+    /**
+     * Returns the element at an index.
+     * @param {number} index - The index of the element. Negative indexes count back from the end of the deque.
+     * @return {*} The element, or undefined if the index is out of range.
+     */
+    at(index) {
+        if (index < 0) {
+            index += this.#length;
+        }
+        if (index < 0 || index >= this.#length) {
+            return undefined;
+        }
+        return this.#buffer[this.#index(index)];
+    }
+
+    /**
+     * Replaces the element at an index.
+     * @param {number} index - The index of the element, between 0 and the length of the deque excluded.
+     * @param {*} value - The new element.
+     */
+    set(index, value) {
+        this.#buffer[this.#index(index)] = value;
+    }
+
+    /**
+     * Returns the elements between two indexes, like Array#slice.
+     * @param {number} [start=0] - The index of the first element. Negative indexes count back from the end of the deque.
+     * @param {number} [end=length] - The index after the last element. Negative indexes count back from the end of the deque.
+     * @return {Array} The elements.
+     */
+    slice(start = 0, end = this.#length) {
+        start = start < 0 ? Math.max(this.#length + start, 0) : Math.min(start, this.#length);
+        end = end < 0 ? Math.max(this.#length + end, 0) : Math.min(end, this.#length);
+        const result = [];
+        for (let i = start; i < end; i++) {
+            result.push(this.#buffer[this.#index(i)]);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the index of the first occurrence of an element.
+     * @param {*} value - The element to search for, compared with ===.
+     * @param {number} [fromIndex=0] - The index to start searching from.
+     * @return {number} The index, or -1 if the element was not found.
+     */
+    indexOf(value, fromIndex = 0) {
+        for (let i = Math.max(fromIndex, 0); i < this.#length; i++) {
+            if (this.#buffer[this.#index(i)] === value) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Inserts an element at an index, moving the elements on the shorter side of it.
+     * @param {number} index - The index of the new element, between 0 and the length of the deque included.
+     * @param {*} value - The element to insert.
+     */
+    insert(index, value) {
+        if (index <= this.#length / 2) {
+            this.unshift(undefined);
+            for (let i = 0; i < index; i++) {
+                this.set(i, this.at(i + 1));
+            }
+        } else {
+            this.push(undefined);
+            for (let i = this.#length - 1; i > index; i--) {
+                this.set(i, this.at(i - 1));
+            }
+        }
+        this.set(index, value);
+    }
+
+    /**
+     * Removes the element at an index, moving the elements on the shorter side of it.
+     * @param {number} index - The index of the element, between 0 and the length of the deque excluded.
+     * @return {*} The removed element.
+     */
+    removeAt(index) {
+        const value = this.at(index);
+        if (index < this.#length / 2) {
+            for (let i = index; i > 0; i--) {
+                this.set(i, this.at(i - 1));
+            }
+            this.shift();
+        } else {
+            for (let i = index; i < this.#length - 1; i++) {
+                this.set(i, this.at(i + 1));
+            }
+            this.pop();
+        }
+        return value;
+    }
+
+    /**
+     * Returns the elements of the deque in an array.
+     * @return {Array} The elements.
+     */
+    toArray() {
+        return this.slice();
+    }
+
+    /**
+     * Creates a copy of the deque that is not affected by changes to the original.
+     * @return {Deque} The copy.
+     */
+    clone() {
+        return new Deque(this);
+    }
+
+    /**
+     * Returns an iterator over the elements of the deque.
+     * @return {Iterator} The iterator.
+     */
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.#length; i++) {
+            yield this.#buffer[this.#index(i)];
+        }
+    }
+
+    /**
+     * Converts an index of the deque to an index of the circular buffer.
+     * @param {number} index - The index of the deque, -1 for the slot before the first element.
+     * @return {number} The index in the buffer.
+     */
+    #index(index) {
+        return (this.#head + index + this.#buffer.length) % this.#buffer.length;
+    }
+
+    /**
+     * Doubles the capacity of the buffer if it is full.
+     */
+    #grow() {
+        if (this.#length === this.#buffer.length) {
+            this.#resize(this.#buffer.length * 2);
+        }
+    }
+
+    /**
+     * Halves the capacity of the buffer if it is less than a quarter full.
+     */
+    #shrink() {
+        if (this.#buffer.length > MIN_CAPACITY && this.#length < this.#buffer.length / 4) {
+            this.#resize(this.#buffer.length / 2);
+        }
+    }
+
+    /**
+     * Moves the elements to a new buffer, starting at its first slot.
+     * @param {number} capacity - The capacity of the new buffer.
+     */
+    #resize(capacity) {
+        const buffer = new Array(capacity);
+        for (let i = 0; i < this.#length; i++) {
+            buffer[i] = this.#buffer[this.#index(i)];
+        }
+        this.#buffer = buffer;
+        this.#head = 0;
+    }
+}
+
+module.exports = Deque;
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Class representing the expire times of the keys. It can be used like a Map from keys to expire times, and also
+ * keeps the keys in a binary min-heap ordered by expire time, so the key that expires first is found in constant
+ * time, and setting or removing an expire time runs in O(log n). This lets the cleanup loop only visit the keys
+ * that are due instead of scanning all the keys having an expire time.
+ */
+
+class ExpiryIndex {
+    #heap;
+    #positions;
+
+    /**
+     * Creates an instance of ExpiryIndex.
+     * @param {Iterable} [entries=[]] - Initial [key, expire time] pairs.
+     */
+    constructor(entries = []) {
+        this.#heap = [];
+        this.#positions = new Map();
+        for (const [key, time] of entries) {
+            this.set(key, time);
+        }
+    }
+
+    /**
+     * Gets the number of keys having an expire time.
+     * @return {number} The number of keys.
+     */
+    get size() {
+        return this.#heap.length;
+    }
+
+    /**
+     * Checks whether a key has an expire time.
+     * @param {*} key - The key.
+     * @return {boolean} True if the key has an expire time.
+     */
+    has(key) {
+        return this.#positions.has(key);
+    }
+
+    /**
+     * Returns the expire time of a key.
+     * @param {*} key - The key.
+     * @return {number|undefined} The expire time in milliseconds, or undefined if the key has none.
+     */
+    get(key) {
+        const position = this.#positions.get(key);
+        return position === undefined ? undefined : this.#heap[position].time;
+    }
+
+    /**
+     * Sets the expire time of a key.
+     * @param {*} key - The key.
+     * @param {number} time - The expire time in milliseconds.
+     * @return {ExpiryIndex} The instance, allowing for chaining.
+     */
+    set(key, time) {
+        const position = this.#positions.get(key);
+        if (position === undefined) {
+            this.#heap.push({ key, time });
+            this.#positions.set(key, this.#heap.length - 1);
+            this.#siftUp(this.#heap.length - 1);
+        } else {
+            const previousTime = this.#heap[position].time;
+            this.#heap[position].time = time;
+            if (time < previousTime) {
+                this.#siftUp(position);
+            } else {
+                this.#siftDown(position);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Removes the expire time of a key.
+     * @param {*} key - The key.
+     * @return {boolean} True if the key had an expire time.
+     */
+    delete(key) {
+        const position = this.#positions.get(key);
+        if (position === undefined) {
+            return false;
+        }
+
+        const last = this.#heap.pop();
+        this.#positions.delete(key);
+        if (position < this.#heap.length) {
+            this.#heap[position] = last;
+            this.#positions.set(last.key, position);
+            this.#siftUp(position);
+            this.#siftDown(this.#positions.get(last.key));
+        }
+        return true;
+    }
+
+    /**
+     * Removes all the expire times.
+     */
+    clear() {
+        this.#heap = [];
+        this.#positions.clear();
+    }
+
+    /**
+     * Returns the key that expires first.
+     * @return {Array|undefined} The [key, expire time] pair, or undefined if no key has an expire time.
+     */
+    peek() {
+        return this.#heap.length > 0 ? [this.#heap[0].key, this.#heap[0].time] : undefined;
+    }
+
+    /**
+     * Returns an iterator over the keys having an expire time, in no particular order.
+     * @return {Iterator<*>} The iterator.
+     */
+    keys() {
+        return this.#positions.keys();
+    }
+
+    /**
+     * Returns an iterator over the [key, expire time] pairs, in no particular order.
+     * @return {Iterator<Array>} The iterator.
+     */
+    *entries() {
+        for (const { key, time } of this.#heap) {
+            yield [key, time];
+        }
+    }
+
+    /**
+     * Returns an iterator over the [key, expire time] pairs, in no particular order.
+     * @return {Iterator<Array>} The iterator.
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Moves an item up the heap until its parent expires before it.
+     * @param {number} position - The position of the item.
+     */
+    #siftUp(position) {
+        const item = this.#heap[position];
+        while (position > 0) {
+            const parentPosition = (position - 1) >> 1;
+            const parent = this.#heap[parentPosition];
+            if (parent.time <= item.time) {
+                break;
+            }
+            this.#heap[position] = parent;
+            this.#positions.set(parent.key, position);
+            position = parentPosition;
+        }
+        this.#heap[position] = item;
+        this.#positions.set(item.key, position);
+    }
+
+    /**
+     * Moves an item down the heap until its children expire after it.
+     * @param {number} position - The position of the item.
+     */
+    #siftDown(position) {
+        const item = this.#heap[position];
+        const length = this.#heap.length;
+        for (;;) {
+            let childPosition = 2 * position + 1;
+            if (childPosition >= length) {
+                break;
+            }
+            if (childPosition + 1 < length && this.#heap[childPosition + 1].time < this.#heap[childPosition].time) {
+                childPosition++;
+            }
+            const child = this.#heap[childPosition];
+            if (item.time <= child.time) {
+                break;
+            }
+            this.#heap[position] = child;
+            this.#positions.set(child.key, position);
+            position = childPosition;
+        }
+        this.#heap[position] = item;
+        this.#positions.set(item.key, position);
+    }
+}
+
+module.exports = ExpiryIndex;
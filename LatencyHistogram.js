@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Class representing a histogram of latencies, used to compute the percentiles of the durations of a command
+ * without keeping every duration. Like in HdrHistogram, the values are counted in buckets growing exponentially:
+ * every power of 2 is split into SUB_BUCKETS buckets of the same width, so percentiles are accurate to about
+ * 1 / SUB_BUCKETS whatever the magnitude of the values, and recording a value runs in constant time.
+ */
+
+const SUB_BUCKETS = 16;
+const SUB_BUCKET_BITS = Math.log2(SUB_BUCKETS);
+
+class LatencyHistogram {
+    #counts;
+    #count;
+    #max;
+
+    /**
+     * Creates an empty LatencyHistogram.
+     */
+    constructor() {
+        this.#counts = [];
+        this.#count = 0;
+        this.#max = 0;
+    }
+
+    /**
+     * Gets the number of recorded values.
+     * @return {number} The number of values.
+     */
+    get count() {
+        return this.#count;
+    }
+
+    /**
+     * Gets the largest recorded value.
+     * @return {number} The largest value, or 0 if no value was recorded.
+     */
+    get max() {
+        return this.#max;
+    }
+
+    /**
+     * Records a value.
+     * @param {number} value - The value, rounded to a non-negative integer.
+     * @return {LatencyHistogram} The instance, allowing for chaining.
+     */
+    record(value) {
+        value = Math.max(Math.round(value), 0);
+        const index = this.#bucketIndex(value);
+        while (this.#counts.length <= index) {
+            this.#counts.push(0);
+        }
+        this.#counts[index]++;
+        this.#count++;
+        if (value > this.#max) {
+            this.#max = value;
+        }
+        return this;
+    }
+
+    /**
+     * Returns the value below which a percentage of the recorded values fall. The result is the upper bound of
+     * the bucket holding the value, so it is at most 1 / SUB_BUCKETS above the exact percentile.
+     * @param {number} percentile - The percentage, between 0 and 100.
+     * @return {number} The value, or 0 if no value was recorded.
+     */
+    percentile(percentile) {
+        if (this.#count === 0) {
+            return 0;
+        }
+
+        const rank = Math.max(Math.ceil(percentile / 100 * this.#count), 1);
+        let seen = 0;
+        for (let index = 0; index < this.#counts.length; index++) {
+            seen += this.#counts[index];
+            if (seen >= rank) {
+                return Math.min(this.#bucketUpperBound(index), this.#max);
+            }
+        }
+        return this.#max;
+    }
+
+    /**
+     * Returns the index of the bucket counting a value. Values below SUB_BUCKETS have a bucket each, larger values
+     * share a bucket with the values having the same SUB_BUCKET_BITS + 1 most significant bits.
+     * @param {number} value - The non-negative integer value.
+     * @return {number} The index of the bucket.
+     */
+    #bucketIndex(value) {
+        if (value < SUB_BUCKETS) {
+            return value;
+        }
+        const shift = Math.floor(Math.log2(value)) - SUB_BUCKET_BITS;
+        return (shift + 1) * SUB_BUCKETS + Math.floor(value / 2 ** shift) - SUB_BUCKETS;
+    }
+
+    /**
+     * Returns the largest value counted by a bucket.
+     * @param {number} index - The index of the bucket.
+     * @return {number} The largest value.
+     */
+    #bucketUpperBound(index) {
+        if (index < SUB_BUCKETS) {
+            return index;
+        }
+        const shift = Math.floor(index / SUB_BUCKETS) - 1;
+        return (index % SUB_BUCKETS + SUB_BUCKETS + 1) * 2 ** shift - 1;
+    }
+}
+
+module.exports = LatencyHistogram;
@@ -0,0 +1,504 @@
+'use strict';
+
+/**
+ * Class representing a sorted set: a set of unique members, each associated with a numeric score. Like in
+ * Redis, members are indexed twice: a Map gives the score of a member in constant time, and a skiplist keeps
+ * the members ordered by score, then by member for equal scores, so that finding the rank of a member or the
+ * members within a range of ranks, scores or members runs in O(log n + m).
+ *
+ * Members are compared by their string representation, as Redis compares members byte by byte.
+ */
+
+const MAX_LEVEL = 32;
+const LEVEL_PROBABILITY = 0.25;
+
+class SortedSet {
+    #scores;
+    #header;
+    #tail;
+    #level;
+
+    /**
+     * Creates an instance of SortedSet.
+     * @param {Iterable} [entries=[]] - Initial [member, score] pairs of the sorted set.
+     */
+    constructor(entries = []) {
+        this.#scores = new Map();
+        this.#header = SortedSet.#createNode(MAX_LEVEL, undefined, -Infinity);
+        this.#tail = null;
+        this.#level = 1;
+        for (const [member, score] of entries) {
+            this.set(member, score);
+        }
+    }
+
+    /**
+     * Gets the number of members of the sorted set.
+     * @return {number} The number of members.
+     */
+    get size() {
+        return this.#scores.size;
+    }
+
+    /**
+     * Checks whether a member is in the sorted set.
+     * @param {*} member - The member.
+     * @return {boolean} True if the member is in the sorted set.
+     */
+    has(member) {
+        return this.#scores.has(member);
+    }
+
+    /**
+     * Returns the score of a member.
+     * @param {*} member - The member.
+     * @return {number|undefined} The score, or undefined if the member is not in the sorted set.
+     */
+    get(member) {
+        return this.#scores.get(member);
+    }
+
+    /**
+     * Adds a member to the sorted set, or updates its score.
+     * @param {*} member - The member.
+     * @param {number} score - The score of the member.
+     * @return {boolean} True if the member was added, false if it was already in the sorted set.
+     */
+    set(member, score) {
+        const currentScore = this.#scores.get(member);
+        if (currentScore !== undefined) {
+            if (currentScore === score) {
+                return false;
+            }
+            this.#deleteFromList(member, currentScore);
+        }
+        this.#scores.set(member, score);
+        this.#insertIntoList(member, score);
+        return currentScore === undefined;
+    }
+
+    /**
+     * Removes a member from the sorted set.
+     * @param {*} member - The member.
+     * @return {boolean} True if the member was in the sorted set.
+     */
+    delete(member) {
+        const score = this.#scores.get(member);
+        if (score === undefined) {
+            return false;
+        }
+        this.#scores.delete(member);
+        this.#deleteFromList(member, score);
+        return true;
+    }
+
+    /**
+     * Returns the rank of a member, i.e. its index when the members are ordered by score.
+     * @param {*} member - The member.
+     * @param {boolean} [reverse=false] - Whether to order the members from the highest score to the lowest.
+     * @return {number|undefined} The rank, or undefined if the member is not in the sorted set.
+     */
+    rank(member, reverse = false) {
+        const score = this.#scores.get(member);
+        if (score === undefined) {
+            return undefined;
+        }
+        const { rank } = this.#findFirst(node => SortedSet.#compare(node, score, member) < 0);
+        return reverse ? this.size - 1 - rank : rank;
+    }
+
+    /**
+     * Returns the members within a range of ranks.
+     * @param {number} start - The rank of the first member. Negative ranks count back from the last member.
+     * @param {number} stop - The rank of the last member, included. Negative ranks count back from the last member.
+     * @param {boolean} [reverse=false] - Whether to order the members from the highest score to the lowest.
+     * @return {Array} The [member, score] pairs.
+     */
+    rangeByRank(start, stop, reverse = false) {
+        if (start < 0) start = Math.max(this.size + start, 0);
+        if (stop < 0) stop = this.size + stop;
+        stop = Math.min(stop, this.size - 1);
+        if (start > stop) {
+            return [];
+        }
+
+        const count = stop - start + 1;
+        const first = this.#nodeAtRank(reverse ? this.size - 1 - start : start);
+        return SortedSet.#collect(first, reverse, 0, count, () => true);
+    }
+
+    /**
+     * Returns the members with a score within a range.
+     * @param {number} min - The minimum score.
+     * @param {number} max - The maximum score.
+     * @param {Object} [options] - The options:
+     *                             minExclusive (boolean): Exclude the members with the minimum score.
+     *                             maxExclusive (boolean): Exclude the members with the maximum score.
+     *                             reverse (boolean): Order the members from the highest score to the lowest.
+     *                             offset (number): The number of matching members to skip.
+     *                             count (number): The maximum number of members to return.
+     * @return {Array} The [member, score] pairs.
+     */
+    rangeByScore(min, max, options = {}) {
+        const { minExclusive = false, maxExclusive = false, reverse = false, offset = 0, count = Infinity } = options;
+        const isBelow = node => minExclusive ? node.score <= min : node.score < min;
+        const isAbove = node => maxExclusive ? node.score >= max : node.score > max;
+        return this.#range(isBelow, isAbove, reverse, offset, count);
+    }
+
+    /**
+     * Returns the number of members with a score within a range.
+     * @param {number} min - The minimum score.
+     * @param {number} max - The maximum score.
+     * @param {Object} [options] - The options:
+     *                             minExclusive (boolean): Exclude the members with the minimum score.
+     *                             maxExclusive (boolean): Exclude the members with the maximum score.
+     * @return {number} The number of members.
+     */
+    countByScore(min, max, options = {}) {
+        const { minExclusive = false, maxExclusive = false } = options;
+        const isBelow = node => minExclusive ? node.score <= min : node.score < min;
+        const isAbove = node => maxExclusive ? node.score >= max : node.score > max;
+        return this.#count(isBelow, isAbove);
+    }
+
+    /**
+     * Returns the members within a range of members, for sorted sets whose members all have the same score.
+     * @param {string} min - The minimum member, included.
+     * @param {string} max - The maximum member, included.
+     * @param {Object} [options] - The options:
+     *                             reverse (boolean): Order the members from the highest to the lowest.
+     *                             offset (number): The number of matching members to skip.
+     *                             count (number): The maximum number of members to return.
+     * @return {Array} The [member, score] pairs.
+     */
+    rangeByLex(min, max, options = {}) {
+        const { reverse = false, offset = 0, count = Infinity } = options;
+        const isBelow = node => SortedSet.#compareMembers(node.member, min) < 0;
+        const isAbove = node => SortedSet.#compareMembers(node.member, max) > 0;
+        return this.#range(isBelow, isAbove, reverse, offset, count);
+    }
+
+    /**
+     * Returns the number of members within a range of members, for sorted sets whose members all have the same score.
+     * @param {string} min - The minimum member, included.
+     * @param {string} max - The maximum member, included.
+     * @return {number} The number of members.
+     */
+    countByLex(min, max) {
+        const isBelow = node => SortedSet.#compareMembers(node.member, min) < 0;
+        const isAbove = node => SortedSet.#compareMembers(node.member, max) > 0;
+        return this.#count(isBelow, isAbove);
+    }
+
+    /**
+     * Removes and returns the members with the lowest scores.
+     * @param {number} [count=1] - The number of members to remove.
+     * @return {Array} The removed [member, score] pairs, from the lowest score.
+     */
+    popMin(count = 1) {
+        const popped = this.rangeByRank(0, count - 1);
+        popped.forEach(([member]) => this.delete(member));
+        return popped;
+    }
+
+    /**
+     * Removes and returns the members with the highest scores.
+     * @param {number} [count=1] - The number of members to remove.
+     * @return {Array} The removed [member, score] pairs, from the highest score.
+     */
+    popMax(count = 1) {
+        const popped = this.rangeByRank(0, count - 1, true);
+        popped.forEach(([member]) => this.delete(member));
+        return popped;
+    }
+
+    /**
+     * Returns an iterator over the members, ordered by score.
+     * @return {Iterator<*>} The iterator.
+     */
+    *keys() {
+        for (const [member] of this.entries()) {
+            yield member;
+        }
+    }
+
+    /**
+     * Returns an iterator over the scores, in ascending order.
+     * @return {Iterator<number>} The iterator.
+     */
+    *values() {
+        for (const [, score] of this.entries()) {
+            yield score;
+        }
+    }
+
+    /**
+     * Returns an iterator over the [member, score] pairs, ordered by score.
+     * @return {Iterator<Array>} The iterator.
+     */
+    *entries() {
+        for (let node = this.#header.levels[0].next; node; node = node.levels[0].next) {
+            yield [node.member, node.score];
+        }
+    }
+
+    /**
+     * Returns an iterator over the [member, score] pairs, ordered by score.
+     * @return {Iterator<Array>} The iterator.
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Creates a copy of the sorted set that is not affected by changes to the original.
+     * @return {SortedSet} The copy.
+     */
+    clone() {
+        return new SortedSet(this);
+    }
+
+    /**
+     * Returns the members between the last member for which isBelow is true and the first member for which
+     * isAbove is true, both excluded.
+     * @param {Function} isBelow - Called with a node, true if it is before the range.
+     * @param {Function} isAbove - Called with a node, true if it is after the range.
+     * @param {boolean} reverse - Whether to return the members from the end of the range.
+     * @param {number} offset - The number of members to skip.
+     * @param {number} count - The maximum number of members to return.
+     * @return {Array} The [member, score] pairs.
+     */
+    #range(isBelow, isAbove, reverse, offset, count) {
+        if (reverse) {
+            const { node } = this.#findLast(node => !isAbove(node));
+            return SortedSet.#collect(node === this.#header ? null : node, true, offset, count, node => !isBelow(node));
+        }
+        const { node } = this.#findFirst(isBelow);
+        return SortedSet.#collect(node, false, offset, count, node => !isAbove(node));
+    }
+
+    /**
+     * Counts the members between the last member for which isBelow is true and the first member for which
+     * isAbove is true, both excluded.
+     * @param {Function} isBelow - Called with a node, true if it is before the range.
+     * @param {Function} isAbove - Called with a node, true if it is after the range.
+     * @return {number} The number of members.
+     */
+    #count(isBelow, isAbove) {
+        const first = this.#findFirst(isBelow);
+        const last = this.#findLast(node => !isAbove(node));
+        return Math.max(last.rank - first.rank, 0);
+    }
+
+    /**
+     * Finds the first node for which a predicate is false, the predicate being true for all the nodes before it.
+     * @param {Function} isBefore - Called with a node.
+     * @return {{node: Object|null, rank: number}} The node, or null if there is none, and its rank.
+     */
+    #findFirst(isBefore) {
+        let node = this.#header;
+        let rank = 0;
+        for (let i = this.#level - 1; i >= 0; i--) {
+            while (node.levels[i].next && isBefore(node.levels[i].next)) {
+                rank += node.levels[i].span;
+                node = node.levels[i].next;
+            }
+        }
+        return { node: node.levels[0].next, rank };
+    }
+
+    /**
+     * Finds the last node for which a predicate is true, the predicate being true for all the nodes before it.
+     * @param {Function} isBeforeOrIn - Called with a node.
+     * @return {{node: Object, rank: number}} The node, or the header if there is none, and the number of
+     * nodes up to it, itself included.
+     */
+    #findLast(isBeforeOrIn) {
+        let node = this.#header;
+        let rank = 0;
+        for (let i = this.#level - 1; i >= 0; i--) {
+            while (node.levels[i].next && isBeforeOrIn(node.levels[i].next)) {
+                rank += node.levels[i].span;
+                node = node.levels[i].next;
+            }
+        }
+        return { node, rank };
+    }
+
+    /**
+     * Returns the node at a rank.
+     * @param {number} rank - The rank, between 0 and the size of the sorted set excluded.
+     * @return {Object} The node.
+     */
+    #nodeAtRank(rank) {
+        let node = this.#header;
+        let traversed = 0;
+        for (let i = this.#level - 1; i >= 0; i--) {
+            while (node.levels[i].next && traversed + node.levels[i].span <= rank + 1) {
+                traversed += node.levels[i].span;
+                node = node.levels[i].next;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Inserts a node in the skiplist, updating the spans of the nodes jumping over it.
+     * @param {*} member - The member.
+     * @param {number} score - The score of the member.
+     */
+    #insertIntoList(member, score) {
+        const update = new Array(MAX_LEVEL);
+        const rank = new Array(MAX_LEVEL);
+        let node = this.#header;
+        for (let i = this.#level - 1; i >= 0; i--) {
+            rank[i] = i === this.#level - 1 ? 0 : rank[i + 1];
+            while (node.levels[i].next && SortedSet.#compare(node.levels[i].next, score, member) < 0) {
+                rank[i] += node.levels[i].span;
+                node = node.levels[i].next;
+            }
+            update[i] = node;
+        }
+
+        const level = SortedSet.#randomLevel();
+        if (level > this.#level) {
+            for (let i = this.#level; i < level; i++) {
+                rank[i] = 0;
+                update[i] = this.#header;
+                update[i].levels[i].span = this.size - 1;
+            }
+            this.#level = level;
+        }
+
+        node = SortedSet.#createNode(level, member, score);
+        for (let i = 0; i < level; i++) {
+            node.levels[i].next = update[i].levels[i].next;
+            update[i].levels[i].next = node;
+            node.levels[i].span = update[i].levels[i].span - (rank[0] - rank[i]);
+            update[i].levels[i].span = rank[0] - rank[i] + 1;
+        }
+        for (let i = level; i < this.#level; i++) {
+            update[i].levels[i].span++;
+        }
+
+        node.backward = update[0] === this.#header ? null : update[0];
+        if (node.levels[0].next) {
+            node.levels[0].next.backward = node;
+        } else {
+            this.#tail = node;
+        }
+    }
+
+    /**
+     * Removes a node from the skiplist, updating the spans of the nodes jumping over it.
+     * @param {*} member - The member.
+     * @param {number} score - The score of the member.
+     */
+    #deleteFromList(member, score) {
+        const update = new Array(MAX_LEVEL);
+        let node = this.#header;
+        for (let i = this.#level - 1; i >= 0; i--) {
+            while (node.levels[i].next && SortedSet.#compare(node.levels[i].next, score, member) < 0) {
+                node = node.levels[i].next;
+            }
+            update[i] = node;
+        }
+
+        node = node.levels[0].next;
+        for (let i = 0; i < this.#level; i++) {
+            if (update[i].levels[i].next === node) {
+                update[i].levels[i].span += node.levels[i].span - 1;
+                update[i].levels[i].next = node.levels[i].next;
+            } else {
+                update[i].levels[i].span--;
+            }
+        }
+
+        if (node.levels[0].next) {
+            node.levels[0].next.backward = node.backward;
+        } else {
+            this.#tail = node.backward;
+        }
+        while (this.#level > 1 && !this.#header.levels[this.#level - 1].next) {
+            this.#level--;
+        }
+    }
+
+    /**
+     * Collects the [member, score] pairs of consecutive nodes.
+     * @param {Object|null} node - The first node.
+     * @param {boolean} reverse - Whether to walk the nodes backward.
+     * @param {number} offset - The number of nodes to skip.
+     * @param {number} count - The maximum number of pairs to collect.
+     * @param {Function} isInRange - Called with a node, collecting stops at the first node for which it is false.
+     * @return {Array} The [member, score] pairs.
+     */
+    static #collect(node, reverse, offset, count, isInRange) {
+        const result = [];
+        while (node && result.length < count && isInRange(node)) {
+            if (offset > 0) {
+                offset--;
+            } else {
+                result.push([node.member, node.score]);
+            }
+            node = reverse ? node.backward : node.levels[0].next;
+        }
+        return result;
+    }
+
+    /**
+     * Creates a skiplist node.
+     * @param {number} level - The number of levels of the node.
+     * @param {*} member - The member.
+     * @param {number} score - The score of the member.
+     * @return {Object} The node.
+     */
+    static #createNode(level, member, score) {
+        const levels = [];
+        for (let i = 0; i < level; i++) {
+            levels.push({ next: null, span: 0 });
+        }
+        return { member, score, backward: null, levels };
+    }
+
+    /**
+     * Returns a random level for a new node, so that each level has a quarter of the nodes of the level below.
+     * @return {number} The level.
+     */
+    static #randomLevel() {
+        let level = 1;
+        while (level < MAX_LEVEL && Math.random() < LEVEL_PROBABILITY) {
+            level++;
+        }
+        return level;
+    }
+
+    /**
+     * Compares a node to a score and a member, by score then by member.
+     * @param {Object} node - The node.
+     * @param {number} score - The score.
+     * @param {*} member - The member.
+     * @return {number} A negative number if the node comes first, a positive number if it comes after, 0 if they are equal.
+     */
+    static #compare(node, score, member) {
+        if (node.score !== score) {
+            return node.score < score ? -1 : 1;
+        }
+        return SortedSet.#compareMembers(node.member, member);
+    }
+
+    /**
+     * Compares two members by their string representation.
+     * @param {*} a - The first member.
+     * @param {*} b - The second member.
+     * @return {number} A negative number if a comes first, a positive number if it comes after, 0 if they are equal.
+     */
+    static #compareMembers(a, b) {
+        a = String(a);
+        b = String(b);
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+}
+
+module.exports = SortedSet;
@@ -0,0 +1,549 @@
+'use strict';
+
+/**
+ * Class representing an append-only log of entries. Every entry holds an object of fields and is
+ * identified by a unique `<ms>-<seq>` ID, where `ms` is a timestamp in milliseconds and `seq` a sequence
+ * number distinguishing entries added within the same millisecond. IDs always increase, so the entries
+ * are kept sorted in an array and ranges are found with a binary search.
+ */
+
+class Stream {
+    #entries;
+    #last;
+    #groups;
+
+    /**
+     * Creates an empty Stream.
+     */
+    constructor() {
+        this.#entries = [];
+        this.#last = { ms: 0, seq: 0 };
+        this.#groups = new Map();
+    }
+
+    /**
+     * Gets the number of entries in the stream.
+     * @return {number} The number of entries.
+     */
+    get length() {
+        return this.#entries.length;
+    }
+
+    /**
+     * Gets the ID of the last entry ever added to the stream.
+     * @return {string} The ID, '0-0' if no entry was ever added.
+     */
+    get lastId() {
+        return Stream.formatId(this.#last);
+    }
+
+    /**
+     * Appends an entry to the stream.
+     * @param {string} id - The ID of the entry: '*' to generate it, '<ms>-*' to generate only the
+     *                      sequence number, or an explicit '<ms>-<seq>' greater than the last ID.
+     * @param {Object} fields - The fields of the entry.
+     * @return {string} The ID of the added entry.
+     * @throws {Error} If the ID is invalid or not greater than the last ID.
+     */
+    add(id, fields) {
+        let ms;
+        let seq;
+        if (id === '*') {
+            ms = Math.max(Date.now(), this.#last.ms);
+            seq = ms === this.#last.ms ? this.#last.seq + 1 : 0;
+        } else if (typeof id === 'string' && id.endsWith('-*')) {
+            ms = Stream.parseId(id.slice(0, -2)).ms;
+            if (ms < this.#last.ms) {
+                throw new Error('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+            }
+            seq = ms === this.#last.ms ? this.#last.seq + 1 : 0;
+        } else {
+            ({ ms, seq } = Stream.parseId(id));
+            if (ms === 0 && seq === 0) {
+                throw new Error('ERR The ID specified in XADD must be greater than 0-0');
+            }
+            if (Stream.compareIds({ ms, seq }, this.#last) <= 0) {
+                throw new Error('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+            }
+        }
+        if (!Number.isSafeInteger(seq)) {
+            throw new Error('ERR The stream has exhausted the last possible ID, unable to add more items');
+        }
+
+        const entryId = Stream.formatId({ ms, seq });
+        this.#entries.push({ ms, seq, id: entryId, fields: { ...fields } });
+        this.#last = { ms, seq };
+        return entryId;
+    }
+
+    /**
+     * Returns the entries with an ID between start and end, in ascending order.
+     * @param {string} start - The lowest ID, '-' for the first entry. Prefix with '(' to exclude it.
+     * @param {string} end - The highest ID, '+' for the last entry. Prefix with '(' to exclude it.
+     * @param {number} [count=Infinity] - The maximum number of entries to return.
+     * @return {Array} An array of [id, fields] pairs.
+     */
+    range(start, end, count = Infinity) {
+        const from = this.#lowerBound(start);
+        const to = this.#upperBound(end);
+        const result = [];
+        for (let i = from; i < to && result.length < count; i++) {
+            result.push(Stream.#toReply(this.#entries[i]));
+        }
+        return result;
+    }
+
+    /**
+     * Returns the entries with an ID between end and start, in descending order.
+     * @param {string} end - The highest ID, '+' for the last entry. Prefix with '(' to exclude it.
+     * @param {string} start - The lowest ID, '-' for the first entry. Prefix with '(' to exclude it.
+     * @param {number} [count=Infinity] - The maximum number of entries to return.
+     * @return {Array} An array of [id, fields] pairs.
+     */
+    revrange(end, start, count = Infinity) {
+        const from = this.#lowerBound(start);
+        const to = this.#upperBound(end);
+        const result = [];
+        for (let i = to - 1; i >= from && result.length < count; i--) {
+            result.push(Stream.#toReply(this.#entries[i]));
+        }
+        return result;
+    }
+
+    /**
+     * Returns the entries with an ID greater than the given one, in ascending order.
+     * @param {string} id - The ID to read after.
+     * @param {number} [count=Infinity] - The maximum number of entries to return.
+     * @return {Array} An array of [id, fields] pairs.
+     */
+    after(id, count = Infinity) {
+        return this.range(`(${id}`, '+', count);
+    }
+
+    /**
+     * Returns the entry with the given ID.
+     * @param {string} id - The ID of the entry.
+     * @return {Array|undefined} The [id, fields] pair, or undefined if there is no such entry.
+     */
+    get(id) {
+        const index = this.#indexOf(Stream.parseId(id));
+        return index === -1 ? undefined : Stream.#toReply(this.#entries[index]);
+    }
+
+    /**
+     * Deletes entries from the stream.
+     * @param {Array<string>} ids - The IDs of the entries to delete.
+     * @return {number} The number of entries deleted.
+     */
+    delete(ids) {
+        let deleted = 0;
+        for (const id of ids) {
+            const index = this.#indexOf(Stream.parseId(id));
+            if (index !== -1) {
+                this.#entries.splice(index, 1);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Deletes the oldest entries until the stream holds at most maxLength entries.
+     * @param {number} maxLength - The maximum number of entries to keep.
+     * @return {number} The number of entries deleted.
+     */
+    trimToLength(maxLength) {
+        const excess = this.#entries.length - Math.max(maxLength, 0);
+        if (excess <= 0) {
+            return 0;
+        }
+        this.#entries.splice(0, excess);
+        return excess;
+    }
+
+    /**
+     * Deletes the entries with an ID lower than minId.
+     * @param {string} minId - The lowest ID to keep.
+     * @return {number} The number of entries deleted.
+     */
+    trimToMinId(minId) {
+        const excess = this.#lowerBound(minId);
+        this.#entries.splice(0, excess);
+        return excess;
+    }
+
+    /**
+     * Creates a consumer group.
+     * @param {string} name - The name of the group.
+     * @param {string} id - The ID of the last entry considered delivered to the group, '$' for the last entry of the stream.
+     * @return {boolean} True if the group was created, false if a group with this name already exists.
+     * @throws {Error} If the ID is invalid.
+     */
+    createGroup(name, id) {
+        const lastDelivered = id === '$' ? { ...this.#last } : Stream.parseId(id);
+        if (this.#groups.has(name)) {
+            return false;
+        }
+        this.#groups.set(name, new ConsumerGroup(lastDelivered));
+        return true;
+    }
+
+    /**
+     * Returns a consumer group.
+     * @param {string} name - The name of the group.
+     * @return {ConsumerGroup|undefined} The group, or undefined if there is no such group.
+     */
+    getGroup(name) {
+        return this.#groups.get(name);
+    }
+
+    /**
+     * Deletes a consumer group, along with its consumers and pending entries.
+     * @param {string} name - The name of the group.
+     * @return {boolean} True if the group existed.
+     */
+    destroyGroup(name) {
+        return this.#groups.delete(name);
+    }
+
+    /**
+     * Creates a copy of the stream that is not affected by changes to the original.
+     * @return {Stream} The copy.
+     */
+    clone() {
+        const copy = new Stream();
+        copy.#entries = this.#entries.map(entry => ({ ...entry, fields: { ...entry.fields } }));
+        copy.#last = { ...this.#last };
+        for (const [name, group] of this.#groups) {
+            copy.#groups.set(name, group.clone());
+        }
+        return copy;
+    }
+
+    /**
+     * Returns an iterator over the entries of the stream, in ascending order.
+     * @return {Iterator} The iterator of [id, fields] pairs.
+     */
+    *entries() {
+        for (const entry of this.#entries) {
+            yield Stream.#toReply(entry);
+        }
+    }
+
+    /**
+     * Converts the stream to plain data, e.g. to store it in IndexedDB, which cannot store private fields.
+     * @return {Object} The entries, the last ID and the consumer groups of the stream.
+     */
+    toObject() {
+        return {
+            entries: Array.from(this.entries()),
+            lastId: this.lastId,
+            groups: Array.from(this.#groups, ([name, group]) => [name, group.toObject()]),
+        };
+    }
+
+    /**
+     * Creates a stream from the plain data returned by toObject().
+     * @param {Object} object - The entries, the last ID and the consumer groups of the stream.
+     * @return {Stream} The stream.
+     */
+    static fromObject({ entries, lastId, groups }) {
+        const stream = new Stream();
+        stream.#entries = entries.map(([id, fields]) => ({ ...Stream.parseId(id), id, fields: { ...fields } }));
+        stream.#last = Stream.parseId(lastId);
+        for (const [name, group] of groups) {
+            stream.#groups.set(name, ConsumerGroup.fromObject(group));
+        }
+        return stream;
+    }
+
+    /**
+     * Returns the index of the first entry that is within a range starting at the given ID.
+     * @param {string} start - The lowest ID, '-' for the first entry. Prefix with '(' to exclude it.
+     * @return {number} The index.
+     */
+    #lowerBound(start) {
+        if (start === '-') {
+            return 0;
+        }
+        if (start === '+') {
+            return this.#entries.length;
+        }
+        const exclusive = String(start).startsWith('(');
+        const id = Stream.parseId(exclusive ? start.slice(1) : start, 0);
+        return this.#search(entry => {
+            const comparison = Stream.compareIds(entry, id);
+            return exclusive ? comparison > 0 : comparison >= 0;
+        });
+    }
+
+    /**
+     * Returns the index after the last entry that is within a range ending at the given ID.
+     * @param {string} end - The highest ID, '+' for the last entry. Prefix with '(' to exclude it.
+     * @return {number} The index.
+     */
+    #upperBound(end) {
+        if (end === '+') {
+            return this.#entries.length;
+        }
+        if (end === '-') {
+            return 0;
+        }
+        const exclusive = String(end).startsWith('(');
+        const id = Stream.parseId(exclusive ? end.slice(1) : end, Number.MAX_SAFE_INTEGER);
+        return this.#search(entry => {
+            const comparison = Stream.compareIds(entry, id);
+            return exclusive ? comparison >= 0 : comparison > 0;
+        });
+    }
+
+    /**
+     * Returns the index of the entry with the given ID.
+     * @param {{ms: number, seq: number}} id - The ID.
+     * @return {number} The index, or -1 if there is no such entry.
+     */
+    #indexOf(id) {
+        const index = this.#search(entry => Stream.compareIds(entry, id) >= 0);
+        if (index < this.#entries.length && Stream.compareIds(this.#entries[index], id) === 0) {
+            return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Binary search for the index of the first entry satisfying a predicate that is false for a
+     * prefix of the entries and true for the rest.
+     * @param {Function} predicate - The predicate.
+     * @return {number} The index, or the number of entries if no entry satisfies the predicate.
+     */
+    #search(predicate) {
+        let low = 0;
+        let high = this.#entries.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (predicate(this.#entries[middle])) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Converts an entry to the format returned to the callers.
+     * @param {Object} entry - The entry.
+     * @return {Array} The [id, fields] pair.
+     */
+    static #toReply(entry) {
+        return [entry.id, { ...entry.fields }];
+    }
+
+    /**
+     * Parses a stream ID.
+     * @param {string} id - The ID, in the '<ms>-<seq>' or '<ms>' format.
+     * @param {number} [defaultSeq=0] - The sequence number used when the ID has none.
+     * @return {{ms: number, seq: number}} The parsed ID.
+     * @throws {Error} If the ID is invalid.
+     */
+    static parseId(id, defaultSeq = 0) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(String(id));
+        const ms = match && Number(match[1]);
+        const seq = match && (match[2] === undefined ? defaultSeq : Number(match[2]));
+        if (!match || !Number.isSafeInteger(ms) || !Number.isSafeInteger(seq)) {
+            throw new Error('ERR Invalid stream ID specified as stream command argument');
+        }
+        return { ms, seq };
+    }
+
+    /**
+     * Formats a parsed stream ID.
+     * @param {{ms: number, seq: number}} id - The parsed ID.
+     * @return {string} The ID, in the '<ms>-<seq>' format.
+     */
+    static formatId(id) {
+        return `${id.ms}-${id.seq}`;
+    }
+
+    /**
+     * Checks whether an ID is within a range of IDs.
+     * @param {string} id - The ID to check.
+     * @param {string} start - The lowest ID, '-' for no lower limit. Prefix with '(' to exclude it.
+     * @param {string} end - The highest ID, '+' for no upper limit. Prefix with '(' to exclude it.
+     * @return {boolean} True if the ID is within the range.
+     */
+    static isInRange(id, start, end) {
+        const stream = new Stream();
+        stream.#entries.push(Stream.parseId(id));
+        return stream.#lowerBound(start) === 0 && stream.#upperBound(end) === 1;
+    }
+
+    /**
+     * Compares two parsed stream IDs.
+     * @param {{ms: number, seq: number}} a - The first ID.
+     * @param {{ms: number, seq: number}} b - The second ID.
+     * @return {number} A negative number if a < b, a positive number if a > b, 0 if they are equal.
+     */
+    static compareIds(a, b) {
+        return a.ms !== b.ms ? a.ms - b.ms : a.seq - b.seq;
+    }
+}
+
+/**
+ * Class representing a consumer group of a stream. The group remembers the last entry delivered to it, so
+ * that each new entry is delivered to only one of its consumers, and tracks the entries delivered to each
+ * consumer until they are acknowledged: the pending entries.
+ */
+
+class ConsumerGroup {
+    /**
+     * Creates a ConsumerGroup.
+     * @param {{ms: number, seq: number}} lastDelivered - The ID of the last entry delivered to the group.
+     */
+    constructor(lastDelivered) {
+        /**
+         * @type {{ms: number, seq: number}} - The ID of the last entry delivered to the group.
+         */
+        this.lastDelivered = lastDelivered;
+
+        /**
+         * @type {Map<string, {consumer: string, deliveryTime: number, deliveries: number}>} - The pending
+         * entries by ID, with the consumer that owns them, when they were last delivered and how many times.
+         */
+        this.pending = new Map();
+
+        /**
+         * @type {Map<string, {seenTime: number, pending: Set<string>}>} - The consumers by name, with when they
+         * last interacted with the group and the IDs of the pending entries they own.
+         */
+        this.consumers = new Map();
+    }
+
+    /**
+     * Gets the ID of the last entry delivered to the group.
+     * @return {string} The ID.
+     */
+    get lastDeliveredId() {
+        return Stream.formatId(this.lastDelivered);
+    }
+
+    /**
+     * Returns a consumer of the group, creating it if needed.
+     * @param {string} name - The name of the consumer.
+     * @return {{seenTime: number, pending: Set<string>}} The consumer.
+     */
+    consumer(name) {
+        let consumer = this.consumers.get(name);
+        if (consumer === undefined) {
+            consumer = { seenTime: Date.now(), pending: new Set() };
+            this.consumers.set(name, consumer);
+        }
+        return consumer;
+    }
+
+    /**
+     * Deletes a consumer of the group, along with its pending entries.
+     * @param {string} name - The name of the consumer.
+     * @return {number} The number of pending entries the consumer owned, or -1 if there is no such consumer.
+     */
+    deleteConsumer(name) {
+        const consumer = this.consumers.get(name);
+        if (consumer === undefined) {
+            return -1;
+        }
+        for (const id of consumer.pending) {
+            this.pending.delete(id);
+        }
+        this.consumers.delete(name);
+        return consumer.pending.size;
+    }
+
+    /**
+     * Records that an entry was delivered to a consumer, which becomes its owner until it is acknowledged.
+     * @param {string} id - The ID of the entry.
+     * @param {string} consumerName - The name of the consumer.
+     * @param {number} time - The time of the delivery, in milliseconds.
+     * @param {number} [deliveries] - The new delivery count, by default incremented.
+     */
+    deliver(id, consumerName, time, deliveries) {
+        const pending = this.pending.get(id);
+        if (pending !== undefined) {
+            this.consumers.get(pending.consumer).pending.delete(id);
+        }
+        this.pending.set(id, {
+            consumer: consumerName,
+            deliveryTime: time,
+            deliveries: deliveries !== undefined ? deliveries : (pending ? pending.deliveries : 0) + 1,
+        });
+        this.consumer(consumerName).pending.add(id);
+    }
+
+    /**
+     * Removes an entry from the pending entries.
+     * @param {string} id - The ID of the entry.
+     * @return {boolean} True if the entry was pending.
+     */
+    acknowledge(id) {
+        const pending = this.pending.get(id);
+        if (pending === undefined) {
+            return false;
+        }
+        this.pending.delete(id);
+        this.consumers.get(pending.consumer).pending.delete(id);
+        return true;
+    }
+
+    /**
+     * Returns the IDs of pending entries, in ascending order.
+     * @param {Iterable<string>} [ids] - The IDs to sort, by default those of every pending entry.
+     * @return {Array<string>} The sorted IDs.
+     */
+    sortedIds(ids = this.pending.keys()) {
+        return Array.from(ids).sort((a, b) => Stream.compareIds(Stream.parseId(a), Stream.parseId(b)));
+    }
+
+    /**
+     * Creates a copy of the group that is not affected by changes to the original.
+     * @return {ConsumerGroup} The copy.
+     */
+    clone() {
+        const copy = new ConsumerGroup({ ...this.lastDelivered });
+        for (const [id, pending] of this.pending) {
+            copy.pending.set(id, { ...pending });
+        }
+        for (const [name, consumer] of this.consumers) {
+            copy.consumers.set(name, { seenTime: consumer.seenTime, pending: new Set(consumer.pending) });
+        }
+        return copy;
+    }
+
+    /**
+     * Converts the group to plain data, see Stream#toObject().
+     * @return {Object} The last delivered ID, the pending entries and the consumers of the group.
+     */
+    toObject() {
+        return {
+            lastDeliveredId: this.lastDeliveredId,
+            pending: Array.from(this.pending, ([id, pending]) => [id, { ...pending }]),
+            consumers: Array.from(this.consumers, ([name, consumer]) => [name, { seenTime: consumer.seenTime, pending: Array.from(consumer.pending) }]),
+        };
+    }
+
+    /**
+     * Creates a group from the plain data returned by toObject().
+     * @param {Object} object - The last delivered ID, the pending entries and the consumers of the group.
+     * @return {ConsumerGroup} The group.
+     */
+    static fromObject({ lastDeliveredId, pending, consumers }) {
+        const group = new ConsumerGroup(Stream.parseId(lastDeliveredId));
+        for (const [id, entry] of pending) {
+            group.pending.set(id, { ...entry });
+        }
+        for (const [name, consumer] of consumers) {
+            group.consumers.set(name, { seenTime: consumer.seenTime, pending: new Set(consumer.pending) });
+        }
+        return group;
+    }
+}
+
+module.exports = Stream;
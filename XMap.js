@@ -32,6 +32,14 @@ class XMap {
         return this.#pool.reduce((sum, map) => sum + map.size, 0);
     }
 
+    /**
+     * Gets the number of Map instances the key-value pairs are spread over.
+     * @return {number} The number of maps.
+     */
+    get poolCount() {
+        return this.#pool.length;
+    }
+
     /**
      * Removes all key-value pairs from the XMap.
      */
@@ -1,8 +1,209 @@
 export = kvjs;
 declare class kvjs {
+    /**
+     * @param {string|Object} [options] - The name of the IndexedDB database to persist to, or an object with:
+     *                                    dbName (string): The name of the IndexedDB database to persist to, in browsers.
+     *                                    dbVersion (number): The version of the IndexedDB database.
+     *                                    cleanupInterval (number): The interval of the cleanup loop removing expired keys, in milliseconds.
+     *                                    cleanupBudget (number): The maximum time a run of the cleanup loop may take, in milliseconds.
+     *                                    maxmemory (number): The estimated memory usage in bytes above which keys are evicted, 0 for no limit.
+     *                                    maxmemoryPolicy (string): How keys are evicted once maxmemory is reached: 'noeviction' (the default),
+     *                                    'allkeys-lru', 'allkeys-lfu', 'allkeys-random', 'volatile-lru', 'volatile-lfu', 'volatile-random'
+     *                                    or 'volatile-ttl'.
+     *                                    maxKeys (number): The maximum number of keys, 0 for no limit.
+     *                                    evictionPolicy (string): How room is made for new keys once maxKeys is reached: 'noeviction'
+     *                                    (the default) or 'lru'.
+     *                                    onEvict (Function): Called with (key, value, reason) for every evicted key, the reason being
+     *                                    'maxmemory' or 'maxkeys', once the command or transaction evicting it completes.
+     *                                    trackAccess (boolean): Whether to track the last access time and access frequency of the keys
+     *                                    for object(), always true when maxmemory or maxKeys is set.
+     *                                    slowlogLogSlowerThan (number): The execution time in microseconds from which commands are recorded
+     *                                    in the slow log, 10000 by default, 0 to record every command and a negative value to disable it.
+     *                                    slowlogMaxLen (number): The maximum number of entries of the slow log, 128 by default.
+     *                                    latencyTracking (boolean): Whether to count the durations of the commands in histograms, false
+     *                                    by default.
+     *                                    latencyMonitorThreshold (number): The duration in milliseconds from which latency events are
+     *                                    recorded, 0 (the default) to disable them.
+     *                                    databases (number): The number of logical databases, 16 by default.
+     *                                    acllogMaxLen (number): The maximum number of entries of the ACL log, 128 by default.
+     */
+    constructor(options?: string | {
+        dbName?: string;
+        dbVersion?: number;
+        cleanupInterval?: number;
+        cleanupBudget?: number;
+        maxmemory?: number;
+        maxmemoryPolicy?: 'noeviction' | 'allkeys-lru' | 'allkeys-lfu' | 'allkeys-random' | 'volatile-lru' | 'volatile-lfu' | 'volatile-random' | 'volatile-ttl';
+        maxKeys?: number;
+        evictionPolicy?: 'noeviction' | 'lru';
+        onEvict?: (key: any, value: any, reason: 'maxmemory' | 'maxkeys') => void;
+        trackAccess?: boolean;
+        slowlogLogSlowerThan?: number;
+        slowlogMaxLen?: number;
+        latencyTracking?: boolean;
+        latencyMonitorThreshold?: number;
+        databases?: number;
+        acllogMaxLen?: number;
+    });
+    databases: {
+        store: Map<any, any>;
+        expireTimes: Map<any, any>;
+        keyAccess: Map<any, any>;
+        keySizes: Map<any, number>;
+        dirtyKeys: Set<any>;
+        usedMemory: number;
+    }[];
+    selectedDb: number;
     store: Map<any, any>;
     expireTimes: Map<any, any>;
+    cleanupInterval: number;
+    cleanupBudget: number;
+    cleanupLoop: any;
+    maxmemory: number;
+    maxmemoryPolicy: string;
+    maxKeys: number;
+    evictionPolicy: string;
+    onEvict: ((key: any, value: any, reason: 'maxmemory' | 'maxkeys') => void) | null;
+    pendingEvictions: [key: any, value: any, reason: 'maxmemory' | 'maxkeys'][];
+    trackAccess: boolean;
+    keyAccess: Map<any, {
+        time: number;
+        frequency: number;
+    }>;
+    keySizes: Map<any, number>;
+    dirtyKeys: Set<any>;
+    usedMemory: number;
+    stats: {
+        totalCommandsProcessed: number;
+        keyspaceHits: number;
+        keyspaceMisses: number;
+        expiredKeys: number;
+        evictedKeys: number;
+    };
+    opsSample: {
+        time: number;
+        commands: number;
+        opsPerSec: number;
+    };
+    commandDepth: number;
+    isReadCommand: boolean;
+    slowlogLogSlowerThan: number;
+    slowlogMaxLen: number;
+    slowlogEntries: any;
+    slowlogNextId: number;
+    monitors: Set<(entry: {
+        time: number;
+        command: string;
+        args: any[];
+        result?: any;
+        error?: any;
+        expired?: boolean;
+    }) => void>;
+    latencyTracking: boolean;
+    latencyHistograms: Map<string, {
+        count: number;
+        max: number;
+        percentile(percentile: number): number;
+    }>;
+    latencyMonitorThreshold: number;
+    latencyEvents: Map<string, {
+        samples: any;
+        max: number;
+    }>;
+    aclUsers: Map<string, any>;
+    currentUser: string;
+    acllogMaxLen: number;
+    aclLog: any[];
+    aclLogNextId: number;
+    pendingWrites: number;
+    lastPersistenceError: any;
     storeSet: (key: any, value: any) => void;
+    /**
+     * Listen for changes to keys. The event can be:
+     * - the name of a keyspace event such as 'set', 'del', 'expired', 'expire', 'rename_to', 'lpush', 'hset',
+     *   'zadd' or 'sadd': the listener is called with (key, event) every time a command emits that event;
+     * - a '__keyspace__:<key pattern>' channel: the listener is called with (event, channel) for every event
+     *   on a key matching the glob-style pattern, e.g. '__keyspace__:user:*';
+     * - a '__keyevent__:<event pattern>' channel: the listener is called with (key, channel) for every event
+     *   matching the pattern, e.g. '__keyevent__:*'.
+     * @param {string} event - The event name or channel pattern.
+     * @param {Function} listener - The function to call.
+     * @returns {kvjs} - The instance, allowing for chaining.
+     */
+    on(event: string, listener: (...args: any[]) => void): kvjs;
+    /**
+     * Remove a listener added with on(). If no listener is given, all listeners of the event are removed.
+     * @param {string} event - The event name or channel pattern.
+     * @param {Function} [listener] - The listener to remove.
+     * @returns {kvjs} - The instance, allowing for chaining.
+     */
+    off(event: string, listener?: (...args: any[]) => void): kvjs;
+    /**
+     * Post a message to a channel. The message is delivered synchronously to every listener subscribed to the
+     * channel, or to a pattern matching it.
+     * @param {string} channel - The channel to post the message to.
+     * @param {*} message - The message to post.
+     * @returns {number} - The number of listeners that received the message.
+     */
+    publish(channel: string, message: any): number;
+    /**
+     * Subscribe a listener to one or more channels. The listener is called with (message, channel)
+     * for every message published to these channels.
+     * @param {...string} channels - The channels to subscribe to.
+     * @param {Function} listener - The function to call, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is subscribed to.
+     * @throws {Error} - If no channel or listener is given.
+     */
+    subscribe(...args: [...channels: string[], listener: (message: any, channel: string) => void]): number;
+    /**
+     * Subscribe a listener to all channels matching one or more glob-style patterns. The listener is called
+     * with (message, channel, pattern) for every message published to a matching channel.
+     * @param {...string} patterns - The patterns to subscribe to.
+     * @param {Function} listener - The function to call, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is subscribed to.
+     * @throws {Error} - If no pattern or listener is given.
+     */
+    psubscribe(...args: [...patterns: string[], listener: (message: any, channel: string, pattern: string) => void]): number;
+    /**
+     * Unsubscribe from channels. If the last argument is a listener, only that listener is unsubscribed,
+     * otherwise all listeners are. Without channels, the listener is unsubscribed from all channels.
+     * @param {...string} [channels] - The channels to unsubscribe from.
+     * @param {Function} [listener] - The listener to unsubscribe, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is still subscribed to.
+     */
+    unsubscribe(...args: (string | ((...args: any[]) => void))[]): number;
+    /**
+     * Unsubscribe from channel patterns. If the last argument is a listener, only that listener is unsubscribed,
+     * otherwise all listeners are. Without patterns, the listener is unsubscribed from all patterns.
+     * @param {...string} [patterns] - The patterns to unsubscribe from.
+     * @param {Function} [listener] - The listener to unsubscribe, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is still subscribed to.
+     */
+    punsubscribe(...args: (string | ((...args: any[]) => void))[]): number;
+    /**
+     * Inspect the state of the Pub/Sub subsystem.
+     * @param {string} subcommand - One of:
+     *                              CHANNELS [pattern]: the channels having at least one subscriber, optionally matching a pattern.
+     *                              NUMSUB [...channels]: the number of subscribers of each channel, as [channel, count] pairs.
+     *                              NUMPAT: the number of patterns subscribed to.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Array|number} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    pubsub(subcommand: string, ...args: any[]): any[] | number;
+    /**
+     * Start a transaction. Commands called on the returned object are queued instead of being executed,
+     * and run atomically when its exec() method is called.
+     * @returns {Transaction} - A transaction exposing every kvjs command.
+     */
+    multi(): kvjs.Transaction;
+    /**
+     * Start a transaction that only executes if none of the given keys is modified, deleted or expired
+     * before its exec() method is called (optimistic locking).
+     * @param {...*} keys - The keys to watch.
+     * @returns {Transaction} - A transaction watching the keys.
+     */
+    watch(...keys: any[]): kvjs.Transaction;
     /**
      * Set the string value of a key with optional NX/XX/GET/EX/PX/EXAT/PXAT/KEEPTTL, GET, and expiration options.
      * @param {*} key - The key to set.
@@ -266,7 +467,7 @@ declare class kvjs {
     /**
      * Returns the type of the value stored at a key.
      * @param {*} key - The key to get the type of.
-     * @returns {string} - The type of the value stored at the key.
+     * @returns {string} - The type of the value stored at the key (string, list, set, zset, hash or stream), or none if the key does not exist.
      */
     type(key: any): string;
     /**
@@ -511,14 +712,17 @@ declare class kvjs {
         stop: number;
     }): number | undefined;
     /**
-     * Pop an element from the right end of a list stored at the source key and push it to the left end of a list stored at the destination key.
+     * Pop an element from the right end of a list stored at the source key and push it to the left end of a list stored at the destination key,
+     * waiting until an element is available or the timeout expires.
      *
      * @param {string} source - The key where the source list is stored.
      * @param {string} destination - The key where the destination list is stored.
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
-     * @returns {*} - The element moved or null if the source list is empty.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @returns {Promise<*>} - Resolves to the element moved, or null if the timeout expires.
      */
-    brpoplpush(source: string, destination: string, timeout: number): any;
+    brpoplpush(source: any, destination: any, timeout: number | { timeout?: number; signal?: AbortSignal; }): Promise<any>;
     /**
      * Get the element at the specified index in a list stored at the given key.
      *
@@ -545,41 +749,53 @@ declare class kvjs {
      */
     llen(key: any): number;
     /**
-     * Pop an element from a list stored at the source key and push it to a list stored at the destination key, blocking until an element is available or the timeout expires.
+     * Pop an element from a list stored at the source key and push it to a list stored at the destination key, waiting until an element is available or the timeout expires.
      *
      * @param {string} source - The key where the source list is stored.
      * @param {string} destination - The key where the destination list is stored.
      * @param {string} srcDirection - The direction to pop from the source list ('LEFT' or 'RIGHT').
      * @param {string} destDirection - The direction to push to the destination list ('LEFT' or 'RIGHT').
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
-     * @returns {*} - The element moved or null if the source list is empty or the timeout expires.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @returns {Promise<*>} - Resolves to the element moved, or null if the timeout expires.
      */
-    blmove(source: string, destination: string, srcDirection: string, destDirection: string, timeout: number): any;
+    blmove(source: any, destination: any, srcDirection: 'LEFT' | 'RIGHT', destDirection: 'LEFT' | 'RIGHT', timeout: number | { timeout?: number; signal?: AbortSignal; }): Promise<any>;
     /**
-     * Pop multiple elements from a list stored at the given keys in a blocking manner, waiting until at least one element is available or the timeout expires.
+     * Pop elements from the first non-empty list stored at the given keys, waiting until an element is available or the timeout expires.
+     * Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {number} count - The number of elements to pop.
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
-     * @param {...string} keys - The keys where the lists are stored.
-     * @returns {Array} - An array of popped elements.
-     */
-    blmpop(count: number, timeout: number, ...keys: string[]): any[];
-    /**
-     * Pop an element from the left end of a list stored at the given keys in a blocking manner, waiting until an element is available or the timeout expires.
+     * @param {number} count - The maximum number of elements to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {Array|*} keys - The keys where the lists are stored, or a single key.
+     * @param {string} [direction='LEFT'] - The direction to pop from the lists ('LEFT' or 'RIGHT').
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped elements, or null if the timeout expires.
+     */
+    blmpop(count: number, timeout: number | { timeout?: number; signal?: AbortSignal; }, keys: any, direction?: 'LEFT' | 'RIGHT'): Promise<[key: any, elements: any[]] | null>;
+    /**
+     * Pop an element from the left end of the first non-empty list stored at the given keys, waiting until an element is available or the timeout expires.
+     * Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
      * @param {...string} keys - The keys where the lists are stored.
-     * @returns {Array|null} - An array containing the key and the popped element, or null if no element is available or the timeout expires.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped element, or null if the timeout expires.
      */
-    blpop(timeout: number, ...keys: string[]): any[] | null;
+    blpop(timeout: number | { timeout?: number; signal?: AbortSignal; }, ...keys: any[]): Promise<[key: any, element: any] | null>;
     /**
-     * Pop an element from the right end of a list stored at the given keys in a blocking manner, waiting until an element is available or the timeout expires.
+     * Pop an element from the right end of the first non-empty list stored at the given keys, waiting until an element is available or the timeout expires.
+     * Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
      * @param {...string} keys - The keys where the lists are stored.
-     * @returns {Array|null} - An array containing the key and the popped element, or null if no element is available or the timeout expires.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped element, or null if the timeout expires.
      */
-    brpop(timeout: number, ...keys: string[]): any[] | null;
+    brpop(timeout: number | { timeout?: number; signal?: AbortSignal; }, ...keys: any[]): Promise<[key: any, element: any] | null>;
     /**
      * Get the expire time of a key in seconds.
      *
@@ -602,7 +818,7 @@ declare class kvjs {
      * @param {*} member - The member to add to the sorted set.
      * @returns {number} - The number of elements added to the sorted set (0 or 1).
      */
-    zadd(key: any, score: number, member: any): number;
+    zadd(key: any, score: number | string, member: any): number;
     /**
      * Get the number of members in a sorted set stored at the given key.
      *
@@ -614,11 +830,11 @@ declare class kvjs {
      * Count the number of members in a sorted set stored at the given key with a score between min and max (inclusive).
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {number} min - The minimum score.
-     * @param {number} max - The maximum score.
-     * @returns {number} - The number of members with a score between min and max.
+     * @param {number|string} min - The minimum score, '-inf', or prefixed with '(' to exclude it.
+     * @param {number|string} max - The maximum score, '+inf', or prefixed with '(' to exclude it.
+     * @returns {number} - The number of members with scores between min and max.
      */
-    zcount(key: any, min: number, max: number): number;
+    zcount(key: any, min: number | string, max: number | string): number;
     /**
      * Compute the difference between the members of the given sorted sets stored at the specified keys.
      *
@@ -635,29 +851,41 @@ declare class kvjs {
      */
     zdiffstore(destination: string, ...keys: string[]): number;
     /**
-     * Blockingly pop members with the lowest scores from multiple sorted sets.
+     * Pop members with the lowest or highest scores from the first non-empty sorted set stored at the given keys,
+     * waiting until a member is available or the timeout expires. Clients waiting for the same keys are served in
+     * the order they started waiting.
      *
-     * @param {number} count - The number of members to pop.
-     * @param {...string} keys - The keys where the sorted sets are stored.
-     * @returns {Array} - An array containing the key and the popped members with their scores.
-     */
-    bzmpop(count: number, ...keys: string[]): any[];
-    /**
-     * Pop the specified number of members with the highest scores from a sorted set.
+     * @param {number} count - The maximum number of members to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {Array|*} keys - The keys where the sorted sets are stored, or a single key.
+     * @param {string} [which='MIN'] - Whether to pop the members with the lowest ('MIN') or highest ('MAX') scores.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped members with their scores, or null if the timeout expires.
+     */
+    bzmpop(count: number, timeout: number | { timeout?: number; signal?: AbortSignal; }, keys: any, which?: 'MIN' | 'MAX'): Promise<[key: any, members: [member: any, score: number][]] | null>;
+    /**
+     * Pop the member with the highest score from the first non-empty sorted set stored at the given keys, waiting until
+     * a member is available or the timeout expires. Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
-     * @returns {Array} - An array containing the key and the popped members with their scores.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {...string} keys - The keys where the sorted sets are stored.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key, the popped member and its score, or null if the timeout expires.
      */
-    bzpopmax(key: any, count: number): any[];
+    bzpopmax(timeout: number | { timeout?: number; signal?: AbortSignal; }, ...keys: any[]): Promise<[key: any, member: any, score: number] | null>;
     /**
-     * Pop the specified number of members with the lowest scores from a sorted set.
+     * Pop the member with the lowest score from the first non-empty sorted set stored at the given keys, waiting until
+     * a member is available or the timeout expires. Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
-     * @returns {Array} - An array containing the key and the popped members with their scores.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {...string} keys - The keys where the sorted sets are stored.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key, the popped member and its score, or null if the timeout expires.
      */
-    bzpopmin(key: any, count: number): any[];
+    bzpopmin(timeout: number | { timeout?: number; signal?: AbortSignal; }, ...keys: any[]): Promise<[key: any, member: any, score: number] | null>;
     /**
      * Increment the score of a member in a sorted set by the specified increment value.
      *
@@ -666,7 +894,7 @@ declare class kvjs {
      * @param {*} member - The member whose score to increment.
      * @returns {number} - The new score of the member.
      */
-    zincrby(key: any, increment: number, member: any): number;
+    zincrby(key: any, increment: number | string, member: any): number;
     /**
      * Compute the intersection between the members of the given sorted sets stored at the specified keys.
      *
@@ -690,14 +918,15 @@ declare class kvjs {
      */
     zinterstore(destination: string, ...keys: string[]): number;
     /**
-     * Count the number of members in a sorted set stored at the given key with scores between the given min and max values.
+     * Count the number of members in a sorted set stored at the given key between the given min and max members (inclusive),
+     * when all the members have the same score.
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {*} min - The minimum score.
-     * @param {*} max - The maximum score.
-     * @returns {number} - The number of members with scores between min and max.
+     * @param {string} min - The minimum member.
+     * @param {string} max - The maximum member.
+     * @returns {number} - The number of members between min and max.
      */
-    zlexcount(key: any, min: any, max: any): number;
+    zlexcount(key: any, min: string, max: string): number;
     /**
      * Pop the specified number of members with the lowest scores from the given sorted sets.
      *
@@ -718,18 +947,18 @@ declare class kvjs {
      * Pop the specified number of members with the highest scores from a sorted set.
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
+     * @param {number} [count=1] - The number of members to pop.
      * @returns {Array} - An array containing the popped members with their scores.
      */
-    zpopmax(key: any, count: number): any[];
+    zpopmax(key: any, count?: number): any[];
     /**
      * Pop the specified number of members with the lowest scores from a sorted set.
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
+     * @param {number} [count=1] - The number of members to pop.
      * @returns {Array} - An array containing the popped members with their scores.
      */
-    zpopmin(key: any, count: number): any[];
+    zpopmin(key: any, count?: number): any[];
     /**
      * Get the specified number of random members from a sorted set stored at the given key.
      *
@@ -740,6 +969,7 @@ declare class kvjs {
     zrandmember(key: any, count?: number): any[];
     /**
      * Get the members in a sorted set stored at the given key with their scores between the specified start and stop indices.
+     * Members with the same score are ordered lexicographically.
      *
      * @param {*} key - The key where the sorted set is stored.
      * @param {number} start - The start index.
@@ -748,7 +978,8 @@ declare class kvjs {
      */
     zrange(key: any, start: number, stop: number): any[];
     /**
-     * Returns all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order.
+     * Returns all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order,
+     * when all the members have the same score.
      * @param {*} key - The key of the sorted set.
      * @param {string} min - The minimum member value.
      * @param {string} max - The maximum member value.
@@ -759,12 +990,12 @@ declare class kvjs {
     /**
      * Returns all elements in the sorted set stored at the key with a score between min and max (inclusive).
      * @param {*} key - The key of the sorted set.
-     * @param {number} min - The minimum score value.
-     * @param {number} max - The maximum score value.
+     * @param {number|string} min - The minimum score value, '-inf', or prefixed with '(' to exclude it.
+     * @param {number|string} max - The maximum score value, '+inf', or prefixed with '(' to exclude it.
      * @param {Object} [options={}] - Additional options (e.g., { withscores: true, limit: { offset, count } }).
      * @returns {(string[]|Array[])} - The filtered and sorted set members, with or without scores based on options.
      */
-    zrangebyscore(key: any, min: number, max: number, options?: any): (string[] | any[][]);
+    zrangebyscore(key: any, min: number | string, max: number | string, options?: any): (string[] | any[][]);
     /**
      * Copies a range of elements from a sorted set to another sorted set.
      * @param {string} destination - The destination key for the new sorted set.
@@ -789,7 +1020,8 @@ declare class kvjs {
      */
     zrem(key: any, ...members: string[]): number;
     /**
-     * Removes all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order.
+     * Removes all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order,
+     * when all the members have the same score.
      * @param {*} key - The key of the sorted set.
      * @param {string} min - The minimum member value.
      * @param {string} max - The maximum member value.
@@ -807,11 +1039,11 @@ declare class kvjs {
     /**
      * Removes all elements in the sorted set stored at key with a score between min and max (inclusive).
      * @param {string} key - The key of the sorted set.
-     * @param {number} min - The minimum score.
-     * @param {number} max - The maximum score.
+     * @param {number|string} min - The minimum score, '-inf', or prefixed with '(' to exclude it.
+     * @param {number|string} max - The maximum score, '+inf', or prefixed with '(' to exclude it.
      * @returns {number} - The number of elements removed.
      */
-    zremrangebyscore(key: string, min: number, max: number): number;
+    zremrangebyscore(key: string, min: number | string, max: number | string): number;
     /**
      * Returns the specified range of elements in the sorted set stored at key in reverse order.
      * @param {string} key - The key of the sorted set.
@@ -821,7 +1053,7 @@ declare class kvjs {
      */
     zrevrange(key: string, start: number, stop: number): any[];
     /**
-     * Returns all elements in the sorted set stored at key with a value between max and min.
+     * Returns all elements in the sorted set stored at key with a value between max and min, when all the members have the same score.
      * @param {string} key - The key of the sorted set.
      * @param {*} max - The maximum value.
      * @param {*} min - The minimum value.
@@ -832,12 +1064,12 @@ declare class kvjs {
     /**
      * Returns all elements in the sorted set stored at key with a score between max and min (inclusive) in reverse order.
      * @param {string} key - The key of the sorted set.
-     * @param {number} max - The maximum score.
-     * @param {number} min - The minimum score.
+     * @param {number|string} max - The maximum score, '+inf', or prefixed with '(' to exclude it.
+     * @param {number|string} min - The minimum score, '-inf', or prefixed with '(' to exclude it.
      * @param {Object} options - Additional options.
      * @returns {Array} - The specified range of elements in reverse order.
      */
-    zrevrangebyscore(key: string, max: number, min: number, options?: any): any[];
+    zrevrangebyscore(key: string, max: number | string, min: number | string, options?: any): any[];
     /**
      * Returns the rank of member in the sorted set stored at key, with the scores ordered from high to low.
      * @param {string} key - The key of the sorted set.
@@ -981,6 +1213,21 @@ declare class kvjs {
      * @returns {number} - The number of existing keys touched.
      */
     touch(...keys: string[]): number;
+    /**
+     * Inspect the internals of the value stored at a key, without counting as an access to the key.
+     * @param {string} subcommand - One of:
+     *                              ENCODING: the internal representation of the value, 'deque', 'set', 'xmap', 'skiplist'
+     *                              or 'stream' for the collections, otherwise the JavaScript type of the value, e.g.
+     *                              'string', 'number' or 'array'.
+     *                              IDLETIME: the number of seconds since the key was last read or written.
+     *                              FREQ: the logarithmic access frequency counter of the key, between 0 and 255.
+     *                              REFCOUNT: the number of references to the value, always 1.
+     *                              HELP: the description of the subcommands.
+     * @param {*} [key] - The key to inspect.
+     * @returns {string|number|string[]|undefined} - The result of the subcommand, or undefined if the key does not exist.
+     * @throws {Error} - If the subcommand is unknown, or if access is not tracked for IDLETIME and FREQ.
+     */
+    object(subcommand: 'ENCODING' | 'IDLETIME' | 'FREQ' | 'REFCOUNT' | 'HELP' | string, key?: any): string | number | string[] | undefined;
     /**
      * Alias for the sort method that sorts elements in a read-only manner.
      * @param {*} key - The key to retrieve the list, set, or sorted set.
@@ -1126,6 +1373,474 @@ declare class kvjs {
      * @returns {Array} - An array of random field names, or an empty array if the hash does not exist.
      */
     hrandfield(key: any, count?: number): any[];
+    /**
+     * Append an entry to the stream stored at key, creating the stream if needed.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} id - The ID of the entry: '*' to generate it from the current time, '<ms>-*' to generate
+     *                      only the sequence number, or an explicit '<ms>-<seq>' greater than the last ID of the stream.
+     * @param {Object} fields - The fields of the entry, e.g. { user: 'alice', action: 'login' }.
+     * @param {Object} [options] - The options:
+     *                              NOMKSTREAM (boolean): Do not create the stream if it does not exist.
+     *                              MAXLEN (number): Trim the stream to this number of entries after adding the entry.
+     *                              MINID (string): Trim the entries with an ID lower than this one after adding the entry.
+     * @returns {string|null} - The ID of the added entry, or null if NOMKSTREAM is set and the stream does not exist.
+     * @throws {Error} - If the key holds another type, or the ID is invalid.
+     */
+    xadd(key: any, id: string, fields: Record<string, any>, options?: {
+        NOMKSTREAM?: boolean;
+        MAXLEN?: number;
+        MINID?: string;
+    }): string | null;
+    /**
+     * Returns the number of entries in the stream stored at key.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @returns {number} - The number of entries, or 0 if the key does not exist.
+     * @throws {Error} - If the key holds another type.
+     */
+    xlen(key: any): number;
+    /**
+     * Returns the entries of the stream stored at key with an ID between start and end, in ascending order.
+     * IDs without a sequence number match every entry of that millisecond, so timestamps can be used to
+     * select a range of time.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} [start='-'] - The lowest ID, '-' for the first entry. Prefix with '(' to exclude it.
+     * @param {string} [end='+'] - The highest ID, '+' for the last entry. Prefix with '(' to exclude it.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return.
+     * @returns {Array} - An array of [id, fields] pairs.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
+     */
+    xrange(key: any, start?: string, end?: string, options?: {
+        COUNT?: number;
+    }): kvjs.StreamEntry[];
+    /**
+     * Returns the entries of the stream stored at key with an ID between end and start, in descending order.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} [end='+'] - The highest ID, '+' for the last entry. Prefix with '(' to exclude it.
+     * @param {string} [start='-'] - The lowest ID, '-' for the first entry. Prefix with '(' to exclude it.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return.
+     * @returns {Array} - An array of [id, fields] pairs.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
+     */
+    xrevrange(key: any, end?: string, start?: string, options?: {
+        COUNT?: number;
+    }): kvjs.StreamEntry[];
+    /**
+     * Delete entries from the stream stored at key.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {...string} ids - The IDs of the entries to delete.
+     * @returns {number} - The number of entries deleted.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
+     */
+    xdel(key: any, ...ids: string[]): number;
+    /**
+     * Trim the stream stored at key, deleting its oldest entries.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {Object} options - The trimming strategy, exactly one of:
+     *                              MAXLEN (number): Keep at most this number of entries.
+     *                              MINID (string): Delete the entries with an ID lower than this one.
+     * @returns {number} - The number of entries deleted.
+     * @throws {Error} - If the key holds another type, or the strategy is missing or invalid.
+     */
+    xtrim(key: any, options: {
+        MAXLEN: number;
+    } | {
+        MINID: string;
+    }): number;
+    /**
+     * Read the entries added to one or more streams after the given IDs.
+     *
+     * With the BLOCK option, returns a Promise instead. If no stream has matching entries yet, the Promise
+     * resolves as soon as an entry is added to one of them, or to null once BLOCK milliseconds elapsed.
+     *
+     * @param {Object} streams - The IDs to read after, by stream key, e.g. { audit: '0', feed: '1700000000000-0' }.
+     *                           The ID '$' stands for the last ID of the stream, to only read new entries.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return per stream.
+     *                              BLOCK (number): The number of milliseconds to wait for entries, 0 to wait forever.
+     * @returns {Array|null|Promise<Array|null>} - An array of [key, entries] pairs for the streams having entries,
+     *                                             entries being [id, fields] pairs, or null if no stream has any.
+     * @throws {Error} - If a key holds another type, or an ID is invalid.
+     */
+    xread(streams: Record<string, string>, options: {
+        COUNT?: number;
+        BLOCK: number;
+    }): Promise<[key: string, entries: kvjs.StreamEntry[]][] | null>;
+    xread(streams: Record<string, string>, options?: {
+        COUNT?: number;
+    }): [key: string, entries: kvjs.StreamEntry[]][] | null;
+    /**
+     * Manage the consumer groups of the stream stored at key.
+     *
+     * @param {string} subcommand - One of:
+     *                              CREATE key group id [{ MKSTREAM }]: Create a group that will be delivered the entries
+     *                              after id, '$' for the entries added from now on. MKSTREAM creates an empty stream if needed.
+     *                              SETID key group id: Set the ID of the last entry delivered to the group.
+     *                              DESTROY key group: Delete a group, along with its consumers and pending entries.
+     *                              CREATECONSUMER key group consumer: Create a consumer in a group.
+     *                              DELCONSUMER key group consumer: Delete a consumer, along with its pending entries.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {boolean|number} - true for CREATE and SETID, 1 or 0 for DESTROY and CREATECONSUMER depending on whether
+     *                             the group was destroyed or the consumer created, and for DELCONSUMER the number of
+     *                             pending entries the consumer had.
+     * @throws {Error} - If the subcommand is unknown, the key does not hold a stream, or the group does not exist.
+     */
+    xgroup(subcommand: string, ...args: any[]): boolean | number;
+    /**
+     * Read entries from one or more streams as a consumer of a consumer group.
+     *
+     * With the ID '>', reads the entries never delivered to the group, and adds them to the pending entries of the
+     * consumer until they are acknowledged with xack(). With any other ID, reads the pending entries of the consumer
+     * after that ID instead, e.g. to recover after a crash; pending entries deleted from the stream have null fields.
+     *
+     * With the BLOCK option, returns a Promise instead. If no stream has new entries yet, the Promise resolves as
+     * soon as an entry is added to one of them, or to null once BLOCK milliseconds elapsed.
+     *
+     * @param {string} group - The name of the consumer group.
+     * @param {string} consumer - The name of the consumer, created if needed.
+     * @param {Object} streams - The IDs to read after, by stream key, e.g. { jobs: '>' }.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return per stream.
+     *                              BLOCK (number): The number of milliseconds to wait for entries, 0 to wait forever.
+     *                              NOACK (boolean): Do not add the entries to the pending entries, as if they were acknowledged.
+     * @returns {Array|null|Promise<Array|null>} - An array of [key, entries] pairs, entries being [id, fields] pairs,
+     *                                             or null if no stream has new entries.
+     * @throws {Error} - If a key does not hold a stream, the group does not exist, or an ID is invalid.
+     */
+    xreadgroup(group: string, consumer: string, streams: Record<string, string>, options: {
+        COUNT?: number;
+        BLOCK: number;
+        NOACK?: boolean;
+    }): Promise<[key: string, entries: kvjs.StreamEntry[]][] | null>;
+    xreadgroup(group: string, consumer: string, streams: Record<string, string>, options?: {
+        COUNT?: number;
+        NOACK?: boolean;
+    }): [key: string, entries: kvjs.StreamEntry[]][] | null;
+    /**
+     * Acknowledge entries delivered to a consumer group, removing them from the pending entries.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {...string} ids - The IDs of the entries.
+     * @returns {number} - The number of entries acknowledged, not counting those that were not pending.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
+     */
+    xack(key: any, group: string, ...ids: string[]): number;
+    /**
+     * Inspect the pending entries of a consumer group, i.e. the entries delivered to its consumers but not acknowledged yet.
+     *
+     * Without COUNT, returns a summary: [count, lowest ID, highest ID, [[consumer, count], ...]].
+     * With COUNT, returns the details of the pending entries: [[id, consumer, idle time in ms, delivery count], ...].
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {Object} [options] - The options:
+     *                              START (string): The lowest ID, '-' for the first entry (default). Prefix with '(' to exclude it.
+     *                              END (string): The highest ID, '+' for the last entry (default). Prefix with '(' to exclude it.
+     *                              COUNT (number): The maximum number of entries to return.
+     *                              CONSUMER (string): Only return the entries pending for this consumer.
+     *                              IDLE (number): Only return the entries idle for at least this number of milliseconds.
+     * @returns {Array} - The summary or the details of the pending entries.
+     * @throws {Error} - If the key does not hold a stream, or the group does not exist.
+     */
+    xpending(key: any, group: string, options: {
+        START?: string;
+        END?: string;
+        COUNT: number;
+        CONSUMER?: string;
+        IDLE?: number;
+    }): [id: string, consumer: string, idle: number, deliveries: number][];
+    xpending(key: any, group: string): [count: number, lowestId: string | null, highestId: string | null, consumers: [consumer: string, count: number][]];
+    /**
+     * Transfer the ownership of pending entries to another consumer of a consumer group, e.g. to process the entries
+     * a crashed consumer never acknowledged. Only the entries idle for at least minIdleTime milliseconds are claimed,
+     * so that several consumers can safely try to claim the same entries. Pending entries deleted from the stream are
+     * removed from the pending entries instead.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {string} consumer - The name of the consumer claiming the entries, created if needed.
+     * @param {number} minIdleTime - The minimum number of milliseconds since the entries were last delivered.
+     * @param {Array<string>} ids - The IDs of the entries to claim.
+     * @param {Object} [options] - The options:
+     *                              IDLE (number): Set the idle time of the claimed entries, in milliseconds.
+     *                              TIME (number): Set the delivery time of the claimed entries, as a UNIX timestamp in milliseconds.
+     *                              RETRYCOUNT (number): Set the delivery count of the claimed entries.
+     *                              FORCE (boolean): Claim the entries of the stream that are not pending too.
+     *                              JUSTID (boolean): Return the IDs only, and do not increment the delivery count.
+     * @returns {Array} - The claimed entries as [id, fields] pairs, or their IDs with JUSTID.
+     * @throws {Error} - If the key does not hold a stream, the group does not exist, or an ID is invalid.
+     */
+    xclaim(key: any, group: string, consumer: string, minIdleTime: number, ids: string[], options?: {
+        IDLE?: number;
+        TIME?: number;
+        RETRYCOUNT?: number;
+        FORCE?: boolean;
+        JUSTID?: boolean;
+    }): (kvjs.StreamEntry | string)[];
+    /**
+     * Scan the pending entries of a consumer group and claim those idle for at least minIdleTime milliseconds,
+     * like xclaim(). Call it again with the returned cursor until it returns '0-0' to scan every pending entry.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {string} consumer - The name of the consumer claiming the entries, created if needed.
+     * @param {number} minIdleTime - The minimum number of milliseconds since the entries were last delivered.
+     * @param {string} [start='0-0'] - The ID to start scanning from.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to claim (default 100).
+     *                              JUSTID (boolean): Return the IDs only, and do not increment the delivery count.
+     * @returns {Array} - [cursor, claimed entries, IDs of the deleted entries removed from the pending entries].
+     * @throws {Error} - If the key does not hold a stream, the group does not exist, or the ID is invalid.
+     */
+    xautoclaim(key: any, group: string, consumer: string, minIdleTime: number, start?: string, options?: {
+        COUNT?: number;
+        JUSTID?: boolean;
+    }): [cursor: string, claimed: (kvjs.StreamEntry | string)[], deleted: string[]];
+    /**
+     * Estimates the number of bytes a key and its value take in memory. Collections are estimated from
+     * a sample of their elements.
+     * @param {*} key - The key.
+     * @param {Object} [options] - The options:
+     *                            - samples (number): The number of elements of collections to estimate, 5 by default,
+     *                              or 0 to estimate all of them.
+     * @returns {number|undefined} - The estimated memory usage in bytes, or undefined if the key does not exist.
+     */
+    memoryUsage(key: any, options?: {
+        samples?: number;
+    }): number | undefined;
+    /**
+     * Estimates the memory usage of the selected database.
+     * @returns {Object} - The statistics:
+     *                     - keys (number): The number of keys.
+     *                     - datasetBytes (number): The estimated memory usage of the keys and their values.
+     *                     - types (Object): The number of keys and their estimated memory usage by type, e.g.
+     *                       { string: { keys: 2, bytes: 120 }, list: { keys: 0, bytes: 0 }, ... }.
+     *                     - expires (number): The number of keys having an expire time.
+     *                     - expiresBytes (number): The estimated memory usage of the expire times.
+     *                     - totalBytes (number): The sum of datasetBytes and expiresBytes.
+     *                     - pools (number): The number of Maps the keys are spread over.
+     */
+    memoryStats(): {
+        keys: number;
+        datasetBytes: number;
+        types: Record<'string' | 'list' | 'set' | 'zset' | 'hash' | 'stream', {
+            keys: number;
+            bytes: number;
+        }>;
+        expires: number;
+        expiresBytes: number;
+        totalBytes: number;
+        pools: number;
+    };
+    /**
+     * Inspect the slow log, which records the commands that took at least slowlogLogSlowerThan microseconds.
+     * @param {string} subcommand - One of:
+     *                              GET [count]: the last count entries from the newest, 10 by default or all of them
+     *                              if count is -1. Every entry is an array [id, timestamp in seconds, duration in
+     *                              microseconds, [command, ...arguments]].
+     *                              LEN: the number of entries.
+     *                              RESET: removes all the entries.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Array|number|boolean} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    slowlog(subcommand: 'GET', count?: number): [id: number, timestamp: number, duration: number, args: any[]][];
+    slowlog(subcommand: 'LEN'): number;
+    slowlog(subcommand: 'RESET'): boolean;
+    slowlog(subcommand: 'HELP'): string[];
+    slowlog(subcommand: string, ...args: any[]): any;
+    /**
+     * Trace the executed commands, like the Redis MONITOR command. Every command called by the user, not the
+     * ones called by other commands, is passed as an entry { time, command, args, result } or
+     * { time, command, args, error } if it failed, time being when it started in milliseconds. The entries of
+     * asynchronous commands are passed once they settled, with their resolved value as result. Expired keys
+     * are passed as { time, command: 'del', args: [key], result: 1, expired: true } when they are removed.
+     * @param {Function} [callback] - The function to call with every entry.
+     * @returns {Function|AsyncIterableIterator<Object>} - With a callback, a function to stop monitoring. Without,
+     *                                                     an async iterator over the entries, which stops monitoring
+     *                                                     when returned, e.g. by breaking out of a for await loop.
+     *                                                     Both are also disposable.
+     * @throws {Error} - If the callback is not a function.
+     */
+    monitor(callback: (entry: {
+        time: number;
+        command: string;
+        args: any[];
+        result?: any;
+        error?: any;
+        expired?: boolean;
+    }) => void): () => void;
+    monitor(): AsyncIterableIterator<{
+        time: number;
+        command: string;
+        args: any[];
+        result?: any;
+        error?: any;
+        expired?: boolean;
+    }>;
+    /**
+     * Inspect the latency of the commands and of the internal events. The duration of every command called by the
+     * user is counted in a histogram when latencyTracking is set, and the events taking at least
+     * latencyMonitorThreshold milliseconds are recorded when it is not 0. The events are:
+     * - command: a command called by the user.
+     * - expire-cycle: a run of the cleanup loop removing expired keys.
+     * - indexeddb-load: loading the store from IndexedDB.
+     * - indexeddb-flush: a write to IndexedDB, until it is committed.
+     * @param {string} subcommand - One of:
+     *                              LATEST: the latest and largest latency of every event, as arrays [event,
+     *                              timestamp in seconds, latest latency, largest latency], in milliseconds.
+     *                              HISTORY event: the largest latency of the event for each of the last 160
+     *                              seconds it happened, as [timestamp in seconds, latency in milliseconds] pairs.
+     *                              RESET [...events]: removes the samples of the events, or of all events.
+     *                              HISTOGRAM [...commands]: the number of calls and the p50, p99, p999 and max
+     *                              durations in microseconds of the commands, or of all commands called.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Array|Object|number} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    latency(subcommand: 'LATEST'): [event: string, timestamp: number, latest: number, max: number][];
+    latency(subcommand: 'HISTORY', event: string): [timestamp: number, latency: number][];
+    latency(subcommand: 'RESET', ...events: string[]): number;
+    latency(subcommand: 'HISTOGRAM', ...commands: string[]): {
+        [command: string]: {
+            calls: number;
+            p50: number;
+            p99: number;
+            p999: number;
+            max: number;
+        };
+    };
+    latency(subcommand: 'HELP'): string[];
+    latency(subcommand: string, ...args: any[]): any;
+    /**
+     * Read and change the settings of the store while it runs. The parameters are named like the constructor
+     * options: cleanupInterval, cleanupBudget, maxmemory, maxmemoryPolicy, maxKeys, evictionPolicy, trackAccess,
+     * slowlogLogSlowerThan, slowlogMaxLen, latencyTracking, latencyMonitorThreshold, acllogMaxLen, dbName and dbVersion,
+     * and databases (the number of databases) which can only be read. New values take effect right away: the cleanup
+     * loop is restarted with a new interval, keys are evicted if the memory usage or the number of keys is above a new
+     * limit, and the keys are persisted to the IndexedDB database with a new name or version, replacing its data.
+     * @param {string} subcommand - One of:
+     *                              GET ...patterns: the values of the parameters matching any of the glob-style patterns.
+     *                              SET ...[name, value]: sets the parameters, either all of them or none if a value is invalid.
+     *                              RESETSTAT: resets the statistics of info() and the latency histograms.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Object|boolean|Array} - The values by parameter name for GET, true for SET and RESETSTAT.
+     * @throws {Error} - If the subcommand or a parameter is unknown, or a value is invalid.
+     */
+    config(subcommand: 'GET', ...patterns: string[]): {
+        [name: string]: any;
+    };
+    config(subcommand: 'SET', ...nameValuePairs: any[]): boolean;
+    config(subcommand: 'RESETSTAT'): boolean;
+    config(subcommand: 'HELP'): string[];
+    config(subcommand: string, ...args: any[]): any;
+    /**
+     * Returns information and statistics about the store, in sections like the Redis INFO command.
+     * @param {string} [section] - The section to return, or 'all' or 'default' for all of them:
+     *                             - keyspace: the number of keys, keys having an expire time and their average
+     *                               remaining time to live in milliseconds, by database.
+     *                             - stats: the number of commands processed, in total and per second, of lookups of
+     *                               existing and missing keys, and of expired and evicted keys.
+     *                             - memory: the estimated memory usage and the eviction settings.
+     *                             - persistence: the state of the IndexedDB persistence.
+     * @returns {Object} - The fields of the section, or the sections by name.
+     * @throws {Error} - If the section is unknown.
+     */
+    info(section?: string): {
+        [field: string]: any;
+    };
+    /**
+     * Inspect the commands of the store and their flags: 'write' for the commands that may modify keys, 'readonly'
+     * for the ones only reading keys or the state of the store, 'admin' for the commands managing the store,
+     * 'pubsub' for the publish/subscribe commands and 'blocking' for the commands that may wait for keys.
+     * @param {string} subcommand - One of:
+     *                              COUNT: the number of commands.
+     *                              LIST: the names of the commands.
+     *                              INFO ...names: the flags and ACL categories of the given commands, or of every command.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {number|string[]|Object} - The number or names of the commands, or { flags, categories } by command
+     *                                     name for INFO, the categories being the ACL ones, null for the unknown commands.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    command(subcommand: 'COUNT'): number;
+    command(subcommand: 'LIST'): string[];
+    command(subcommand: 'INFO', ...names: string[]): {
+        [name: string]: {
+            flags: ('write' | 'readonly' | 'admin' | 'pubsub' | 'blocking')[];
+            categories: string[];
+        } | null;
+    };
+    command(subcommand: 'HELP'): string[];
+    command(subcommand: string, ...args: any[]): any;
+    /**
+     * Manage the ACL users, whose permissions are checked when commands run through the handles returned by auth().
+     * The commands run without a handle are run by the 'default' user, allowed to run every command on every key. It
+     * cannot be disabled or denied the acl command, so that the users can always be changed back. keys(), scan() and
+     * randomkey() only return the keys matching the key patterns of the user.
+     * The rules of a user are applied in order to a disabled user without passwords, keys and commands:
+     * - on, off: enables or disables the user, disabled users cannot authenticate.
+     * - >password, <password, nopass, resetpass: adds or removes a password, or allows or denies any password.
+     * - ~pattern, allkeys, resetkeys: allows the keys matching a glob-style pattern, every key, or no key.
+     * - +command, -command, +@category, -@category, allcommands, nocommands: allows or denies a command, the
+     *   commands of a category such as @read, @write or @dangerous, every command or no command.
+     * - reset: the same as off, resetpass, resetkeys and nocommands.
+     * @param {string} subcommand - One of:
+     *                              SETUSER name ...rules: creates or modifies a user, applying either all the rules or none.
+     *                              GETUSER name: the flags, command rules and key patterns of a user.
+     *                              DELUSER ...names: deletes users, their handles failing afterwards.
+     *                              USERS: the names of the users.
+     *                              LIST: the rules of every user, without the passwords.
+     *                              WHOAMI: the name of the user running the command.
+     *                              CAT [category]: the categories, or the commands of a category.
+     *                              LOG [count|'RESET']: the latest denied commands and authentications, 10 by default.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {*} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown, or a rule or category is invalid.
+     */
+    acl(subcommand: 'SETUSER', name: string, ...rules: (string | string[])[]): boolean;
+    acl(subcommand: 'GETUSER', name: string): {
+        flags: string[];
+        commands: string;
+        keys: string;
+    } | null;
+    acl(subcommand: 'DELUSER', ...names: string[]): number;
+    acl(subcommand: 'USERS' | 'LIST' | 'CAT' | 'HELP'): string[];
+    acl(subcommand: 'WHOAMI'): string;
+    acl(subcommand: 'CAT', category: string): string[];
+    acl(subcommand: 'LOG', count?: number): {
+        entryId: number;
+        count: number;
+        reason: 'command' | 'key' | 'auth';
+        context: 'toplevel' | 'multi';
+        object: string;
+        username: string;
+        ageSeconds: number;
+        timestampCreated: number;
+        timestampLastUpdated: number;
+    }[];
+    acl(subcommand: 'LOG', reset: 'RESET'): boolean;
+    acl(subcommand: string, ...args: any[]): any;
+    /**
+     * Authenticate as an ACL user, see acl().
+     * @param {string} name - The name of the user.
+     * @param {string} [password] - A password of the user, not needed if the user has the nopass rule.
+     * @returns {UserHandle} - A handle on which every command can be called, running as the user.
+     * @throws {Error} - If the user does not exist, is disabled, or the password is wrong.
+     */
+    auth(name: string, password?: string): kvjs.UserHandle;
     /**
      * Checks if a key has expired and removes it if it has.
      * @param {*} key - The key to check for expiration.
@@ -1133,11 +1848,10 @@ declare class kvjs {
      */
     _checkAndRemoveExpiredKey(key: any): boolean;
     /**
-     * Initializes a cleanup loop that runs at a specified interval and removes expired keys from the store.
-     * @param {number} cleanupIntervalMs - The interval, in milliseconds, at which the cleanup loop should run.
+     * Starts the cleanup loop if there are keys with an expire time and it is not already running. The loop
+     * stops by itself once no key has an expire time, and is started again by the commands setting one.
      */
-    _initCleanupLoop(cleanupIntervalMs: number): void;
-    cleanupLoop: number;
+    _initCleanupLoop(): void;
     /**
      * Calculates the haversine distance between two geographic coordinates.
      * @param {number} lat1 - The latitude of the first coordinate.
@@ -1163,8 +1877,247 @@ declare class kvjs {
      */
     _encodeGeohash(latitude: number, longitude: number): string;
     /**
-     * Removes all keys and associated values from the store and clears all expiration times
+     * Select the database that the following commands run against. Every database has its own keys, and
+     * database 0 is selected when the instance is created. The eviction limits apply to all the databases together,
+     * and keys are evicted from any of them. Queued in a transaction, the database stays selected once the
+     * transaction succeeded.
+     * @param {number} index - The index of the database, from 0 to the number of databases (the databases
+     *                         option, 16 by default) excluded.
+     * @returns {boolean} - true.
+     * @throws {Error} - If the index is out of range.
+     */
+    select(index: number): boolean;
+    /**
+     * Get a handle on a database. Every command can be called on the handle and runs against that database,
+     * whatever database is selected, so that separate parts of an application can each use their own.
+     * @param {number} index - The index of the database.
+     * @returns {Database} - The handle.
+     * @throws {Error} - If the index is out of range.
+     */
+    database(index: number): kvjs.Database;
+    /**
+     * Get a namespace: a view of the keys starting with a prefix, on which every command can be called. The
+     * prefix is added to the keys given to the commands and removed from the keys they return, and keys(),
+     * scan(), randomkey(), dbsize(), flushdb() and flushall() only see and affect the keys of the namespace, so
+     * that separate parts of an application can share a database without their keys colliding.
+     * @param {string} prefix - The prefix of the keys, e.g. 'users:'.
+     * @returns {Namespace} - The namespace.
+     * @throws {Error} - If the prefix is not a non-empty string.
+     */
+    namespace(prefix: string): kvjs.Namespace;
+    /**
+     * Get a read-only handle, e.g. to give to code that must not modify the store. Only the commands flagged
+     * 'readonly' by command() can be called on it, the other ones throw a READONLY error. The handles it returns,
+     * such as the ones of database(), namespace() and multi(), are read-only too.
+     * @returns {ReadOnlyHandle} - The handle.
+     */
+    readonly(): kvjs.ReadOnlyHandle;
+    /**
+     * Returns the number of keys in the selected database.
+     * @returns {number} - The number of keys.
+     */
+    dbsize(): number;
+    /**
+     * Move a key, with its expire time, from the selected database to another one.
+     * @param {*} key - The key to move.
+     * @param {number} index - The index of the destination database.
+     * @returns {number} - 1 if the key was moved, 0 if it does not exist or already exists in the destination.
+     * @throws {Error} - If the index is out of range or is the selected database.
+     */
+    move(key: any, index: number): number;
+    /**
+     * Swap the keys of two databases: the commands running against one of them see the keys of the other
+     * one afterwards. Watched keys count as modified, and the 'swapdb' keyspace event is emitted for every key of
+     * both databases. Cannot be called in a transaction.
+     * @param {number} index1 - The index of the first database.
+     * @param {number} index2 - The index of the second database.
+     * @returns {boolean} - true.
+     * @throws {Error} - If an index is out of range.
+     */
+    swapdb(index1: number, index2: number): boolean;
+    /**
+     * Removes all keys and associated values from every database and clears all expiration times
      * @returns {boolean} - Returns true if the function was successful.
      */
     flushall(): boolean;
+    /**
+     * Removes all keys and associated values from the selected database and clears their expiration times
+     * @returns {boolean} - Returns true if the function was successful.
+     */
+    flushdb(): boolean;
+}
+declare namespace kvjs {
+    /**
+     * An entry of a stream, as returned by the stream commands.
+     */
+    type StreamEntry = [id: string, fields: Record<string, any>];
+    /**
+     * A transaction created by kvjs#multi(). Every kvjs command can be called on it: the call is queued
+     * and the transaction is returned, so calls can be chained. Queued commands run atomically on exec(),
+     * against the database that was selected when the transaction was created. Like in Redis, the database
+     * selected by a queued select() stays selected once the transaction succeeded, unless the transaction
+     * was created by a database handle.
+     */
+    type Transaction = {
+        [K in keyof kvjs as K extends `_${string}` | 'on' | 'off' | 'multi' | 'watch' | 'database' | 'swapdb' | 'namespace' | 'readonly' | 'auth' ? never : K]:
+            kvjs[K] extends (...args: infer A) => any ? (...args: A) => Transaction : never;
+    } & {
+        /**
+         * Watch keys for modifications: if any of them is modified, deleted or expires before exec()
+         * is called, the transaction is aborted. Must be called before any command is queued.
+         * @param {...*} keys - The keys to watch.
+         * @returns {Transaction} - The transaction.
+         */
+        watch(...keys: any[]): Transaction;
+        /**
+         * Forget about all watched keys.
+         * @returns {Transaction} - The transaction.
+         */
+        unwatch(): Transaction;
+        /**
+         * Execute all queued commands. Either all of them are applied or, if one of them throws, none is:
+         * the store is rolled back to its state before exec() and the error is rethrown.
+         * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+         */
+        exec(): any[] | null;
+        /**
+         * Swapping databases cannot be queued, as a failing transaction could not undo it. See kvjs#swapdb().
+         * @throws {Error} - Always.
+         */
+        swapdb(index1: number, index2: number): never;
+        /**
+         * Discard all queued commands without executing them.
+         * @returns {boolean} - true if the transaction was discarded.
+         */
+        discard(): boolean;
+    };
+    /**
+     * A handle on a database of a kvjs instance, created by kvjs#database(). Every kvjs command can be called on it,
+     * and runs against the database of the handle whatever database the instance selected.
+     */
+    type Database = {
+        [K in keyof kvjs as K extends `_${string}` | 'on' | 'off' | 'select' | 'database' ? never : K]:
+            kvjs[K] extends (...args: any[]) => any ? kvjs[K] : never;
+    } & {
+        kv: kvjs;
+        index: number;
+    };
+    /**
+     * A view of the keys starting with a prefix, created by kvjs#namespace(). Every kvjs command can be called on it,
+     * with the keys of the namespace: the prefix is added to the keys given to the commands and removed from the keys
+     * they return. The commands that are not about keys, such as info() or publish(), are the ones of the instance,
+     * except select() and swapdb() which are not allowed. multi() and watch() return a namespace queuing the commands of a transaction, whose exec() results have the
+     * prefix removed too.
+     */
+    type Namespace = {
+        [K in keyof kvjs as K extends `_${string}` | 'on' | 'off' | 'namespace' | 'select' | 'swapdb' ? never : K]:
+            kvjs[K] extends (...args: any[]) => any ? kvjs[K] : never;
+    } & {
+        target: kvjs | Database | Transaction | UserHandle;
+        prefix: string;
+        /**
+         * Selecting a database is not allowed, as it would change the database of every namespace of the instance. The
+         * namespaces of database handles run against other databases, e.g. kv.database(1).namespace(prefix).
+         * @throws {Error} - Always.
+         */
+        select(index: number): never;
+        /**
+         * Swapping databases is not allowed, as it would swap the keys of every namespace of the instance.
+         * @throws {Error} - Always.
+         */
+        swapdb(index1: number, index2: number): never;
+        /**
+         * Get a namespace nested in this one, whose keys start with both prefixes.
+         * @param {string} prefix - The prefix of the keys, added after the prefix of this namespace.
+         * @returns {Namespace} - The namespace.
+         */
+        namespace(prefix: string): Namespace;
+        /**
+         * Execute the commands queued in the transaction, see Transaction#exec().
+         * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+         */
+        exec(): any[] | null;
+        /**
+         * Discard the commands queued in the transaction.
+         * @returns {boolean} - true if the transaction was discarded.
+         */
+        discard(): boolean;
+        /**
+         * Forget about all watched keys of the transaction.
+         * @returns {Namespace} - The namespace.
+         */
+        unwatch(): Namespace;
+    };
+    /**
+     * A handle only allowing the commands flagged 'readonly' by kvjs#command(), created by kvjs#readonly(). The other
+     * commands throw a READONLY error, except the ones returning a handle, which is read-only too: database(),
+     * namespace(), multi() and watch().
+     */
+    type ReadOnlyHandle = {
+        [K in keyof kvjs as K extends `_${string}` | 'on' | 'off' | 'readonly' ? never : K]:
+            kvjs[K] extends (...args: any[]) => any ? kvjs[K] : never;
+    } & {
+        /**
+         * Get a read-only handle, this one.
+         * @returns {ReadOnlyHandle} - The handle.
+         */
+        readonly(): ReadOnlyHandle;
+        /**
+         * Execute the commands queued in the transaction, see Transaction#exec().
+         * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+         */
+        exec(): any[] | null;
+        /**
+         * Discard the commands queued in the transaction.
+         * @returns {boolean} - true if the transaction was discarded.
+         */
+        discard(): boolean;
+        /**
+         * Forget about all watched keys of the transaction.
+         * @returns {ReadOnlyHandle} - The handle.
+         */
+        unwatch(): ReadOnlyHandle;
+    };
+    /**
+     * A handle running the commands as an ACL user, created by kvjs#auth(). The commands are checked against the
+     * permissions of the user when they run, so a transaction fails on exec() if a queued command is denied. The
+     * handles it returns, such as the ones of database(), namespace() and multi(), run the commands as the user too.
+     */
+    type UserHandle = {
+        [K in keyof kvjs as K extends `_${string}` | 'on' | 'off' ? never : K]:
+            kvjs[K] extends (...args: any[]) => any ? kvjs[K] : never;
+    } & {
+        /**
+         * The name of the user running the commands.
+         */
+        readonly username: string;
+        /**
+         * Get a namespace running the commands as the user, see kvjs#namespace().
+         * @param {string} prefix - The prefix of the keys.
+         * @returns {Namespace} - The namespace.
+         * @throws {Error} - If the prefix is not a non-empty string.
+         */
+        namespace(prefix: string): Namespace;
+        /**
+         * Get a read-only handle running the commands as the user, see kvjs#readonly().
+         * @returns {ReadOnlyHandle} - The handle.
+         */
+        readonly(): ReadOnlyHandle;
+        /**
+         * Forget about all watched keys of the transaction.
+         * @returns {UserHandle} - The handle.
+         */
+        unwatch(): UserHandle;
+        /**
+         * Execute the commands queued in the transaction as the user, see Transaction#exec().
+         * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+         * @throws {Error} - If a queued command throws, or is denied to the user.
+         */
+        exec(): any[] | null;
+        /**
+         * Discard the commands queued in the transaction.
+         * @returns {boolean} - true if the transaction was discarded.
+         */
+        discard(): boolean;
+    };
 }
@@ -1,6 +1,25 @@
 'use strict';
 
 const XMap = require('./XMap.js');
+const Stream = require('./Stream.js');
+const Deque = require('./Deque.js');
+const SortedSet = require('./SortedSet.js');
+const ExpiryIndex = require('./ExpiryIndex.js');
+const AccessIndex = require('./AccessIndex.js');
+const LatencyHistogram = require('./LatencyHistogram.js');
+
+// High resolution clock timing the commands and the background work. Node.js only has a global performance object
+// since version 16, and Date.now() is used where perf_hooks isn't available either.
+let clock = { now: () => Date.now() };
+if (typeof performance !== 'undefined') {
+    clock = performance;
+} else {
+    try {
+        clock = require('perf_hooks').performance;
+    } catch (error) {
+        // Keep Date.now()
+    }
+}
 
 /**
  * Simple pattern matching function to replace minimatch
@@ -81,9 +100,233 @@ function simpleMatch(str, pattern) {
     }
 }
 
-// The cleanup loop runs as long as there's at least one key set, and will
-// regularly check for expired keys and remove them from the store.
+// The cleanup loop runs as long as there's at least one key with an expire time, and will
+// regularly remove the expired keys from the store, spending at most CLEANUP_BUDGET
+// milliseconds per run so that a burst of expiring keys doesn't block the event loop.
 const CLEANUP_INTERVAL = 20;
+const CLEANUP_BUDGET = 5;
+
+// Geospatial indexes are sorted sets whose scores interleave the bits of the longitude and
+// latitude of each member, GEO_STEP bits each, like in Redis. Latitudes are limited to the
+// range of the Web Mercator projection.
+const GEO_STEP = 26;
+const GEO_LATITUDE_MAX = 85.05112878;
+
+// Sets and hashes are tagged with their type by the commands creating them, so that a Set or an XMap stored as is
+// with set() remains a string value, see _typeOf(). The tag is not enumerable, not to show in comparisons.
+const VALUE_TYPE = Symbol('type');
+
+/**
+ * Create the value of a set key.
+ * @param {Iterable} [members] - The members of the set.
+ * @returns {Set} - The tagged set.
+ */
+function createSet(members) {
+    return Object.defineProperty(new Set(members), VALUE_TYPE, { value: 'set' });
+}
+
+/**
+ * Create the value of a hash key.
+ * @param {Iterable} [entries] - The field-value pairs of the hash.
+ * @returns {XMap} - The tagged hash.
+ */
+function createHash(entries) {
+    return Object.defineProperty(new XMap(entries), VALUE_TYPE, { value: 'hash' });
+}
+
+// Policies choosing the keys to evict once maxmemory is reached, see _performEvictions()
+const MAXMEMORY_POLICIES = [
+    'noeviction',
+    'allkeys-lru', 'allkeys-lfu', 'allkeys-random',
+    'volatile-lru', 'volatile-lfu', 'volatile-random', 'volatile-ttl',
+];
+
+// Policies choosing the keys to evict once maxKeys is reached
+const EVICTION_POLICIES = ['noeviction', 'lru'];
+
+// Commands taking at least SLOWLOG_LOG_SLOWER_THAN microseconds are recorded in the slow log, which keeps
+// the last SLOWLOG_MAX_LEN of them. Like in Redis, only the first SLOWLOG_MAX_ARGC arguments and
+// SLOWLOG_MAX_STRING characters of string arguments are kept.
+const SLOWLOG_LOG_SLOWER_THAN = 10000;
+const SLOWLOG_MAX_LEN = 128;
+const SLOWLOG_MAX_ARGC = 32;
+const SLOWLOG_MAX_STRING = 128;
+
+// Default maximum number of entries of the ACL log, and time during which the same denial is counted in the
+// same entry, in milliseconds
+const ACL_LOG_MAX_LEN = 128;
+const ACL_LOG_GROUPING_TIME = 60000;
+
+// Latency events taking at least latencyMonitorThreshold milliseconds are recorded like in Redis: the largest
+// latency of every second is kept, for the last LATENCY_HISTORY_LEN seconds having an event.
+const LATENCY_HISTORY_LEN = 160;
+
+// Access frequencies are logarithmic counters like in Redis: new keys start at LFU_INIT_VAL so that
+// they aren't evicted right away, each access increments the counter with a probability decreasing
+// with LFU_LOG_FACTOR, and the counter is decremented for every LFU_DECAY_TIME milliseconds without access.
+const LFU_INIT_VAL = 5;
+const LFU_LOG_FACTOR = 10;
+const LFU_DECAY_TIME = 60000;
+const LFU_MAX_VAL = 255;
+
+// The memory estimator counts 2 bytes per character of strings, 8 bytes per number and per reference,
+// and OBJECT_OVERHEAD bytes for every string and object. Collections are estimated from their first
+// MEMORY_SAMPLES elements, so that estimating a key doesn't depend on its size.
+const OBJECT_OVERHEAD = 16;
+const MEMORY_SAMPLES = 5;
+
+// Number of logical databases, see select()
+const DATABASES = 16;
+
+// Properties of a kvjs instance holding the state of the selected database, see _selectDatabase()
+const DATABASE_PROPERTIES = ['store', 'expireTimes', 'keyAccess', 'keySizes', 'dirtyKeys', 'usedMemory', 'keyVersions'];
+
+// Parameters of config(), named like the constructor options and the properties holding them, with the check
+// of their new values and the reason a value is rejected. The parameters without a check can only be set with
+// the constructor options.
+const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0;
+const isPositiveNumber = value => typeof value === 'number' && value > 0 && Number.isFinite(value);
+const CONFIG_PARAMETERS = {
+    databases: null,
+    dbName: [value => typeof value === 'string' && value.length > 0, 'argument must be a non-empty string'],
+    dbVersion: [value => Number.isInteger(value) && value > 0, 'argument must be a positive integer'],
+    cleanupInterval: [isPositiveNumber, 'argument must be a positive number'],
+    cleanupBudget: [isPositiveNumber, 'argument must be a positive number'],
+    maxmemory: [isNonNegativeInteger, 'argument must be a non-negative integer'],
+    maxmemoryPolicy: [value => MAXMEMORY_POLICIES.includes(value), `argument must be one of ${MAXMEMORY_POLICIES.join(', ')}`],
+    maxKeys: [isNonNegativeInteger, 'argument must be a non-negative integer'],
+    evictionPolicy: [value => EVICTION_POLICIES.includes(value), `argument must be one of ${EVICTION_POLICIES.join(', ')}`],
+    trackAccess: [value => typeof value === 'boolean', 'argument must be a boolean'],
+    slowlogLogSlowerThan: [Number.isInteger, 'argument must be an integer'],
+    slowlogMaxLen: [isNonNegativeInteger, 'argument must be a non-negative integer'],
+    acllogMaxLen: [isNonNegativeInteger, 'argument must be a non-negative integer'],
+    latencyTracking: [value => typeof value === 'boolean', 'argument must be a boolean'],
+    latencyMonitorThreshold: [value => typeof value === 'number' && value >= 0 && Number.isFinite(value), 'argument must be a non-negative number'],
+};
+
+// Flags of the commands, like in the Redis command table: 'write' for the commands that may modify keys, 'readonly'
+// for the ones only reading keys or the state of the store, 'admin' for the commands managing the store, 'pubsub'
+// for the publish/subscribe commands and 'blocking' for the commands that may wait for keys to be modified. The
+// commands managing transactions, databases and handles have no flags.
+const COMMAND_FLAGS = {};
+for (const [flag, names] of Object.entries({
+    write: [
+        'set', 'del', 'incr', 'incrby', 'decr', 'decrby', 'expire', 'mset', 'renamenx', 'expireat', 'pexpire',
+        'pexpireat', 'persist', 'getset', 'setex', 'setrange', 'msetnx', 'incrbyfloat', 'append', 'setbit', 'copy',
+        'rename', 'unlink', 'move', 'swapdb', 'flushall', 'flushdb',
+        'sadd', 'sdiffstore', 'sinterstore', 'smove', 'spop', 'srem', 'sunionstore',
+        'lset', 'ltrim', 'rpop', 'rpoplpush', 'rpush', 'rpushx', 'lpush', 'lpushx', 'lrem', 'lmove', 'lmpop', 'lpop',
+        'brpoplpush', 'linsert', 'blmove', 'blmpop', 'blpop', 'brpop',
+        'zadd', 'zdiffstore', 'bzmpop', 'bzpopmax', 'bzpopmin', 'zincrby', 'zinterstore', 'zmpop', 'zpopmax',
+        'zpopmin', 'zrangestore', 'zrem', 'zremrangebylex', 'zremrangebyrank', 'zremrangebyscore', 'zunionstore',
+        'geoadd', 'geosearchstore',
+        'hset', 'hdel', 'hincrby', 'hincrbyfloat', 'hmset', 'hsetnx',
+        'xadd', 'xdel', 'xtrim', 'xgroup', 'xreadgroup', 'xack', 'xclaim', 'xautoclaim',
+    ],
+    readonly: [
+        'get', 'exists', 'keys', 'mget', 'randomkey', 'pttl', 'ttl', 'getrange', 'strlen', 'getbit', 'type',
+        'expiretime', 'pexpiretime', 'scan', 'sort', 'sort_ro', 'touch', 'object', 'memoryUsage', 'memoryStats',
+        'info', 'dbsize', 'command',
+        'scard', 'sdiff', 'sinter', 'sintercard', 'sismember', 'smembers', 'smismember', 'srandmember', 'sscan', 'sunion',
+        'lrange', 'lpos', 'lindex', 'llen',
+        'zcard', 'zcount', 'zdiff', 'zinter', 'zintercard', 'zlexcount', 'zmscore', 'zrandmember', 'zrange',
+        'zrangebylex', 'zrangebyscore', 'zrank', 'zrevrange', 'zrevrangebylex', 'zrevrangebyscore', 'zrevrank', 'zscan',
+        'zscore', 'zunion',
+        'geodist', 'geohash', 'geopos', 'georadius', 'georadius_ro', 'georadiusbymember', 'georadiusbymember_ro',
+        'geosearch',
+        'hget', 'hgetall', 'hkeys', 'hlen', 'hmget', 'hstrlen', 'hvals', 'hscan', 'hexists', 'hrandfield',
+        'xlen', 'xrange', 'xrevrange', 'xread', 'xpending',
+    ],
+    admin: ['slowlog', 'monitor', 'latency', 'config', 'acl'],
+    pubsub: ['publish', 'subscribe', 'psubscribe', 'unsubscribe', 'punsubscribe', 'pubsub'],
+    blocking: ['blpop', 'brpop', 'blmove', 'blmpop', 'brpoplpush', 'bzpopmin', 'bzpopmax', 'bzmpop', 'xread', 'xreadgroup'],
+})) {
+    for (const name of names) {
+        COMMAND_FLAGS[name] = [...COMMAND_FLAGS[name] || [], flag];
+    }
+}
+for (const name of ['multi', 'watch', 'select', 'database', 'namespace', 'readonly', 'auth']) {
+    COMMAND_FLAGS[name] = [];
+}
+
+// ACL categories of the commands, allowed or denied to users with the +@<category> and -@<category> rules of acl().
+// Most are named after the flags of the commands, 'dangerous' gathering the commands that may affect every key, or
+// reveal or change the settings of the store.
+const FLAG_CATEGORIES = { readonly: 'read', write: 'write', admin: 'admin', pubsub: 'pubsub', blocking: 'blocking' };
+const COMMAND_CATEGORIES = {};
+for (const [name, flags] of Object.entries(COMMAND_FLAGS)) {
+    COMMAND_CATEGORIES[name] = flags.map(flag => FLAG_CATEGORIES[flag]);
+}
+for (const [category, names] of Object.entries({
+    dangerous: [
+        'flushall', 'flushdb', 'swapdb', 'keys', 'sort', 'sort_ro', 'info', 'config', 'slowlog', 'latency', 'monitor', 'acl',
+    ],
+    transaction: ['multi', 'watch'],
+    connection: ['select', 'database', 'namespace', 'readonly', 'auth', 'command'],
+})) {
+    for (const name of names) {
+        COMMAND_CATEGORIES[name].push(category);
+    }
+}
+const ACL_CATEGORIES = ['all', ...new Set(Object.values(COMMAND_CATEGORIES).flat())];
+
+// Positions of the key arguments of the commands, as [first, last, step] like in the Redis command table, a negative
+// last position counting from the end of the arguments. A key argument may also be an array of keys, or an object
+// having keys as properties like the streams of xread(). The commands missing here take their key as first argument,
+// except the ones of KEYLESS_COMMANDS which have no key arguments.
+const COMMAND_KEY_POSITIONS = {
+    del: [0, -1, 1], exists: [0, -1, 1], mget: [0, -1, 1], touch: [0, -1, 1], unlink: [0, -1, 1], watch: [0, -1, 1],
+    sdiff: [0, -1, 1], sdiffstore: [0, -1, 1], sinter: [0, -1, 1], sintercard: [0, -1, 1], sinterstore: [0, -1, 1],
+    sunion: [0, -1, 1], sunionstore: [0, -1, 1], zdiff: [0, -1, 1], zdiffstore: [0, -1, 1], zinter: [0, -1, 1],
+    zintercard: [0, -1, 1], zinterstore: [0, -1, 1],
+    mset: [0, -1, 2], msetnx: [0, -1, 2],
+    copy: [0, 1, 1], rename: [0, 1, 1], renamenx: [0, 1, 1], smove: [0, 1, 1], rpoplpush: [0, 1, 1], lmove: [0, 1, 1],
+    brpoplpush: [0, 1, 1], blmove: [0, 1, 1], zrangestore: [0, 1, 1], zunionstore: [0, 1, 1], geosearchstore: [0, 1, 1],
+    blpop: [1, -1, 1], brpop: [1, -1, 1], bzpopmax: [1, -1, 1], bzpopmin: [1, -1, 1], zmpop: [1, -1, 1],
+    lmpop: [1, 1, 1], object: [1, 1, 1], xgroup: [1, 1, 1],
+    blmpop: [2, 2, 1], bzmpop: [2, 2, 1], xreadgroup: [2, 2, 1], georadius_ro: [3, 3, 1],
+};
+const KEYLESS_COMMANDS = new Set([
+    'multi', 'publish', 'subscribe', 'psubscribe', 'unsubscribe', 'punsubscribe', 'pubsub', 'memoryStats', 'slowlog',
+    'monitor', 'latency', 'config', 'info', 'select', 'database', 'swapdb', 'command', 'keys', 'scan', 'randomkey',
+    'dbsize', 'flushdb', 'flushall', 'namespace', 'readonly', 'acl', 'auth',
+]);
+
+/**
+ * Replace the key arguments of a command, see COMMAND_KEY_POSITIONS.
+ * @param {string} name - The name of the command.
+ * @param {Array} args - The arguments of the command.
+ * @param {Function} mapKey - Called with every key, returning the key to pass instead.
+ * @returns {Array} - The arguments with the keys replaced.
+ */
+function mapKeyArguments(name, args, mapKey) {
+    if (KEYLESS_COMMANDS.has(name)) {
+        return args;
+    }
+    const [first, last, step] = COMMAND_KEY_POSITIONS[name] || [0, 0, 1];
+    const end = last < 0 ? args.length + last : last;
+    return args.map((arg, index) => {
+        if (index < first || index > end || (index - first) % step !== 0) {
+            return arg;
+        }
+        if (Array.isArray(arg)) {
+            return arg.map(mapKey);
+        }
+        if (arg !== null && typeof arg === 'object') {
+            return Object.fromEntries(Object.entries(arg).map(([key, value]) => [mapKey(key), value]));
+        }
+        return mapKey(arg);
+    });
+}
+
+// Commands returning keys in a namespace, with the function removing the prefix of the namespace from their result
+const removeFirstPrefix = (result, removePrefix) => result && [removePrefix(result[0]), ...result.slice(1)];
+const removeEachPrefix = (result, removePrefix) => result && result.map(([key, ...rest]) => [removePrefix(key), ...rest]);
+const NAMESPACE_KEY_RESULTS = {
+    blpop: removeFirstPrefix, brpop: removeFirstPrefix, bzpopmax: removeFirstPrefix, bzpopmin: removeFirstPrefix,
+    blmpop: removeFirstPrefix, bzmpop: removeFirstPrefix,
+    zmpop: removeEachPrefix, xread: removeEachPrefix, xreadgroup: removeEachPrefix,
+};
 
 class kvjs {
     constructor(options = {}) {
@@ -92,9 +335,79 @@ class kvjs {
             options = { dbName: options };
         }
         
-        // Initialize the store and expireTimes maps
-        this.store = new XMap();
-        this.expireTimes = new XMap();
+        // Logical databases, each one having its own keys, and the index of the selected one. The keys, expire
+        // times, accesses and memory usage of the selected database are held by the properties of the same name.
+        this.databases = Array.from({ length: options.databases || DATABASES }, () => this._createDatabase());
+        this.selectedDb = 0;
+        this._loadDatabase(0);
+
+        // Interval of the cleanup loop and time it may spend per run, in milliseconds, see _initCleanupLoop()
+        this.cleanupInterval = options.cleanupInterval || CLEANUP_INTERVAL;
+        this.cleanupBudget = options.cleanupBudget || CLEANUP_BUDGET;
+        this.cleanupLoop = null;
+
+        // Memory limit in bytes, 0 meaning no limit, and how to free memory once it is reached
+        this.maxmemory = options.maxmemory || 0;
+        this.maxmemoryPolicy = options.maxmemoryPolicy || 'noeviction';
+        if (!MAXMEMORY_POLICIES.includes(this.maxmemoryPolicy)) {
+            throw new Error(`ERR invalid maxmemory policy '${this.maxmemoryPolicy}'`);
+        }
+
+        // Maximum number of keys, 0 meaning no limit, and how to make room for new keys once it is reached
+        this.maxKeys = options.maxKeys || 0;
+        this.evictionPolicy = options.evictionPolicy || 'noeviction';
+        if (!EVICTION_POLICIES.includes(this.evictionPolicy)) {
+            throw new Error(`ERR invalid eviction policy '${this.evictionPolicy}'`);
+        }
+
+        // Called with (key, value, reason) for every evicted key, the reason being 'maxmemory' or 'maxkeys', and the
+        // evictions waiting for the outermost command or transaction to complete, see _flushEvictions()
+        this.onEvict = options.onEvict || null;
+        this.pendingEvictions = [];
+
+        // Whether the last access time and access frequency of the keys are tracked in keyAccess, see _touchKey().
+        // They are always tracked when a limit is set, as the eviction policies need them.
+        this.trackAccess = Boolean(options.trackAccess || this.maxmemory || this.maxKeys);
+
+        // Counters of the server statistics, see info()
+        this.stats = {
+            totalCommandsProcessed: 0,
+            keyspaceHits: 0,
+            keyspaceMisses: 0,
+            expiredKeys: 0,
+            evictedKeys: 0,
+        };
+        // Number of commands processed per second, computed about every second by _call()
+        this.opsSample = { time: Date.now(), commands: 0, opsPerSec: 0 };
+        // Number of commands being executed, to only count the commands called by the user
+        this.commandDepth = 0;
+        // Whether the command called by the user only reads keys, the keys it looks up counting as keyspace hits
+        // and misses, see _lookupKey()
+        this.isReadCommand = false;
+
+        // Slow log settings, a negative threshold disabling it, and the logged commands from the newest, see slowlog()
+        this.slowlogLogSlowerThan = options.slowlogLogSlowerThan !== undefined ? options.slowlogLogSlowerThan : SLOWLOG_LOG_SLOWER_THAN;
+        this.slowlogMaxLen = options.slowlogMaxLen !== undefined ? options.slowlogMaxLen : SLOWLOG_MAX_LEN;
+        this.slowlogEntries = new Deque();
+        this.slowlogNextId = 0;
+        // Callbacks receiving every executed command, see monitor()
+        this.monitors = new Set();
+
+        // ACL users by name, the name of the user running the commands, and the log of the denied commands and
+        // authentications from the newest, see acl()
+        this.aclUsers = new Map([['default', this._createAclUser('default', ['on', 'nopass', '~*', '+@all'])]]);
+        this.currentUser = 'default';
+        this.acllogMaxLen = options.acllogMaxLen !== undefined ? options.acllogMaxLen : ACL_LOG_MAX_LEN;
+        this.aclLog = [];
+        this.aclLogNextId = 0;
+
+        // Durations of the commands by command name, and latency events by event name, a threshold of 0
+        // disabling them, see latency(). The durations are not counted by default, as every command would pay
+        // for updating a histogram.
+        this.latencyTracking = Boolean(options.latencyTracking);
+        this.latencyHistograms = new Map();
+        this.latencyMonitorThreshold = options.latencyMonitorThreshold || 0;
+        this.latencyEvents = new Map();
         
         // IndexedDB properties
         this.db = null;
@@ -103,11 +416,36 @@ class kvjs {
         this.isIndexedDBAvailable = false;
         this.isInitialized = false;
         this.initPromise = null;
-
-        // wrap the set function to trigger the cleanup interval on each set
+        // Number of IndexedDB transactions not completed yet, and the last error while persisting
+        this.pendingWrites = 0;
+        this.lastPersistenceError = null;
+
+        // Undo journals of the transaction currently being executed by database index, see exec()
+        this.journal = null;
+
+        // Keyspace event listeners by event name, see on()
+        this.listeners = new Map();
+        // Pub/Sub listeners by channel and by channel pattern, see subscribe() and psubscribe()
+        this.channels = new Map();
+        this.patterns = new Map();
+        // Keyspace events of the executing transaction, emitted once it succeeded
+        this.journalEvents = null;
+
+        // Clients waiting in blocking commands by key, whatever their database, and the keys that received
+        // data since they were last served, see _blockOnKeys()
+        this.blockedClients = new Map();
+        this.readyKeys = new Set();
+
+        // wrap the set function to record the write and wake up blocked clients on each set
         this.storeSet = (key, value) => {
+            // Values modified in place and stored again were already accounted for by their command
+            if (this.store.get(key) !== value) {
+                this._performEvictions(key);
+            }
+            this._beforeWrite(key);
             this.store.set(key, value);
-            this._initCleanupLoop(CLEANUP_INTERVAL);
+            this._touchKey(key);
+            this._signalKeyReady(key);
             // Persist to IndexedDB if available
             if (this.isIndexedDBAvailable && this.db) {
                 this._persistToIndexedDB(key, value);
@@ -118,6 +456,94 @@ class kvjs {
         this._initIndexedDB();
     }
 
+    /**
+     * Creates the state of an empty database.
+     * @private
+     * @returns {Object} - The keys, expire times, key accesses and memory usage of the database.
+     */
+    _createDatabase() {
+        return {
+            store: new XMap(),
+            expireTimes: new ExpiryIndex(),
+            // Last access time and access frequency of every key while trackAccess is set, ordered from the
+            // least to the most recently used
+            keyAccess: new AccessIndex(),
+            // Estimated memory usage of every key while maxmemory is set, and the keys modified since it
+            // was last estimated, see _usedMemory()
+            keySizes: new Map(),
+            dirtyKeys: new Set(),
+            usedMemory: 0,
+            // Modification versions of the keys of the database watched by transactions, see watch()
+            keyVersions: new Map(),
+        };
+    }
+
+    /**
+     * Makes a database the selected one, without saving the state of the previously selected database.
+     * @private
+     * @param {number} index - The index of the database.
+     */
+    _loadDatabase(index) {
+        const database = this.databases[index];
+        for (const name of DATABASE_PROPERTIES) {
+            this[name] = database[name];
+        }
+        this.selectedDb = index;
+    }
+
+    /**
+     * Selects the database that the commands run against.
+     * @private
+     * @param {number} index - The index of the database.
+     */
+    _selectDatabase(index) {
+        const database = this.databases[this.selectedDb];
+        for (const name of DATABASE_PROPERTIES) {
+            database[name] = this[name];
+        }
+        this._loadDatabase(index);
+    }
+
+    /**
+     * Runs a function against a database, then selects the previously selected database again.
+     * @private
+     * @param {number} index - The index of the database.
+     * @param {Function} callback - The function to run.
+     * @returns {*} - The result of the function.
+     */
+    _withDatabase(index, callback) {
+        const selectedDb = this.selectedDb;
+        this._selectDatabase(index);
+        try {
+            return callback();
+        } finally {
+            this._selectDatabase(selectedDb);
+        }
+    }
+
+    /**
+     * Runs a function against every database in turn.
+     * @private
+     * @param {Function} callback - The function to run, called with the index of the database.
+     */
+    _forEachDatabase(callback) {
+        for (let index = 0; index < this.databases.length; index++) {
+            this._withDatabase(index, () => callback(index));
+        }
+    }
+
+    /**
+     * Checks that a database index is valid.
+     * @private
+     * @param {number} index - The index of the database.
+     * @throws {Error} - If the index is out of range.
+     */
+    _checkDatabaseIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.databases.length) {
+            throw new Error('ERR DB index is out of range');
+        }
+    }
+
     /**
      * Initialize IndexedDB if available in the browser environment
      * @private
@@ -139,7 +565,7 @@ class kvjs {
      */
     async _setupIndexedDB() {
         try {
-            this.db = await this._openDatabase();
+            this.db = await this._openDatabaseWithStores();
             await this._loadFromIndexedDB();
             this.isInitialized = true;
         } catch (error) {
@@ -149,14 +575,62 @@ class kvjs {
         }
     }
 
+    /**
+     * Moves the persistence to the IndexedDB database named dbName, with the version dbVersion, once config() changed
+     * them. The previous database is closed and left as it is, and the new one is replaced with the keys of every
+     * database. waitForInitialization() resolves once they are written.
+     * @private
+     */
+    _reopenIndexedDB() {
+        const previous = this.initPromise;
+        this.isInitialized = false;
+        this.initPromise = (async () => {
+            // An initialization in progress loads the previous database first
+            await previous;
+            if (this.db) {
+                this.db.close();
+                this.db = null;
+            }
+            this.isIndexedDBAvailable = typeof window !== 'undefined' && Boolean(window.indexedDB) && Boolean(this.dbName);
+            if (this.isIndexedDBAvailable) {
+                try {
+                    this.db = await this._openDatabaseWithStores();
+                    this._forEachDatabase(() => this._rewriteIndexedDB());
+                } catch (error) {
+                    console.warn('Failed to reopen IndexedDB:', error);
+                    this.isIndexedDBAvailable = false;
+                }
+            }
+            this.isInitialized = true;
+        })();
+    }
+
+    /**
+     * Open the IndexedDB database with the object stores of every database, at version dbVersion or above
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    async _openDatabaseWithStores() {
+        // The version is increased to create the object stores of databases added since the last run
+        const db = await this._openDatabase();
+        const storeNames = this.databases.flatMap((database, index) => this._objectStoreNames(index));
+        if (db.version < this.dbVersion || !storeNames.every(name => db.objectStoreNames.contains(name))) {
+            const version = Math.max(this.dbVersion, db.version + 1);
+            db.close();
+            return this._openDatabase(version);
+        }
+        return db;
+    }
+
     /**
      * Open IndexedDB database
      * @private
+     * @param {number} [version] - The version to open, the current one by default
      * @returns {Promise<IDBDatabase>}
      */
-    _openDatabase() {
+    _openDatabase(version) {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
+            const request = version === undefined ? indexedDB.open(this.dbName) : indexedDB.open(this.dbName, version);
             
             request.onerror = () => reject(request.error);
             request.onsuccess = () => resolve(request.result);
@@ -164,18 +638,29 @@ class kvjs {
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
                 
-                // Create object stores if they don't exist
-                if (!db.objectStoreNames.contains('store')) {
-                    db.createObjectStore('store', { keyPath: 'key' });
-                }
-                
-                if (!db.objectStoreNames.contains('expireTimes')) {
-                    db.createObjectStore('expireTimes', { keyPath: 'key' });
+                // Create the object stores of every database if they don't exist
+                for (let index = 0; index < this.databases.length; index++) {
+                    for (const name of this._objectStoreNames(index)) {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'key' });
+                        }
+                    }
                 }
             };
         });
     }
 
+    /**
+     * Returns the names of the IndexedDB object stores of a database, holding its keys and its expire times.
+     * Database 0 uses the object stores of the versions without multiple databases.
+     * @private
+     * @param {number} [index] - The index of the database, the selected one by default
+     * @returns {Array<string>} - The names of the object stores
+     */
+    _objectStoreNames(index = this.selectedDb) {
+        return index === 0 ? ['store', 'expireTimes'] : [`store${index}`, `expireTimes${index}`];
+    }
+
     /**
      * Load existing data from IndexedDB into memory
      * @private
@@ -184,51 +669,109 @@ class kvjs {
     async _loadFromIndexedDB() {
         if (!this.db) return;
 
+        const start = clock.now();
         try {
-            const transaction = this.db.transaction(['store', 'expireTimes'], 'readonly');
-            const storeObjectStore = transaction.objectStore('store');
-            const expireTimesObjectStore = transaction.objectStore('expireTimes');
-
-            // Load store data
-            const storeRequest = storeObjectStore.getAll();
-            const expireTimesRequest = expireTimesObjectStore.getAll();
-
-            const [storeData, expireTimesData] = await Promise.all([
-                new Promise((resolve, reject) => {
-                    storeRequest.onsuccess = () => resolve(storeRequest.result);
-                    storeRequest.onerror = () => reject(storeRequest.error);
-                }),
-                new Promise((resolve, reject) => {
-                    expireTimesRequest.onsuccess = () => resolve(expireTimesRequest.result);
-                    expireTimesRequest.onerror = () => reject(expireTimesRequest.error);
-                })
-            ]);
-
-            // Populate in-memory stores
-            storeData.forEach(item => {
-                this.store.set(item.key, item.value);
-            });
+            const storeNames = this.databases.flatMap((database, index) => this._objectStoreNames(index));
+            const transaction = this.db.transaction(storeNames, 'readonly');
 
-            expireTimesData.forEach(item => {
-                this.expireTimes.set(item.key, item.expireTime);
-            });
+            // Load the keys and expire times of every database
+            const data = await Promise.all(storeNames.map(name => new Promise((resolve, reject) => {
+                const request = transaction.objectStore(name).getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            })));
 
-            // Clean up any expired keys that were loaded
-            const currentTime = Date.now();
-            for (const [key, expireTime] of this.expireTimes.entries()) {
-                if (currentTime > expireTime) {
-                    this.store.delete(key);
-                    this.expireTimes.delete(key);
-                    // Also remove from IndexedDB
-                    this._removeFromIndexedDB(key);
-                }
-            }
+            this._forEachDatabase(index => this._loadIndexedDBRecords(data[2 * index], data[2 * index + 1]));
+            this._initCleanupLoop();
+            this._addLatencySample('indexeddb-load', clock.now() - start);
 
         } catch (error) {
             console.warn('Failed to load data from IndexedDB:', error);
         }
     }
 
+    /**
+     * Populates the selected database with the records loaded from its IndexedDB object stores.
+     * @private
+     * @param {Array<Object>} storeData - The records of the keys
+     * @param {Array<Object>} expireTimesData - The records of the expire times
+     */
+    _loadIndexedDBRecords(storeData, expireTimesData) {
+        // Populate in-memory stores
+        storeData.forEach(item => {
+            this.store.set(item.key, this._fromIndexedDBRecord(item));
+            this._touchKey(item.key);
+            this._invalidateKeySize(item.key);
+        });
+
+        expireTimesData.forEach(item => {
+            this.expireTimes.set(item.key, item.expireTime);
+        });
+
+        // Clean up any expired keys that were loaded
+        const currentTime = Date.now();
+        for (const [key, expireTime] of this.expireTimes.entries()) {
+            if (currentTime > expireTime) {
+                this.store.delete(key);
+                this.expireTimes.delete(key);
+                this.keyAccess.delete(key);
+                // Also remove from IndexedDB
+                this._removeFromIndexedDB(key);
+            }
+        }
+    }
+
+    /**
+     * Converts a key-value pair to the record stored in IndexedDB. Lists, sorted sets, sets and hashes are stored
+     * as arrays and streams as plain objects, since IndexedDB cannot store private fields nor the type tag of a set
+     * or a hash.
+     * @private
+     * @param {*} key - The key
+     * @param {*} value - The value
+     * @returns {Object} - The record
+     */
+    _toIndexedDBRecord(key, value) {
+        if (value instanceof Deque) {
+            return { key, value: value.toArray(), type: 'list' };
+        }
+        if (value instanceof SortedSet) {
+            return { key, value: Array.from(value), type: 'zset' };
+        }
+        if (value instanceof Stream) {
+            return { key, value: value.toObject(), type: 'stream' };
+        }
+        const type = this._typeOf(value);
+        if (type === 'set' || type === 'hash') {
+            return { key, value: Array.from(value), type };
+        }
+        return { key, value };
+    }
+
+    /**
+     * Converts a record stored in IndexedDB back to the stored value.
+     * @private
+     * @param {Object} record - The record created by _toIndexedDBRecord()
+     * @returns {*} - The value
+     */
+    _fromIndexedDBRecord(record) {
+        if (record.type === 'list') {
+            return new Deque(record.value);
+        }
+        if (record.type === 'zset') {
+            return new SortedSet(record.value);
+        }
+        if (record.type === 'stream') {
+            return Stream.fromObject(record.value);
+        }
+        if (record.type === 'set') {
+            return createSet(record.value);
+        }
+        if (record.type === 'hash') {
+            return createHash(record.value);
+        }
+        return record.value;
+    }
+
     /**
      * Persist a key-value pair to IndexedDB
      * @private
@@ -236,13 +779,16 @@ class kvjs {
      * @param {*} value - The value to persist
      */
     async _persistToIndexedDB(key, value) {
-        if (!this.db) return;
+        // Writes made while a transaction executes are flushed together by exec()
+        if (!this.db || this.journal) return;
 
         try {
-            const transaction = this.db.transaction(['store'], 'readwrite');
-            const objectStore = transaction.objectStore('store');
-            objectStore.put({ key, value });
+            const [storeName] = this._objectStoreNames();
+            const transaction = this._trackIndexedDBTransaction(this.db.transaction([storeName], 'readwrite'));
+            const objectStore = transaction.objectStore(storeName);
+            objectStore.put(this._toIndexedDBRecord(key, value));
         } catch (error) {
+            this.lastPersistenceError = error;
             console.warn('Failed to persist to IndexedDB:', error);
         }
     }
@@ -254,17 +800,19 @@ class kvjs {
      * @param {number} expireTime - The expiration timestamp
      */
     async _persistExpirationToIndexedDB(key, expireTime) {
-        if (!this.db) return;
+        if (!this.db || this.journal) return;
 
         try {
-            const transaction = this.db.transaction(['expireTimes'], 'readwrite');
-            const objectStore = transaction.objectStore('expireTimes');
+            const [, expireTimesName] = this._objectStoreNames();
+            const transaction = this._trackIndexedDBTransaction(this.db.transaction([expireTimesName], 'readwrite'));
+            const objectStore = transaction.objectStore(expireTimesName);
             if (expireTime !== undefined) {
                 objectStore.put({ key, expireTime });
             } else {
                 objectStore.delete(key);
             }
         } catch (error) {
+            this.lastPersistenceError = error;
             console.warn('Failed to persist expiration to IndexedDB:', error);
         }
     }
@@ -275,20 +823,78 @@ class kvjs {
      * @param {*} key - The key to remove
      */
     async _removeFromIndexedDB(key) {
-        if (!this.db) return;
+        if (!this.db || this.journal) return;
 
         try {
-            const transaction = this.db.transaction(['store', 'expireTimes'], 'readwrite');
-            const storeObjectStore = transaction.objectStore('store');
-            const expireTimesObjectStore = transaction.objectStore('expireTimes');
+            const [storeName, expireTimesName] = this._objectStoreNames();
+            const transaction = this._trackIndexedDBTransaction(this.db.transaction([storeName, expireTimesName], 'readwrite'));
+            const storeObjectStore = transaction.objectStore(storeName);
+            const expireTimesObjectStore = transaction.objectStore(expireTimesName);
             
             storeObjectStore.delete(key);
             expireTimesObjectStore.delete(key);
         } catch (error) {
+            this.lastPersistenceError = error;
             console.warn('Failed to remove from IndexedDB:', error);
         }
     }
 
+    /**
+     * Persist the current state of several keys to IndexedDB in a single transaction
+     * @private
+     * @param {Iterable<*>} keys - The keys to persist
+     */
+    async _persistKeysToIndexedDB(keys) {
+        if (!this.db) return;
+
+        try {
+            const [storeName, expireTimesName] = this._objectStoreNames();
+            const transaction = this._trackIndexedDBTransaction(this.db.transaction([storeName, expireTimesName], 'readwrite'));
+            const storeObjectStore = transaction.objectStore(storeName);
+            const expireTimesObjectStore = transaction.objectStore(expireTimesName);
+
+            for (const key of keys) {
+                if (this.store.has(key)) {
+                    storeObjectStore.put(this._toIndexedDBRecord(key, this.store.get(key)));
+                } else {
+                    storeObjectStore.delete(key);
+                }
+
+                const expireTime = this.expireTimes.get(key);
+                if (expireTime !== undefined) {
+                    expireTimesObjectStore.put({ key, expireTime });
+                } else {
+                    expireTimesObjectStore.delete(key);
+                }
+            }
+        } catch (error) {
+            this.lastPersistenceError = error;
+            console.warn('Failed to persist transaction to IndexedDB:', error);
+        }
+    }
+
+    /**
+     * Counts a write transaction as pending until it completes, and records its duration, or its error if it fails.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction
+     * @returns {IDBTransaction} - The transaction
+     */
+    _trackIndexedDBTransaction(transaction) {
+        const start = clock.now();
+        this.pendingWrites++;
+        transaction.oncomplete = () => {
+            this.pendingWrites--;
+            this._addLatencySample('indexeddb-flush', clock.now() - start);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            this.pendingWrites--;
+            this.lastPersistenceError = transaction.error;
+            // Only count the transaction once if both events are dispatched
+            transaction.onerror = transaction.onabort = null;
+        };
+        return transaction;
+    }
+
     /**
      * Wait for IndexedDB initialization to complete
      * @returns {Promise<void>}
@@ -301,126 +907,509 @@ class kvjs {
     }
 
     /**
-     * Set the string value of a key with optional NX/XX/GET/EX/PX/EXAT/PXAT/KEEPTTL, GET, and expiration options.
-     * @param {*} key - The key to set.
-     * @param {*} value - The value to set.
-     * @param {Object} [options] - An object with optional arguments.
-     *                              NX (boolean): Set the key only if it does not exist.
-     *                              XX (boolean): Set the key only if it already exists.
-     *                              GET (boolean): Return the old value of the key before setting the new value.
-     *                              EX (number|undefined): Set the key with an expiration time (in seconds).
-     *                              PX (number|undefined): Set the key with an expiration time (in milliseconds).
-     *                              EXAT (number|undefined): Set the key with an exact UNIX timestamp (in seconds) for expiration.
-     *                              PXAT (number|undefined): Set the key with an exact UNIX timestamp (in milliseconds) for expiration.
-     *                              KEEPTTL (boolean): Retain the key's existing TTL when setting a new value.
-     * @returns {boolean|undefined} - true if the operation was successful, or the existing value if the GET option is specified and the key already exists.
+     * Listen for changes to keys. The event can be:
+     * - the name of a keyspace event such as 'set', 'del', 'expired', 'expire', 'rename_to', 'lpush', 'hset',
+     *   'zadd' or 'sadd': the listener is called with (key, event) every time a command emits that event;
+     * - a '__keyspace__:<key pattern>' channel: the listener is called with (event, channel) for every event
+     *   on a key matching the glob-style pattern, e.g. '__keyspace__:user:*';
+     * - a '__keyevent__:<event pattern>' channel: the listener is called with (key, channel) for every event
+     *   matching the pattern, e.g. '__keyevent__:*'.
+     * Channel patterns are Pub/Sub pattern subscriptions, see psubscribe().
+     * @param {string} event - The event name or channel pattern.
+     * @param {Function} listener - The function to call.
+     * @returns {kvjs} - The instance, allowing for chaining.
      */
-    set(key, value, options = {}) {
-        const {
-            NX = false,
-            XX = false,
-            GET = false,
-            EX = undefined,
-            PX = undefined,
-            EXAT = undefined,
-            PXAT = undefined,
-            KEEPTTL = false,
-        } = options;
-
-        const nx = NX;
-        const xx = XX;
-        const get = GET;
-        let ex = EX ? parseInt(EX, 10) : undefined;
-        let px = PX ? parseInt(PX, 10) : undefined;
-        let exat = EXAT ? parseInt(EXAT, 10) : undefined;
-        let pxat = PXAT ? parseInt(PXAT, 10) : undefined;
-        const keepttl = KEEPTTL;
-
-        // Check if the key already exists
-        const exists = this.store.has(key);
-        if (xx && !exists) {
-            return undefined;
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('ERR listener must be a function');
         }
-        if (nx && exists) {
-            return undefined;
+        if (this._isKeyspaceChannel(event)) {
+            this.psubscribe(event, listener);
+            return this;
         }
-
-        // Get the existing value if the GET option is specified
-        let oldValue;
-        if (get && exists) {
-            oldValue = this.store.get(key);
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
         }
+        this.listeners.get(event).push(listener);
+        return this;
+    }
 
-        // Set the new value
-        this.storeSet(key, value);
-
-        // Handle expiration options
-        if (ex !== undefined || px !== undefined || exat !== undefined || pxat !== undefined || keepttl) {
-            let expireTime = undefined;
-            if (ex !== undefined) {
-                expireTime = Date.now() + ex * 1000;
-            } else if (px !== undefined) {
-                expireTime = Date.now() + px;
-            } else if (exat !== undefined) {
-                expireTime = exat * 1000;
-            } else if (pxat !== undefined) {
-                expireTime = pxat;
-            } else if (keepttl && exists) {
-                expireTime = this.expireTimes.get(key);
-            }
-            if (expireTime !== undefined) {
-                this.expireTimes.set(key, expireTime);
-                // Persist expiration to IndexedDB if available
-                if (this.isIndexedDBAvailable && this.db) {
-                    this._persistExpirationToIndexedDB(key, expireTime);
-                }
-            }
-        } else {
-            this.expireTimes.delete(key);
-            // Remove expiration from IndexedDB if available
-            if (this.isIndexedDBAvailable && this.db) {
-                this._persistExpirationToIndexedDB(key, undefined);
+    /**
+     * Remove a listener added with on(). If no listener is given, all listeners of the event are removed.
+     * @param {string} event - The event name or channel pattern.
+     * @param {Function} [listener] - The listener to remove.
+     * @returns {kvjs} - The instance, allowing for chaining.
+     */
+    off(event, listener) {
+        if (this._isKeyspaceChannel(event)) {
+            if (listener === undefined) {
+                this.punsubscribe(event);
+            } else {
+                this.punsubscribe(event, listener);
             }
+            return this;
         }
 
-        return get ? oldValue : true;
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return this;
+        }
+
+        const index = listener === undefined ? -1 : listeners.indexOf(listener);
+        if (listener === undefined || (index !== -1 && listeners.length === 1)) {
+            this.listeners.delete(event);
+        } else if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        return this;
     }
-    
+
     /**
-     * Get the value of a key.
-     * @param {*} key - The key to get.
-     * @returns {*} - The value of the key, or `undefined` if the key does not exist or has expired.
+     * Check whether a name is a keyspace notification channel (or channel pattern).
+     * @private
+     * @param {string} name - The name to check.
+     * @returns {boolean} - true for '__keyspace__:' and '__keyevent__:' channels.
      */
-    get(key) {
-        const isExpired = this._checkAndRemoveExpiredKey(key);
-        if (isExpired)
-            return undefined;
-
-        return this.store.get(key);
+    _isKeyspaceChannel(name) {
+        return typeof name === 'string' && (name.startsWith('__keyspace__:') || name.startsWith('__keyevent__:'));
     }
 
     /**
-     * Delete specified key(s). If a key does not exist, it is ignored.
-     * @param {*} key - The key to delete.
-     * @returns {number} - 1 if the key was deleted, 0 if the key did not exist or has expired.
+     * Post a message to a channel. The message is delivered synchronously to every listener subscribed to the
+     * channel, or to a pattern matching it.
+     * @param {string} channel - The channel to post the message to.
+     * @param {*} message - The message to post.
+     * @returns {number} - The number of listeners that received the message.
      */
-    del(...keys) {
-        let numDeleted = 0;
+    publish(channel, message) {
+        return this._publish(channel, message);
+    }
 
-        for (const key of keys) {
-            // Check if the key has expired and remove it if it has.
-            const isExpired = this._checkAndRemoveExpiredKey(key);
-            if (isExpired) {
-                continue;
-            }
+    /**
+     * Delivers a message like publish(), without running a command: the keyspace notifications are sent by the
+     * store itself, so they are neither checked against the ACL of the user nor counted or monitored.
+     * @private
+     * @param {string} channel - The channel to post the message to.
+     * @param {*} message - The message to post.
+     * @returns {number} - The number of listeners that received the message.
+     */
+    _publish(channel, message) {
+        let receivers = 0;
+
+        const listeners = this.channels.get(channel);
+        if (listeners) {
+            for (const listener of Array.from(listeners)) {
+                this._deliverMessage(listener, message, channel);
+                receivers++;
+            }
+        }
+
+        for (const [pattern, patternListeners] of Array.from(this.patterns)) {
+            if (!simpleMatch(channel, pattern)) {
+                continue;
+            }
+            for (const listener of Array.from(patternListeners)) {
+                this._deliverMessage(listener, message, channel, pattern);
+                receivers++;
+            }
+        }
+
+        return receivers;
+    }
+
+    /**
+     * Call a Pub/Sub listener, making sure that a failing listener does not affect the publisher.
+     * @private
+     * @param {Function} listener - The listener to call.
+     * @param {...*} args - The message, the channel and, for pattern subscriptions, the pattern.
+     */
+    _deliverMessage(listener, ...args) {
+        try {
+            listener(...args);
+        } catch (error) {
+            console.warn('Pub/Sub listener failed:', error);
+        }
+    }
+
+    /**
+     * Subscribe a listener to one or more channels. The listener is called with (message, channel)
+     * for every message published to these channels.
+     * @param {...string} channels - The channels to subscribe to.
+     * @param {Function} listener - The function to call, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is subscribed to.
+     * @throws {Error} - If no channel or listener is given.
+     */
+    subscribe(...args) {
+        return this._addSubscriptions(this.channels, args, 'subscribe');
+    }
+
+    /**
+     * Subscribe a listener to all channels matching one or more glob-style patterns. The listener is called
+     * with (message, channel, pattern) for every message published to a matching channel.
+     * @param {...string} patterns - The patterns to subscribe to.
+     * @param {Function} listener - The function to call, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is subscribed to.
+     * @throws {Error} - If no pattern or listener is given.
+     */
+    psubscribe(...args) {
+        return this._addSubscriptions(this.patterns, args, 'psubscribe');
+    }
+
+    /**
+     * Unsubscribe from channels. If the last argument is a listener, only that listener is unsubscribed,
+     * otherwise all listeners are. Without channels, the listener is unsubscribed from all channels.
+     * @param {...string} [channels] - The channels to unsubscribe from.
+     * @param {Function} [listener] - The listener to unsubscribe, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is still subscribed to.
+     */
+    unsubscribe(...args) {
+        return this._removeSubscriptions(this.channels, args);
+    }
+
+    /**
+     * Unsubscribe from channel patterns. If the last argument is a listener, only that listener is unsubscribed,
+     * otherwise all listeners are. Without patterns, the listener is unsubscribed from all patterns.
+     * @param {...string} [patterns] - The patterns to unsubscribe from.
+     * @param {Function} [listener] - The listener to unsubscribe, given as the last argument.
+     * @returns {number} - The number of channels and patterns the listener is still subscribed to.
+     */
+    punsubscribe(...args) {
+        return this._removeSubscriptions(this.patterns, args);
+    }
+
+    /**
+     * Inspect the state of the Pub/Sub subsystem.
+     * @param {string} subcommand - One of:
+     *                              CHANNELS [pattern]: the channels having at least one subscriber, optionally matching a pattern.
+     *                              NUMSUB [...channels]: the number of subscribers of each channel, as [channel, count] pairs.
+     *                              NUMPAT: the number of patterns subscribed to.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Array|number} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    pubsub(subcommand, ...args) {
+        switch (String(subcommand).toUpperCase()) {
+            case 'CHANNELS': {
+                const [pattern] = args;
+                const channels = Array.from(this.channels.keys());
+                return pattern === undefined ? channels : channels.filter(channel => simpleMatch(channel, pattern));
+            }
+            case 'NUMSUB':
+                return args.map(channel => [channel, this.channels.has(channel) ? this.channels.get(channel).size : 0]);
+            case 'NUMPAT':
+                return this.patterns.size;
+            default:
+                throw new Error(`ERR unknown subcommand '${subcommand}'. Try PUBSUB HELP.`);
+        }
+    }
+
+    /**
+     * Add a listener to channels or patterns.
+     * @private
+     * @param {Map} subscriptions - Either this.channels or this.patterns.
+     * @param {Array} args - The channels or patterns, followed by the listener.
+     * @param {string} command - The name of the command, for error messages.
+     * @returns {number} - The number of channels and patterns the listener is subscribed to.
+     */
+    _addSubscriptions(subscriptions, args, command) {
+        const listener = args.pop();
+        if (typeof listener !== 'function') {
+            throw new Error('ERR listener must be a function');
+        }
+        if (args.length === 0) {
+            throw new Error(`ERR wrong number of arguments for '${command}' command`);
+        }
+
+        for (const name of args) {
+            if (!subscriptions.has(name)) {
+                subscriptions.set(name, new Set());
+            }
+            subscriptions.get(name).add(listener);
+        }
+
+        return this._countSubscriptions(listener);
+    }
+
+    /**
+     * Remove listeners from channels or patterns.
+     * @private
+     * @param {Map} subscriptions - Either this.channels or this.patterns.
+     * @param {Array} args - The channels or patterns, optionally followed by the listener.
+     * @returns {number} - The number of channels and patterns the listener is still subscribed to.
+     */
+    _removeSubscriptions(subscriptions, args) {
+        const listener = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+        const names = args.length > 0 ? args : Array.from(subscriptions.keys());
+
+        for (const name of names) {
+            const listeners = subscriptions.get(name);
+            if (!listeners) {
+                continue;
+            }
+            if (listener === undefined) {
+                listeners.clear();
+            } else {
+                listeners.delete(listener);
+            }
+            if (listeners.size === 0) {
+                subscriptions.delete(name);
+            }
+        }
+
+        return listener === undefined ? 0 : this._countSubscriptions(listener);
+    }
+
+    /**
+     * Count the channels and patterns a listener is subscribed to.
+     * @private
+     * @param {Function} listener - The listener.
+     * @returns {number} - The number of subscriptions.
+     */
+    _countSubscriptions(listener) {
+        let count = 0;
+        for (const subscriptions of [this.channels, this.patterns]) {
+            for (const listeners of subscriptions.values()) {
+                if (listeners.has(listener)) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Start a transaction. Commands called on the returned object are queued instead of being executed,
+     * and run atomically when its exec() method is called.
+     * @returns {Transaction} - A transaction exposing every kvjs command.
+     */
+    multi() {
+        return new Transaction(this);
+    }
+
+    /**
+     * Start a transaction that only executes if none of the given keys is modified, deleted or expired
+     * before its exec() method is called (optimistic locking).
+     * @param {...*} keys - The keys to watch.
+     * @returns {Transaction} - A transaction watching the keys.
+     */
+    watch(...keys) {
+        return this.multi().watch(...keys);
+    }
+
+    /**
+     * Start tracking modifications of a key on behalf of a transaction.
+     * @private
+     * @param {*} key - The key to watch.
+     * @returns {number} - The current modification version of the key.
+     */
+    _watchKey(key) {
+        // A key that is already expired must not count as modified later on
+        this._checkAndRemoveExpiredKey(key);
+
+        let entry = this.keyVersions.get(key);
+        if (!entry) {
+            entry = { version: 0, watchers: 0 };
+            this.keyVersions.set(key, entry);
+        }
+        entry.watchers++;
+        return entry.version;
+    }
+
+    /**
+     * Stop tracking modifications of a key on behalf of a transaction.
+     * @private
+     * @param {*} key - The key to unwatch.
+     */
+    _unwatchKey(key) {
+        const entry = this.keyVersions.get(key);
+        if (entry && --entry.watchers === 0) {
+            this.keyVersions.delete(key);
+        }
+    }
+
+    /**
+     * Check whether a watched key was modified since the given version was observed.
+     * @private
+     * @param {*} key - The watched key.
+     * @param {number} version - The version returned by _watchKey().
+     * @returns {boolean} - true if the key was modified, deleted or has expired.
+     */
+    _isWatchedKeyModified(key, version) {
+        this._checkAndRemoveExpiredKey(key);
+        return this.keyVersions.get(key).version !== version;
+    }
+
+    /**
+     * Run queued commands as a single unit. If a command throws, every change made by the
+     * previous commands is rolled back and the error is rethrown.
+     * @private
+     * @param {Array<[string, Array]>} commands - The queued command names and their arguments.
+     * @returns {Array} - The result of each command.
+     */
+    _execTransaction(commands) {
+        const journals = new Map();
+        const events = [];
+        const results = [];
+        const evictionCount = this.pendingEvictions.length;
+
+        this.journal = journals;
+        this.journalEvents = events;
+        try {
+            for (const [name, args] of commands) {
+                results.push(this[name](...args));
+            }
+        } catch (error) {
+            this.journal = null;
+            this.journalEvents = null;
+            for (const [index, journal] of journals) {
+                this._withDatabase(index, () => this._rollbackJournal(journal));
+            }
+            // The evicted keys are restored too
+            this.pendingEvictions.length = evictionCount;
+            throw error;
+        }
+        this.journal = null;
+        this.journalEvents = null;
+
+        // Write everything the transaction touched to IndexedDB at once
+        if (this.isIndexedDBAvailable && this.db) {
+            for (const [index, journal] of journals) {
+                this._withDatabase(index, () => this._persistKeysToIndexedDB(journal.keys()));
+            }
+        }
+
+        this._runInternally(() => {
+            for (const [event, key] of events) {
+                this._notifyKeyspaceEvent(event, key);
+            }
+        });
+        if (this.pendingEvictions.length > 0) {
+            this._flushEvictions();
+        }
+
+        return results;
+    }
+
+    /**
+     * Set the string value of a key with optional NX/XX/GET/EX/PX/EXAT/PXAT/KEEPTTL, GET, and expiration options.
+     * @param {*} key - The key to set.
+     * @param {*} value - The value to set.
+     * @param {Object} [options] - An object with optional arguments.
+     *                              NX (boolean): Set the key only if it does not exist.
+     *                              XX (boolean): Set the key only if it already exists.
+     *                              GET (boolean): Return the old value of the key before setting the new value.
+     *                              EX (number|undefined): Set the key with an expiration time (in seconds).
+     *                              PX (number|undefined): Set the key with an expiration time (in milliseconds).
+     *                              EXAT (number|undefined): Set the key with an exact UNIX timestamp (in seconds) for expiration.
+     *                              PXAT (number|undefined): Set the key with an exact UNIX timestamp (in milliseconds) for expiration.
+     *                              KEEPTTL (boolean): Retain the key's existing TTL when setting a new value.
+     * @returns {boolean|undefined} - true if the operation was successful, or the existing value if the GET option is specified and the key already exists.
+     */
+    set(key, value, options = {}) {
+        const {
+            NX = false,
+            XX = false,
+            GET = false,
+            EX = undefined,
+            PX = undefined,
+            EXAT = undefined,
+            PXAT = undefined,
+            KEEPTTL = false,
+        } = options;
+
+        const nx = NX;
+        const xx = XX;
+        const get = GET;
+        let ex = EX ? parseInt(EX, 10) : undefined;
+        let px = PX ? parseInt(PX, 10) : undefined;
+        let exat = EXAT ? parseInt(EXAT, 10) : undefined;
+        let pxat = PXAT ? parseInt(PXAT, 10) : undefined;
+        const keepttl = KEEPTTL;
+
+        // Check if the key already exists
+        const exists = this._keyExists(key);
+        if (xx && !exists) {
+            return undefined;
+        }
+        if (nx && exists) {
+            return undefined;
+        }
+
+        // Get the existing value if the GET option is specified
+        let oldValue;
+        if (get && exists) {
+            oldValue = this._lookupKeyOfType(key, 'string');
+        }
+
+        // Set the new value
+        this.storeSet(key, value);
+        this._notifyKeyspaceEvent('set', key);
+
+        // Handle expiration options
+        if (ex !== undefined || px !== undefined || exat !== undefined || pxat !== undefined || keepttl) {
+            let expireTime = undefined;
+            if (ex !== undefined) {
+                expireTime = Date.now() + ex * 1000;
+            } else if (px !== undefined) {
+                expireTime = Date.now() + px;
+            } else if (exat !== undefined) {
+                expireTime = exat * 1000;
+            } else if (pxat !== undefined) {
+                expireTime = pxat;
+            } else if (keepttl && exists) {
+                expireTime = this.expireTimes.get(key);
+            }
+            if (expireTime !== undefined) {
+                this.expireTimes.set(key, expireTime);
+                this._initCleanupLoop();
+                // Persist expiration to IndexedDB if available
+                if (this.isIndexedDBAvailable && this.db) {
+                    this._persistExpirationToIndexedDB(key, expireTime);
+                }
+                if (!keepttl) {
+                    this._notifyKeyspaceEvent('expire', key);
+                }
+            }
+        } else {
+            this.expireTimes.delete(key);
+            // Remove expiration from IndexedDB if available
+            if (this.isIndexedDBAvailable && this.db) {
+                this._persistExpirationToIndexedDB(key, undefined);
+            }
+        }
+
+        return get ? oldValue : true;
+    }
+    
+    /**
+     * Get the value of a key.
+     * @param {*} key - The key to get.
+     * @returns {*} - The value of the key, or `undefined` if the key does not exist or has expired.
+     */
+    get(key) {
+        return this._lookupKeyOfType(key, 'string');
+    }
+
+    /**
+     * Delete specified key(s). If a key does not exist, it is ignored.
+     * @param {*} key - The key to delete.
+     * @returns {number} - 1 if the key was deleted, 0 if the key did not exist or has expired.
+     */
+    del(...keys) {
+        let numDeleted = 0;
 
+        for (const key of keys) {
             // Delete the key from the Map and delete any existing expiration time.
-            if (this.store.delete(key)) {
+            if (this._keyExists(key)) {
+                this._beforeWrite(key);
+                this.store.delete(key);
                 this.expireTimes.delete(key);
+                this.keyAccess.delete(key);
                 // Remove from IndexedDB if available
                 if (this.isIndexedDBAvailable && this.db) {
                     this._removeFromIndexedDB(key);
                 }
+                this._notifyKeyspaceEvent('del', key);
                 numDeleted++;
             }
         }
@@ -438,14 +1427,8 @@ class kvjs {
         let numExists = 0;
 
         for (const key of keys) {
-            // Check if the key has expired and remove it if it has.
-            const isExpired = this._checkAndRemoveExpiredKey(key);
-            if (isExpired) {
-                continue;
-            }
-
             // Increment the number of existing keys if the key exists in the Map.
-            if (this.store.has(key)) {
+            if (this._keyExists(key)) {
                 numExists++;
             }
         }
@@ -471,7 +1454,7 @@ class kvjs {
      * @throws {Error} - If the value of the key is not an integer.
      */
     incrby(key, increment) {
-        let value = this.store.get(key);
+        let value = this._lookupKeyOfType(key, 'string');
         if (value === undefined) {
             value = 0;
         } else if (!Number.isInteger(Number(value))) {
@@ -480,6 +1463,7 @@ class kvjs {
 
         const newValue = Number(value) + increment;
         this.storeSet(key, newValue.toString());
+        this._notifyKeyspaceEvent('incrby', key);
         return newValue;
     }
 
@@ -505,7 +1489,7 @@ class kvjs {
      * @throws {Error} - If the value is not an integer.
      */
     decrby(key, decrement) {
-        let value = this.store.get(key);
+        let value = this._lookupKeyOfType(key, 'string');
         if (value === undefined) {
             value = 0;
         } else if (!Number.isInteger(Number(value))) {
@@ -514,6 +1498,7 @@ class kvjs {
 
         const newValue = Number(value) - decrement;
         this.storeSet(key, newValue.toString());
+        this._notifyKeyspaceEvent('decrby', key);
         return newValue;
     }
 
@@ -529,7 +1514,7 @@ class kvjs {
      * @returns {number} - 1 if the key's expiry time was set, 0 otherwise.
      */
     expire(key, seconds, options = {}) {
-        if (!this.store.has(key)) {
+        if (!this._keyExists(key)) {
             return 0;
         }
 
@@ -548,7 +1533,10 @@ class kvjs {
             return 0;
         }
 
+        this._beforeWrite(key);
         this.expireTimes.set(key, now + seconds * 1000);
+        this._initCleanupLoop();
+        this._notifyKeyspaceEvent('expire', key);
         return 1;
     }
 
@@ -559,13 +1547,12 @@ class kvjs {
      */
     keys(pattern) {
         const keys = [];
+        // The keys the user running the command may not access are not returned, see acl()
+        const user = this.aclUsers.get(this.currentUser);
     
-        for (const [key, value] of this.store.entries()) {
-            if (simpleMatch(key, pattern)) {
-                const expireTime = this.expireTimes.get(key);
-                if (expireTime === undefined || expireTime > Date.now()) {
-                    keys.push(key);
-                }
+        for (const key of Array.from(this.store.keys())) {
+            if (simpleMatch(key, pattern) && this._keyExists(key) && this._isKeyAllowed(user, key)) {
+                keys.push(key);
             }
         }
     
@@ -578,7 +1565,10 @@ class kvjs {
      * @returns {Array} - An array of values.
      */
     mget(...keys) {
-        return keys.map(key => this.get(key));
+        return keys.map(key => {
+            const value = this._lookupKey(key);
+            return this._typeOf(value) === 'string' ? value : undefined;
+        });
     }
 
     /**
@@ -606,11 +1596,13 @@ class kvjs {
      * @returns {number} - 1 if the key was successfully renamed, 0 otherwise.
      */
     renamenx(oldKey, newKey) {
-        if (!this.store.has(oldKey) || this.store.has(newKey)) {
+        if (!this._keyExists(oldKey) || this._keyExists(newKey)) {
             return 0;
         }
-        const value = this.store.get(oldKey);
+        const value = this._lookupKey(oldKey);
+        this._beforeWrite(oldKey);
         this.store.delete(oldKey);
+        this.keyAccess.delete(oldKey);
         this.storeSet(newKey, value);
 
         // Update expiration times if necessary
@@ -618,8 +1610,11 @@ class kvjs {
             const expireTime = this.expireTimes.get(oldKey);
             this.expireTimes.delete(oldKey);
             this.expireTimes.set(newKey, expireTime);
+            this._initCleanupLoop();
         }
 
+        this._notifyKeyspaceEvent('rename_from', oldKey);
+        this._notifyKeyspaceEvent('rename_to', newKey);
         return 1;
     }
 
@@ -629,7 +1624,8 @@ class kvjs {
      * @returns {(string|undefined)} - A random key from the cache or undefined if the cache is empty.
      */
     randomkey() {
-        const keys = Array.from(this.store.keys());
+        const user = this.aclUsers.get(this.currentUser);
+        const keys = Array.from(this.store.keys()).filter(key => this._keyExists(key) && this._isKeyAllowed(user, key));
         if (keys.length === 0)
             return undefined;
 
@@ -655,7 +1651,7 @@ class kvjs {
         }
     
         // If the key does not exist, return 0
-        if (!this.store.has(key)) {
+        if (!this._keyExists(key)) {
             return 0;
         }
     
@@ -665,8 +1661,12 @@ class kvjs {
         const ttlMillis = (timestampSeconds * 1000) - now;
     
         if (ttlMillis <= 0) {
-            this.store.delete(key);
+            this._beforeWrite(key);
+            if (this.store.delete(key)) {
+                this._notifyKeyspaceEvent('del', key);
+            }
             this.expireTimes.delete(key);
+            this.keyAccess.delete(key);
             return 0;
         }
     
@@ -704,7 +1704,7 @@ class kvjs {
     pexpire(key, ttlMillis, options = {}) {
         const { NX = false, XX = false, GT = false, LT = false } = options;
 
-        if (NX && this.store.has(key) || XX && !this.store.has(key)) {
+        if (NX && this._keyExists(key) || XX && !this._keyExists(key)) {
             return 0;
         }
 
@@ -715,7 +1715,10 @@ class kvjs {
             }
         }
 
+        this._beforeWrite(key);
         this.expireTimes.set(key, Date.now() + ttlMillis);
+        this._initCleanupLoop();
+        this._notifyKeyspaceEvent('expire', key);
         return 1;
     }
 
@@ -729,8 +1732,12 @@ class kvjs {
     pexpireat(key, timestampMillis) {
         const ttlMillis = timestampMillis - Date.now();
         if (ttlMillis <= 0) {
-            this.store.delete(key);
+            this._beforeWrite(key);
+            if (this.store.delete(key)) {
+                this._notifyKeyspaceEvent('del', key);
+            }
             this.expireTimes.delete(key);
+            this.keyAccess.delete(key);
             return 0;
         }
         return this.pexpire(key, ttlMillis);
@@ -744,7 +1751,7 @@ class kvjs {
      * @returns {number} - The remaining time to live in milliseconds. If the key does not exist or has no expiration, returns -2 or -1 respectively.
      */
     pttl(key) {
-        if (!this.store.has(key)) {
+        if (!this._keyExists(key)) {
             return -2;
         }
         if (!this.expireTimes.has(key)) {
@@ -766,7 +1773,7 @@ class kvjs {
      * the key has already expired.
      */
     ttl(key) {
-        if (!this.store.has(key)) {
+        if (!this._keyExists(key)) {
             return -2;
         }
         if (!this.expireTimes.has(key)) {
@@ -782,14 +1789,16 @@ class kvjs {
      * @returns {number} - 1 if the expiration was removed, 0 otherwise.
      */
     persist(key) {
-        if (!this.store.has(key) || !this.expireTimes.has(key)) {
+        if (!this._keyExists(key) || !this.expireTimes.has(key)) {
             return 0;
         }
+        this._beforeWrite(key);
         this.expireTimes.delete(key);
         // Remove expiration from IndexedDB if available
         if (this.isIndexedDBAvailable && this.db) {
             this._persistExpirationToIndexedDB(key, undefined);
         }
+        this._notifyKeyspaceEvent('persist', key);
         return 1;
     }
 
@@ -830,7 +1839,7 @@ class kvjs {
      * @returns {boolean|undefined} - true if the key was set successfully.
      */
     setex(key, value, ttl) {
-        if (!this.store.has(key))
+        if (!this._keyExists(key))
             return undefined;
 
         this.set(key, value);
@@ -866,7 +1875,8 @@ class kvjs {
         const left = currentValue.slice(0, offset);
         const right = currentValue.slice(offset + value.length);
         const newValue = left + value + right;
-        this.set(key, newValue);
+        this.storeSet(key, newValue);
+        this._notifyKeyspaceEvent('setrange', key);
         return newValue.length;
     }
 
@@ -893,7 +1903,7 @@ class kvjs {
         }
 
         for (let i = 0; i < keyValuePairs.length; i += 2) {
-            if (this.store.has(keyValuePairs[i])) {
+            if (this._keyExists(keyValuePairs[i])) {
                 return 0;
             }
         }
@@ -913,7 +1923,7 @@ class kvjs {
      * @throws {Error} - If the value is not a valid float.
      */
     incrbyfloat(key, increment) {
-        let value = this.store.get(key);
+        let value = this._lookupKeyOfType(key, 'string');
         if (value === undefined) {
             value = 0;
         } else if (isNaN(parseFloat(value))) {
@@ -922,6 +1932,7 @@ class kvjs {
 
         const newValue = parseFloat(value) + increment;
         this.storeSet(key, newValue.toString());
+        this._notifyKeyspaceEvent('incrbyfloat', key);
         return newValue;
     }
 
@@ -935,7 +1946,8 @@ class kvjs {
     append(key, value) {
         const currentValue = this.get(key);
         const newValue = currentValue === undefined ? value : currentValue + value;
-        this.set(key, newValue);
+        this.storeSet(key, newValue);
+        this._notifyKeyspaceEvent('append', key);
         return newValue.length;
     }
 
@@ -989,7 +2001,8 @@ class kvjs {
         const left = value.slice(0, byteIndex);
         const right = value.slice(byteIndex + 1);
         const updatedValue = left + newStrValue + right;
-        this.set(key, updatedValue);
+        this.storeSet(key, updatedValue);
+        this._notifyKeyspaceEvent('setbit', key);
 
         return oldValue;
     }
@@ -1001,11 +2014,19 @@ class kvjs {
      * @returns {number} - 1 if the key was copied, 0 if the key was not copied.
      */
     copy(source, destination) {
-        const value = this.get(source);
+        const value = this._lookupKey(source);
         if (value === undefined) {
             return 0;
         }
-        this.set(destination, value);
+        this.storeSet(destination, this._cloneValue(value));
+        // The copy replaces the destination with its expire time
+        if (this.expireTimes.has(destination)) {
+            this.expireTimes.delete(destination);
+            if (this.isIndexedDBAvailable && this.db) {
+                this._persistExpirationToIndexedDB(destination, undefined);
+            }
+        }
+        this._notifyKeyspaceEvent('copy_to', destination);
         return 1;
     }
 
@@ -1016,34 +2037,38 @@ class kvjs {
      * @returns {boolean} - true if the key was renamed, an error if the key was not renamed.
      */
     rename(key, newKey) {
-        if (!this.store.has(key)) {
+        if (!this._keyExists(key)) {
             throw new Error('ERR no such key');
         }
         if (key === newKey) {
             return true;
         }
-        const value = this.store.get(key);
+        const value = this._lookupKey(key);
         const expireTime = this.expireTimes.get(key);
         this.storeSet(newKey, value);
+        this._beforeWrite(key);
         this.store.delete(key);
+        this.keyAccess.delete(key);
         if (expireTime !== undefined) {
             this.expireTimes.set(newKey, expireTime);
             this.expireTimes.delete(key);
+            this._initCleanupLoop();
         }
+        this._notifyKeyspaceEvent('rename_from', key);
+        this._notifyKeyspaceEvent('rename_to', newKey);
         return true;
     }
 
     /**
      * Returns the type of the value stored at a key.
      * @param {*} key - The key to get the type of.
-     * @returns {string} - The type of the value stored at the key.
+     * @returns {string} - The type of the value stored at the key (string, list, set, zset, hash or stream), or none if the key does not exist.
      */
     type(key) {
-        if (!this.store.has(key)) {
+        if (!this._keyExists(key)) {
             return 'none';
         }
-        const value = this.store.get(key);
-        return typeof value;
+        return this._typeOf(this._lookupKey(key));
     }
 
     /**
@@ -1053,20 +2078,22 @@ class kvjs {
      * @returns {number} - The number of members that were added to the set, not including all the members that were already present in the set.
      */
     sadd(key, ...members) {
-        if (!this.store.has(key)) {
-            this.storeSet(key, new Set());
-        }
-        const set = this.store.get(key);
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
+        this._performEvictions(key);
+        if (!this._keyExists(key)) {
+            this.storeSet(key, createSet());
         }
+        const set = this._lookupKeyOfType(key, 'set');
         let addedCount = 0;
         for (const member of members) {
             if (!set.has(member)) {
+                this._beforeWrite(key);
                 set.add(member);
                 addedCount++;
             }
         }
+        if (addedCount > 0) {
+            this._notifyKeyspaceEvent('sadd', key);
+        }
         return addedCount;
     }
 
@@ -1076,13 +2103,10 @@ class kvjs {
      * @returns {number} - The number of members in the set.
      */
     scard(key) {
-        const value = this.store.get(key);
+        const value = this._lookupKeyOfType(key, 'set');
         if (value === undefined) {
             return 0;
         }
-        if (!(value instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
         return value.size;
     }
 
@@ -1093,17 +2117,11 @@ class kvjs {
      * @returns {Array} - An array of members.
      */
     sdiff(key1, ...otherKeys) {
-        const set1 = this.store.get(key1) || new Set();
-        if (!(set1 instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
-        const resultSet = new Set(set1);
+        const set1 = this._lookupKeyOfType(key1, 'set') || createSet();
+        const resultSet = createSet(set1);
 
         for (const key of otherKeys) {
-            const otherSet = this.store.get(key) || new Set();
-            if (!(otherSet instanceof Set)) {
-                throw new Error('ERR Operation against a key holding the wrong kind of value');
-            }
+            const otherSet = this._lookupKeyOfType(key, 'set') || createSet();
             for (const member of otherSet) {
                 resultSet.delete(member);
             }
@@ -1121,8 +2139,9 @@ class kvjs {
      */
     sdiffstore(destination, key1, ...otherKeys) {
         const diff = this.sdiff(key1, ...otherKeys);
-        const resultSet = new Set(diff);
+        const resultSet = createSet(diff);
         this.storeSet(destination, resultSet);
+        this._notifyKeyspaceEvent('sdiffstore', destination);
         return resultSet.size;
     }
 
@@ -1137,17 +2156,14 @@ class kvjs {
         }
 
         const sets = keys.map(key => {
-            const set = this.store.get(key);
+            const set = this._lookupKeyOfType(key, 'set');
             if (set === undefined) {
-                return new Set();
-            }
-            if (!(set instanceof Set)) {
-                throw new Error('ERR Operation against a key holding the wrong kind of value');
+                return createSet();
             }
             return set;
         });
 
-        const resultSet = new Set(sets[0]);
+        const resultSet = createSet(sets[0]);
         for (let i = 1; i < sets.length; i++) {
             for (const member of resultSet) {
                 if (!sets[i].has(member)) {
@@ -1176,8 +2192,9 @@ class kvjs {
      */
     sinterstore(destination, ...keys) {
         const intersection = this.sinter(...keys);
-        const resultSet = new Set(intersection);
+        const resultSet = createSet(intersection);
         this.storeSet(destination, resultSet);
+        this._notifyKeyspaceEvent('sinterstore', destination);
         return resultSet.size;
     }
 
@@ -1188,13 +2205,10 @@ class kvjs {
      * @returns {number} - 1 if the member is a member of the set stored at key. 0 if the member is not a member of the set, or if key does not exist.
      */
     sismember(key, member) {
-        const set = this.store.get(key);
+        const set = this._lookupKeyOfType(key, 'set');
         if (set === undefined) {
             return false;
         }
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
         return set.has(member) ? true : false;
     }
 
@@ -1204,13 +2218,10 @@ class kvjs {
      * @returns {Array} - An array of members.
      */
     smembers(key) {
-        const set = this.store.get(key);
+        const set = this._lookupKeyOfType(key, 'set');
         if (set === undefined) {
             return [];
         }
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
         return Array.from(set);
     }
 
@@ -1221,10 +2232,7 @@ class kvjs {
      * @returns {Array} - An array of 1s and 0s.
      */
     smismember(key, ...members) {
-        const set = this.store.get(key) || new Set();
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
+        const set = this._lookupKeyOfType(key, 'set') || createSet();
         return members.map(member => (set.has(member) ? 1 : 0));
     }
 
@@ -1236,22 +2244,21 @@ class kvjs {
      * @returns {number} - 1 if the member was moved. 0 if the member was not moved.
      */
     smove(source, destination, member) {
-        const srcSet = this.store.get(source);
+        const srcSet = this._lookupKeyOfType(source, 'set');
         if (srcSet === undefined || !srcSet.has(member)) {
             return 0;
         }
-        if (!(srcSet instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
 
-        const destSet = this.store.get(destination) || new Set();
-        if (!(destSet instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
+        const destSet = this._lookupKeyOfType(destination, 'set') || createSet();
 
+        this._performEvictions(destination);
+        this._beforeWrite(source);
+        this._beforeWrite(destination);
         srcSet.delete(member);
         destSet.add(member);
         this.storeSet(destination, destSet);
+        this._notifyKeyspaceEvent('srem', source);
+        this._notifyKeyspaceEvent('sadd', destination);
 
         return 1;
     }
@@ -1263,14 +2270,12 @@ class kvjs {
      * @returns {Array} An array of random members or an empty array if the set is empty or does not exist.
      */
     spop(key, count = 1) {
-        const set = this.store.get(key);
+        const set = this._lookupKeyOfType(key, 'set');
         if (set === undefined) {
             return [];
         }
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
 
+        this._beforeWrite(key);
         const poppedMembers = [];
         for (const member of set) {
             if (poppedMembers.length >= count) {
@@ -1279,6 +2284,9 @@ class kvjs {
             poppedMembers.push(member);
             set.delete(member);
         }
+        if (poppedMembers.length > 0) {
+            this._notifyKeyspaceEvent('spop', key);
+        }
 
         return poppedMembers;
     }
@@ -1290,13 +2298,10 @@ class kvjs {
      * @returns {Array} An array of random members or an empty array if the set is empty or does not exist.
      */
     srandmember(key, count = 1) {
-        const set = this.store.get(key);
+        const set = this._lookupKeyOfType(key, 'set');
         if (set === undefined) {
             return [];
         }
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
 
         const members = Array.from(set);
         const result = [];
@@ -1315,20 +2320,21 @@ class kvjs {
      * @returns {number} The number of members removed from the set.
      */
     srem(key, ...members) {
-        const set = this.store.get(key);
+        const set = this._lookupKeyOfType(key, 'set');
         if (set === undefined) {
             return 0;
         }
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
 
+        this._beforeWrite(key);
         let removedCount = 0;
         for (const member of members) {
             if (set.delete(member)) {
                 removedCount++;
             }
         }
+        if (removedCount > 0) {
+            this._notifyKeyspaceEvent('srem', key);
+        }
         return removedCount;
     }
 
@@ -1343,13 +2349,10 @@ class kvjs {
      */
     sscan(key, cursor, options = {}) {
         const { match = '*', count = 10 } = options;
-        const set = this.store.get(key);
+        const set = this._lookupKeyOfType(key, 'set');
         if (set === undefined) {
             return [0, []];
         }
-        if (!(set instanceof Set)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
 
         const regex = new RegExp(match.replace('*', '.*'));
         const members = Array.from(set);
@@ -1370,12 +2373,9 @@ class kvjs {
      * @returns {Array} An array containing the members of the union or an empty array if no sets exist.
      */
     sunion(...keys) {
-        const resultSet = new Set();
+        const resultSet = createSet();
         for (const key of keys) {
-            const set = this.store.get(key) || new Set();
-            if (!(set instanceof Set)) {
-                throw new Error('ERR Operation against a key holding the wrong kind of value');
-            }
+            const set = this._lookupKeyOfType(key, 'set') || createSet();
             for (const member of set) {
                 resultSet.add(member);
             }
@@ -1390,17 +2390,15 @@ class kvjs {
      * @returns {number} The number of members in the resulting set.
      */
     sunionstore(destination, ...keys) {
-        const resultSet = new Set();
+        const resultSet = createSet();
         for (const key of keys) {
-            const set = this.store.get(key) || new Set();
-            if (!(set instanceof Set)) {
-                throw new Error('ERR Operation against a key holding the wrong kind of value');
-            }
+            const set = this._lookupKeyOfType(key, 'set') || createSet();
             for (const member of set) {
                 resultSet.add(member);
             }
         }
         this.storeSet(destination, resultSet);
+        this._notifyKeyspaceEvent('sunionstore', destination);
         return resultSet.size;
     }
 
@@ -1412,18 +2410,18 @@ class kvjs {
      * @returns {string} "OK" if the value is successfully set or an error if the index is out of range.
      */
     lset(key, index, value) {
-        const list = this.store.get(key);
+        const list = this._lookupKeyOfType(key, 'list');
         if (list === undefined) {
             throw new Error('ERR no such key');
         }
-        if (!Array.isArray(list)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
         if (index < 0 || index >= list.length) {
             throw new Error('ERR index out of range');
         }
 
-        list[index] = value;
+        this._performEvictions(key);
+        this._beforeWrite(key);
+        list.set(index, value);
+        this._notifyKeyspaceEvent('lset', key);
         return true;
     }
 
@@ -1435,20 +2433,18 @@ class kvjs {
      * @returns {string} "OK" if the list is successfully trimmed or an error if the key holds a wrong kind of value.
      */
     ltrim(key, start, stop) {
-        const list = this.store.get(key);
+        const list = this._lookupKeyOfType(key, 'list');
         if (list === undefined) {
             return true;
         }
-        if (!Array.isArray(list)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
 
         const length = list.length;
         const newStart = start >= 0 ? start : Math.max(length + start, 0);
         const newStop = stop >= 0 ? stop : Math.max(length + stop, -1);
-        const newList = list.slice(newStart, newStop + 1);
+        const newList = new Deque(list.slice(newStart, newStop + 1));
 
         this.storeSet(key, newList);
+        this._notifyKeyspaceEvent('ltrim', key);
         return true;
     }
 
@@ -1458,11 +2454,17 @@ class kvjs {
      * @returns {*} The last element of the list or null if the key does not exist.
      */
     rpop(key) {
-        const list = this.store.get(key);
-        if (list === undefined || !Array.isArray(list)) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined) {
             return null;
         }
-        return list.pop();
+        if (list.length === 0) {
+            return undefined;
+        }
+        this._beforeWrite(key);
+        const element = list.pop();
+        this._notifyKeyspaceEvent('rpop', key);
+        return element;
     }
 
     /**
@@ -1487,14 +2489,16 @@ class kvjs {
      * @returns {number} The length of the list after the push operation.
      */
     rpush(key, ...values) {
-        let list = this.store.get(key);
+        let list = this._lookupKeyOfType(key, 'list');
         if (list === undefined) {
-            list = [];
+            list = new Deque();
             this.storeSet(key, list);
-        } else if (!Array.isArray(list)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
         }
+        this._performEvictions(key);
+        this._beforeWrite(key);
         list.push(...values);
+        this._notifyKeyspaceEvent('rpush', key);
+        this._signalKeyReady(key);
         return list.length;
     }
 
@@ -1505,11 +2509,15 @@ class kvjs {
      * @returns {number} The length of the list after the push operation.
      */
     rpushx(key, value) {
-        const list = this.store.get(key);
-        if (list === undefined || !Array.isArray(list)) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined) {
             return 0;
         }
+        this._performEvictions(key);
+        this._beforeWrite(key);
         list.push(value);
+        this._notifyKeyspaceEvent('rpush', key);
+        this._signalKeyReady(key);
         return list.length;
     }
 
@@ -1520,14 +2528,16 @@ class kvjs {
      * @returns {number} The length of the list after the push operation.
      */
     lpush(key, ...values) {
-        let list = this.store.get(key);
+        let list = this._lookupKeyOfType(key, 'list');
         if (list === undefined) {
-            list = [];
+            list = new Deque();
             this.storeSet(key, list);
-        } else if (!Array.isArray(list)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
         }
+        this._performEvictions(key);
+        this._beforeWrite(key);
         list.unshift(...values);
+        this._notifyKeyspaceEvent('lpush', key);
+        this._signalKeyReady(key);
         return list.length;
     }
 
@@ -1538,11 +2548,15 @@ class kvjs {
      * @returns {number} The length of the list after the push operation.
      */
     lpushx(key, ...values) {
-        const list = this.store.get(key);
-        if (list === undefined || !Array.isArray(list)) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined) {
             return 0;
         }
+        this._performEvictions(key);
+        this._beforeWrite(key);
         list.unshift(...values);
+        this._notifyKeyspaceEvent('lpush', key);
+        this._signalKeyReady(key);
         return list.length;
     }
 
@@ -1557,8 +2571,8 @@ class kvjs {
      *                    or if the stored value is not an array.
      */
     lrange(key, start, stop) {
-        const list = this.store.get(key);
-        if (list === undefined || !Array.isArray(list)) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined) {
             return [];
         }
         const length = list.length;
@@ -1576,32 +2590,38 @@ class kvjs {
      * @returns {number} - The number of removed elements.
      */
     lrem(key, count, value) {
-        const list = this.store.get(key);
-        if (list === undefined || !Array.isArray(list)) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined) {
             return 0;
         }
 
         let removed = 0;
         if (count > 0) {
             for (let i = 0; i < list.length && removed < count; i++) {
-                if (list[i] === value) {
-                    list.splice(i, 1);
+                if (list.at(i) === value) {
+                    this._beforeWrite(key);
+                    list.removeAt(i);
                     removed++;
                     i--;
                 }
             }
         } else if (count < 0) {
             for (let i = list.length - 1; i >= 0 && removed < -count; i--) {
-                if (list[i] === value) {
-                    list.splice(i, 1);
+                if (list.at(i) === value) {
+                    this._beforeWrite(key);
+                    list.removeAt(i);
                     removed++;
                 }
             }
         } else {
-            removed = list.filter(item => item === value).length;
-            this.storeSet(key, list.filter(item => item !== value));
+            const elements = list.toArray();
+            removed = elements.filter(item => item === value).length;
+            this.storeSet(key, new Deque(elements.filter(item => item !== value)));
         }
 
+        if (removed > 0) {
+            this._notifyKeyspaceEvent('lrem', key);
+        }
         return removed;
     }
 
@@ -1656,11 +2676,17 @@ class kvjs {
      * @returns {*} - The popped element or null if the list is empty.
      */
     lpop(key) {
-        const list = this.store.get(key);
-        if (list === undefined || !Array.isArray(list)) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined) {
             return null;
         }
-        return list.shift();
+        if (list.length === 0) {
+            return undefined;
+        }
+        this._beforeWrite(key);
+        const element = list.shift();
+        this._notifyKeyspaceEvent('lpop', key);
+        return element;
     }
 
     /**
@@ -1676,9 +2702,9 @@ class kvjs {
     */
     lpos(key, element, options = {}) {
         const { rank = 0, start = 0, stop = -1 } = options;
-        const list = this.store.get(key);
+        const list = this._lookupKeyOfType(key, 'list');
 
-        if (list === undefined || !Array.isArray(list)) {
+        if (list === undefined) {
             return undefined;
         }
 
@@ -1688,7 +2714,7 @@ class kvjs {
         const newStop = stop >= 0 ? stop : Math.max(length + stop, -1);
 
         for (let i = newStart; i <= newStop; i++) {
-            if (list[i] === element) {
+            if (list.at(i) === element) {
                 if (currentRank === rank) {
                     return i;
                 }
@@ -1700,20 +2726,18 @@ class kvjs {
     }
 
     /**
-     * Pop an element from the right end of a list stored at the source key and push it to the left end of a list stored at the destination key.
+     * Pop an element from the right end of a list stored at the source key and push it to the left end of a list stored at the destination key,
+     * waiting until an element is available or the timeout expires.
      *
      * @param {string} source - The key where the source list is stored.
      * @param {string} destination - The key where the destination list is stored.
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
-     * @returns {*} - The element moved or null if the source list is empty.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @returns {Promise<*>} - Resolves to the element moved, or null if the timeout expires.
      */
     brpoplpush(source, destination, timeout) {
-        const element = this.brpop(source, timeout);
-        if (element === undefined) {
-            return null;
-        }
-        this.lpush(destination, element);
-        return element;
+        return this.blmove(source, destination, 'RIGHT', 'LEFT', timeout);
     }
 
     /**
@@ -1724,14 +2748,12 @@ class kvjs {
      * @returns {*} - The element at the specified index or null if the index is out of range.
      */
     lindex(key, index) {
-        const list = this.store.get(key);
-        if (list === undefined || !Array.isArray(list)) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined) {
             return null;
         }
-        if (index < 0) {
-            index = list.length + index;
-        }
-        return list[index] !== undefined ? list[index] : null;
+        const element = list.at(index);
+        return element !== undefined ? element : null;
     }
 
     /**
@@ -1744,26 +2766,27 @@ class kvjs {
      * @returns {number} - The length of the list after the insert operation.
      */
     linsert(key, position, pivot, value) {
-        const list = this.store.get(key);
+        const list = this._lookupKeyOfType(key, 'list');
         if (list === undefined) {
             return 0;
         }
-        if (!Array.isArray(list)) {
-            throw new Error('ERR Operation against a key holding the wrong kind of value');
-        }
         const pivotIndex = list.indexOf(pivot);
         if (pivotIndex === -1) {
             return 0;
         }
 
+        this._performEvictions(key);
+        this._beforeWrite(key);
         if (position === 'BEFORE') {
-            list.splice(pivotIndex, 0, value);
+            list.insert(pivotIndex, value);
         } else if (position === 'AFTER') {
-            list.splice(pivotIndex + 1, 0, value);
+            list.insert(pivotIndex + 1, value);
         } else {
             throw new Error('ERR syntax error');
         }
 
+        this._notifyKeyspaceEvent('linsert', key);
+        this._signalKeyReady(key);
         return list.length;
     }
 
@@ -1774,95 +2797,87 @@ class kvjs {
      * @returns {number} - The length of the list.
      */
     llen(key) {
-        const list = this.store.get(key);
+        const list = this._lookupKeyOfType(key, 'list');
         return list === undefined ? 0 : list.length;
     }
 
     /**
-     * Pop an element from a list stored at the source key and push it to a list stored at the destination key, blocking until an element is available or the timeout expires.
+     * Pop an element from a list stored at the source key and push it to a list stored at the destination key, waiting until an element is available or the timeout expires.
      *
      * @param {string} source - The key where the source list is stored.
      * @param {string} destination - The key where the destination list is stored.
      * @param {string} srcDirection - The direction to pop from the source list ('LEFT' or 'RIGHT').
      * @param {string} destDirection - The direction to push to the destination list ('LEFT' or 'RIGHT').
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
-     * @returns {*} - The element moved or null if the source list is empty or the timeout expires.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @returns {Promise<*>} - Resolves to the element moved, or null if the timeout expires.
      */
     blmove(source, destination, srcDirection, destDirection, timeout) {
-        const popFn = srcDirection === 'LEFT' ? 'blpop' : 'brpop';
         const pushFn = destDirection === 'LEFT' ? 'lpush' : 'rpush';
 
-        const element = this[popFn]([source], timeout);
-        if (element === undefined) {
-            return null;
-        }
-        this[pushFn](destination, element[1]);
-        return element[1];
+        return this._blockOnKeys([source], () => {
+            const [element] = this._popFromList(source, srcDirection, 1) || [];
+            if (element === undefined) {
+                return undefined;
+            }
+            this[pushFn](destination, element);
+            return element;
+        }, timeout);
     }
 
     /**
-     * Pop multiple elements from a list stored at the given keys in a blocking manner, waiting until at least one element is available or the timeout expires.
+     * Pop elements from the first non-empty list stored at the given keys, waiting until an element is available or the timeout expires.
+     * Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {number} count - The number of elements to pop.
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
-     * @param {...string} keys - The keys where the lists are stored.
-     * @returns {Array} - An array of popped elements.
+     * @param {number} count - The maximum number of elements to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {Array|*} keys - The keys where the lists are stored, or a single key.
+     * @param {string} [direction='LEFT'] - The direction to pop from the lists ('LEFT' or 'RIGHT').
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped elements, or null if the timeout expires.
      */
-    blmpop(count, timeout, ...keys) {
-        const results = [];
-        const timeoutMs = timeout * 1000;
-
-        const popFn = keys.length === 1 ? 'brpop' : 'brpoplpush';
-        const popArgs = keys.concat(timeoutMs);
-
-        for (let i = 0; i < count; i++) {
-            const value = this[popFn](popArgs);
-            if (value === undefined) {
-                break;
-            }
-            results.push(value);
-        }
-
-        return results;
+    blmpop(count, timeout, keys, direction = 'LEFT') {
+        keys = Array.isArray(keys) ? keys : [keys];
+        return this._blockOnKeys(keys, (key) => {
+            const elements = this._popFromList(key, direction, count);
+            return elements && [key, elements];
+        }, timeout);
     }
 
     /**
-     * Pop an element from the left end of a list stored at the given keys in a blocking manner, waiting until an element is available or the timeout expires.
+     * Pop an element from the left end of the first non-empty list stored at the given keys, waiting until an element is available or the timeout expires.
+     * Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
      * @param {...string} keys - The keys where the lists are stored.
-     * @returns {Array|null} - An array containing the key and the popped element, or null if no element is available or the timeout expires.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped element, or null if the timeout expires.
      */
     blpop(timeout, ...keys) {
-        return this.blmpop(1, timeout, ...keys)[0];
+        return this._blockOnKeys(keys, (key) => {
+            const elements = this._popFromList(key, 'LEFT', 1);
+            return elements && [key, elements[0]];
+        }, timeout);
     }
 
     /**
-     * Pop an element from the right end of a list stored at the given keys in a blocking manner, waiting until an element is available or the timeout expires.
+     * Pop an element from the right end of the first non-empty list stored at the given keys, waiting until an element is available or the timeout expires.
+     * Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {number} timeout - The maximum number of seconds to block waiting for an element to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
      * @param {...string} keys - The keys where the lists are stored.
-     * @returns {Array|null} - An array containing the key and the popped element, or null if no element is available or the timeout expires.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped element, or null if the timeout expires.
      */
     brpop(timeout, ...keys) {
-        const timeoutMs = timeout * 1000;
-        const endTime = Date.now() + timeoutMs;
-
-        while (Date.now() < endTime) {
-            for (let i = 0; i < keys.length; i++) {
-                const key = keys[i];
-                const list = this.store.get(key);
-                if (list !== undefined && Array.isArray(list) && list.length > 0) {
-                    const element = list.pop();
-                    if (list.length === 0) {
-                        this.store.delete(key);
-                    }
-                    return [key, element];
-                }
-            }
-        }
-
-        return null;
+        return this._blockOnKeys(keys, (key) => {
+            const elements = this._popFromList(key, 'RIGHT', 1);
+            return elements && [key, elements[0]];
+        }, timeout);
     }
 
     /**
@@ -1872,7 +2887,7 @@ class kvjs {
      * @returns {number|undefined} - The expire time in seconds, or undefined if the key has no expire time.
      */
     expiretime(key) {
-        return this.expireTimes.get(key);
+        return this._keyExists(key) ? this.expireTimes.get(key) : undefined;
     }
 
     /**
@@ -1882,7 +2897,7 @@ class kvjs {
      * @returns {number|undefined} - The expire time in milliseconds, or undefined if the key has no expire time.
      */
     pexpiretime(key) {
-        const expireTime = this.expireTimes.get(key);
+        const expireTime = this._keyExists(key) ? this.expireTimes.get(key) : undefined;
         return expireTime ? expireTime * 1000 : null;
     }
 
@@ -1895,18 +2910,19 @@ class kvjs {
      * @returns {number} - The number of elements added to the sorted set (0 or 1).
      */
     zadd(key, score, member) {
-        const isExpired = this._checkAndRemoveExpiredKey(key);
-        if (isExpired) {
-            return 0;
-        }
-
-        if (!this.store.has(key)) {
-            this.storeSet(key, new XMap());
+        score = this._parseScore(score);
+        let sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (!sortedSet) {
+            sortedSet = new SortedSet();
+            this.storeSet(key, sortedSet);
         }
 
-        const sortedSet = this.store.get(key);
-        sortedSet.set(member, Number(score));
-        return 1;
+        this._performEvictions(key);
+        this._beforeWrite(key);
+        const added = sortedSet.set(member, score);
+        this._notifyKeyspaceEvent('zadd', key);
+        this._signalKeyReady(key);
+        return added ? 1 : 0;
     }
 
     /**
@@ -1916,47 +2932,26 @@ class kvjs {
      * @returns {number} - The number of members in the sorted set.
      */
     zcard(key) {
-        const isExpired = this._checkAndRemoveExpiredKey(key);
-        if (isExpired) {
-            return 0;
-        }
-
-        if (!this.store.has(key)) {
-            return 0;
-        }
-
-        const sortedSet = this.store.get(key);
-        return sortedSet.size;
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        return sortedSet ? sortedSet.size : 0;
     }
 
     /**
      * Count the number of members in a sorted set stored at the given key with a score between min and max (inclusive).
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {number} min - The minimum score.
-     * @param {number} max - The maximum score.
-     * @returns {number} - The number of members with a score between min and max.
+     * @param {number|string} min - The minimum score, '-inf', or prefixed with '(' to exclude it.
+     * @param {number|string} max - The maximum score, '+inf', or prefixed with '(' to exclude it.
+     * @returns {number} - The number of members with scores between min and max.
      */
     zcount(key, min, max) {
-        const isExpired = this._checkAndRemoveExpiredKey(key);
-        if (isExpired) {
-            return 0;
-        }
-
-        if (!this.store.has(key)) {
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (!sortedSet) {
             return 0;
         }
 
-        const sortedSet = this.store.get(key);
-        let count = 0;
-
-        for (const score of sortedSet.values()) {
-            if (score >= min && score <= max) {
-                count++;
-            }
-        }
-
-        return count;
+        const range = this._parseScoreRange(min, max);
+        return sortedSet.countByScore(range.min, range.max, range);
     }
 
     /**
@@ -1970,14 +2965,7 @@ class kvjs {
             return new Set();
         }
 
-        const sortedSets = keys.map(key => {
-            const isExpired = this._checkAndRemoveExpiredKey(key);
-            if (isExpired) {
-                return new XMap();
-            }
-            return this.store.get(key) || new XMap();
-        });
-
+        const sortedSets = keys.map(key => this._lookupKeyOfType(key, 'zset') || new SortedSet());
         const firstSet = new Set(sortedSets[0].keys());
         for (let i = 1; i < sortedSets.length; i++) {
             for (const member of sortedSets[i].keys()) {
@@ -1996,99 +2984,72 @@ class kvjs {
      * @returns {number} - The number of members in the resulting sorted set.
      */
     zdiffstore(destination, ...keys) {
-        const diff = this.ZDIFF(...keys);
-        const resultMap = new XMap();
+        const diff = this.zdiff(...keys);
+        const firstSet = this._lookupKeyOfType(keys[0], 'zset');
+        const result = new SortedSet();
 
         for (const member of diff) {
-            const scores = keys.map(key => {
-                const sortedSet = this.store.get(key);
-                return sortedSet ? sortedSet.get(member) : undefined;
-            }).filter(score => score !== undefined);
-
-            if (scores.length > 0) {
-                resultMap.set(member, Math.min(...scores));
-            }
+            result.set(member, firstSet.get(member));
         }
 
-        this.storeSet(destination, resultMap);
-        return resultMap.size;
+        this.storeSet(destination, result);
+        this._notifyKeyspaceEvent('zdiffstore', destination);
+        return result.size;
     }
 
     /**
-     * Blockingly pop members with the lowest scores from multiple sorted sets.
+     * Pop members with the lowest or highest scores from the first non-empty sorted set stored at the given keys,
+     * waiting until a member is available or the timeout expires. Clients waiting for the same keys are served in
+     * the order they started waiting.
      *
-     * @param {number} count - The number of members to pop.
-     * @param {...string} keys - The keys where the sorted sets are stored.
-     * @returns {Array} - An array containing the key and the popped members with their scores.
+     * @param {number} count - The maximum number of members to pop.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {Array|*} keys - The keys where the sorted sets are stored, or a single key.
+     * @param {string} [which='MIN'] - Whether to pop the members with the lowest ('MIN') or highest ('MAX') scores.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key and the popped members with their scores, or null if the timeout expires.
      */
-    bzmpop(count, ...keys) {
-        const result = [];
-
-        for (const key of keys) {
-            const sortedSet = this.store.get(key);
-            if (sortedSet && sortedSet.size > 0) {
-                const poppedMembers = Array.from(sortedSet.entries())
-                    .sort((a, b) => a[1] - b[1])
-                    .slice(0, count)
-                    .map(([member, score]) => {
-                        sortedSet.delete(member);
-                        return [member, score];
-                    });
-
-                result.push([key, ...poppedMembers]);
-                break;
-            }
-        }
-
-        return result;
+    bzmpop(count, timeout, keys, which = 'MIN') {
+        keys = Array.isArray(keys) ? keys : [keys];
+        return this._blockOnKeys(keys, (key) => {
+            const members = this._popFromSortedSet(key, which, count);
+            return members && [key, members];
+        }, timeout);
     }
 
     /**
-     * Pop the specified number of members with the highest scores from a sorted set.
+     * Pop the member with the highest score from the first non-empty sorted set stored at the given keys, waiting until
+     * a member is available or the timeout expires. Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
-     * @returns {Array} - An array containing the key and the popped members with their scores.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {...string} keys - The keys where the sorted sets are stored.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key, the popped member and its score, or null if the timeout expires.
      */
-    bzpopmax(key, count) {
-        const sortedSet = this.store.get(key);
-        if (!sortedSet || sortedSet.size === 0) {
-            return [];
-        }
-
-        const poppedMembers = Array.from(sortedSet.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, count)
-            .map(([member, score]) => {
-                sortedSet.delete(member);
-                return [member, score];
-            });
-
-        return [key, ...poppedMembers];
+    bzpopmax(timeout, ...keys) {
+        return this._blockOnKeys(keys, (key) => {
+            const members = this._popFromSortedSet(key, 'MAX', 1);
+            return members && [key, ...members[0]];
+        }, timeout);
     }
 
     /**
-     * Pop the specified number of members with the lowest scores from a sorted set.
+     * Pop the member with the lowest score from the first non-empty sorted set stored at the given keys, waiting until
+     * a member is available or the timeout expires. Clients waiting for the same keys are served in the order they started waiting.
      *
-     * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
-     * @returns {Array} - An array containing the key and the popped members with their scores.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @param {...string} keys - The keys where the sorted sets are stored.
+     * @returns {Promise<Array|null>} - Resolves to an array containing the key, the popped member and its score, or null if the timeout expires.
      */
-    bzpopmin(key, count) {
-        const sortedSet = this.store.get(key);
-        if (!sortedSet || sortedSet.size === 0) {
-            return [];
-        }
-
-        const poppedMembers = Array.from(sortedSet.entries())
-            .sort((a, b) => a[1] - b[1])
-            .slice(0, count)
-            .map(([member, score]) => {
-                sortedSet.delete(member);
-                return [member, score];
-            });
-
-        return [key, ...poppedMembers];
+    bzpopmin(timeout, ...keys) {
+        return this._blockOnKeys(keys, (key) => {
+            const members = this._popFromSortedSet(key, 'MIN', 1);
+            return members && [key, ...members[0]];
+        }, timeout);
     }
 
     /**
@@ -2100,14 +3061,23 @@ class kvjs {
      * @returns {number} - The new score of the member.
      */
     zincrby(key, increment, member) {
-        if (!this.store.has(key)) {
-            this.storeSet(key, new XMap());
+        increment = this._parseScore(increment);
+        let sortedSet = this._lookupKeyOfType(key, 'zset');
+        const newScore = ((sortedSet && sortedSet.get(member)) || 0) + increment;
+        if (Number.isNaN(newScore)) {
+            throw new Error('ERR resulting score is not a number (NaN)');
         }
 
-        const sortedSet = this.store.get(key);
-        const currentScore = sortedSet.get(member) || 0;
-        const newScore = currentScore + Number(increment);
+        if (!sortedSet) {
+            sortedSet = new SortedSet();
+            this.storeSet(key, sortedSet);
+        }
+
+        this._performEvictions(key);
+        this._beforeWrite(key);
         sortedSet.set(member, newScore);
+        this._notifyKeyspaceEvent('zincr', key);
+        this._signalKeyReady(key);
         return newScore;
     }
 
@@ -2122,22 +3092,15 @@ class kvjs {
             return new Set();
         }
 
-        const sortedSets = keys.map(key => this.store.get(key) || new XMap());
-        const firstSet = new Set(sortedSets[0].keys());
-        for (let i = 1; i < sortedSets.length; i++) {
-            const intersection = new Set();
-            for (const member of sortedSets[i].keys()) {
-                if (firstSet.has(member)) {
-                    intersection.add(member);
-                }
-            }
-            firstSet.clear();
-            for (const member of intersection) {
-                firstSet.add(member);
+        const sortedSets = keys.map(key => this._lookupKeyOfType(key, 'zset') || new SortedSet());
+        const intersection = new Set();
+        for (const member of sortedSets[0].keys()) {
+            if (sortedSets.every(sortedSet => sortedSet.has(member))) {
+                intersection.add(member);
             }
         }
 
-        return firstSet;
+        return intersection;
     }
 
     /**
@@ -2147,7 +3110,7 @@ class kvjs {
      * @returns {number} - The number of members in the intersection.
      */
     zintercard(...keys) {
-        const intersection = this.ZINTER(...keys);
+        const intersection = this.zinter(...keys);
         return intersection.size;
     }
 
@@ -2159,44 +3122,31 @@ class kvjs {
      * @returns {number} - The number of members in the resulting sorted set.
      */
     zinterstore(destination, ...keys) {
-        const intersection = this.ZINTER(...keys);
-        const resultMap = new XMap();
+        const intersection = this.zinter(...keys);
+        const sortedSets = keys.map(key => this._lookupKeyOfType(key, 'zset'));
+        const result = new SortedSet();
 
         for (const member of intersection) {
-            const scores = keys.map(key => {
-                const sortedSet = this.store.get(key);
-                return sortedSet ? sortedSet.get(member) : undefined;
-            }).filter(score => score !== undefined);
-
-            if (scores.length > 0) {
-                resultMap.set(member, Math.max(...scores));
-            }
+            result.set(member, Math.max(...sortedSets.map(sortedSet => sortedSet.get(member))));
         }
 
-        this.storeSet(destination, resultMap);
-        return resultMap.size;
+        this.storeSet(destination, result);
+        this._notifyKeyspaceEvent('zinterstore', destination);
+        return result.size;
     }
 
     /**
-     * Count the number of members in a sorted set stored at the given key with scores between the given min and max values.
+     * Count the number of members in a sorted set stored at the given key between the given min and max members (inclusive),
+     * when all the members have the same score.
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {*} min - The minimum score.
-     * @param {*} max - The maximum score.
-     * @returns {number} - The number of members with scores between min and max.
+     * @param {string} min - The minimum member.
+     * @param {string} max - The maximum member.
+     * @returns {number} - The number of members between min and max.
      */
     zlexcount(key, min, max) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.keys()).sort();
-        let count = 0;
-
-        for (const member of sortedMembers) {
-            if (member >= min && member <= max) {
-                count++;
-            }
-        }
-
-        return count;
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        return sortedSet ? sortedSet.countByLex(min, max) : 0;
     }
 
     /**
@@ -2207,25 +3157,14 @@ class kvjs {
      * @returns {Array} - An array containing the key and the popped members with their scores.
      */
     zmpop(count, ...keys) {
-        const result = [];
-
         for (const key of keys) {
-            const sortedSet = this.store.get(key);
+            const sortedSet = this._lookupKeyOfType(key, 'zset');
             if (sortedSet && sortedSet.size > 0) {
-                const poppedMembers = Array.from(sortedSet.entries())
-                    .sort((a, b) => a[1] - b[1])
-                    .slice(0, count)
-                    .map(([member, score]) => {
-                        sortedSet.delete(member);
-                        return [member, score];
-                    });
-
-                result.push([key, ...poppedMembers]);
-                break;
+                return [[key, ...this.zpopmin(key, count)]];
             }
         }
 
-        return result;
+        return [];
     }
 
     /**
@@ -2236,7 +3175,7 @@ class kvjs {
      * @returns {Array} - An array containing the scores of the specified members.
      */
     zmscore(key, ...members) {
-        const sortedSet = this.store.get(key) || new XMap();
+        const sortedSet = this._lookupKeyOfType(key, 'zset') || new SortedSet();
         return members.map(member => sortedSet.get(member));
     }
 
@@ -2244,22 +3183,18 @@ class kvjs {
      * Pop the specified number of members with the highest scores from a sorted set.
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
+     * @param {number} [count=1] - The number of members to pop.
      * @returns {Array} - An array containing the popped members with their scores.
      */
-    zpopmax(key, count) {
-        const sortedSet = this.store.get(key);
+    zpopmax(key, count = 1) {
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet || sortedSet.size === 0) {
             return [];
         }
 
-        const poppedMembers = Array.from(sortedSet.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, count)
-            .map(([member, score]) => {
-                sortedSet.delete(member);
-                return [member, score];
-            });
+        this._beforeWrite(key);
+        const poppedMembers = sortedSet.popMax(count);
+        this._notifyKeyspaceEvent('zpopmax', key);
 
         return poppedMembers;
     }
@@ -2268,22 +3203,18 @@ class kvjs {
      * Pop the specified number of members with the lowest scores from a sorted set.
      *
      * @param {*} key - The key where the sorted set is stored.
-     * @param {number} count - The number of members to pop.
+     * @param {number} [count=1] - The number of members to pop.
      * @returns {Array} - An array containing the popped members with their scores.
      */
-    zpopmin(key, count) {
-        const sortedSet = this.store.get(key);
+    zpopmin(key, count = 1) {
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet || sortedSet.size === 0) {
             return [];
         }
 
-        const poppedMembers = Array.from(sortedSet.entries())
-            .sort((a, b) => a[1] - b[1])
-            .slice(0, count)
-            .map(([member, score]) => {
-                sortedSet.delete(member);
-                return [member, score];
-            });
+        this._beforeWrite(key);
+        const poppedMembers = sortedSet.popMin(count);
+        this._notifyKeyspaceEvent('zpopmin', key);
 
         return poppedMembers;
     }
@@ -2296,7 +3227,7 @@ class kvjs {
      * @returns {Array} - An array containing the randomly chosen members.
      */
     zrandmember(key, count = 1) {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet || sortedSet.size === 0) {
             return [];
         }
@@ -2314,6 +3245,7 @@ class kvjs {
 
     /**
      * Get the members in a sorted set stored at the given key with their scores between the specified start and stop indices.
+     * Members with the same score are ordered lexicographically.
      *
      * @param {*} key - The key where the sorted set is stored.
      * @param {number} start - The start index.
@@ -2321,17 +3253,13 @@ class kvjs {
      * @returns {Array} - An array containing the members and their scores within the specified range.
      */
     zrange(key, start, stop) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => a[1] - b[1]);
-
-        if (start < 0) start = sortedMembers.length + start;
-        if (stop < 0) stop = sortedMembers.length + stop;
-
-        return sortedMembers.slice(start, stop + 1).map(([member, score]) => [member, score]);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        return sortedSet ? sortedSet.rangeByRank(start, stop) : [];
     }
 
     /**
-     * Returns all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order.
+     * Returns all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order,
+     * when all the members have the same score.
      * @param {*} key - The key of the sorted set.
      * @param {string} min - The minimum member value.
      * @param {string} max - The maximum member value.
@@ -2339,45 +3267,31 @@ class kvjs {
      * @returns {string[]} - The filtered and sorted set members.
      */
     zrangebylex(key, min, max, options = {}) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.keys()).sort();
-
-        let result = sortedMembers.filter(member => member >= min && member <= max);
-
-        if (options.limit) {
-            const { offset, count } = options.limit;
-            result = result.slice(offset, offset + count);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (!sortedSet) {
+            return [];
         }
 
-        return result;
+        return sortedSet.rangeByLex(min, max, this._parseLimit(options)).map(([member]) => member);
     }
 
     /**
      * Returns all elements in the sorted set stored at the key with a score between min and max (inclusive).
      * @param {*} key - The key of the sorted set.
-     * @param {number} min - The minimum score value.
-     * @param {number} max - The maximum score value.
+     * @param {number|string} min - The minimum score value, '-inf', or prefixed with '(' to exclude it.
+     * @param {number|string} max - The maximum score value, '+inf', or prefixed with '(' to exclude it.
      * @param {Object} [options={}] - Additional options (e.g., { withscores: true, limit: { offset, count } }).
      * @returns {(string[]|Array[])} - The filtered and sorted set members, with or without scores based on options.
      */
     zrangebyscore(key, min, max, options = {}) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => a[1] - b[1]);
-
-        let result = sortedMembers.filter(([, score]) => score >= min && score <= max);
-
-        if (options.withscores) {
-            result = result.map(([member, score]) => [member, score]);
-        } else {
-            result = result.map(([member]) => member);
-        }
-
-        if (options.limit) {
-            const { offset, count } = options.limit;
-            result = result.slice(offset, offset + count);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (!sortedSet) {
+            return [];
         }
 
-        return result;
+        const range = this._parseScoreRange(min, max);
+        const result = sortedSet.rangeByScore(range.min, range.max, { ...range, ...this._parseLimit(options) });
+        return options.withscores ? result : result.map(([member]) => member);
     }
 
     /**
@@ -2389,15 +3303,10 @@ class kvjs {
      * @returns {number} - The number of elements in the new sorted set.
      */
     zrangestore(destination, key, start, stop) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => a[1] - b[1]);
-
-        if (start < 0) start = sortedMembers.length + start;
-        if (stop < 0) stop = sortedMembers.length + stop;
-
-        const resultMap = new XMap(sortedMembers.slice(start, stop + 1));
-        this.storeSet(destination, resultMap);
-        return resultMap.size;
+        const result = new SortedSet(this.zrange(key, start, stop));
+        this.storeSet(destination, result);
+        this._notifyKeyspaceEvent('zrangestore', destination);
+        return result.size;
     }
 
     /**
@@ -2407,18 +3316,8 @@ class kvjs {
      * @returns {(number|undefined)} - The index of the member, or undefined if not found.
      */
     zrank(key, member) {
-        const sortedSet = this.store.get(key);
-        if (!sortedSet)
-            return undefined;
-
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => a[1] - b[1]);
-        for (let i = 0; i < sortedMembers.length; i++) {
-            if (sortedMembers[i][0] === member) {
-                return i;
-            }
-        }
-
-        return undefined;
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        return sortedSet ? sortedSet.rank(member) : undefined;
     }
 
     /**
@@ -2428,11 +3327,12 @@ class kvjs {
      * @returns {number} - The number of members removed.
      */
     zrem(key, ...members) {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet) {
             return 0;
         }
 
+        this._beforeWrite(key);
         let removedCount = 0;
         for (const member of members) {
             if (sortedSet.delete(member)) {
@@ -2440,33 +3340,27 @@ class kvjs {
             }
         }
 
+        if (removedCount > 0) {
+            this._notifyKeyspaceEvent('zrem', key);
+        }
         return removedCount;
     }
 
     /**
-     * Removes all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order.
+     * Removes all elements in the sorted set stored at the key with a value between min and max (inclusive) in lexicographical order,
+     * when all the members have the same score.
      * @param {*} key - The key of the sorted set.
      * @param {string} min - The minimum member value.
      * @param {string} max - The maximum member value.
      * @returns {number} - The number of members removed.
      */
     zremrangebylex(key, min, max) {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet) {
             return 0;
         }
 
-        const sortedMembers = Array.from(sortedSet.keys()).sort();
-        let removedCount = 0;
-
-        for (const member of sortedMembers) {
-            if (member >= min && member <= max) {
-                sortedSet.delete(member);
-                removedCount++;
-            }
-        }
-
-        return removedCount;
+        return this._removeFromSortedSet(key, sortedSet.rangeByLex(min, max), 'zremrangebylex');
     }
 
     /**
@@ -2477,50 +3371,29 @@ class kvjs {
      * @returns {number} - The number of elements removed.
      */
     zremrangebyrank(key, start, stop) {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet) {
             return 0;
         }
 
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => a[1] - b[1]);
-
-        if (start < 0) start = sortedMembers.length + start;
-        if (stop < 0) stop = sortedMembers.length + stop;
-
-        let removedCount = 0;
-        for (let i = start; i <= stop; i++) {
-            if (sortedSet.delete(sortedMembers[i][0])) {
-                removedCount++;
-            }
-        }
-
-        return removedCount;
+        return this._removeFromSortedSet(key, sortedSet.rangeByRank(start, stop), 'zremrangebyrank');
     }
 
     /**
      * Removes all elements in the sorted set stored at key with a score between min and max (inclusive).
      * @param {string} key - The key of the sorted set.
-     * @param {number} min - The minimum score.
-     * @param {number} max - The maximum score.
+     * @param {number|string} min - The minimum score, '-inf', or prefixed with '(' to exclude it.
+     * @param {number|string} max - The maximum score, '+inf', or prefixed with '(' to exclude it.
      * @returns {number} - The number of elements removed.
      */
     zremrangebyscore(key, min, max) {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet) {
             return 0;
         }
 
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => a[1] - b[1]);
-        let removedCount = 0;
-
-        for (const [member, score] of sortedMembers) {
-            if (score >= min && score <= max) {
-                sortedSet.delete(member);
-                removedCount++;
-            }
-        }
-
-        return removedCount;
+        const range = this._parseScoreRange(min, max);
+        return this._removeFromSortedSet(key, sortedSet.rangeByScore(range.min, range.max, range), 'zremrangebyscore');
     }
 
     /**
@@ -2531,17 +3404,12 @@ class kvjs {
      * @returns {Array} - The specified range of elements in reverse order.
      */
     zrevrange(key, start, stop) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => b[1] - a[1]);
-
-        if (start < 0) start = sortedMembers.length + start;
-        if (stop < 0) stop = sortedMembers.length + stop;
-
-        return sortedMembers.slice(start, stop + 1).map(([member, score]) => [member, score]);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        return sortedSet ? sortedSet.rangeByRank(start, stop, true) : [];
     }
 
     /**
-     * Returns all elements in the sorted set stored at key with a value between max and min.
+     * Returns all elements in the sorted set stored at key with a value between max and min, when all the members have the same score.
      * @param {string} key - The key of the sorted set.
      * @param {*} max - The maximum value.
      * @param {*} min - The minimum value.
@@ -2549,45 +3417,32 @@ class kvjs {
      * @returns {Array} - The specified range of elements.
      */
     zrevrangebylex(key, max, min, options = {}) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.keys()).sort().reverse();
-
-        let result = sortedMembers.filter(member => member >= min && member <= max);
-
-        if (options.limit) {
-            const { offset, count } = options.limit;
-            result = result.slice(offset, offset + count);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (!sortedSet) {
+            return [];
         }
 
-        return result;
+        const result = sortedSet.rangeByLex(min, max, { reverse: true, ...this._parseLimit(options) });
+        return result.map(([member]) => member);
     }
 
     /**
      * Returns all elements in the sorted set stored at key with a score between max and min (inclusive) in reverse order.
      * @param {string} key - The key of the sorted set.
-     * @param {number} max - The maximum score.
-     * @param {number} min - The minimum score.
+     * @param {number|string} max - The maximum score, '+inf', or prefixed with '(' to exclude it.
+     * @param {number|string} min - The minimum score, '-inf', or prefixed with '(' to exclude it.
      * @param {Object} options - Additional options.
      * @returns {Array} - The specified range of elements in reverse order.
      */
     zrevrangebyscore(key, max, min, options = {}) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => b[1] - a[1]);
-
-        let result = sortedMembers.filter(([, score]) => score >= min && score <= max);
-
-        if (options.withscores) {
-            result = result.map(([member, score]) => [member, score]);
-        } else {
-            result = result.map(([member]) => member);
-        }
-
-        if (options.limit) {
-            const { offset, count } = options.limit;
-            result = result.slice(offset, offset + count);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (!sortedSet) {
+            return [];
         }
 
-        return result;
+        const range = this._parseScoreRange(min, max);
+        const result = sortedSet.rangeByScore(range.min, range.max, { ...range, reverse: true, ...this._parseLimit(options) });
+        return options.withscores ? result : result.map(([member]) => member);
     }
 
     /**
@@ -2597,19 +3452,8 @@ class kvjs {
      * @returns {number|undefined} - The rank of the member, or undefined if the member or sorted set does not exist.
      */
     zrevrank(key, member) {
-        const sortedSet = this.store.get(key);
-        if (!sortedSet) {
-            return undefined;
-        }
-
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => b[1] - a[1]);
-        for (let i = 0; i < sortedMembers.length; i++) {
-            if (sortedMembers[i][0] === member) {
-                return i;
-            }
-        }
-
-        return undefined;
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        return sortedSet ? sortedSet.rank(member, true) : undefined;
     }
 
     /**
@@ -2620,22 +3464,22 @@ class kvjs {
      * @returns {Array} - An array containing the next cursor and the result.
      */
     zscan(key, cursor, options = {}) {
-        const sortedSet = this.store.get(key) || new XMap();
-        const sortedMembers = Array.from(sortedSet.entries()).sort((a, b) => a[1] - b[1]);
+        const sortedSet = this._lookupKeyOfType(key, 'zset') || new SortedSet();
         const result = [];
 
         let count = options.count || 10;
         let index = cursor;
 
-        while (count > 0 && index < sortedMembers.length) {
-            if (!options.match || new RegExp(options.match.replace('*', '.*')).test(sortedMembers[index][0])) {
-                result.push(sortedMembers[index]);
+        while (count > 0 && index < sortedSet.size) {
+            const [entry] = sortedSet.rangeByRank(index, index);
+            if (!options.match || new RegExp(options.match.replace('*', '.*')).test(entry[0])) {
+                result.push(entry);
                 count--;
             }
             index++;
         }
 
-        return [index >= sortedMembers.length ? 0 : index, result];
+        return [index >= sortedSet.size ? 0 : index, result];
     }
 
     /**
@@ -2645,11 +3489,8 @@ class kvjs {
      * @returns {number|undefined} - The score of the member, or undefined if the member or sorted set does not exist.
      */
     zscore(key, member) {
-        const sortedSet = this.store.get(key);
-        if (!sortedSet)
-            return undefined;
-
-        return sortedSet.get(member);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        return sortedSet ? sortedSet.get(member) : undefined;
     }
 
     /**
@@ -2658,18 +3499,18 @@ class kvjs {
      * @returns {Array} - The union of the specified sorted sets, sorted by score.
      */
     zunion(keys) {
-        const unionMap = new XMap();
+        const union = new SortedSet();
 
         for (const key of keys) {
-            const sortedSet = this.store.get(key);
+            const sortedSet = this._lookupKeyOfType(key, 'zset');
             if (sortedSet) {
-                for (const [member, score] of sortedSet.entries()) {
-                    unionMap.set(member, (unionMap.get(member) || 0) + score);
+                for (const [member, score] of sortedSet) {
+                    union.set(member, (union.get(member) || 0) + score);
                 }
             }
         }
 
-        return Array.from(unionMap.entries()).sort((a, b) => a[1] - b[1]);
+        return Array.from(union);
     }
 
     /**
@@ -2679,10 +3520,10 @@ class kvjs {
      * @returns {number} - The size of the resulting sorted set.
      */
     zunionstore(destination, keys) {
-        const unionResult = this.zunion(keys);
-        const resultMap = new XMap(unionResult);
-        this.storeSet(destination, resultMap);
-        return resultMap.size;
+        const result = new SortedSet(this.zunion(keys));
+        this.storeSet(destination, result);
+        this._notifyKeyspaceEvent('zunionstore', destination);
+        return result.size;
     }
 
     /**
@@ -2697,18 +3538,24 @@ class kvjs {
         if (typeof longitude !== 'number' || typeof latitude !== 'number') {
             throw new Error('Invalid longitude or latitude value');
         }
+        if (Math.abs(longitude) > 180 || Math.abs(latitude) > GEO_LATITUDE_MAX) {
+            throw new Error(`ERR invalid longitude,latitude pair ${longitude},${latitude}`);
+        }
 
-        const sortedSet = this.store.get(key) || new XMap();
-        const existingMember = sortedSet.get(member);
-
-        if (!existingMember) {
-            const geoData = { longitude, latitude };
-            sortedSet.set(member, geoData);
+        let sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (sortedSet && sortedSet.has(member)) {
+            return 0;
+        }
+        if (!sortedSet) {
+            sortedSet = new SortedSet();
             this.storeSet(key, sortedSet);
-            return 1;
         }
 
-        return 0;
+        this._performEvictions(key);
+        this._beforeWrite(key);
+        sortedSet.set(member, this._encodeGeoScore(longitude, latitude));
+        this._notifyKeyspaceEvent('geoadd', key);
+        return 1;
     }
     /**
      * Calculates the distance between two geospatial items.
@@ -2719,12 +3566,12 @@ class kvjs {
      * @returns {number|undefined} - The distance between the two members or undefined if not found.
      */
     geodist(key, member1, member2, unit = 'm') {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet)
             return undefined;
 
-        const pos1 = sortedSet.get(member1);
-        const pos2 = sortedSet.get(member2);
+        const pos1 = this._geoPosition(sortedSet, member1);
+        const pos2 = this._geoPosition(sortedSet, member2);
 
         if (!pos1 || !pos2)
             return undefined;
@@ -2741,13 +3588,13 @@ class kvjs {
      * @returns {string[]} - An array of geohash strings for the requested members.
      */
     geohash(key, ...members) {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet) {
             return [];
         }
 
         return members.map(member => {
-            const pos = sortedSet.get(member);
+            const pos = this._geoPosition(sortedSet, member);
             return pos ? this._encodeGeohash(pos.latitude, pos.longitude) : null;
         });
     }
@@ -2759,13 +3606,13 @@ class kvjs {
      * @returns {Array<[number, number]>} - An array of positions for the requested members.
      */
     geopos(key, ...members) {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet) {
             return [];
         }
 
         return members.map(member => {
-            const pos = sortedSet.get(member);
+            const pos = this._geoPosition(sortedSet, member);
             return pos ? [pos.latitude, pos.longitude] : null;
         });
     }
@@ -2780,7 +3627,7 @@ class kvjs {
      * @returns {string[]} - An array of members within the specified radius.
      */
     georadius(key, longitude, latitude, radius, unit = 'm') {
-        const sortedSet = this.store.get(key);
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
         if (!sortedSet) {
             return [];
         }
@@ -2788,7 +3635,8 @@ class kvjs {
         const convertedRadius = this._convertDistance(radius, unit, 'm');
         const result = [];
 
-        for (const [member, pos] of sortedSet.entries()) {
+        for (const [member, score] of sortedSet) {
+            const pos = this._decodeGeoScore(score);
             const distance = this._haversineDistance(latitude, longitude, pos.latitude, pos.longitude);
             if (distance <= convertedRadius) {
                 result.push(member);
@@ -2886,10 +3734,25 @@ class kvjs {
      * @returns {Array} - The sorted elements.
      */
     sort(key, order = 'ASC', alpha = false) {
-        const list = this.store.get(key);
-        if (!Array.isArray(list)) return [];
+        const value = this._lookupKey(key);
+        if (value === undefined) return [];
+
+        let elements;
+        switch (this._typeOf(value)) {
+            case 'list':
+                elements = value.toArray();
+                break;
+            case 'set':
+                elements = Array.from(value);
+                break;
+            case 'zset':
+                elements = Array.from(value.keys());
+                break;
+            default:
+                throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
 
-        const sorted = list.slice().sort((a, b) => {
+        const sorted = elements.sort((a, b) => {
             if (alpha) {
                 return order === 'ASC' ? a.localeCompare(b) : b.localeCompare(a);
             } else {
@@ -2906,13 +3769,75 @@ class kvjs {
      * @returns {number} - The number of existing keys touched.
      */
     touch(...keys) {
-        return keys.reduce((acc, key) => acc + (this.exists(key) ? 1 : 0), 0);
-    }
-
-    /**
-     * Alias for the sort method that sorts elements in a read-only manner.
-     * @param {*} key - The key to retrieve the list, set, or sorted set.
-     * @param {string} [order='ASC'] - The order to sort the elements (ASC or DESC).
+        let touched = 0;
+        for (const key of keys) {
+            if (this._keyExists(key)) {
+                this._touchKey(key);
+                touched++;
+            }
+        }
+        return touched;
+    }
+
+    /**
+     * Inspect the internals of the value stored at a key, without counting as an access to the key.
+     * @param {string} subcommand - One of:
+     *                              ENCODING: the internal representation of the value, 'deque', 'set', 'xmap', 'skiplist'
+     *                              or 'stream' for the collections, otherwise the JavaScript type of the value, e.g.
+     *                              'string', 'number' or 'array'.
+     *                              IDLETIME: the number of seconds since the key was last read or written.
+     *                              FREQ: the logarithmic access frequency counter of the key, between 0 and 255.
+     *                              REFCOUNT: the number of references to the value, always 1.
+     *                              HELP: the description of the subcommands.
+     * @param {*} [key] - The key to inspect.
+     * @returns {string|number|string[]|undefined} - The result of the subcommand, or undefined if the key does not exist.
+     * @throws {Error} - If the subcommand is unknown, or if access is not tracked for IDLETIME and FREQ.
+     */
+    object(subcommand, key) {
+        const name = String(subcommand).toUpperCase();
+        if (name === 'HELP') {
+            return [
+                'OBJECT <subcommand> [<key>]. Subcommands are:',
+                'ENCODING <key>',
+                '    Return the kind of internal representation used in order to store the value associated with a <key>.',
+                'FREQ <key>',
+                '    Return the access frequency index of the <key>. The returned integer is proportional to the logarithm of the recent access frequency of the key.',
+                'IDLETIME <key>',
+                '    Return the idle time of the <key>, that is the approximated number of seconds elapsed since the last access to the key.',
+                'REFCOUNT <key>',
+                '    Return the number of references of the value associated with the specified <key>.',
+                'HELP',
+                '    Print this help.',
+            ];
+        }
+        if (!['ENCODING', 'IDLETIME', 'FREQ', 'REFCOUNT'].includes(name)) {
+            throw new Error(`ERR unknown subcommand '${subcommand}'. Try OBJECT HELP.`);
+        }
+        if ((name === 'IDLETIME' || name === 'FREQ') && !this.trackAccess) {
+            throw new Error('ERR key accesses are not tracked, set the trackAccess, maxmemory or maxKeys option');
+        }
+
+        const value = this._lookupKey(key, false);
+        if (value === undefined) {
+            return undefined;
+        }
+
+        switch (name) {
+            case 'ENCODING':
+                return this._encodingOf(value);
+            case 'IDLETIME':
+                return Math.floor((Date.now() - this.keyAccess.get(key).time) / 1000);
+            case 'FREQ':
+                return this._keyFrequency(this.keyAccess.get(key));
+            case 'REFCOUNT':
+                return 1;
+        }
+    }
+
+    /**
+     * Alias for the sort method that sorts elements in a read-only manner.
+     * @param {*} key - The key to retrieve the list, set, or sorted set.
+     * @param {string} [order='ASC'] - The order to sort the elements (ASC or DESC).
      * @param {boolean} [alpha=false] - Whether to sort elements alphabetically or numerically.
      * @returns {Array} - The sorted elements.
      */
@@ -2944,13 +3869,16 @@ class kvjs {
      * @returns {number} - Returns 1 if a new field is created, 0 otherwise.
      */
     hset(key, field, value) {
-        if (!this.store.has(key)) {
-            this.storeSet(key, new XMap());
+        if (!this._keyExists(key)) {
+            this.storeSet(key, createHash());
         }
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         const isNewField = !hashMap.has(field);
 
+        this._performEvictions(key);
+        this._beforeWrite(key);
         hashMap.set(field, value);
+        this._notifyKeyspaceEvent('hset', key);
         return isNewField ? 1 : 0;
     }
 
@@ -2962,15 +3890,19 @@ class kvjs {
      * @returns {number} - The number of fields removed from the hash.
      */
     hdel(key, ...fields) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         if (!hashMap) return 0;
 
+        this._beforeWrite(key);
         let removed = 0;
         for (const field of fields) {
             if (hashMap.delete(field)) {
                 removed++;
             }
         }
+        if (removed > 0) {
+            this._notifyKeyspaceEvent('hdel', key);
+        }
         return removed;
     }
 
@@ -2982,7 +3914,7 @@ class kvjs {
      * @returns {*} - The value of the field, or undefined if the field does not exist.
      */
     hget(key, field) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         return hashMap ? hashMap.get(field) : undefined;
     }
 
@@ -2994,7 +3926,7 @@ class kvjs {
      *                     or an empty object if the hash does not exist.
      */
     hgetall(key) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         if (!hashMap) return {};
 
         const result = {};
@@ -3013,12 +3945,15 @@ class kvjs {
      * @returns {number} - The new value of the field after the increment.
      */
     hincrby(key, field, increment) {
-        const hashMap = this.store.get(key) || new XMap();
+        const hashMap = this._lookupKeyOfType(key, 'hash') || createHash();
         const currentValue = parseInt(hashMap.get(field) || 0, 10);
         const newValue = currentValue + increment;
 
+        this._performEvictions(key);
+        this._beforeWrite(key);
         hashMap.set(field, newValue.toString());
         this.storeSet(key, hashMap);
+        this._notifyKeyspaceEvent('hincrby', key);
         return newValue;
     }
 
@@ -3031,12 +3966,15 @@ class kvjs {
      * @returns {number} - The new value of the field after the increment.
      */
     hincrbyfloat(key, field, increment) {
-        const hashMap = this.store.get(key) || new XMap();
+        const hashMap = this._lookupKeyOfType(key, 'hash') || createHash();
         const currentValue = parseFloat(hashMap.get(field) || 0);
         const newValue = currentValue + increment;
 
+        this._performEvictions(key);
+        this._beforeWrite(key);
         hashMap.set(field, newValue.toString());
         this.storeSet(key, hashMap);
+        this._notifyKeyspaceEvent('hincrbyfloat', key);
         return newValue;
     }
 
@@ -3047,7 +3985,7 @@ class kvjs {
      * @returns {Array} - An array of field names, or an empty array if the hash does not exist.
      */
     hkeys(key) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         return hashMap ? Array.from(hashMap.keys()) : [];
     }
 
@@ -3058,7 +3996,7 @@ class kvjs {
      * @returns {number} - The number of fields in the hash, or 0 if the hash does not exist.
      */
     hlen(key) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         return hashMap ? hashMap.size : 0;
     }
 
@@ -3070,7 +4008,7 @@ class kvjs {
      * @returns {Array} - An array of field values.
      */
     hmget(key, ...fields) {
-        const hashMap = this.store.get(key) || new XMap();
+        const hashMap = this._lookupKeyOfType(key, 'hash') || createHash();
         return fields.map(field => hashMap.get(field));
     }
 
@@ -3082,8 +4020,10 @@ class kvjs {
      * @returns {string} - Returns "OK" on successful update.
      */
     hmset(key, ...fieldValuePairs) {
-        const hashMap = this.store.get(key) || new XMap();
+        const hashMap = this._lookupKeyOfType(key, 'hash') || createHash();
 
+        this._performEvictions(key);
+        this._beforeWrite(key);
         for (let i = 0; i < fieldValuePairs.length; i += 2) {
             const field = fieldValuePairs[i];
             const value = fieldValuePairs[i + 1];
@@ -3091,6 +4031,7 @@ class kvjs {
         }
 
         this.storeSet(key, hashMap);
+        this._notifyKeyspaceEvent('hset', key);
         return true;
     }
 
@@ -3103,14 +4044,17 @@ class kvjs {
      * @returns {number} - Returns 1 if the field is newly created, 0 otherwise.
      */
     hsetnx(key, field, value) {
-        const hashMap = this.store.get(key) || new XMap();
+        const hashMap = this._lookupKeyOfType(key, 'hash') || createHash();
 
         if (hashMap.has(field)) {
             return 0;
         }
 
+        this._performEvictions(key);
+        this._beforeWrite(key);
         hashMap.set(field, value);
         this.storeSet(key, hashMap);
+        this._notifyKeyspaceEvent('hset', key);
         return 1;
     }
 
@@ -3122,7 +4066,7 @@ class kvjs {
      * @returns {number} - The length of the field value, or 0 if the field does not exist.
      */
     hstrlen(key, field) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         const value = hashMap ? hashMap.get(field) : null;
         return value ? value.length : 0;
     }
@@ -3134,7 +4078,7 @@ class kvjs {
      * @returns {Array} - An array of field values, or an empty array if the hash does not exist.
      */
     hvals(key) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         return hashMap ? Array.from(hashMap.values()) : [];
     }
 
@@ -3148,7 +4092,7 @@ class kvjs {
      * @returns {Array} - An array containing the next cursor and the filtered field-value pairs.
      */
     hscan(key, cursor, match = '*', count = 10) {
-        const hashMap = this.store.get(key) || new XMap();
+        const hashMap = this._lookupKeyOfType(key, 'hash') || createHash();
         const filteredFields = Array.from(hashMap.keys()).filter(field => field.includes(match));
         const endIndex = Math.min(cursor + count, filteredFields.length);
         const nextCursor = endIndex === filteredFields.length ? 0 : endIndex;
@@ -3164,7 +4108,7 @@ class kvjs {
      * @returns {number} - Returns 1 if the field exists, 0 otherwise.
      */
     hexists(key, field) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         return hashMap && hashMap.has(field) ? 1 : 0;
     }
 
@@ -3176,7 +4120,7 @@ class kvjs {
      * @returns {Array} - An array of random field names, or an empty array if the hash does not exist.
      */
     hrandfield(key, count = 1) {
-        const hashMap = this.store.get(key);
+        const hashMap = this._lookupKeyOfType(key, 'hash');
         if (!hashMap) return [];
 
         const fields = Array.from(hashMap.keys());
@@ -3191,187 +4135,3729 @@ class kvjs {
     }
 
     /**
-     * Checks if a key has expired and removes it if it has.
-     * @param {*} key - The key to check for expiration.
-     * @returns {boolean} - Returns true if the key was expired and removed, false otherwise.
-     */
-    _checkAndRemoveExpiredKey(key) {
-        const expireTime = this.expireTimes.get(key);
-        if (expireTime && Date.now() > expireTime) {
-            this.store.delete(key);
-            this.expireTimes.delete(key);
-            // Remove from IndexedDB if available
-            if (this.isIndexedDBAvailable && this.db) {
-                this._removeFromIndexedDB(key);
-            }
-            return true;
+     * Append an entry to the stream stored at key, creating the stream if needed.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} id - The ID of the entry: '*' to generate it from the current time, '<ms>-*' to generate
+     *                      only the sequence number, or an explicit '<ms>-<seq>' greater than the last ID of the stream.
+     * @param {Object} fields - The fields of the entry, e.g. { user: 'alice', action: 'login' }.
+     * @param {Object} [options] - The options:
+     *                              NOMKSTREAM (boolean): Do not create the stream if it does not exist.
+     *                              MAXLEN (number): Trim the stream to this number of entries after adding the entry.
+     *                              MINID (string): Trim the entries with an ID lower than this one after adding the entry.
+     * @returns {string|null} - The ID of the added entry, or null if NOMKSTREAM is set and the stream does not exist.
+     * @throws {Error} - If the key holds another type, or the ID is invalid.
+     */
+    xadd(key, id, fields, options = {}) {
+        const { NOMKSTREAM = false, MAXLEN = undefined, MINID = undefined } = options;
+
+        if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+            throw new Error("ERR wrong number of arguments for 'xadd' command");
+        }
+        this._checkStreamTrimOptions(MAXLEN, MINID);
+
+        const existing = this._lookupKeyOfType(key, 'stream');
+        if (existing === undefined && NOMKSTREAM) {
+            return null;
         }
-        return false;
+
+        const stream = existing || new Stream();
+        if (existing) {
+            this._performEvictions(key);
+            this._beforeWrite(key);
+        }
+        const entryId = stream.add(id, fields);
+        if (!existing) {
+            this.storeSet(key, stream);
+        }
+        this._notifyKeyspaceEvent('xadd', key);
+
+        this._trimStream(key, stream, MAXLEN, MINID);
+        this._signalKeyReady(key);
+        return entryId;
     }
 
     /**
-     * Initializes a cleanup loop that runs at a specified interval and removes expired keys from the store.
-     * @param {number} cleanupIntervalMs - The interval, in milliseconds, at which the cleanup loop should run.
+     * Returns the number of entries in the stream stored at key.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @returns {number} - The number of entries, or 0 if the key does not exist.
+     * @throws {Error} - If the key holds another type.
      */
-    _initCleanupLoop(cleanupIntervalMs) {
-        // create new cleanup loop
-        if (this.store.size === 1) {
-            this.cleanupLoop = setInterval(() => {
-                if (this.store.size === 0 && this.cleanupLoop) {
-                    clearInterval(this.cleanupLoop);
-                } else {
-                    for (const key of this.expireTimes.keys()) {
-                        this._checkAndRemoveExpiredKey(key);
-                    }
-                }
-            }, cleanupIntervalMs);
-            
-            // Only call unref() if it exists (Node.js environment)
-            // In browsers, setInterval returns a number, not an object with unref()
-            if (typeof this.cleanupLoop === 'object' && typeof this.cleanupLoop.unref === 'function') {
-                this.cleanupLoop.unref();
-            }
-        }
+    xlen(key) {
+        const stream = this._lookupKeyOfType(key, 'stream');
+        return stream === undefined ? 0 : stream.length;
     }
 
     /**
-     * Calculates the haversine distance between two geographic coordinates.
-     * @param {number} lat1 - The latitude of the first coordinate.
-     * @param {number} lon1 - The longitude of the first coordinate.
-     * @param {number} lat2 - The latitude of the second coordinate.
-     * @param {number} lon2 - The longitude of the second coordinate.
-     * @returns {number} - The haversine distance in meters.
+     * Returns the entries of the stream stored at key with an ID between start and end, in ascending order.
+     * IDs without a sequence number match every entry of that millisecond, so timestamps can be used to
+     * select a range of time.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} [start='-'] - The lowest ID, '-' for the first entry. Prefix with '(' to exclude it.
+     * @param {string} [end='+'] - The highest ID, '+' for the last entry. Prefix with '(' to exclude it.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return.
+     * @returns {Array} - An array of [id, fields] pairs.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
      */
-    _haversineDistance(lat1, lon1, lat2, lon2) {
-        const toRadians = (angle) => (angle * Math.PI) / 180;
-        const R = 6371e3; // Earth's radius in meters
+    xrange(key, start = '-', end = '+', options = {}) {
+        const { COUNT = Infinity } = options;
+        const stream = this._lookupKeyOfType(key, 'stream');
+        return stream === undefined ? [] : stream.range(start, end, COUNT);
+    }
 
-        const dLat = toRadians(lat2 - lat1);
-        const dLon = toRadians(lon2 - lon1);
+    /**
+     * Returns the entries of the stream stored at key with an ID between end and start, in descending order.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} [end='+'] - The highest ID, '+' for the last entry. Prefix with '(' to exclude it.
+     * @param {string} [start='-'] - The lowest ID, '-' for the first entry. Prefix with '(' to exclude it.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return.
+     * @returns {Array} - An array of [id, fields] pairs.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
+     */
+    xrevrange(key, end = '+', start = '-', options = {}) {
+        const { COUNT = Infinity } = options;
+        const stream = this._lookupKeyOfType(key, 'stream');
+        return stream === undefined ? [] : stream.revrange(end, start, COUNT);
+    }
 
-        const a =
-            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    /**
+     * Delete entries from the stream stored at key.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {...string} ids - The IDs of the entries to delete.
+     * @returns {number} - The number of entries deleted.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
+     */
+    xdel(key, ...ids) {
+        const stream = this._lookupKeyOfType(key, 'stream');
+        if (stream === undefined) {
+            return 0;
+        }
+        ids.forEach(id => Stream.parseId(id));
 
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        this._beforeWrite(key);
+        const deleted = stream.delete(ids);
+        if (deleted > 0) {
+            this._notifyKeyspaceEvent('xdel', key);
+        }
+        return deleted;
+    }
 
-        return R * c;
+    /**
+     * Trim the stream stored at key, deleting its oldest entries.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {Object} options - The trimming strategy, exactly one of:
+     *                              MAXLEN (number): Keep at most this number of entries.
+     *                              MINID (string): Delete the entries with an ID lower than this one.
+     * @returns {number} - The number of entries deleted.
+     * @throws {Error} - If the key holds another type, or the strategy is missing or invalid.
+     */
+    xtrim(key, options = {}) {
+        const { MAXLEN = undefined, MINID = undefined } = options;
+        if ((MAXLEN === undefined) === (MINID === undefined)) {
+            throw new Error('ERR syntax error');
+        }
+        this._checkStreamTrimOptions(MAXLEN, MINID);
+
+        const stream = this._lookupKeyOfType(key, 'stream');
+        if (stream === undefined) {
+            return 0;
+        }
+        return this._trimStream(key, stream, MAXLEN, MINID);
     }
 
     /**
-     * Converts a distance value from one unit to another.
-     * @param {number} distance - The distance value to convert.
-     * @param {string} fromUnit - The unit of the given distance (m, km, mi, ft).
-     * @param {string} toUnit - The target unit to convert the distance to (m, km, mi, ft).
-     * @returns {number} - The distance value converted to the target unit.
-     */
-    _convertDistance(distance, fromUnit, toUnit) {
-        const conversionFactors = {
-            m: 1,
-            km: 0.001,
-            mi: 0.000621371,
-            ft: 3.28084,
+     * Read the entries added to one or more streams after the given IDs.
+     *
+     * With the BLOCK option, returns a Promise instead. If no stream has matching entries yet, the Promise
+     * resolves as soon as an entry is added to one of them, or to null once BLOCK milliseconds elapsed.
+     *
+     * @param {Object} streams - The IDs to read after, by stream key, e.g. { audit: '0', feed: '1700000000000-0' }.
+     *                           The ID '$' stands for the last ID of the stream, to only read new entries.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return per stream.
+     *                              BLOCK (number): The number of milliseconds to wait for entries, 0 to wait forever.
+     * @returns {Array|null|Promise<Array|null>} - An array of [key, entries] pairs for the streams having entries,
+     *                                             entries being [id, fields] pairs, or null if no stream has any.
+     * @throws {Error} - If a key holds another type, or an ID is invalid.
+     */
+    xread(streams, options = {}) {
+        const { COUNT = Infinity, BLOCK = undefined } = options;
+
+        // Resolve '$' now so that a blocked read only returns the entries added afterwards
+        const lastIds = new Map();
+        for (const [key, id] of Object.entries(streams)) {
+            const stream = this._lookupKeyOfType(key, 'stream');
+            if (id === '$') {
+                lastIds.set(key, stream === undefined ? '0-0' : stream.lastId);
+            } else {
+                Stream.parseId(id);
+                lastIds.set(key, id);
+            }
+        }
+
+        const read = () => {
+            const result = [];
+            for (const [key, id] of lastIds) {
+                const stream = this._lookupKeyOfType(key, 'stream');
+                const entries = stream === undefined ? [] : stream.after(id, COUNT);
+                if (entries.length > 0) {
+                    result.push([key, entries]);
+                }
+            }
+            return result.length > 0 ? result : null;
         };
 
-        if (!conversionFactors[fromUnit] || !conversionFactors[toUnit]) {
-            throw new Error('Invalid distance unit');
+        if (BLOCK === undefined) {
+            return read();
         }
-
-        return (distance * conversionFactors[fromUnit]) / conversionFactors[toUnit];
+        return this._blockOnKeys(Array.from(lastIds.keys()), () => read() || undefined, BLOCK / 1000);
     }
 
     /**
-     * Encodes a geographic coordinate (latitude, longitude) into a geohash string.
-     * @param {number} latitude - The latitude of the coordinate.
-     * @param {number} longitude - The longitude of the coordinate.
-     * @returns {string} - The geohash string.
-     */
-    _encodeGeohash(latitude, longitude) {
-        const base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
-        let hash = '';
-
-        let minLat = -90;
-        let maxLat = 90;
-        let minLon = -180;
-        let maxLon = 180;
+     * Manage the consumer groups of the stream stored at key.
+     *
+     * @param {string} subcommand - One of:
+     *                              CREATE key group id [{ MKSTREAM }]: Create a group that will be delivered the entries
+     *                              after id, '$' for the entries added from now on. MKSTREAM creates an empty stream if needed.
+     *                              SETID key group id: Set the ID of the last entry delivered to the group.
+     *                              DESTROY key group: Delete a group, along with its consumers and pending entries.
+     *                              CREATECONSUMER key group consumer: Create a consumer in a group.
+     *                              DELCONSUMER key group consumer: Delete a consumer, along with its pending entries.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {boolean|number} - true for CREATE and SETID, 1 or 0 for DESTROY and CREATECONSUMER depending on whether
+     *                             the group was destroyed or the consumer created, and for DELCONSUMER the number of
+     *                             pending entries the consumer had.
+     * @throws {Error} - If the subcommand is unknown, the key does not hold a stream, or the group does not exist.
+     */
+    xgroup(subcommand, ...args) {
+        const [key, groupName] = args;
+        switch (String(subcommand).toUpperCase()) {
+            case 'CREATE': {
+                const [, , id, { MKSTREAM = false } = {}] = args;
+                const existing = this._lookupKeyOfType(key, 'stream');
+                if (existing === undefined && !MKSTREAM) {
+                    throw new Error('ERR The XGROUP subcommand requires the key to exist. Note that for CREATE you may want to use the MKSTREAM option to create an empty stream automatically.');
+                }
+                const stream = existing || new Stream();
+                if (stream.getGroup(groupName) !== undefined) {
+                    throw new Error('BUSYGROUP Consumer Group name already exists');
+                }
+                if (existing) {
+                    this._beforeWrite(key);
+                }
+                stream.createGroup(groupName, id);
+                if (!existing) {
+                    this.storeSet(key, stream);
+                }
+                this._notifyKeyspaceEvent('xgroup-create', key);
+                return true;
+            }
+            case 'SETID': {
+                const [, , id] = args;
+                const { stream, group } = this._getConsumerGroup(key, groupName);
+                const lastDelivered = Stream.parseId(id === '$' ? stream.lastId : id);
+                this._beforeWrite(key);
+                group.lastDelivered = lastDelivered;
+                this._notifyKeyspaceEvent('xgroup-setid', key);
+                return true;
+            }
+            case 'DESTROY': {
+                const stream = this._lookupKeyOfType(key, 'stream');
+                if (stream === undefined) {
+                    throw new Error('ERR The XGROUP subcommand requires the key to exist.');
+                }
+                this._beforeWrite(key);
+                if (!stream.destroyGroup(groupName)) {
+                    return 0;
+                }
+                this._notifyKeyspaceEvent('xgroup-destroy', key);
+                return 1;
+            }
+            case 'CREATECONSUMER': {
+                const [, , consumer] = args;
+                const { group } = this._getConsumerGroup(key, groupName);
+                if (group.consumers.has(consumer)) {
+                    return 0;
+                }
+                this._beforeWrite(key);
+                group.consumer(consumer);
+                this._notifyKeyspaceEvent('xgroup-createconsumer', key);
+                return 1;
+            }
+            case 'DELCONSUMER': {
+                const [, , consumer] = args;
+                const { group } = this._getConsumerGroup(key, groupName);
+                this._beforeWrite(key);
+                const pending = group.deleteConsumer(consumer);
+                if (pending === -1) {
+                    return 0;
+                }
+                this._notifyKeyspaceEvent('xgroup-delconsumer', key);
+                return pending;
+            }
+            default:
+                throw new Error(`ERR unknown subcommand '${subcommand}'. Try XGROUP HELP.`);
+        }
+    }
 
-        let even = true;
-        let bit = 0;
-        let charIndex = 0;
+    /**
+     * Read entries from one or more streams as a consumer of a consumer group.
+     *
+     * With the ID '>', reads the entries never delivered to the group, and adds them to the pending entries of the
+     * consumer until they are acknowledged with xack(). With any other ID, reads the pending entries of the consumer
+     * after that ID instead, e.g. to recover after a crash; pending entries deleted from the stream have null fields.
+     *
+     * With the BLOCK option, returns a Promise instead. If no stream has new entries yet, the Promise resolves as
+     * soon as an entry is added to one of them, or to null once BLOCK milliseconds elapsed.
+     *
+     * @param {string} group - The name of the consumer group.
+     * @param {string} consumer - The name of the consumer, created if needed.
+     * @param {Object} streams - The IDs to read after, by stream key, e.g. { jobs: '>' }.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to return per stream.
+     *                              BLOCK (number): The number of milliseconds to wait for entries, 0 to wait forever.
+     *                              NOACK (boolean): Do not add the entries to the pending entries, as if they were acknowledged.
+     * @returns {Array|null|Promise<Array|null>} - An array of [key, entries] pairs, entries being [id, fields] pairs,
+     *                                             or null if no stream has new entries.
+     * @throws {Error} - If a key does not hold a stream, the group does not exist, or an ID is invalid.
+     */
+    xreadgroup(group, consumer, streams, options = {}) {
+        const { COUNT = Infinity, BLOCK = undefined, NOACK = false } = options;
+
+        const lastIds = new Map();
+        for (const [key, id] of Object.entries(streams)) {
+            this._getConsumerGroup(key, group);
+            if (id !== '>') {
+                Stream.parseId(id);
+            }
+            lastIds.set(key, id);
+        }
+
+        const read = () => {
+            const result = [];
+            const now = Date.now();
+            for (const [key, id] of lastIds) {
+                const { stream, group: consumerGroup } = this._getConsumerGroup(key, group);
+                this._beforeWrite(key);
+                const consumerState = consumerGroup.consumer(consumer);
+                consumerState.seenTime = now;
+
+                if (id !== '>') {
+                    const ids = consumerGroup.sortedIds(consumerState.pending).filter(pendingId => Stream.isInRange(pendingId, `(${id}`, '+'));
+                    result.push([key, ids.slice(0, COUNT).map(pendingId => stream.get(pendingId) || [pendingId, null])]);
+                    continue;
+                }
 
-        while (hash.length < 12) {
-            if (even) {
-                const midLon = (minLon + maxLon) / 2;
-                if (longitude > midLon) {
-                    charIndex = (charIndex << 1) + 1;
-                    minLon = midLon;
-                } else {
-                    charIndex = charIndex << 1;
-                    maxLon = midLon;
+                const entries = stream.after(consumerGroup.lastDeliveredId, COUNT);
+                if (entries.length === 0) {
+                    continue;
                 }
-            } else {
-                const midLat = (minLat + maxLat) / 2;
-                if (latitude > midLat) {
-                    charIndex = (charIndex << 1) + 1;
-                    minLat = midLat;
-                } else {
-                    charIndex = charIndex << 1;
-                    maxLat = midLat;
+                for (const [entryId] of entries) {
+                    if (!NOACK) {
+                        consumerGroup.deliver(entryId, consumer, now);
+                    }
                 }
+                consumerGroup.lastDelivered = Stream.parseId(entries[entries.length - 1][0]);
+                result.push([key, entries]);
             }
+            return result.length > 0 ? result : null;
+        };
 
-            even = !even;
+        if (BLOCK === undefined) {
+            return read();
+        }
+        return this._blockOnKeys(Array.from(lastIds.keys()), () => read() || undefined, BLOCK / 1000);
+    }
 
-            if (bit < 4) {
-                bit++;
-            } else {
-                hash += base32[charIndex];
-                bit = 0;
-                charIndex = 0;
+    /**
+     * Acknowledge entries delivered to a consumer group, removing them from the pending entries.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {...string} ids - The IDs of the entries.
+     * @returns {number} - The number of entries acknowledged, not counting those that were not pending.
+     * @throws {Error} - If the key holds another type, or an ID is invalid.
+     */
+    xack(key, group, ...ids) {
+        ids = ids.map(id => Stream.formatId(Stream.parseId(id)));
+        const stream = this._lookupKeyOfType(key, 'stream');
+        const consumerGroup = stream && stream.getGroup(group);
+        if (!consumerGroup) {
+            return 0;
+        }
+
+        this._beforeWrite(key);
+        return ids.filter(id => consumerGroup.acknowledge(id)).length;
+    }
+
+    /**
+     * Inspect the pending entries of a consumer group, i.e. the entries delivered to its consumers but not acknowledged yet.
+     *
+     * Without COUNT, returns a summary: [count, lowest ID, highest ID, [[consumer, count], ...]].
+     * With COUNT, returns the details of the pending entries: [[id, consumer, idle time in ms, delivery count], ...].
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {Object} [options] - The options:
+     *                              START (string): The lowest ID, '-' for the first entry (default). Prefix with '(' to exclude it.
+     *                              END (string): The highest ID, '+' for the last entry (default). Prefix with '(' to exclude it.
+     *                              COUNT (number): The maximum number of entries to return.
+     *                              CONSUMER (string): Only return the entries pending for this consumer.
+     *                              IDLE (number): Only return the entries idle for at least this number of milliseconds.
+     * @returns {Array} - The summary or the details of the pending entries.
+     * @throws {Error} - If the key does not hold a stream, or the group does not exist.
+     */
+    xpending(key, group, options = {}) {
+        const { START = '-', END = '+', COUNT = undefined, CONSUMER = undefined, IDLE = 0 } = options;
+        const { group: consumerGroup } = this._getConsumerGroup(key, group);
+
+        if (COUNT === undefined) {
+            const ids = consumerGroup.sortedIds();
+            if (ids.length === 0) {
+                return [0, null, null, []];
+            }
+            const consumers = [];
+            for (const [name, consumer] of consumerGroup.consumers) {
+                if (consumer.pending.size > 0) {
+                    consumers.push([name, consumer.pending.size]);
+                }
             }
+            return [ids.length, ids[0], ids[ids.length - 1], consumers];
         }
 
-        return hash;
+        const now = Date.now();
+        let ids = consumerGroup.pending.keys();
+        if (CONSUMER !== undefined) {
+            const consumer = consumerGroup.consumers.get(CONSUMER);
+            ids = consumer ? consumer.pending : [];
+        }
+        const result = [];
+        for (const id of consumerGroup.sortedIds(ids)) {
+            if (result.length >= COUNT) {
+                break;
+            }
+            const { consumer, deliveryTime, deliveries } = consumerGroup.pending.get(id);
+            if (now - deliveryTime >= IDLE && Stream.isInRange(id, START, END)) {
+                result.push([id, consumer, now - deliveryTime, deliveries]);
+            }
+        }
+        return result;
     }
 
     /**
-     * Removes all keys and associated values from the store and clears all expiration times
-     * @returns {boolean} - Returns true if the function was successful.
-     */
-    flushall() {
-        // Clear all keys and associated values from the store
-        this.store.clear();
+     * Transfer the ownership of pending entries to another consumer of a consumer group, e.g. to process the entries
+     * a crashed consumer never acknowledged. Only the entries idle for at least minIdleTime milliseconds are claimed,
+     * so that several consumers can safely try to claim the same entries. Pending entries deleted from the stream are
+     * removed from the pending entries instead.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {string} consumer - The name of the consumer claiming the entries, created if needed.
+     * @param {number} minIdleTime - The minimum number of milliseconds since the entries were last delivered.
+     * @param {Array<string>} ids - The IDs of the entries to claim.
+     * @param {Object} [options] - The options:
+     *                              IDLE (number): Set the idle time of the claimed entries, in milliseconds.
+     *                              TIME (number): Set the delivery time of the claimed entries, as a UNIX timestamp in milliseconds.
+     *                              RETRYCOUNT (number): Set the delivery count of the claimed entries.
+     *                              FORCE (boolean): Claim the entries of the stream that are not pending too.
+     *                              JUSTID (boolean): Return the IDs only, and do not increment the delivery count.
+     * @returns {Array} - The claimed entries as [id, fields] pairs, or their IDs with JUSTID.
+     * @throws {Error} - If the key does not hold a stream, the group does not exist, or an ID is invalid.
+     */
+    xclaim(key, group, consumer, minIdleTime, ids, options = {}) {
+        const { IDLE = 0, TIME = undefined, RETRYCOUNT = undefined, FORCE = false, JUSTID = false } = options;
+        const { stream, group: consumerGroup } = this._getConsumerGroup(key, group);
+        ids = ids.map(id => Stream.formatId(Stream.parseId(id)));
 
-        // Clear all expiration times from the expirations map
-        this.expireTimes.clear();
+        const now = Date.now();
+        const deliveryTime = TIME !== undefined ? TIME : now - IDLE;
+        this._beforeWrite(key);
+        consumerGroup.consumer(consumer).seenTime = now;
+
+        const claimed = [];
+        for (const id of ids) {
+            const pending = consumerGroup.pending.get(id);
+            const entry = stream.get(id);
+            if (pending === undefined ? !FORCE || entry === undefined : now - pending.deliveryTime < minIdleTime) {
+                continue;
+            }
+            if (entry === undefined) {
+                consumerGroup.acknowledge(id);
+                continue;
+            }
 
-        // Clear IndexedDB if available
-        if (this.isIndexedDBAvailable && this.db) {
-            this._clearIndexedDB();
+            let deliveries = RETRYCOUNT;
+            if (deliveries === undefined && JUSTID) {
+                deliveries = pending ? pending.deliveries : 0;
+            }
+            consumerGroup.deliver(id, consumer, deliveryTime, deliveries);
+            claimed.push(JUSTID ? id : entry);
         }
+        return claimed;
+    }
 
-        // Return true to indicate that the function was successful
-        return true;
+    /**
+     * Scan the pending entries of a consumer group and claim those idle for at least minIdleTime milliseconds,
+     * like xclaim(). Call it again with the returned cursor until it returns '0-0' to scan every pending entry.
+     *
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} group - The name of the consumer group.
+     * @param {string} consumer - The name of the consumer claiming the entries, created if needed.
+     * @param {number} minIdleTime - The minimum number of milliseconds since the entries were last delivered.
+     * @param {string} [start='0-0'] - The ID to start scanning from.
+     * @param {Object} [options] - The options:
+     *                              COUNT (number): The maximum number of entries to claim (default 100).
+     *                              JUSTID (boolean): Return the IDs only, and do not increment the delivery count.
+     * @returns {Array} - [cursor, claimed entries, IDs of the deleted entries removed from the pending entries].
+     * @throws {Error} - If the key does not hold a stream, the group does not exist, or the ID is invalid.
+     */
+    xautoclaim(key, group, consumer, minIdleTime, start = '0-0', options = {}) {
+        const { COUNT = 100, JUSTID = false } = options;
+        const { stream, group: consumerGroup } = this._getConsumerGroup(key, group);
+        const startId = start === '-' ? '0-0' : Stream.formatId(Stream.parseId(start));
+
+        const now = Date.now();
+        this._beforeWrite(key);
+        consumerGroup.consumer(consumer).seenTime = now;
+
+        const ids = consumerGroup.sortedIds().filter(id => Stream.isInRange(id, startId, '+'));
+        const claimed = [];
+        const deleted = [];
+        let attempts = COUNT * 10;
+        for (let i = 0; i < ids.length; i++) {
+            if (claimed.length >= COUNT || attempts-- <= 0) {
+                return [ids[i], claimed, deleted];
+            }
+
+            const id = ids[i];
+            const pending = consumerGroup.pending.get(id);
+            if (now - pending.deliveryTime < minIdleTime) {
+                continue;
+            }
+            const entry = stream.get(id);
+            if (entry === undefined) {
+                consumerGroup.acknowledge(id);
+                deleted.push(id);
+                continue;
+            }
+            consumerGroup.deliver(id, consumer, now, JUSTID ? pending.deliveries : undefined);
+            claimed.push(JUSTID ? id : entry);
+        }
+        return ['0-0', claimed, deleted];
     }
 
     /**
-     * Clear all data from IndexedDB
-     * @private
+     * Estimates the number of bytes a key and its value take in memory. Collections are estimated from
+     * a sample of their elements.
+     * @param {*} key - The key.
+     * @param {Object} [options] - The options:
+     *                            - samples (number): The number of elements of collections to estimate, 5 by default,
+     *                              or 0 to estimate all of them.
+     * @returns {number|undefined} - The estimated memory usage in bytes, or undefined if the key does not exist.
      */
-    async _clearIndexedDB() {
-        if (!this.db) return;
+    memoryUsage(key, options = {}) {
+        const { samples = MEMORY_SAMPLES } = options;
+        if (!Number.isInteger(samples) || samples < 0) {
+            throw new Error('ERR value is out of range, must be positive');
+        }
 
-        try {
-            const transaction = this.db.transaction(['store', 'expireTimes'], 'readwrite');
-            const storeObjectStore = transaction.objectStore('store');
-            const expireTimesObjectStore = transaction.objectStore('expireTimes');
-            
-            storeObjectStore.clear();
-            expireTimesObjectStore.clear();
-        } catch (error) {
-            console.warn('Failed to clear IndexedDB:', error);
+        const value = this._lookupKey(key);
+        if (value === undefined) {
+            return undefined;
         }
+        return this._estimateKeyMemory(key, value, samples);
+    }
+
+    /**
+     * Estimates the memory usage of the selected database.
+     * @returns {Object} - The statistics:
+     *                     - keys (number): The number of keys.
+     *                     - datasetBytes (number): The estimated memory usage of the keys and their values.
+     *                     - types (Object): The number of keys and their estimated memory usage by type, e.g.
+     *                       { string: { keys: 2, bytes: 120 }, list: { keys: 0, bytes: 0 }, ... }.
+     *                     - expires (number): The number of keys having an expire time.
+     *                     - expiresBytes (number): The estimated memory usage of the expire times.
+     *                     - totalBytes (number): The sum of datasetBytes and expiresBytes.
+     *                     - pools (number): The number of Maps the keys are spread over.
+     */
+    memoryStats() {
+        const types = {};
+        for (const type of ['string', 'list', 'set', 'zset', 'hash', 'stream']) {
+            types[type] = { keys: 0, bytes: 0 };
+        }
+
+        let keys = 0;
+        let datasetBytes = 0;
+        for (const [key, value] of this.store) {
+            if (!this._keyExists(key)) {
+                continue;
+            }
+            const bytes = this._estimateKeyMemory(key, value);
+            const type = types[this._typeOf(value)];
+            type.keys++;
+            type.bytes += bytes;
+            keys++;
+            datasetBytes += bytes;
+        }
+
+        // Every expire time is an object holding the key and the time referenced by the heap of expireTimes,
+        // and an entry in its map of positions
+        const expiresBytes = this.expireTimes.size * ((OBJECT_OVERHEAD + 16 + 8) + (16 + 8));
+        return {
+            keys,
+            datasetBytes,
+            types,
+            expires: this.expireTimes.size,
+            expiresBytes,
+            totalBytes: datasetBytes + expiresBytes,
+            pools: this.store.poolCount,
+        };
+    }
+
+    /**
+     * Inspect the slow log, which records the commands that took at least slowlogLogSlowerThan microseconds.
+     * @param {string} subcommand - One of:
+     *                              GET [count]: the last count entries from the newest, 10 by default or all of them
+     *                              if count is -1. Every entry is an array [id, timestamp in seconds, duration in
+     *                              microseconds, [command, ...arguments]].
+     *                              LEN: the number of entries.
+     *                              RESET: removes all the entries.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Array|number|boolean} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    slowlog(subcommand, ...args) {
+        switch (String(subcommand).toUpperCase()) {
+            case 'GET': {
+                const [count = 10] = args;
+                if (!Number.isInteger(count) || count < -1) {
+                    throw new Error('ERR count should be greater than or equal to -1');
+                }
+                return this.slowlogEntries.slice(0, count === -1 ? undefined : count);
+            }
+            case 'LEN':
+                return this.slowlogEntries.length;
+            case 'RESET':
+                this.slowlogEntries = new Deque();
+                return true;
+            case 'HELP':
+                return [
+                    'SLOWLOG <subcommand> [<arg> [value] [opt] ...]. Subcommands are:',
+                    'GET [<count>]',
+                    '    Return top <count> entries from the slowlog (default: 10, -1 mean all).',
+                    '    Entries are made of:',
+                    '    id, timestamp, time in microseconds, arguments array.',
+                    'LEN',
+                    '    Return the length of the slowlog.',
+                    'RESET',
+                    '    Reset the slowlog.',
+                    'HELP',
+                    '    Print this help.',
+                ];
+            default:
+                throw new Error(`ERR unknown subcommand '${subcommand}'. Try SLOWLOG HELP.`);
+        }
+    }
+
+    /**
+     * Trace the executed commands, like the Redis MONITOR command. Every command called by the user, not the
+     * ones called by other commands, is passed as an entry { time, command, args, result } or
+     * { time, command, args, error } if it failed, time being when it started in milliseconds. The entries of
+     * asynchronous commands are passed once they settled, with their resolved value as result. Expired keys
+     * are passed as { time, command: 'del', args: [key], result: 1, expired: true } when they are removed.
+     * @param {Function} [callback] - The function to call with every entry.
+     * @returns {Function|AsyncIterableIterator<Object>} - With a callback, a function to stop monitoring. Without,
+     *                                                     an async iterator over the entries, which stops monitoring
+     *                                                     when returned, e.g. by breaking out of a for await loop.
+     *                                                     Both are also disposable.
+     * @throws {Error} - If the callback is not a function.
+     */
+    monitor(callback) {
+        if (callback !== undefined) {
+            if (typeof callback !== 'function') {
+                throw new Error('ERR callback must be a function');
+            }
+            // Wrapped so that the same callback can monitor several times, and be stopped independently
+            const monitor = entry => callback(entry);
+            const stop = () => {
+                this.monitors.delete(monitor);
+            };
+            this.monitors.add(monitor);
+            if (Symbol.dispose) {
+                stop[Symbol.dispose] = stop;
+            }
+            return stop;
+        }
+
+        // Entries not consumed yet, or the pending next() call waiting for the next entry
+        let entries = new Deque();
+        let resolveNext = null;
+        let isDone = false;
+        const monitor = entry => {
+            if (resolveNext) {
+                const resolve = resolveNext;
+                resolveNext = null;
+                resolve({ value: entry, done: false });
+            } else {
+                entries.push(entry);
+            }
+        };
+        this.monitors.add(monitor);
+
+        const iterator = {
+            next: () => {
+                if (entries.length > 0) {
+                    return Promise.resolve({ value: entries.shift(), done: false });
+                }
+                if (isDone) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => {
+                    resolveNext = resolve;
+                });
+            },
+            return: () => {
+                isDone = true;
+                this.monitors.delete(monitor);
+                entries = new Deque();
+                if (resolveNext) {
+                    resolveNext({ value: undefined, done: true });
+                    resolveNext = null;
+                }
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return iterator;
+            },
+        };
+        if (Symbol.asyncDispose) {
+            iterator[Symbol.asyncDispose] = iterator.return;
+        }
+        return iterator;
+    }
+
+    /**
+     * Inspect the latency of the commands and of the internal events. The duration of every command called by the
+     * user is counted in a histogram when latencyTracking is set, and the events taking at least
+     * latencyMonitorThreshold milliseconds are recorded when it is not 0. The events are:
+     * - command: a command called by the user.
+     * - expire-cycle: a run of the cleanup loop removing expired keys.
+     * - indexeddb-load: loading the store from IndexedDB.
+     * - indexeddb-flush: a write to IndexedDB, until it is committed.
+     * @param {string} subcommand - One of:
+     *                              LATEST: the latest and largest latency of every event, as arrays [event,
+     *                              timestamp in seconds, latest latency, largest latency], in milliseconds.
+     *                              HISTORY event: the largest latency of the event for each of the last 160
+     *                              seconds it happened, as [timestamp in seconds, latency in milliseconds] pairs.
+     *                              RESET [...events]: removes the samples of the events, or of all events.
+     *                              HISTOGRAM [...commands]: the number of calls and the p50, p99, p999 and max
+     *                              durations in microseconds of the commands, or of all commands called.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Array|Object|number} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    latency(subcommand, ...args) {
+        switch (String(subcommand).toUpperCase()) {
+            case 'LATEST':
+                return Array.from(this.latencyEvents, ([event, { samples, max }]) => {
+                    const [time, latency] = samples.at(-1);
+                    return [event, time, latency, max];
+                });
+            case 'HISTORY': {
+                const [event] = args;
+                const series = this.latencyEvents.get(event);
+                return series ? series.samples.toArray().map(([time, latency]) => [time, latency]) : [];
+            }
+            case 'RESET': {
+                if (args.length === 0) {
+                    const count = this.latencyEvents.size;
+                    this.latencyEvents.clear();
+                    return count;
+                }
+                return args.filter(event => this.latencyEvents.delete(event)).length;
+            }
+            case 'HISTOGRAM': {
+                const names = args.length > 0 ? args : Array.from(this.latencyHistograms.keys());
+                const histograms = {};
+                for (const name of names) {
+                    const histogram = this.latencyHistograms.get(name);
+                    if (histogram) {
+                        histograms[name] = {
+                            calls: histogram.count,
+                            p50: histogram.percentile(50),
+                            p99: histogram.percentile(99),
+                            p999: histogram.percentile(99.9),
+                            max: histogram.max,
+                        };
+                    }
+                }
+                return histograms;
+            }
+            case 'HELP':
+                return [
+                    'LATENCY <subcommand> [<arg> [value] [opt] ...]. Subcommands are:',
+                    'LATEST',
+                    '    Return the latest latency samples for all events.',
+                    'HISTORY <event>',
+                    '    Return time-latency samples for the <event>.',
+                    'RESET [<event> ...]',
+                    '    Reset latency data of one or more <event> classes.',
+                    '    (default: reset all data for all event classes)',
+                    'HISTOGRAM [<command> ...]',
+                    '    Return the latency percentiles of the specified commands,',
+                    '    or of all commands if none is specified.',
+                    'HELP',
+                    '    Print this help.',
+                ];
+            default:
+                throw new Error(`ERR unknown subcommand '${subcommand}'. Try LATENCY HELP.`);
+        }
+    }
+
+    /**
+     * Read and change the settings of the store while it runs. The parameters are named like the constructor
+     * options: cleanupInterval, cleanupBudget, maxmemory, maxmemoryPolicy, maxKeys, evictionPolicy, trackAccess,
+     * slowlogLogSlowerThan, slowlogMaxLen, latencyTracking, latencyMonitorThreshold, acllogMaxLen, dbName and dbVersion,
+     * and databases (the number of databases) which can only be read. New values take effect right away: the cleanup
+     * loop is restarted with a new interval, keys are evicted if the memory usage or the number of keys is above a new
+     * limit, and the keys are persisted to the IndexedDB database with a new name or version, replacing its data.
+     * @param {string} subcommand - One of:
+     *                              GET ...patterns: the values of the parameters matching any of the glob-style patterns.
+     *                              SET ...[name, value]: sets the parameters, either all of them or none if a value is invalid.
+     *                              RESETSTAT: resets the statistics of info() and the latency histograms.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {Object|boolean|Array} - The values by parameter name for GET, true for SET and RESETSTAT.
+     * @throws {Error} - If the subcommand or a parameter is unknown, or a value is invalid.
+     */
+    config(subcommand, ...args) {
+        switch (String(subcommand).toUpperCase()) {
+            case 'GET': {
+                if (args.length === 0) {
+                    throw new Error("ERR wrong number of arguments for 'config|get' command");
+                }
+                const values = {};
+                for (const name of Object.keys(CONFIG_PARAMETERS)) {
+                    if (args.some(pattern => simpleMatch(name, pattern))) {
+                        // The databases themselves are internal state, only their number is a setting
+                        values[name] = name === 'databases' ? this.databases.length : this[name];
+                    }
+                }
+                return values;
+            }
+            case 'SET': {
+                if (args.length === 0 || args.length % 2 !== 0) {
+                    throw new Error("ERR wrong number of arguments for 'config|set' command");
+                }
+                const changes = new Map();
+                for (let i = 0; i < args.length; i += 2) {
+                    const [name, value] = [args[i], args[i + 1]];
+                    if (!Object.prototype.hasOwnProperty.call(CONFIG_PARAMETERS, name)) {
+                        throw new Error(`ERR Unknown option or number of arguments for CONFIG SET - '${name}'`);
+                    }
+                    if (changes.has(name)) {
+                        throw new Error(`ERR CONFIG SET failed (possibly related to argument '${name}') - duplicate parameter`);
+                    }
+                    if (CONFIG_PARAMETERS[name] === null) {
+                        throw new Error(`ERR CONFIG SET failed (possibly related to argument '${name}') - can't set immutable config`);
+                    }
+                    const [isValid, reason] = CONFIG_PARAMETERS[name];
+                    if (!isValid(value)) {
+                        throw new Error(`ERR CONFIG SET failed (possibly related to argument '${name}') - ${reason}`);
+                    }
+                    changes.set(name, value);
+                }
+                for (const [name, value] of changes) {
+                    this._setConfig(name, value);
+                }
+                if (changes.has('dbName') || changes.has('dbVersion')) {
+                    this._reopenIndexedDB();
+                }
+                this._enforceLimits();
+                return true;
+            }
+            case 'RESETSTAT':
+                for (const name of Object.keys(this.stats)) {
+                    this.stats[name] = 0;
+                }
+                this.opsSample = { time: Date.now(), commands: 0, opsPerSec: 0 };
+                this.latencyHistograms.clear();
+                return true;
+            case 'HELP':
+                return [
+                    'CONFIG <subcommand> [<arg> [value] [opt] ...]. Subcommands are:',
+                    'GET <pattern>',
+                    '    Return parameters matching the glob-like <pattern> and their values.',
+                    'SET <directive> <value>',
+                    '    Set the configuration <directive> to <value>.',
+                    'RESETSTAT',
+                    '    Reset statistics reported by the INFO command.',
+                    'HELP',
+                    '    Print this help.',
+                ];
+            default:
+                throw new Error(`ERR unknown subcommand '${subcommand}'. Try CONFIG HELP.`);
+        }
+    }
+
+    /**
+     * Returns information and statistics about the store, in sections like the Redis INFO command.
+     * @param {string} [section] - The section to return, or 'all' or 'default' for all of them:
+     *                             - keyspace: the number of keys, keys having an expire time and their average
+     *                               remaining time to live in milliseconds, by database.
+     *                             - stats: the number of commands processed, in total and per second, of lookups of
+     *                               existing and missing keys, and of expired and evicted keys.
+     *                             - memory: the estimated memory usage and the eviction settings.
+     *                             - persistence: the state of the IndexedDB persistence.
+     * @returns {Object} - The fields of the section, or the sections by name.
+     * @throws {Error} - If the section is unknown.
+     */
+    info(section = 'default') {
+        const sections = {
+            keyspace: () => {
+                // Database 0 is always listed, the other ones only when they have keys
+                const keyspace = {};
+                const now = Date.now();
+                this.databases.forEach(({ store, expireTimes }, index) => {
+                    if (index > 0 && store.size === 0) {
+                        return;
+                    }
+                    let ttlSum = 0;
+                    for (const [, expireTime] of expireTimes) {
+                        ttlSum += Math.max(expireTime - now, 0);
+                    }
+                    const expires = expireTimes.size;
+                    keyspace[`db${index}`] = { keys: store.size, expires, avg_ttl: expires > 0 ? Math.round(ttlSum / expires) : 0 };
+                });
+                return keyspace;
+            },
+            stats: () => ({
+                total_commands_processed: this.stats.totalCommandsProcessed,
+                instantaneous_ops_per_sec: this.opsSample.opsPerSec,
+                keyspace_hits: this.stats.keyspaceHits,
+                keyspace_misses: this.stats.keyspaceMisses,
+                expired_keys: this.stats.expiredKeys,
+                evicted_keys: this.stats.evictedKeys,
+            }),
+            memory: () => ({
+                // The incremental estimate is only maintained while maxmemory is set
+                used_memory: this.databases.reduce((total, database, index) => total + this._withDatabase(index, () => {
+                    return this.maxmemory > 0 ? this._usedMemory() : this.memoryStats().datasetBytes;
+                }), 0),
+                maxmemory: this.maxmemory,
+                maxmemory_policy: this.maxmemoryPolicy,
+                maxkeys: this.maxKeys,
+                eviction_policy: this.evictionPolicy,
+            }),
+            persistence: () => ({
+                indexeddb_available: this.isIndexedDBAvailable,
+                indexeddb_initialized: this.isInitialized,
+                pending_writes: this.pendingWrites,
+                last_error: this.lastPersistenceError ? String(this.lastPersistenceError.message || this.lastPersistenceError) : null,
+            }),
+        };
+
+        const name = String(section).toLowerCase();
+        if (name === 'all' || name === 'default' || name === 'everything') {
+            const result = {};
+            for (const [sectionName, getSection] of Object.entries(sections)) {
+                result[sectionName] = getSection();
+            }
+            return result;
+        }
+        if (!Object.prototype.hasOwnProperty.call(sections, name)) {
+            throw new Error(`ERR unknown section '${section}'`);
+        }
+        return sections[name]();
+    }
+
+    /**
+     * Inspect the commands of the store and their flags: 'write' for the commands that may modify keys, 'readonly'
+     * for the ones only reading keys or the state of the store, 'admin' for the commands managing the store,
+     * 'pubsub' for the publish/subscribe commands and 'blocking' for the commands that may wait for keys.
+     * @param {string} subcommand - One of:
+     *                              COUNT: the number of commands.
+     *                              LIST: the names of the commands.
+     *                              INFO ...names: the flags and ACL categories of the given commands, or of every command.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {number|string[]|Object} - The number or names of the commands, or { flags, categories } by command
+     *                                     name for INFO, the categories being the ACL ones, null for the unknown commands.
+     * @throws {Error} - If the subcommand is unknown.
+     */
+    command(subcommand, ...args) {
+        switch (String(subcommand).toUpperCase()) {
+            case 'COUNT':
+                return Object.keys(COMMAND_FLAGS).length;
+            case 'LIST':
+                return Object.keys(COMMAND_FLAGS);
+            case 'INFO': {
+                const names = args.length > 0 ? args : Object.keys(COMMAND_FLAGS);
+                const commands = {};
+                for (const name of names) {
+                    commands[name] = Object.prototype.hasOwnProperty.call(COMMAND_FLAGS, name)
+                        ? { flags: [...COMMAND_FLAGS[name]], categories: COMMAND_CATEGORIES[name].map(category => `@${category}`) }
+                        : null;
+                }
+                return commands;
+            }
+            case 'HELP':
+                return [
+                    'COMMAND <subcommand> [<arg> [value] [opt] ...]. Subcommands are:',
+                    'COUNT',
+                    '    Return the total number of commands.',
+                    'LIST',
+                    '    Return a list of all commands.',
+                    'INFO [<command-name> ...]',
+                    '    Return details about multiple commands.',
+                    '    If no command names are given, documentation details for all',
+                    '    commands are returned.',
+                    'HELP',
+                    '    Print this help.',
+                ];
+            default:
+                throw new Error(`ERR unknown subcommand '${subcommand}'. Try COMMAND HELP.`);
+        }
+    }
+
+    /**
+     * Manage the ACL users, whose permissions are checked when commands run through the handles returned by auth().
+     * The commands run without a handle are run by the 'default' user, allowed to run every command on every key. It
+     * cannot be disabled or denied the acl command, so that the users can always be changed back. keys(), scan() and
+     * randomkey() only return the keys matching the key patterns of the user.
+     * The rules of a user are applied in order to a disabled user without passwords, keys and commands:
+     * - on, off: enables or disables the user, disabled users cannot authenticate.
+     * - >password, <password, nopass, resetpass: adds or removes a password, or allows or denies any password.
+     * - ~pattern, allkeys, resetkeys: allows the keys matching a glob-style pattern, every key, or no key.
+     * - +command, -command, +@category, -@category, allcommands, nocommands: allows or denies a command, the
+     *   commands of a category such as @read, @write or @dangerous, every command or no command.
+     * - reset: the same as off, resetpass, resetkeys and nocommands.
+     * @param {string} subcommand - One of:
+     *                              SETUSER name ...rules: creates or modifies a user, applying either all the rules or none.
+     *                              GETUSER name: the flags, command rules and key patterns of a user.
+     *                              DELUSER ...names: deletes users, their handles failing afterwards.
+     *                              USERS: the names of the users.
+     *                              LIST: the rules of every user, without the passwords.
+     *                              WHOAMI: the name of the user running the command.
+     *                              CAT [category]: the categories, or the commands of a category.
+     *                              LOG [count|'RESET']: the latest denied commands and authentications, 10 by default.
+     *                              HELP: the description of the subcommands.
+     * @param {...*} args - The arguments of the subcommand.
+     * @returns {*} - The result of the subcommand.
+     * @throws {Error} - If the subcommand is unknown, or a rule or category is invalid.
+     */
+    acl(subcommand, ...args) {
+        switch (String(subcommand).toUpperCase()) {
+            case 'SETUSER': {
+                const [name, ...rules] = args.flat();
+                if (typeof name !== 'string' || name === '') {
+                    throw new Error("ERR wrong number of arguments for 'acl|setuser' command");
+                }
+                const existing = this.aclUsers.get(name);
+                const user = existing
+                    ? {
+                        ...existing,
+                        passwords: new Set(existing.passwords),
+                        commands: new Set(existing.commands),
+                        commandRules: [...existing.commandRules],
+                        keyPatterns: [...existing.keyPatterns],
+                    }
+                    : this._createAclUser(name, []);
+                this._applyAclRules(user, rules);
+                // The commands run without a handle are run by the default user, which must be able to change
+                // the users back
+                if (name === 'default' && (!user.isEnabled || !user.commands.has('acl'))) {
+                    throw new Error("ERR The 'default' user cannot be disabled or denied the 'acl' command");
+                }
+                this.aclUsers.set(name, user);
+                return true;
+            }
+            case 'GETUSER': {
+                const user = this.aclUsers.get(args[0]);
+                if (!user) {
+                    return null;
+                }
+                return {
+                    flags: [user.isEnabled ? 'on' : 'off', ...user.isNoPass ? ['nopass'] : []],
+                    commands: user.commandRules.join(' '),
+                    keys: user.keyPatterns.map(pattern => `~${pattern}`).join(' '),
+                };
+            }
+            case 'DELUSER': {
+                if (args.includes('default')) {
+                    throw new Error("ERR The 'default' user cannot be removed");
+                }
+                let deleted = 0;
+                for (const name of args) {
+                    if (this.aclUsers.delete(name)) {
+                        deleted++;
+                    }
+                }
+                return deleted;
+            }
+            case 'USERS':
+                return Array.from(this.aclUsers.keys()).sort();
+            case 'LIST':
+                return Array.from(this.aclUsers.values())
+                    .sort((a, b) => a.name < b.name ? -1 : 1)
+                    .map(user => this._describeAclUser(user));
+            case 'WHOAMI':
+                return this.currentUser;
+            case 'CAT': {
+                if (args.length === 0) {
+                    return [...ACL_CATEGORIES];
+                }
+                const category = String(args[0]).toLowerCase();
+                if (!ACL_CATEGORIES.includes(category)) {
+                    throw new Error(`ERR Unknown category '${args[0]}'`);
+                }
+                return Object.keys(COMMAND_CATEGORIES)
+                    .filter(name => category === 'all' || COMMAND_CATEGORIES[name].includes(category));
+            }
+            case 'LOG': {
+                const [count = 10] = args;
+                if (String(count).toUpperCase() === 'RESET') {
+                    this.aclLog = [];
+                    return true;
+                }
+                if (!Number.isInteger(count) || count < 0) {
+                    throw new Error('ERR value is out of range, must be positive');
+                }
+                const now = Date.now();
+                return this.aclLog.slice(0, count).map(entry => ({
+                    ...entry,
+                    ageSeconds: (now - entry.timestampLastUpdated) / 1000,
+                }));
+            }
+            case 'HELP':
+                return [
+                    'ACL <subcommand> [<arg> [value] [opt] ...]. Subcommands are:',
+                    'CAT [<category>]',
+                    '    List all commands that belong to <category>, or all command categories',
+                    '    when no category is specified.',
+                    'DELUSER <username> [<username> ...]',
+                    '    Delete a list of users.',
+                    'GETUSER <username>',
+                    "    Get the user's details.",
+                    'LIST',
+                    '    Show users details in config file format.',
+                    'LOG [<count> | RESET]',
+                    '    Show the ACL log entries.',
+                    'SETUSER <username> <attribute> [<attribute> ...]',
+                    '    Create or modify a user with the specified attributes.',
+                    'USERS',
+                    '    List all the registered usernames.',
+                    'WHOAMI',
+                    '    Return the current connection username.',
+                    'HELP',
+                    '    Print this help.',
+                ];
+            default:
+                throw new Error(`ERR unknown subcommand '${subcommand}'. Try ACL HELP.`);
+        }
+    }
+
+    /**
+     * Authenticate as an ACL user, see acl().
+     * @param {string} name - The name of the user.
+     * @param {string} [password] - A password of the user, not needed if the user has the nopass rule.
+     * @returns {UserHandle} - A handle on which every command can be called, running as the user.
+     * @throws {Error} - If the user does not exist, is disabled, or the password is wrong.
+     */
+    auth(name, password) {
+        const user = this.aclUsers.get(name);
+        if (!user || !user.isEnabled || (!user.isNoPass && !user.passwords.has(password))) {
+            this._logAclDenial('auth', 'AUTH', String(name));
+            throw new Error('WRONGPASS invalid username-password pair or user is disabled.');
+        }
+        return new UserHandle(this, this, name);
+    }
+
+    /**
+     * Runs a command called by the user, counting it in the statistics, recording its duration and passing it
+     * to the monitors. Every public method is routed through this method, see the end
+     * of this file. Commands called by other commands, or by the store itself (see _runInternally()), run directly.
+     * @private
+     * @param {string} name - The name of the command.
+     * @param {Function} command - The method implementing the command.
+     * @param {Array} args - The arguments of the command.
+     * @returns {*} - The result of the command.
+     */
+    _call(name, command, args) {
+        if (this.commandDepth > 0) {
+            return command.apply(this, args);
+        }
+
+        // Denied commands are only recorded in the ACL log
+        const user = this.aclUsers.get(this.currentUser);
+        if (!user.isUnrestricted) {
+            this._checkPermissions(user, name, args);
+        }
+
+        const now = Date.now();
+        if (now - this.opsSample.time >= 1000) {
+            const commands = this.stats.totalCommandsProcessed - this.opsSample.commands;
+            this.opsSample = {
+                time: now,
+                commands: this.stats.totalCommandsProcessed,
+                opsPerSec: Math.round(commands * 1000 / (now - this.opsSample.time)),
+            };
+        }
+
+        const isTimed = this.slowlogLogSlowerThan >= 0 || this.latencyTracking || this.latencyMonitorThreshold > 0;
+        const start = isTimed ? clock.now() : 0;
+        // Starting to monitor isn't shown to the monitors
+        const isMonitored = this.monitors.size > 0 && name !== 'monitor';
+        this.isReadCommand = COMMAND_FLAGS[name].includes('readonly');
+        this.commandDepth++;
+        try {
+            const result = command.apply(this, args);
+            if (isMonitored) {
+                this._monitorCommand(now, name, args, result);
+            }
+            return result;
+        } catch (error) {
+            if (isMonitored) {
+                this._emitMonitorEntry({ time: now, command: name, args, error });
+            }
+            throw error;
+        } finally {
+            this.commandDepth--;
+            this.isReadCommand = false;
+            this.stats.totalCommandsProcessed++;
+            if (isTimed) {
+                this._recordCommandDuration(name, args, Math.round((clock.now() - start) * 1000));
+            }
+            // The commands of a transaction are only complete once it commits
+            if (this.pendingEvictions.length > 0 && !this.journal) {
+                this._flushEvictions();
+            }
+        }
+    }
+
+    /**
+     * Runs work that the store does by itself, such as expiring keys or notifying the events of a transaction.
+     * The commands it calls, e.g. from keyspace event listeners, run directly like the commands called by other
+     * commands, so they are not counted, timed or monitored.
+     * @private
+     * @param {Function} callback - The function to run.
+     * @returns {*} - The result of the function.
+     */
+    _runInternally(callback) {
+        this.commandDepth++;
+        try {
+            return callback();
+        } finally {
+            this.commandDepth--;
+        }
+    }
+
+    /**
+     * Records the duration of a command called by the user in the slow log, the latency histograms and the
+     * latency events, as enabled.
+     * @private
+     * @param {string} name - The name of the command.
+     * @param {Array} args - The arguments of the command.
+     * @param {number} duration - The execution time of the command in microseconds.
+     */
+    _recordCommandDuration(name, args, duration) {
+        if (this.slowlogLogSlowerThan >= 0 && duration >= this.slowlogLogSlowerThan) {
+            this._slowlogPush(name, args, duration);
+        }
+
+        if (this.latencyTracking) {
+            let histogram = this.latencyHistograms.get(name);
+            if (!histogram) {
+                histogram = new LatencyHistogram();
+                this.latencyHistograms.set(name, histogram);
+            }
+            histogram.record(duration);
+        }
+
+        this._addLatencySample('command', duration / 1000);
+    }
+
+    /**
+     * Records a latency event if it took at least latencyMonitorThreshold milliseconds. Only the largest latency
+     * of every second is kept.
+     * @private
+     * @param {string} event - The name of the event, e.g. 'command' or 'expire-cycle'.
+     * @param {number} latency - The duration of the event in milliseconds.
+     */
+    _addLatencySample(event, latency) {
+        if (this.latencyMonitorThreshold <= 0 || latency < this.latencyMonitorThreshold) {
+            return;
+        }
+
+        latency = Math.round(latency);
+        const time = Math.floor(Date.now() / 1000);
+        let series = this.latencyEvents.get(event);
+        if (!series) {
+            series = { samples: new Deque(), max: 0 };
+            this.latencyEvents.set(event, series);
+        }
+        series.max = Math.max(series.max, latency);
+
+        const last = series.samples.at(-1);
+        if (last && last[0] === time) {
+            last[1] = Math.max(last[1], latency);
+            return;
+        }
+        series.samples.push([time, latency]);
+        if (series.samples.length > LATENCY_HISTORY_LEN) {
+            series.samples.shift();
+        }
+    }
+
+    /**
+     * Records a command in the slow log, removing the oldest entries beyond slowlogMaxLen.
+     * @private
+     * @param {string} name - The name of the command.
+     * @param {Array} args - The arguments of the command.
+     * @param {number} duration - The execution time of the command in microseconds.
+     */
+    _slowlogPush(name, args, duration) {
+        const argc = Math.min(args.length, SLOWLOG_MAX_ARGC - 1);
+        const loggedArgs = [name];
+        for (let i = 0; i < argc; i++) {
+            const arg = args[i];
+            if (typeof arg === 'string' && arg.length > SLOWLOG_MAX_STRING) {
+                loggedArgs.push(`${arg.slice(0, SLOWLOG_MAX_STRING)}... (${arg.length - SLOWLOG_MAX_STRING} more bytes)`);
+            } else {
+                loggedArgs.push(arg);
+            }
+        }
+        if (argc < args.length) {
+            loggedArgs[SLOWLOG_MAX_ARGC - 1] = `... (${args.length - SLOWLOG_MAX_ARGC + 2} more arguments)`;
+        }
+
+        this.slowlogEntries.unshift([this.slowlogNextId++, Math.floor(Date.now() / 1000), duration, loggedArgs]);
+        while (this.slowlogEntries.length > this.slowlogMaxLen) {
+            this.slowlogEntries.pop();
+        }
+    }
+
+    /**
+     * Creates an ACL user, see acl().
+     * @private
+     * @param {string} name - The name of the user.
+     * @param {string[]} rules - The rules of the user, applied to a disabled user without passwords, keys and commands.
+     * @returns {Object} - The user.
+     * @throws {Error} - If a rule is invalid.
+     */
+    _createAclUser(name, rules) {
+        const user = {
+            name,
+            isEnabled: false,
+            isNoPass: false,
+            passwords: new Set(),
+            commands: new Set(),
+            commandRules: ['-@all'],
+            keyPatterns: [],
+            isUnrestricted: false,
+        };
+        this._applyAclRules(user, rules);
+        return user;
+    }
+
+    /**
+     * Applies rules to an ACL user, see acl().
+     * @private
+     * @param {Object} user - The user, modified in place.
+     * @param {string[]} rules - The rules.
+     * @throws {Error} - If a rule is invalid, leaving the user partially modified.
+     */
+    _applyAclRules(user, rules) {
+        for (const rule of rules) {
+            const error = reason => new Error(`ERR Error in ACL SETUSER modifier '${rule}': ${reason}`);
+            if (typeof rule !== 'string' || rule === '') {
+                throw error('Syntax error');
+            }
+
+            switch (rule.toLowerCase()) {
+                case 'on':
+                case 'off':
+                    user.isEnabled = rule.toLowerCase() === 'on';
+                    continue;
+                case 'nopass':
+                case 'resetpass':
+                    user.isNoPass = rule.toLowerCase() === 'nopass';
+                    user.passwords.clear();
+                    continue;
+                case 'allkeys':
+                    user.keyPatterns = ['*'];
+                    continue;
+                case 'resetkeys':
+                    user.keyPatterns = [];
+                    continue;
+                case 'allcommands':
+                    this._applyAclRules(user, ['+@all']);
+                    continue;
+                case 'nocommands':
+                    this._applyAclRules(user, ['-@all']);
+                    continue;
+                case 'reset':
+                    this._applyAclRules(user, ['off', 'resetpass', 'resetkeys', '-@all']);
+                    continue;
+            }
+
+            const value = rule.slice(1);
+            switch (rule[0]) {
+                case '>':
+                    user.isNoPass = false;
+                    user.passwords.add(value);
+                    continue;
+                case '<':
+                    user.passwords.delete(value);
+                    continue;
+                case '~':
+                    if (value === '*') {
+                        user.keyPatterns = ['*'];
+                    } else if (!user.keyPatterns.includes(value)) {
+                        user.keyPatterns.push(value);
+                    }
+                    continue;
+                case '+':
+                case '-': {
+                    let names;
+                    let normalizedRule;
+                    if (value.startsWith('@')) {
+                        const category = value.slice(1).toLowerCase();
+                        if (!ACL_CATEGORIES.includes(category)) {
+                            throw error('Unknown command or category name in ACL');
+                        }
+                        names = Object.keys(COMMAND_CATEGORIES)
+                            .filter(name => category === 'all' || COMMAND_CATEGORIES[name].includes(category));
+                        normalizedRule = `${rule[0]}@${category}`;
+                    } else {
+                        const name = Object.keys(COMMAND_FLAGS).find(name => name.toLowerCase() === value.toLowerCase());
+                        if (name === undefined) {
+                            throw error('Unknown command or category name in ACL');
+                        }
+                        names = [name];
+                        normalizedRule = `${rule[0]}${name}`;
+                    }
+
+                    for (const name of names) {
+                        if (rule[0] === '+') {
+                            user.commands.add(name);
+                        } else {
+                            user.commands.delete(name);
+                        }
+                    }
+                    // Allowing or denying every command makes the previous command rules pointless
+                    user.commandRules = value.toLowerCase() === '@all' ? [normalizedRule] : [...user.commandRules, normalizedRule];
+                    continue;
+                }
+            }
+            throw error('Syntax error');
+        }
+
+        user.isUnrestricted = user.commands.size === Object.keys(COMMAND_FLAGS).length && user.keyPatterns.includes('*');
+    }
+
+    /**
+     * Describes an ACL user with the rules recreating it, like in ACL LIST. The passwords are not described.
+     * @private
+     * @param {Object} user - The user.
+     * @returns {string} - The description.
+     */
+    _describeAclUser(user) {
+        const keys = user.keyPatterns.map(pattern => `~${pattern}`).join(' ') || 'resetkeys';
+        return `user ${user.name} ${user.isEnabled ? 'on' : 'off'}${user.isNoPass ? ' nopass' : ''} ${keys} ${user.commandRules.join(' ')}`;
+    }
+
+    /**
+     * Runs a callback as an ACL user, the commands it calls being checked against the permissions of the user.
+     * @private
+     * @param {string} name - The name of the user.
+     * @param {Function} callback - The function to run.
+     * @returns {*} - The result of the callback.
+     * @throws {Error} - If the user was deleted.
+     */
+    _withUser(name, callback) {
+        if (!this.aclUsers.has(name)) {
+            throw new Error('NOAUTH Authentication required.');
+        }
+        const currentUser = this.currentUser;
+        this.currentUser = name;
+        try {
+            return callback();
+        } finally {
+            this.currentUser = currentUser;
+        }
+    }
+
+    /**
+     * Checks that an ACL user may run a command with the keys of its arguments, logging the denial otherwise.
+     * @private
+     * @param {Object} user - The user running the command.
+     * @param {string} name - The name of the command.
+     * @param {Array} args - The arguments of the command.
+     * @throws {Error} - If the user may not run the command, or access one of its keys.
+     */
+    _checkPermissions(user, name, args) {
+        if (!user.commands.has(name)) {
+            this._logAclDenial('command', name, user.name);
+            throw new Error(`NOPERM User ${user.name} has no permissions to run the '${name}' command`);
+        }
+        if (!user.keyPatterns.includes('*')) {
+            mapKeyArguments(name, args, key => {
+                if (!this._isKeyAllowed(user, key)) {
+                    this._logAclDenial('key', String(key), user.name);
+                    throw new Error('NOPERM No permissions to access a key');
+                }
+                return key;
+            });
+        }
+    }
+
+    /**
+     * Checks whether an ACL user may access a key, for the commands returning keys they are not given too.
+     * @private
+     * @param {Object} user - The user.
+     * @param {*} key - The key.
+     * @returns {boolean} - true if the key matches a key pattern of the user.
+     */
+    _isKeyAllowed(user, key) {
+        return user.keyPatterns.includes('*') || user.keyPatterns.some(pattern => simpleMatch(String(key), pattern));
+    }
+
+    /**
+     * Records a denied command or authentication in the ACL log, counting it in the entry of the same denial if it
+     * was updated less than ACL_LOG_GROUPING_TIME ago, and removing the oldest entries beyond acllogMaxLen.
+     * @private
+     * @param {string} reason - 'command', 'key' or 'auth'.
+     * @param {string} object - The denied command or key, or 'AUTH'.
+     * @param {string} username - The name of the user.
+     */
+    _logAclDenial(reason, object, username) {
+        const now = Date.now();
+        const context = this.journal ? 'multi' : 'toplevel';
+        const index = this.aclLog.findIndex(entry => entry.reason === reason && entry.context === context
+            && entry.object === object && entry.username === username
+            && now - entry.timestampLastUpdated < ACL_LOG_GROUPING_TIME);
+
+        let entry;
+        if (index >= 0) {
+            [entry] = this.aclLog.splice(index, 1);
+            entry.count++;
+            entry.timestampLastUpdated = now;
+        } else {
+            entry = {
+                entryId: this.aclLogNextId++,
+                count: 1,
+                reason,
+                context,
+                object,
+                username,
+                timestampCreated: now,
+                timestampLastUpdated: now,
+            };
+        }
+        this.aclLog.unshift(entry);
+        this.aclLog.length = Math.min(this.aclLog.length, this.acllogMaxLen);
+    }
+
+    /**
+     * Passes an executed command to the monitors. The result of asynchronous commands is passed once settled.
+     * @private
+     * @param {number} time - The time the command started, in milliseconds.
+     * @param {string} name - The name of the command.
+     * @param {Array} args - The arguments of the command.
+     * @param {*} result - The result of the command.
+     */
+    _monitorCommand(time, name, args, result) {
+        if (result instanceof Promise) {
+            result.then(
+                value => this._emitMonitorEntry({ time, command: name, args, result: value }),
+                error => this._emitMonitorEntry({ time, command: name, args, error })
+            );
+            return;
+        }
+        this._emitMonitorEntry({ time, command: name, args, result });
+    }
+
+    /**
+     * Calls the monitors with an entry, making sure that a failing monitor does not affect the command.
+     * @private
+     * @param {Object} entry - The entry describing the command.
+     */
+    _emitMonitorEntry(entry) {
+        for (const monitor of Array.from(this.monitors)) {
+            try {
+                monitor(entry);
+            } catch (error) {
+                console.warn('Monitor failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Must be called before the value or the expiration time of a key is changed. This bumps the version
+     * of watched keys and, while a transaction is executing, records the previous state of the key so
+     * that it can be rolled back. Commands adding data to a key must call _performEvictions() first.
+     * @private
+     * @param {*} key - The key about to be modified.
+     */
+    _beforeWrite(key) {
+        this._invalidateKeySize(key);
+
+        const watched = this.keyVersions.get(key);
+        if (watched) {
+            watched.version++;
+        }
+
+        if (!this.journal) {
+            return;
+        }
+        let journal = this.journal.get(this.selectedDb);
+        if (!journal) {
+            journal = new Map();
+            this.journal.set(this.selectedDb, journal);
+        }
+        if (!journal.has(key)) {
+            journal.set(key, {
+                exists: this.store.has(key),
+                value: this._cloneValue(this.store.get(key)),
+                expireTime: this.expireTimes.get(key),
+            });
+        }
+    }
+
+    /**
+     * Must be called after a command changed a key, with the name of the keyspace event describing
+     * the change. Calls the matching listeners registered with on().
+     * @private
+     * @param {string} event - The event name, e.g. 'set', 'del' or 'lpush'.
+     * @param {*} key - The key that was changed.
+     */
+    _notifyKeyspaceEvent(event, key) {
+        if (!this._hasKeyspaceListeners()) {
+            return;
+        }
+        if (this.journalEvents) {
+            this.journalEvents.push([event, key]);
+            return;
+        }
+
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            for (const listener of listeners.slice()) {
+                try {
+                    listener(key, event);
+                } catch (error) {
+                    console.warn('Keyspace event listener failed:', error);
+                }
+            }
+        }
+
+        // Keyspace notifications are also published like Redis does
+        if (this.channels.size > 0 || this.patterns.size > 0) {
+            this._publish(`__keyspace__:${key}`, event);
+            this._publish(`__keyevent__:${event}`, key);
+        }
+    }
+
+    /**
+     * Check whether anybody listens for keyspace events, either with on() or through Pub/Sub.
+     * @private
+     * @returns {boolean} - true if keyspace events must be emitted.
+     */
+    _hasKeyspaceListeners() {
+        return this.listeners.size > 0 || this.channels.size > 0 || this.patterns.size > 0;
+    }
+
+    /**
+     * Restores every key of the selected database recorded in a transaction journal to its previous state.
+     * @private
+     * @param {Map} journal - The journal of the database filled by _beforeWrite().
+     */
+    _rollbackJournal(journal) {
+        for (const [key, { exists, value, expireTime }] of journal) {
+            if (exists) {
+                this.store.set(key, value);
+                this._touchKey(key);
+            } else {
+                this.store.delete(key);
+                this.keyAccess.delete(key);
+            }
+            this._invalidateKeySize(key);
+
+            if (expireTime !== undefined) {
+                this.expireTimes.set(key, expireTime);
+            } else {
+                this.expireTimes.delete(key);
+            }
+        }
+        this._initCleanupLoop();
+    }
+
+    /**
+     * Returns a copy of a stored value that is safe from in-place modifications of the original.
+     * @private
+     * @param {*} value - The value to copy.
+     * @returns {*} - The copy, or the value itself if commands never modify it in place.
+     */
+    _cloneValue(value) {
+        if (value instanceof Deque) {
+            return value.clone();
+        }
+        if (this._typeOf(value) === 'set') {
+            return createSet(value);
+        }
+        if (this._typeOf(value) === 'hash') {
+            const copy = createHash();
+            for (const [field, fieldValue] of value) {
+                copy.set(field, fieldValue);
+            }
+            return copy;
+        }
+        if (value instanceof Stream || value instanceof SortedSet) {
+            return value.clone();
+        }
+        return value;
+    }
+
+    /**
+     * Pops elements from the list stored at a key, for the blocking list commands.
+     * @private
+     * @param {*} key - The key where the list is stored.
+     * @param {string} direction - The direction to pop from the list ('LEFT' or 'RIGHT').
+     * @param {number} count - The maximum number of elements to pop.
+     * @returns {Array|undefined} - The popped elements, or undefined if the list is empty or does not exist.
+     * @throws {Error} - If the key holds another type.
+     */
+    _popFromList(key, direction, count) {
+        const list = this._lookupKeyOfType(key, 'list');
+        if (list === undefined || list.length === 0) {
+            return undefined;
+        }
+
+        const popFn = direction === 'LEFT' ? 'lpop' : 'rpop';
+        const elements = [];
+        while (elements.length < count && list.length > 0) {
+            elements.push(this[popFn](key));
+        }
+        return elements;
+    }
+
+    /**
+     * Pops members from the sorted set stored at a key, for the blocking sorted set commands.
+     * @private
+     * @param {*} key - The key where the sorted set is stored.
+     * @param {string} which - Whether to pop the members with the lowest ('MIN') or highest ('MAX') scores.
+     * @param {number} count - The maximum number of members to pop.
+     * @returns {Array|undefined} - The popped members with their scores, or undefined if the sorted set is empty or does not exist.
+     * @throws {Error} - If the key holds another type.
+     */
+    _popFromSortedSet(key, which, count) {
+        const sortedSet = this._lookupKeyOfType(key, 'zset');
+        if (!sortedSet || sortedSet.size === 0) {
+            return undefined;
+        }
+        return which === 'MAX' ? this.zpopmax(key, count) : this.zpopmin(key, count);
+    }
+
+    /**
+     * Removes members from the sorted set stored at a key, for the ZREMRANGEBY* commands.
+     * @private
+     * @param {*} key - The key where the sorted set is stored.
+     * @param {Array} entries - The [member, score] pairs to remove.
+     * @param {string} event - The keyspace event to notify if members were removed.
+     * @returns {number} - The number of members removed.
+     */
+    _removeFromSortedSet(key, entries, event) {
+        if (entries.length === 0) {
+            return 0;
+        }
+
+        const sortedSet = this.store.get(key);
+        this._beforeWrite(key);
+        for (const [member] of entries) {
+            sortedSet.delete(member);
+        }
+        this._notifyKeyspaceEvent(event, key);
+        return entries.length;
+    }
+
+    /**
+     * Parses the score of a sorted set member.
+     * @private
+     * @param {number|string} value - The score, '+inf' or '-inf'.
+     * @returns {number} - The score.
+     * @throws {Error} - If the value is not a number.
+     */
+    _parseScore(value) {
+        const score = typeof value === 'string' ? Number(value.replace(/^([+-]?)inf$/i, '$1Infinity')) : Number(value);
+        if (Number.isNaN(score)) {
+            throw new Error('ERR value is not a valid float');
+        }
+        return score;
+    }
+
+    /**
+     * Parses the bounds of a range of scores, which are excluded from the range when prefixed with '('.
+     * @private
+     * @param {number|string} min - The minimum score.
+     * @param {number|string} max - The maximum score.
+     * @returns {Object} - The range, with the min, max, minExclusive and maxExclusive options of SortedSet#rangeByScore().
+     * @throws {Error} - If a bound is not a number.
+     */
+    _parseScoreRange(min, max) {
+        const parseBound = (bound) => {
+            const exclusive = typeof bound === 'string' && bound.startsWith('(');
+            try {
+                return [this._parseScore(exclusive ? bound.slice(1) : bound), exclusive];
+            } catch {
+                throw new Error('ERR min or max is not a float');
+            }
+        };
+        const [minScore, minExclusive] = parseBound(min);
+        const [maxScore, maxExclusive] = parseBound(max);
+        return { min: minScore, max: maxScore, minExclusive, maxExclusive };
+    }
+
+    /**
+     * Parses the LIMIT option of the sorted set range commands.
+     * @private
+     * @param {Object} options - The options of the command, with an optional limit: { offset, count }.
+     * @returns {Object} - The offset and count options of the SortedSet range methods.
+     */
+    _parseLimit(options) {
+        if (!options.limit) {
+            return {};
+        }
+        const { offset = 0, count = -1 } = options.limit;
+        return { offset, count: count < 0 ? Infinity : count };
+    }
+
+    /**
+     * Returns a consumer group of the stream stored at a key.
+     * @private
+     * @param {*} key - The key where the stream is stored.
+     * @param {string} groupName - The name of the consumer group.
+     * @returns {{stream: Stream, group: Object}} - The stream and the group.
+     * @throws {Error} - If the key does not hold a stream, or the group does not exist.
+     */
+    _getConsumerGroup(key, groupName) {
+        const stream = this._lookupKeyOfType(key, 'stream');
+        const group = stream && stream.getGroup(groupName);
+        if (!group) {
+            throw new Error(`NOGROUP No such key '${key}' or consumer group '${groupName}'`);
+        }
+        return { stream, group };
+    }
+
+    /**
+     * Validates the MAXLEN and MINID trimming options of the stream commands.
+     * @private
+     * @param {number|undefined} maxLength - The maximum number of entries to keep.
+     * @param {string|undefined} minId - The lowest ID to keep.
+     * @throws {Error} - If an option is invalid.
+     */
+    _checkStreamTrimOptions(maxLength, minId) {
+        if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 0)) {
+            throw new Error('ERR The MAXLEN argument must be >= 0.');
+        }
+        if (minId !== undefined) {
+            Stream.parseId(minId);
+        }
+    }
+
+    /**
+     * Trims a stream with the MAXLEN or MINID strategy, if given.
+     * @private
+     * @param {*} key - The key where the stream is stored.
+     * @param {Stream} stream - The stream.
+     * @param {number|undefined} maxLength - The maximum number of entries to keep.
+     * @param {string|undefined} minId - The lowest ID to keep.
+     * @returns {number} - The number of entries deleted.
+     */
+    _trimStream(key, stream, maxLength, minId) {
+        if (maxLength === undefined && minId === undefined) {
+            return 0;
+        }
+
+        this._beforeWrite(key);
+        let deleted = 0;
+        if (maxLength !== undefined) {
+            deleted += stream.trimToLength(maxLength);
+        }
+        if (minId !== undefined) {
+            deleted += stream.trimToMinId(minId);
+        }
+        if (deleted > 0) {
+            this._notifyKeyspaceEvent('xtrim', key);
+        }
+        return deleted;
+    }
+
+    /**
+     * Runs a blocking command. The command is served right away if possible, otherwise the client blocks on
+     * keys until a command called with _signalKeyReady() allows it to be served. Blocked clients are served
+     * in the order they blocked. Inside a transaction, commands never block.
+     * @private
+     * @param {Array} keys - The keys to wait for.
+     * @param {Function} serve - Called with a key, returns the result of the blocking command, or undefined if
+     *                           the client must keep waiting.
+     * @param {number|Object} timeout - The maximum number of seconds to wait, 0 to wait forever, or an object with:
+     *                                  timeout (number): The maximum number of seconds to wait.
+     *                                  signal (AbortSignal): A signal to stop waiting, rejecting the Promise with its reason.
+     * @returns {Promise} - Resolves to the result of serve(), or null on timeout.
+     */
+    _blockOnKeys(keys, serve, timeout) {
+        const { timeout: seconds = 0, signal = undefined } = typeof timeout === 'object' && timeout !== null ? timeout : { timeout };
+        if (typeof seconds !== 'number' || Number.isNaN(seconds)) {
+            return Promise.reject(new Error('ERR timeout is not a float or out of range'));
+        }
+        if (seconds < 0) {
+            return Promise.reject(new Error('ERR timeout is negative'));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        // Clients already blocked on a key that just received data are served first
+        if (!keys.some(key => this.readyKeys.has(key))) {
+            try {
+                for (const key of keys) {
+                    const result = serve(key);
+                    if (result !== undefined) {
+                        return Promise.resolve(result);
+                    }
+                }
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        if (this.journal) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve, reject) => {
+            const client = { keys, serve, database: this.selectedDb, resolve, reject, timer: null, signal, onAbort: null };
+            for (const key of keys) {
+                if (!this.blockedClients.has(key)) {
+                    this.blockedClients.set(key, []);
+                }
+                this.blockedClients.get(key).push(client);
+            }
+            if (seconds > 0) {
+                client.timer = setTimeout(() => {
+                    this._unblockClient(client);
+                    resolve(null);
+                }, seconds * 1000);
+            }
+            if (signal) {
+                client.onAbort = () => {
+                    this._unblockClient(client);
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', client.onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Removes a client from the clients blocked on keys.
+     * @private
+     * @param {Object} client - The client created by _blockOnKeys().
+     */
+    _unblockClient(client) {
+        clearTimeout(client.timer);
+        if (client.signal) {
+            client.signal.removeEventListener('abort', client.onAbort);
+        }
+        for (const key of client.keys) {
+            const clients = this.blockedClients.get(key);
+            if (!clients) {
+                continue;
+            }
+            const index = clients.indexOf(client);
+            if (index !== -1) {
+                clients.splice(index, 1);
+            }
+            if (clients.length === 0) {
+                this.blockedClients.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Must be called after a command added data to a key that clients may be blocked on. The clients
+     * are served once the current command, or transaction, completed.
+     * @private
+     * @param {*} key - The key that received data.
+     */
+    _signalKeyReady(key) {
+        if (!this.blockedClients.has(key)) {
+            return;
+        }
+        if (this.readyKeys.size === 0) {
+            queueMicrotask(() => this._serveBlockedClients());
+        }
+        this.readyKeys.add(key);
+    }
+
+    /**
+     * Serves the clients blocked on the keys signaled by _signalKeyReady().
+     * @private
+     */
+    _serveBlockedClients() {
+        while (this.readyKeys.size > 0) {
+            const [key] = this.readyKeys;
+            this.readyKeys.delete(key);
+
+            for (const client of (this.blockedClients.get(key) || []).slice()) {
+                let result;
+                // The commands serving the client are part of the blocking command, not called by the user
+                try {
+                    result = this._runInternally(() => this._withDatabase(client.database, () => client.serve(key)));
+                } catch (error) {
+                    this._unblockClient(client);
+                    client.reject(error);
+                    continue;
+                }
+                if (result !== undefined) {
+                    this._unblockClient(client);
+                    client.resolve(result);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the value stored at a key. Commands read the store through this method or _keyExists() only,
+     * so that an expired key is removed and looks missing to all of them, whether or not the cleanup loop
+     * already removed it.
+     * @private
+     * @param {*} key - The key.
+     * @param {boolean} [touch=true] - Whether to record the access and count the hit or miss, false for commands
+     *                                  inspecting the key. Only the read-only commands count hits and misses.
+     * @returns {*} - The value, or undefined if the key does not exist or has expired.
+     */
+    _lookupKey(key, touch = true) {
+        this._checkAndRemoveExpiredKey(key);
+        const value = this.store.get(key);
+        if (touch) {
+            if (value !== undefined) {
+                this._touchKey(key);
+            }
+            // Like in Redis, the lookups of the commands writing keys are not counted
+            if (this.isReadCommand) {
+                this.stats[value !== undefined ? 'keyspaceHits' : 'keyspaceMisses']++;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Returns the value stored at a key, checking that it has the type expected by the command. See _lookupKey().
+     * @private
+     * @param {*} key - The key.
+     * @param {string} type - The expected type, as returned by type().
+     * @returns {*} - The value, or undefined if the key does not exist or has expired.
+     * @throws {Error} - WRONGTYPE if the key holds a value of another type.
+     */
+    _lookupKeyOfType(key, type) {
+        const value = this._lookupKey(key);
+        if (value !== undefined && this._typeOf(value) !== type) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value;
+    }
+
+    /**
+     * Returns the type of a stored value.
+     * @private
+     * @param {*} value - The value.
+     * @returns {string} - One of 'string', 'list', 'set', 'zset', 'hash' and 'stream'. Values stored with set() are
+     * strings, whatever their JavaScript type.
+     */
+    _typeOf(value) {
+        if (value instanceof Deque) {
+            return 'list';
+        }
+        if (value instanceof Set && value[VALUE_TYPE] === 'set') {
+            return 'set';
+        }
+        if (value instanceof SortedSet) {
+            return 'zset';
+        }
+        if (value instanceof XMap && value[VALUE_TYPE] === 'hash') {
+            return 'hash';
+        }
+        if (value instanceof Stream) {
+            return 'stream';
+        }
+        return 'string';
+    }
+
+    /**
+     * Returns the name of the internal representation of a value, for object().
+     * @private
+     * @param {*} value - The value.
+     * @returns {string} - The encoding.
+     */
+    _encodingOf(value) {
+        if (value instanceof Deque) {
+            return 'deque';
+        }
+        if (value instanceof Set && value[VALUE_TYPE] === 'set') {
+            return 'set';
+        }
+        if (value instanceof SortedSet) {
+            return 'skiplist';
+        }
+        if (value instanceof XMap && value[VALUE_TYPE] === 'hash') {
+            return 'xmap';
+        }
+        if (value instanceof Stream) {
+            return 'stream';
+        }
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    /**
+     * Checks whether a key exists, removing it first if it has expired. See _lookupKey().
+     * @private
+     * @param {*} key - The key.
+     * @returns {boolean} - True if the key exists and has not expired.
+     */
+    _keyExists(key) {
+        this._checkAndRemoveExpiredKey(key);
+        return this.store.has(key);
+    }
+
+    /**
+     * Checks if a key has expired and removes it if it has.
+     * @param {*} key - The key to check for expiration.
+     * @returns {boolean} - Returns true if the key was expired and removed, false otherwise.
+     */
+    _checkAndRemoveExpiredKey(key) {
+        const expireTime = this.expireTimes.get(key);
+        if (expireTime !== undefined && Date.now() > expireTime) {
+            this._beforeWrite(key);
+            this.store.delete(key);
+            this.expireTimes.delete(key);
+            this.keyAccess.delete(key);
+            // Remove from IndexedDB if available
+            if (this.isIndexedDBAvailable && this.db) {
+                this._removeFromIndexedDB(key);
+            }
+            this.stats.expiredKeys++;
+            if (this.monitors.size > 0) {
+                this._emitMonitorEntry({ time: Date.now(), command: 'del', args: [key], result: 1, expired: true });
+            }
+            this._notifyKeyspaceEvent('expired', key);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Starts the cleanup loop if there are keys with an expire time and it is not already running. The loop
+     * stops by itself once no key has an expire time, and is started again by the commands setting one.
+     */
+    _initCleanupLoop() {
+        if (this.cleanupLoop || !this._hasExpireTimes()) {
+            return;
+        }
+
+        this.cleanupLoop = setInterval(() => {
+            // One loop serves every database, sharing the budget
+            const start = clock.now();
+            for (let index = 0; index < this.databases.length; index++) {
+                const next = this.databases[index].expireTimes.peek();
+                const budget = this.cleanupBudget - (clock.now() - start);
+                if (next && next[1] < Date.now() && budget > 0) {
+                    this._runInternally(() => this._withDatabase(index, () => this._activeExpireCycle(budget)));
+                }
+            }
+            this._addLatencySample('expire-cycle', clock.now() - start);
+            if (!this._hasExpireTimes()) {
+                clearInterval(this.cleanupLoop);
+                this.cleanupLoop = null;
+            }
+        }, this.cleanupInterval);
+
+        // Only call unref() if it exists (Node.js environment)
+        // In browsers, setInterval returns a number, not an object with unref()
+        if (typeof this.cleanupLoop === 'object' && typeof this.cleanupLoop.unref === 'function') {
+            this.cleanupLoop.unref();
+        }
+    }
+
+    /**
+     * Checks whether a key of any database has an expire time.
+     * @private
+     * @returns {boolean} - true if the cleanup loop has keys to watch.
+     */
+    _hasExpireTimes() {
+        return this.databases.some(database => database.expireTimes.size > 0);
+    }
+
+    /**
+     * Removes the expired keys from the store, from the one that expired first, like the active expire cycle of
+     * Redis. Only the keys that are due are visited, and the cycle stops when it runs out of time; the remaining
+     * expired keys are removed by the next cycles, or when they are accessed.
+     * @private
+     * @param {number} budgetMs - The maximum time to spend, in milliseconds.
+     * @returns {number} - The number of keys removed.
+     */
+    _activeExpireCycle(budgetMs) {
+        const start = Date.now();
+        let removed = 0;
+        for (let next = this.expireTimes.peek(); next && next[1] < Date.now(); next = this.expireTimes.peek()) {
+            this._checkAndRemoveExpiredKey(next[0]);
+            removed++;
+            // Checking the clock is comparatively expensive, so only do it every 16 keys
+            if (removed % 16 === 0 && Date.now() - start >= budgetMs) {
+                break;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Records an access to a key, for the eviction policies. Moves the key to the end of keyAccess, which
+     * is thus ordered from the least to the most recently used key. Does nothing unless trackAccess is set,
+     * so that stores without limits don't pay for the tracking.
+     * @private
+     * @param {*} key - The key that was read or written.
+     */
+    _touchKey(key) {
+        if (!this.trackAccess) {
+            return;
+        }
+
+        const now = Date.now();
+        const access = this.keyAccess.get(key);
+        if (access === undefined) {
+            this.keyAccess.set(key, { time: now, frequency: LFU_INIT_VAL });
+            return;
+        }
+
+        let frequency = this._keyFrequency(access, now);
+        if (frequency < LFU_MAX_VAL && Math.random() * (Math.max(frequency - LFU_INIT_VAL, 0) * LFU_LOG_FACTOR + 1) < 1) {
+            frequency++;
+        }
+        access.time = now;
+        access.frequency = frequency;
+        this.keyAccess.set(key, access);
+    }
+
+    /**
+     * Returns the access frequency counter of a key, decremented for the time elapsed since its last access.
+     * @private
+     * @param {{time: number, frequency: number}} access - The access of the key, from keyAccess.
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     * @returns {number} - The counter, between 0 and LFU_MAX_VAL.
+     */
+    _keyFrequency(access, now = Date.now()) {
+        return Math.max(access.frequency - Math.floor((now - access.time) / LFU_DECAY_TIME), 0);
+    }
+
+    /**
+     * Marks the memory usage of a key as outdated, to be estimated again by _usedMemory(). Does nothing
+     * unless maxmemory is set.
+     * @private
+     * @param {*} key - The key that is modified.
+     */
+    _invalidateKeySize(key) {
+        if (this.maxmemory > 0) {
+            this.dirtyKeys.add(key);
+        }
+    }
+
+    /**
+     * Returns the estimated memory usage of all the keys, estimating again the keys modified since
+     * the last call.
+     * @private
+     * @returns {number} - The memory usage in bytes.
+     */
+    _usedMemory() {
+        for (const key of this.dirtyKeys) {
+            this.usedMemory -= this.keySizes.get(key) || 0;
+            if (this.store.has(key)) {
+                const size = this._estimateKeyMemory(key, this.store.get(key));
+                this.keySizes.set(key, size);
+                this.usedMemory += size;
+            } else {
+                this.keySizes.delete(key);
+            }
+        }
+        this.dirtyKeys.clear();
+        return this.usedMemory;
+    }
+
+    /**
+     * Estimates the memory used by a key, its value and its entry in the store.
+     * @private
+     * @param {*} key - The key.
+     * @param {*} value - The value stored at the key.
+     * @param {number} [samples=MEMORY_SAMPLES] - The number of elements of collections to estimate, 0 for all of them.
+     * @returns {number} - The estimated memory usage in bytes.
+     */
+    _estimateKeyMemory(key, value, samples = MEMORY_SAMPLES) {
+        return this._estimateMemory(key) + this._estimateMemory(value, samples) + OBJECT_OVERHEAD;
+    }
+
+    /**
+     * Estimates the memory used by a value. Collections are estimated from their first elements.
+     * @private
+     * @param {*} value - The value.
+     * @param {number} [samples=MEMORY_SAMPLES] - The number of elements of collections to estimate, 0 for all of them.
+     * @returns {number} - The estimated memory usage in bytes.
+     */
+    _estimateMemory(value, samples = MEMORY_SAMPLES) {
+        if (typeof value === 'string') {
+            return OBJECT_OVERHEAD + 2 * value.length;
+        }
+        if (typeof value !== 'object' || value === null) {
+            return 8;
+        }
+
+        const estimate = (item) => this._estimateMemory(item, samples);
+        const estimateEntry = ([field, fieldValue]) => estimate(field) + estimate(fieldValue) + 16;
+        if (Array.isArray(value) || value instanceof Deque || value instanceof Set) {
+            const length = value instanceof Set ? value.size : value.length;
+            return OBJECT_OVERHEAD + this._estimateElementsMemory(value, length, item => estimate(item) + 8, samples);
+        }
+        if (value instanceof XMap || value instanceof Map) {
+            return OBJECT_OVERHEAD + this._estimateElementsMemory(value.entries(), value.size, estimateEntry, samples);
+        }
+        if (value instanceof SortedSet) {
+            // Every member is referenced by the map of scores and by a skiplist node
+            return OBJECT_OVERHEAD + this._estimateElementsMemory(value.entries(), value.size, ([member]) => estimate(member) + 8 + 16 + OBJECT_OVERHEAD, samples);
+        }
+        if (value instanceof Stream) {
+            return OBJECT_OVERHEAD + this._estimateElementsMemory(value.entries(), value.length, ([id, fields]) => estimate(id) + estimate(fields) + 16 + OBJECT_OVERHEAD, samples);
+        }
+        const entries = Object.entries(value);
+        return OBJECT_OVERHEAD + this._estimateElementsMemory(entries, entries.length, estimateEntry, samples);
+    }
+
+    /**
+     * Estimates the memory used by the elements of a collection by extrapolating from its first elements.
+     * @private
+     * @param {Iterable} elements - The elements.
+     * @param {number} length - The number of elements.
+     * @param {Function} estimate - Returns the estimated memory usage of an element.
+     * @param {number} samples - The number of elements to estimate, 0 for all of them.
+     * @returns {number} - The estimated memory usage in bytes.
+     */
+    _estimateElementsMemory(elements, length, estimate, samples) {
+        let sampled = 0;
+        let total = 0;
+        for (const element of elements) {
+            if (sampled === samples && samples > 0) {
+                break;
+            }
+            total += estimate(element);
+            sampled++;
+        }
+        return sampled === 0 ? 0 : Math.ceil(total / sampled * length);
+    }
+
+    /**
+     * Sets a parameter of config(), updating the state that depends on it.
+     * @private
+     * @param {string} name - The name of the parameter.
+     * @param {*} value - The new value, already checked.
+     */
+    _setConfig(name, value) {
+        switch (name) {
+            case 'cleanupInterval':
+                this.cleanupInterval = value;
+                if (this.cleanupLoop) {
+                    clearInterval(this.cleanupLoop);
+                    this.cleanupLoop = null;
+                    this._initCleanupLoop();
+                }
+                return;
+            case 'maxmemory':
+                this._forEachDatabase(() => {
+                    if (value > 0 && this.maxmemory === 0) {
+                        // Memory usage is only maintained with a limit, so all the keys must be estimated
+                        for (const key of this.store.keys()) {
+                            this.dirtyKeys.add(key);
+                        }
+                    } else if (value === 0) {
+                        this.keySizes.clear();
+                        this.dirtyKeys.clear();
+                        this.usedMemory = 0;
+                    }
+                });
+                this.maxmemory = value;
+                this._setAccessTracking(this.trackAccess);
+                return;
+            case 'maxKeys':
+                this.maxKeys = value;
+                this._setAccessTracking(this.trackAccess);
+                return;
+            case 'trackAccess':
+                this._setAccessTracking(value);
+                return;
+            case 'slowlogMaxLen':
+                this.slowlogMaxLen = value;
+                while (this.slowlogEntries.length > value) {
+                    this.slowlogEntries.pop();
+                }
+                return;
+            case 'acllogMaxLen':
+                this.acllogMaxLen = value;
+                this.aclLog.length = Math.min(this.aclLog.length, value);
+                return;
+            default:
+                this[name] = value;
+        }
+    }
+
+    /**
+     * Enables or disables the tracking of key accesses, which stays enabled while maxmemory or maxKeys is set.
+     * When it is enabled, the existing keys are recorded as accessed now so that they can be evicted.
+     * @private
+     * @param {boolean} trackAccess - Whether key accesses should be tracked.
+     */
+    _setAccessTracking(trackAccess) {
+        trackAccess = Boolean(trackAccess || this.maxmemory || this.maxKeys);
+        if (trackAccess && !this.trackAccess) {
+            this.trackAccess = true;
+            this._forEachDatabase(() => {
+                for (const key of this.store.keys()) {
+                    this._touchKey(key);
+                }
+            });
+        } else if (!trackAccess) {
+            this.trackAccess = false;
+            this._forEachDatabase(() => this.keyAccess.clear());
+        }
+    }
+
+    /**
+     * Evicts keys until the number of keys and the memory usage of all the databases are within maxKeys and
+     * maxmemory, as far as the eviction policies allow. Used when the limits are lowered.
+     * @private
+     */
+    _enforceLimits() {
+        if (this.maxKeys > 0 && this.evictionPolicy === 'lru') {
+            while (this._keyCount() > this.maxKeys) {
+                this._evictFromAnyDatabase('allkeys-lru', undefined, 'maxkeys');
+            }
+        }
+
+        if (this.maxmemory > 0) {
+            while (this._totalUsedMemory() > this.maxmemory) {
+                if (!this._evictFromAnyDatabase(this.maxmemoryPolicy, undefined, 'maxmemory')) {
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Must be called before a command adds data to a key. If the key is new and maxKeys is reached, evicts
+     * the key chosen by evictionPolicy, then while the memory usage exceeds maxmemory, evicts the keys
+     * chosen by maxmemoryPolicy. The limits apply to all the databases together, like in Redis, so the
+     * evicted keys may belong to any of them.
+     * @private
+     * @param {*} key - The key about to be modified, which is never evicted.
+     * @throws {Error} - OOM if a limit is exceeded and no key can be evicted.
+     */
+    _performEvictions(key) {
+        if (this.maxKeys > 0 && !this.store.has(key)) {
+            // Evicting the least recently used key is constant time, as keyAccess starts with it
+            const policy = this.evictionPolicy === 'lru' ? 'allkeys-lru' : 'noeviction';
+            while (this._keyCount() >= this.maxKeys) {
+                if (!this._evictFromAnyDatabase(policy, key, 'maxkeys')) {
+                    throw new Error("OOM command not allowed when the number of keys >= 'maxKeys'.");
+                }
+            }
+        }
+
+        if (this.maxmemory === 0) {
+            return;
+        }
+
+        while (this._totalUsedMemory() > this.maxmemory) {
+            if (!this._evictFromAnyDatabase(this.maxmemoryPolicy, key, 'maxmemory')) {
+                throw new Error("OOM command not allowed when used memory > 'maxmemory'.");
+            }
+        }
+    }
+
+    /**
+     * Returns the number of keys of all the databases, which maxKeys applies to.
+     * @private
+     * @returns {number} - The number of keys.
+     */
+    _keyCount() {
+        return this.databases.reduce((count, database) => count + database.store.size, 0);
+    }
+
+    /**
+     * Returns the estimated memory usage of all the databases, which maxmemory applies to. Only the databases
+     * having keys modified since the last estimate are estimated again, usually the selected one only.
+     * @private
+     * @returns {number} - The memory usage in bytes.
+     */
+    _totalUsedMemory() {
+        let usedMemory = this._usedMemory();
+        this.databases.forEach((database, index) => {
+            if (index === this.selectedDb) {
+                return;
+            }
+            usedMemory += database.dirtyKeys.size > 0 ? this._withDatabase(index, () => this._usedMemory()) : database.usedMemory;
+        });
+        return usedMemory;
+    }
+
+    /**
+     * Evicts the key chosen by an eviction policy among the keys of every database: each database proposes a key,
+     * and the one the policy ranks first is evicted.
+     * @private
+     * @param {string} policy - One of the maxmemory policies.
+     * @param {*} excludedKey - The key of the selected database that must not be evicted.
+     * @param {string} reason - The limit that was reached, 'maxmemory' or 'maxkeys'.
+     * @returns {boolean} - true if a key was evicted, false if no key can be evicted.
+     */
+    _evictFromAnyDatabase(policy, excludedKey, reason) {
+        const [, algorithm] = policy.split('-');
+        const selectedDb = this.selectedDb;
+        const now = Date.now();
+        let victim;
+        this.databases.forEach((database, index) => {
+            if (database.store.size === 0) {
+                return;
+            }
+            this._withDatabase(index, () => {
+                const key = this._selectEvictionVictim(policy, index === selectedDb ? excludedKey : undefined);
+                if (key === undefined) {
+                    return;
+                }
+                const rank = this._evictionRank(algorithm, key, now);
+                if (!victim || rank < victim.rank) {
+                    victim = { index, key, rank };
+                }
+            });
+        });
+        if (!victim) {
+            return false;
+        }
+        this._withDatabase(victim.index, () => this._evictKey(victim.key, reason));
+        return true;
+    }
+
+    /**
+     * Ranks a key of the selected database for an eviction algorithm, the lowest rank being evicted first.
+     * @private
+     * @param {string} algorithm - 'lru', 'lfu', 'ttl' or 'random'.
+     * @param {*} key - The key.
+     * @param {number} now - The current time in milliseconds.
+     * @returns {number} - The rank of the key.
+     */
+    _evictionRank(algorithm, key, now) {
+        switch (algorithm) {
+            case 'lru':
+                return this.keyAccess.get(key).time;
+            case 'lfu':
+                return this._keyFrequency(this.keyAccess.get(key), now);
+            case 'ttl':
+                return this.expireTimes.get(key);
+            default:
+                return Math.random();
+        }
+    }
+
+    /**
+     * Chooses the next key of the selected database to evict according to an eviction policy.
+     * @private
+     * @param {string} policy - One of the maxmemory policies.
+     * @param {*} excludedKey - The key that must not be evicted.
+     * @returns {*} - The key to evict, or undefined if no key can be evicted.
+     */
+    _selectEvictionVictim(policy, excludedKey) {
+        const [keys, algorithm] = policy.split('-');
+        if (algorithm === undefined) {
+            return undefined;
+        }
+
+        const isCandidate = key => key !== excludedKey && (keys === 'allkeys' || this.expireTimes.has(key));
+        if (algorithm === 'lru') {
+            // keyAccess is ordered from the least recently used key
+            for (const key of this.keyAccess.keys()) {
+                if (isCandidate(key)) {
+                    return key;
+                }
+            }
+            return undefined;
+        }
+
+        if (algorithm === 'ttl') {
+            const [key] = this.expireTimes.peek() || [];
+            if (key !== excludedKey) {
+                return key;
+            }
+        }
+
+        let victim;
+        let victimRank = Infinity;
+        const now = Date.now();
+        const candidates = keys === 'allkeys' ? this.keyAccess.keys() : this.expireTimes.keys();
+        for (const key of candidates) {
+            if (!isCandidate(key)) {
+                continue;
+            }
+            const rank = this._evictionRank(algorithm, key, now);
+            if (rank < victimRank) {
+                victim = key;
+                victimRank = rank;
+            }
+        }
+        return victim;
+    }
+
+    /**
+     * Removes a key to free memory or make room for a new key, and calls onEvict once the command completes.
+     * @private
+     * @param {*} key - The key to evict.
+     * @param {string} reason - The limit that was reached, 'maxmemory' or 'maxkeys'.
+     */
+    _evictKey(key, reason) {
+        const value = this.store.get(key);
+        this._beforeWrite(key);
+        this.store.delete(key);
+        this.expireTimes.delete(key);
+        this.keyAccess.delete(key);
+        if (this.isIndexedDBAvailable && this.db) {
+            this._removeFromIndexedDB(key);
+        }
+        this.stats.evictedKeys++;
+        this._notifyKeyspaceEvent('evicted', key);
+        if (this.onEvict) {
+            this.pendingEvictions.push([key, value, reason]);
+            if (this.commandDepth === 0 && !this.journal) {
+                this._flushEvictions();
+            }
+        }
+    }
+
+    /**
+     * Calls onEvict for the evictions made by the command or transaction that completed. The evictions of a
+     * transaction that is rolled back are dropped instead, see _execTransaction().
+     * @private
+     */
+    _flushEvictions() {
+        const evictions = this.pendingEvictions;
+        this.pendingEvictions = [];
+        for (const [key, value, reason] of evictions) {
+            try {
+                this.onEvict(key, value, reason);
+            } catch (error) {
+                console.warn('Eviction callback failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Calculates the haversine distance between two geographic coordinates.
+     * @param {number} lat1 - The latitude of the first coordinate.
+     * @param {number} lon1 - The longitude of the first coordinate.
+     * @param {number} lat2 - The latitude of the second coordinate.
+     * @param {number} lon2 - The longitude of the second coordinate.
+     * @returns {number} - The haversine distance in meters.
+     */
+    _haversineDistance(lat1, lon1, lat2, lon2) {
+        const toRadians = (angle) => (angle * Math.PI) / 180;
+        const R = 6371e3; // Earth's radius in meters
+
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+
+        const a =
+            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+        return R * c;
+    }
+
+    /**
+     * Converts a distance value from one unit to another.
+     * @param {number} distance - The distance value to convert.
+     * @param {string} fromUnit - The unit of the given distance (m, km, mi, ft).
+     * @param {string} toUnit - The target unit to convert the distance to (m, km, mi, ft).
+     * @returns {number} - The distance value converted to the target unit.
+     */
+    _convertDistance(distance, fromUnit, toUnit) {
+        const conversionFactors = {
+            m: 1,
+            km: 0.001,
+            mi: 0.000621371,
+            ft: 3.28084,
+        };
+
+        if (!conversionFactors[fromUnit] || !conversionFactors[toUnit]) {
+            throw new Error('Invalid distance unit');
+        }
+
+        return (distance * conversionFactors[fromUnit]) / conversionFactors[toUnit];
+    }
+
+    /**
+     * Encodes a geographic coordinate (latitude, longitude) into a geohash string.
+     * @param {number} latitude - The latitude of the coordinate.
+     * @param {number} longitude - The longitude of the coordinate.
+     * @returns {string} - The geohash string.
+     */
+    _encodeGeohash(latitude, longitude) {
+        const base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+        let hash = '';
+
+        let minLat = -90;
+        let maxLat = 90;
+        let minLon = -180;
+        let maxLon = 180;
+
+        let even = true;
+        let bit = 0;
+        let charIndex = 0;
+
+        while (hash.length < 12) {
+            if (even) {
+                const midLon = (minLon + maxLon) / 2;
+                if (longitude > midLon) {
+                    charIndex = (charIndex << 1) + 1;
+                    minLon = midLon;
+                } else {
+                    charIndex = charIndex << 1;
+                    maxLon = midLon;
+                }
+            } else {
+                const midLat = (minLat + maxLat) / 2;
+                if (latitude > midLat) {
+                    charIndex = (charIndex << 1) + 1;
+                    minLat = midLat;
+                } else {
+                    charIndex = charIndex << 1;
+                    maxLat = midLat;
+                }
+            }
+
+            even = !even;
+
+            if (bit < 4) {
+                bit++;
+            } else {
+                hash += base32[charIndex];
+                bit = 0;
+                charIndex = 0;
+            }
+        }
+
+        return hash;
+    }
+
+    /**
+     * Encodes a geographic coordinate into the score of a geospatial index member.
+     * @private
+     * @param {number} longitude - The longitude of the coordinate.
+     * @param {number} latitude - The latitude of the coordinate.
+     * @returns {number} - The score, an integer of 2 * GEO_STEP bits.
+     */
+    _encodeGeoScore(longitude, latitude) {
+        const cells = 2 ** GEO_STEP;
+        const lon = Math.min(Math.floor((longitude + 180) / 360 * cells), cells - 1);
+        const lat = Math.min(Math.floor((latitude + GEO_LATITUDE_MAX) / (2 * GEO_LATITUDE_MAX) * cells), cells - 1);
+
+        // The scores exceed 32 bits, so they are built with arithmetic instead of bitwise operators
+        let score = 0;
+        for (let bit = GEO_STEP - 1; bit >= 0; bit--) {
+            score = score * 4 + ((lon >> bit) & 1) * 2 + ((lat >> bit) & 1);
+        }
+        return score;
+    }
+
+    /**
+     * Decodes the score of a geospatial index member into the coordinate at the center of its cell.
+     * @private
+     * @param {number} score - The score created by _encodeGeoScore().
+     * @returns {{longitude: number, latitude: number}} - The coordinate.
+     */
+    _decodeGeoScore(score) {
+        let lon = 0;
+        let lat = 0;
+        for (let bit = 0; bit < GEO_STEP; bit++) {
+            lat += (score % 2) * 2 ** bit;
+            score = Math.floor(score / 2);
+            lon += (score % 2) * 2 ** bit;
+            score = Math.floor(score / 2);
+        }
+
+        const cells = 2 ** GEO_STEP;
+        return {
+            longitude: (lon + 0.5) / cells * 360 - 180,
+            latitude: (lat + 0.5) / cells * 2 * GEO_LATITUDE_MAX - GEO_LATITUDE_MAX,
+        };
+    }
+
+    /**
+     * Returns the coordinate of a member of a geospatial index.
+     * @private
+     * @param {SortedSet} sortedSet - The geospatial index.
+     * @param {*} member - The member.
+     * @returns {{longitude: number, latitude: number}|undefined} - The coordinate, or undefined if the member is not in the index.
+     */
+    _geoPosition(sortedSet, member) {
+        const score = sortedSet.get(member);
+        return score === undefined ? undefined : this._decodeGeoScore(score);
+    }
+
+    /**
+     * Select the database that the following commands run against. Every database has its own keys, and
+     * database 0 is selected when the instance is created. The eviction limits apply to all the databases together,
+     * and keys are evicted from any of them. Queued in a transaction, the database stays selected once the
+     * transaction succeeded.
+     * @param {number} index - The index of the database, from 0 to the number of databases (the databases
+     *                         option, 16 by default) excluded.
+     * @returns {boolean} - true.
+     * @throws {Error} - If the index is out of range.
+     */
+    select(index) {
+        this._checkDatabaseIndex(index);
+        this._selectDatabase(index);
+        return true;
+    }
+
+    /**
+     * Get a handle on a database. Every command can be called on the handle and runs against that database,
+     * whatever database is selected, so that separate parts of an application can each use their own.
+     * @param {number} index - The index of the database.
+     * @returns {Database} - The handle.
+     * @throws {Error} - If the index is out of range.
+     */
+    database(index) {
+        this._checkDatabaseIndex(index);
+        return new Database(this, index);
+    }
+
+    /**
+     * Get a namespace: a view of the keys starting with a prefix, on which every command can be called. The
+     * prefix is added to the keys given to the commands and removed from the keys they return, and keys(),
+     * scan(), randomkey(), dbsize(), flushdb() and flushall() only see and affect the keys of the namespace, so
+     * that separate parts of an application can share a database without their keys colliding.
+     * @param {string} prefix - The prefix of the keys, e.g. 'users:'.
+     * @returns {Namespace} - The namespace.
+     * @throws {Error} - If the prefix is not a non-empty string.
+     */
+    namespace(prefix) {
+        return new Namespace(this, prefix);
+    }
+
+    /**
+     * Get a read-only handle, e.g. to give to code that must not modify the store. Only the commands flagged
+     * 'readonly' by command() can be called on it, the other ones throw a READONLY error. The handles it returns,
+     * such as the ones of database(), namespace() and multi(), are read-only too.
+     * @returns {ReadOnlyHandle} - The handle.
+     */
+    readonly() {
+        return new ReadOnlyHandle(this);
+    }
+
+    /**
+     * Returns the number of keys in the selected database.
+     * @returns {number} - The number of keys.
+     */
+    dbsize() {
+        // Remove the expired keys first, so that they are not counted
+        this._activeExpireCycle(Infinity);
+        return this.store.size;
+    }
+
+    /**
+     * Move a key, with its expire time, from the selected database to another one.
+     * @param {*} key - The key to move.
+     * @param {number} index - The index of the destination database.
+     * @returns {number} - 1 if the key was moved, 0 if it does not exist or already exists in the destination.
+     * @throws {Error} - If the index is out of range or is the selected database.
+     */
+    move(key, index) {
+        this._checkDatabaseIndex(index);
+        if (index === this.selectedDb) {
+            throw new Error('ERR source and destination objects are the same');
+        }
+        if (!this._keyExists(key)) {
+            return 0;
+        }
+
+        const value = this.store.get(key);
+        const expireTime = this.expireTimes.get(key);
+        const isMoved = this._withDatabase(index, () => {
+            if (this._keyExists(key)) {
+                return false;
+            }
+            this.storeSet(key, value);
+            if (expireTime !== undefined) {
+                this.expireTimes.set(key, expireTime);
+                this._initCleanupLoop();
+                if (this.isIndexedDBAvailable && this.db) {
+                    this._persistExpirationToIndexedDB(key, expireTime);
+                }
+            }
+            this._notifyKeyspaceEvent('move_to', key);
+            return true;
+        });
+        if (!isMoved) {
+            return 0;
+        }
+
+        this._beforeWrite(key);
+        this.store.delete(key);
+        this.expireTimes.delete(key);
+        this.keyAccess.delete(key);
+        if (this.isIndexedDBAvailable && this.db) {
+            this._removeFromIndexedDB(key);
+        }
+        this._notifyKeyspaceEvent('move_from', key);
+        return 1;
+    }
+
+    /**
+     * Swap the keys of two databases: the commands running against one of them see the keys of the other
+     * one afterwards. Watched keys count as modified, and the 'swapdb' keyspace event is emitted for every key of
+     * both databases. Cannot be called in a transaction.
+     * @param {number} index1 - The index of the first database.
+     * @param {number} index2 - The index of the second database.
+     * @returns {boolean} - true.
+     * @throws {Error} - If an index is out of range.
+     */
+    swapdb(index1, index2) {
+        this._checkDatabaseIndex(index1);
+        this._checkDatabaseIndex(index2);
+        if (index1 === index2) {
+            return true;
+        }
+
+        // Save the state of the selected database, and select it again once its keys were swapped. The watched
+        // keys stay with the database index the transactions watch them in, and count as modified.
+        this._selectDatabase(this.selectedDb);
+        const [database1, database2] = [this.databases[index1], this.databases[index2]];
+        [database1.keyVersions, database2.keyVersions] = [database2.keyVersions, database1.keyVersions];
+        [this.databases[index1], this.databases[index2]] = [database2, database1];
+        for (const watched of [...database1.keyVersions.values(), ...database2.keyVersions.values()]) {
+            watched.version++;
+        }
+        this._loadDatabase(this.selectedDb);
+
+        if (this.isIndexedDBAvailable && this.db) {
+            this._withDatabase(index1, () => this._rewriteIndexedDB());
+            this._withDatabase(index2, () => this._rewriteIndexedDB());
+        }
+        // Clients blocked on the keys of a database may be served by the keys of the other one
+        for (const key of this.blockedClients.keys()) {
+            this._signalKeyReady(key);
+        }
+        // Every key of both databases changed, as seen from their index
+        if (this._hasKeyspaceListeners()) {
+            for (const index of [index1, index2]) {
+                this._withDatabase(index, () => {
+                    for (const key of Array.from(this.store.keys())) {
+                        this._notifyKeyspaceEvent('swapdb', key);
+                    }
+                });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Removes all keys and associated values from every database and clears all expiration times
+     * @returns {boolean} - Returns true if the function was successful.
+     */
+    flushall() {
+        this._forEachDatabase(() => this.flushdb());
+        return true;
+    }
+
+    /**
+     * Removes all keys and associated values from the selected database and clears their expiration times
+     * @returns {boolean} - Returns true if the function was successful.
+     */
+    flushdb() {
+        // Journal every key so that a failing transaction can restore them, otherwise
+        // only the watched keys need to be notified
+        const touchedKeys = Array.from(this.journal ? this.store.keys() : this.keyVersions.keys());
+        for (const key of touchedKeys) {
+            if (this.store.has(key)) {
+                this._beforeWrite(key);
+            }
+        }
+
+        // Remember the deleted keys for the keyspace event listeners
+        const deletedKeys = this._hasKeyspaceListeners() ? Array.from(this.store.keys()) : [];
+
+        // Clear all keys and associated values from the store
+        this.store.clear();
+
+        // Clear all expiration times from the expirations map
+        this.expireTimes.clear();
+
+        // Clear the access and memory usage of the keys
+        this.keyAccess.clear();
+        this.keySizes.clear();
+        this.dirtyKeys.clear();
+        this.usedMemory = 0;
+
+        // Clear IndexedDB if available
+        if (this.isIndexedDBAvailable && this.db) {
+            this._clearIndexedDB();
+        }
+
+        for (const key of deletedKeys) {
+            this._notifyKeyspaceEvent('del', key);
+        }
+
+        // Return true to indicate that the function was successful
+        return true;
+    }
+
+    /**
+     * Clear the data of the selected database from IndexedDB
+     * @private
+     */
+    async _clearIndexedDB() {
+        if (!this.db || this.journal) return;
+
+        try {
+            const [storeName, expireTimesName] = this._objectStoreNames();
+            const transaction = this._trackIndexedDBTransaction(this.db.transaction([storeName, expireTimesName], 'readwrite'));
+            const storeObjectStore = transaction.objectStore(storeName);
+            const expireTimesObjectStore = transaction.objectStore(expireTimesName);
+            
+            storeObjectStore.clear();
+            expireTimesObjectStore.clear();
+        } catch (error) {
+            this.lastPersistenceError = error;
+            console.warn('Failed to clear IndexedDB:', error);
+        }
+    }
+
+    /**
+     * Replace the data of the selected database in IndexedDB with its current keys and expire times
+     * @private
+     */
+    async _rewriteIndexedDB() {
+        if (!this.db) return;
+
+        try {
+            const [storeName, expireTimesName] = this._objectStoreNames();
+            const transaction = this._trackIndexedDBTransaction(this.db.transaction([storeName, expireTimesName], 'readwrite'));
+            const storeObjectStore = transaction.objectStore(storeName);
+            const expireTimesObjectStore = transaction.objectStore(expireTimesName);
+
+            storeObjectStore.clear();
+            expireTimesObjectStore.clear();
+            for (const [key, value] of this.store.entries()) {
+                storeObjectStore.put(this._toIndexedDBRecord(key, value));
+            }
+            for (const [key, expireTime] of this.expireTimes.entries()) {
+                expireTimesObjectStore.put({ key, expireTime });
+            }
+        } catch (error) {
+            this.lastPersistenceError = error;
+            console.warn('Failed to rewrite IndexedDB:', error);
+        }
+    }
+}
+
+/**
+ * A transaction created by kvjs#multi(). Every kvjs command can be called on it: the call is queued
+ * and the transaction is returned, so calls can be chained. Queued commands run atomically on exec(),
+ * against the database that was selected when the transaction was created. Like in Redis, the database
+ * selected by a queued select() stays selected once the transaction succeeded, unless the transaction
+ * was created by a database handle.
+ */
+class Transaction {
+    /**
+     * @param {kvjs} kv - The instance the transaction runs against.
+     */
+    constructor(kv) {
+        this.kv = kv;
+        this.database = kv.selectedDb;
+        this.commands = [];
+        this.watchedKeys = new Map();
+        this.isDone = false;
+        // Whether the database selected by the queued commands stays selected after exec(), see Database#multi()
+        this.keepsSelection = true;
+    }
+
+    /**
+     * Watch keys for modifications: if any of them is modified, deleted or expires before exec()
+     * is called, the transaction is aborted. Must be called before any command is queued.
+     * @param {...*} keys - The keys to watch.
+     * @returns {Transaction} - The transaction.
+     * @throws {Error} - If commands were already queued, or the transaction is done.
+     */
+    watch(...keys) {
+        if (this.isDone) {
+            throw new Error('ERR transaction was already executed or discarded');
+        }
+        if (this.commands.length > 0) {
+            throw new Error('ERR WATCH inside MULTI is not allowed');
+        }
+        for (const key of keys) {
+            if (!this.watchedKeys.has(key)) {
+                this.watchedKeys.set(key, this.kv._withDatabase(this.database, () => this.kv._watchKey(key)));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Forget about all watched keys.
+     * @returns {Transaction} - The transaction.
+     */
+    unwatch() {
+        this.kv._withDatabase(this.database, () => {
+            for (const key of this.watchedKeys.keys()) {
+                this.kv._unwatchKey(key);
+            }
+        });
+        this.watchedKeys.clear();
+        return this;
+    }
+
+    /**
+     * Execute all queued commands. Either all of them are applied or, if one of them throws, none is:
+     * the store is rolled back to its state before exec() and the error is rethrown.
+     * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+     * @throws {Error} - If the transaction was already executed or discarded, or if a queued command throws.
+     */
+    exec() {
+        if (this.isDone) {
+            throw new Error('ERR EXEC without MULTI');
+        }
+        this.isDone = true;
+
+        let selectedDb;
+        const results = this.kv._withDatabase(this.database, () => {
+            let isAborted = false;
+            for (const [key, version] of this.watchedKeys) {
+                if (this.kv._isWatchedKeyModified(key, version)) {
+                    isAborted = true;
+                    break;
+                }
+            }
+            this.unwatch();
+            if (isAborted) {
+                return null;
+            }
+
+            const results = this.kv._execTransaction(this.commands);
+            selectedDb = this.kv.selectedDb;
+            return results;
+        });
+        if (results !== null && this.keepsSelection && this.commands.some(([name]) => name === 'select')) {
+            this.kv._selectDatabase(selectedDb);
+        }
+        return results;
+    }
+
+    /**
+     * Swapping databases cannot be queued, as a failing transaction could not undo it. See kvjs#swapdb().
+     * @throws {Error} - Always.
+     */
+    swapdb() {
+        throw new Error('ERR SWAPDB inside MULTI is not allowed');
+    }
+
+    /**
+     * Discard all queued commands without executing them.
+     * @returns {boolean} - true if the transaction was discarded.
+     * @throws {Error} - If the transaction was already executed or discarded.
+     */
+    discard() {
+        if (this.isDone) {
+            throw new Error('ERR DISCARD without MULTI');
+        }
+        this.isDone = true;
+        this.commands = [];
+        this.unwatch();
+        return true;
+    }
+}
+
+/**
+ * A handle on a database of a kvjs instance, created by kvjs#database(). Every kvjs command can be called on it,
+ * and runs against the database of the handle whatever database the instance selected.
+ */
+class Database {
+    /**
+     * @param {kvjs} kv - The instance holding the database.
+     * @param {number} index - The index of the database.
+     */
+    constructor(kv, index) {
+        this.kv = kv;
+        this.index = index;
+    }
+
+    /**
+     * Start a transaction against the database, see kvjs#multi(). Like the handle, it leaves the selected database
+     * of the instance as it is: a select() queued in it only applies to the commands queued after it.
+     * @returns {Transaction} - A transaction exposing every kvjs command.
+     */
+    multi() {
+        const transaction = this.kv._withDatabase(this.index, () => this.kv.multi());
+        transaction.keepsSelection = false;
+        return transaction;
+    }
+
+    /**
+     * Start a transaction against the database watching keys, see kvjs#watch().
+     * @param {...*} keys - The keys to watch.
+     * @returns {Transaction} - A transaction watching the keys.
+     */
+    watch(...keys) {
+        const transaction = this.kv._withDatabase(this.index, () => this.kv.watch(...keys));
+        transaction.keepsSelection = false;
+        return transaction;
+    }
+
+    /**
+     * Get a namespace of the database, see kvjs#namespace().
+     * @param {string} prefix - The prefix of the keys.
+     * @returns {Namespace} - The namespace.
+     * @throws {Error} - If the prefix is not a non-empty string.
+     */
+    namespace(prefix) {
+        return new Namespace(this, prefix);
+    }
+
+    /**
+     * Get a read-only handle on the database, see kvjs#readonly().
+     * @returns {ReadOnlyHandle} - The handle.
+     */
+    readonly() {
+        return new ReadOnlyHandle(this);
+    }
+
+    /**
+     * Authenticate as an ACL user on the database, see kvjs#auth().
+     * @param {string} name - The name of the user.
+     * @param {string} [password] - A password of the user.
+     * @returns {UserHandle} - The handle.
+     * @throws {Error} - If the user does not exist, is disabled, or the password is wrong.
+     */
+    auth(name, password) {
+        this.kv.auth(name, password);
+        return new UserHandle(this.kv, this, name);
+    }
+}
+
+/**
+ * A view of the keys starting with a prefix, created by kvjs#namespace(). Every kvjs command can be called on it,
+ * with the keys of the namespace: the prefix is added to the keys given to the commands and removed from the keys
+ * they return. The commands that are not about keys, such as info() or publish(), are the ones of the instance.
+ * multi() and watch() return a namespace queuing the commands of a transaction, whose exec() results have the
+ * prefix removed too.
+ */
+class Namespace {
+    /**
+     * @param {kvjs|Database|Transaction} target - The instance, database handle or transaction running the commands.
+     * @param {string} prefix - The prefix of the keys.
+     * @throws {Error} - If the prefix is not a non-empty string.
+     */
+    constructor(target, prefix) {
+        if (typeof prefix !== 'string' || prefix === '') {
+            throw new Error('ERR namespace prefix must be a non-empty string');
+        }
+        this.target = target;
+        this.prefix = prefix;
+        // Functions removing the prefix from the results of the queued commands, when the target is a transaction
+        this.resultMappers = [];
+    }
+
+    /**
+     * Get a namespace nested in this one, whose keys start with both prefixes.
+     * @param {string} prefix - The prefix of the keys, added after the prefix of this namespace.
+     * @returns {Namespace} - The namespace.
+     * @throws {Error} - If the prefix is not a non-empty string, or the namespace queues a transaction.
+     */
+    namespace(prefix) {
+        this._checkNotQueuing('namespace');
+        if (typeof prefix !== 'string' || prefix === '') {
+            throw new Error('ERR namespace prefix must be a non-empty string');
+        }
+        return new Namespace(this.target, this.prefix + prefix);
+    }
+
+    /**
+     * Find the keys of the namespace matching a pattern.
+     * @param {string} pattern - The glob-style pattern, matched against the keys without the prefix.
+     * @returns {Array} - The keys without the prefix.
+     * @throws {Error} - If the namespace queues a transaction.
+     */
+    keys(pattern) {
+        this._checkNotQueuing('keys');
+        const keys = [];
+        for (const key of this.target.keys('*')) {
+            if (typeof key === 'string' && key.startsWith(this.prefix)) {
+                const ownKey = this._removePrefix(key);
+                if (simpleMatch(ownKey, pattern)) {
+                    keys.push(ownKey);
+                }
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Scans the keys of the namespace, see kvjs#scan().
+     * @param {number} cursor - The starting index for the scan.
+     * @param {string} [match='*'] - The pattern to match keys against.
+     * @param {number} [count=10] - The maximum number of keys to return.
+     * @returns {[number, string[]]} - An array containing the next cursor and the matched keys.
+     * @throws {Error} - If the namespace queues a transaction.
+     */
+    scan(cursor, match = '*', count = 10) {
+        this._checkNotQueuing('scan');
+        const keys = this.keys(match);
+        const endIndex = Math.min(cursor + count, keys.length);
+        const nextCursor = endIndex === keys.length ? 0 : endIndex;
+
+        return [nextCursor, keys.slice(cursor, endIndex)];
+    }
+
+    /**
+     * Return a random key of the namespace.
+     * @returns {(string|undefined)} - The key without the prefix, or undefined if the namespace has no keys.
+     * @throws {Error} - If the namespace queues a transaction.
+     */
+    randomkey() {
+        this._checkNotQueuing('randomkey');
+        const keys = this.keys('*');
+        return keys.length === 0 ? undefined : keys[Math.floor(Math.random() * keys.length)];
+    }
+
+    /**
+     * Returns the number of keys of the namespace.
+     * @returns {number} - The number of keys.
+     * @throws {Error} - If the namespace queues a transaction.
+     */
+    dbsize() {
+        this._checkNotQueuing('dbsize');
+        return this.keys('*').length;
+    }
+
+    /**
+     * Removes the keys of the namespace from the database.
+     * @returns {boolean} - true.
+     * @throws {Error} - If the namespace queues a transaction.
+     */
+    flushdb() {
+        this._checkNotQueuing('flushdb');
+        const keys = this.keys('*');
+        if (keys.length > 0) {
+            this.del(...keys);
+        }
+        return true;
+    }
+
+    /**
+     * Removes the keys of the namespace from every database.
+     * @returns {boolean} - true.
+     * @throws {Error} - If the namespace queues a transaction.
+     */
+    flushall() {
+        this._checkNotQueuing('flushall');
+        const { target } = this;
+        const databaseCount = target instanceof UserHandle ? target._databaseCount() : (target.kv || target).databases.length;
+        for (let index = 0; index < databaseCount; index++) {
+            const database = target instanceof Database ? target.kv.database(index) : target.database(index);
+            new Namespace(database, this.prefix).flushdb();
+        }
+        return true;
+    }
+
+    /**
+     * Selecting a database is not allowed, as it would change the database of every namespace of the instance. The
+     * namespaces of database handles run against other databases, e.g. kv.database(1).namespace(prefix).
+     * @throws {Error} - Always.
+     */
+    select() {
+        throw new Error('ERR select is not allowed on a namespace, use the namespace of a database handle instead');
+    }
+
+    /**
+     * Swapping databases is not allowed, as it would swap the keys of every namespace of the instance.
+     * @throws {Error} - Always.
+     */
+    swapdb() {
+        throw new Error('ERR swapdb is not allowed on a namespace');
+    }
+
+    /**
+     * Get a read-only handle on the namespace, see kvjs#readonly().
+     * @returns {ReadOnlyHandle} - The handle.
+     */
+    readonly() {
+        return new ReadOnlyHandle(this);
+    }
+
+    /**
+     * Forget about all watched keys of the transaction.
+     * @returns {Namespace} - The namespace.
+     */
+    unwatch() {
+        this.target.unwatch();
+        return this;
+    }
+
+    /**
+     * Execute the commands queued in the transaction, see Transaction#exec().
+     * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+     */
+    exec() {
+        const results = this.target.exec();
+        return results && results.map((result, index) => this._mapResult(this.resultMappers[index], result));
+    }
+
+    /**
+     * Discard the commands queued in the transaction.
+     * @returns {boolean} - true if the transaction was discarded.
+     */
+    discard() {
+        this.resultMappers = [];
+        return this.target.discard();
+    }
+
+    /**
+     * Throw if a command reading the keys of the namespace is called while queuing a transaction, as the keys
+     * it affects are only known once the transaction executes.
+     * @private
+     * @param {string} name - The name of the command.
+     * @throws {Error} - If the target is a transaction.
+     */
+    _checkNotQueuing(name) {
+        if (this.target instanceof Transaction || (this.target instanceof UserHandle && this.target._isQueuing())) {
+            throw new Error(`ERR ${name} cannot be queued in a namespaced transaction`);
+        }
+    }
+
+    /**
+     * Remove the prefix of the namespace from a key.
+     * @private
+     * @param {string} key - The key with the prefix.
+     * @returns {string} - The key without the prefix.
+     */
+    _removePrefix(key) {
+        return key.slice(this.prefix.length);
+    }
+
+    /**
+     * Remove the prefix of the namespace from the keys of a command result, once settled if it is a Promise.
+     * @private
+     * @param {Function} [mapper] - The function of NAMESPACE_KEY_RESULTS for the command, if it returns keys.
+     * @param {*} result - The result of the command.
+     * @returns {*} - The result without the prefix.
+     */
+    _mapResult(mapper, result) {
+        if (!mapper) {
+            return result;
+        }
+        const removePrefix = key => this._removePrefix(key);
+        return result instanceof Promise ? result.then(value => mapper(value, removePrefix)) : mapper(result, removePrefix);
+    }
+}
+
+/**
+ * A handle only allowing the commands flagged 'readonly' by kvjs#command(), created by kvjs#readonly(). The other
+ * commands throw a READONLY error, except the ones returning a handle, which is read-only too: database(),
+ * namespace(), multi() and watch().
+ */
+class ReadOnlyHandle {
+    // The target runs the writing commands too, so it is only reachable through the checks of the handle
+    #target;
+
+    /**
+     * @param {kvjs|Database|Namespace|Transaction} target - The instance, handle or transaction running the commands.
+     */
+    constructor(target) {
+        this.#target = target;
+    }
+
+    /**
+     * Get a read-only handle, this one.
+     * @returns {ReadOnlyHandle} - The handle.
+     */
+    readonly() {
+        return this;
+    }
+
+    /**
+     * Forget about all watched keys of the transaction.
+     * @returns {ReadOnlyHandle} - The handle.
+     */
+    unwatch() {
+        this.#target.unwatch();
+        return this;
+    }
+
+    /**
+     * Execute the commands queued in the transaction, see Transaction#exec().
+     * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+     */
+    exec() {
+        return this.#target.exec();
+    }
+
+    /**
+     * Discard the commands queued in the transaction.
+     * @returns {boolean} - true if the transaction was discarded.
+     */
+    discard() {
+        return this.#target.discard();
+    }
+
+    /**
+     * Runs a command flagged 'readonly', or one returning a handle, which is read-only too. See the end of this file.
+     * @private
+     * @param {string} name - The name of the command.
+     * @param {Array} args - The arguments of the command.
+     * @returns {*} - The result of the command.
+     * @throws {Error} - If the command may modify keys.
+     */
+    _command(name, args) {
+        if (!HANDLE_METHODS.has(name) && !(COMMAND_FLAGS[name] || []).includes('readonly')) {
+            throw new Error(`READONLY You can't run '${name}' against a read only handle.`);
+        }
+        const result = this.#target[name](...args);
+
+        // A transaction returns itself when a command is queued
+        if (result === this.#target) {
+            return this;
+        }
+        if (HANDLE_METHODS.has(name)) {
+            return new ReadOnlyHandle(result);
+        }
+        return result;
+    }
+}
+
+/**
+ * A handle running the commands as an ACL user, created by kvjs#auth(). The commands are checked against the
+ * permissions of the user when they run, so a transaction fails on exec() if a queued command is denied. The
+ * handles it returns, such as the ones of database(), namespace() and multi(), run the commands as the user too.
+ */
+class UserHandle {
+    // The instance and its handles run any command, so they are only reachable through the checks of the handle
+    #kv;
+    #target;
+    #username;
+
+    /**
+     * @param {kvjs} kv - The instance checking the permissions.
+     * @param {kvjs|Database|Transaction} target - The instance, database handle or transaction running the commands.
+     * @param {string} username - The name of the user.
+     */
+    constructor(kv, target, username) {
+        this.#kv = kv;
+        this.#target = target;
+        this.#username = username;
+    }
+
+    /**
+     * The name of the user running the commands.
+     * @type {string}
+     */
+    get username() {
+        return this.#username;
+    }
+
+    /**
+     * Get a namespace running the commands as the user, see kvjs#namespace().
+     * @param {string} prefix - The prefix of the keys.
+     * @returns {Namespace} - The namespace.
+     * @throws {Error} - If the prefix is not a non-empty string.
+     */
+    namespace(prefix) {
+        return new Namespace(this, prefix);
+    }
+
+    /**
+     * Get a read-only handle running the commands as the user, see kvjs#readonly().
+     * @returns {ReadOnlyHandle} - The handle.
+     */
+    readonly() {
+        return new ReadOnlyHandle(this);
+    }
+
+    /**
+     * Forget about all watched keys of the transaction.
+     * @returns {UserHandle} - The handle.
+     */
+    unwatch() {
+        this.#target.unwatch();
+        return this;
+    }
+
+    /**
+     * Execute the commands queued in the transaction as the user, see Transaction#exec().
+     * @returns {Array|null} - The results of the queued commands in order, or null if a watched key was modified.
+     * @throws {Error} - If a queued command throws, or is denied to the user.
+     */
+    exec() {
+        return this.#kv._withUser(this.#username, () => this.#target.exec());
+    }
+
+    /**
+     * Discard the commands queued in the transaction.
+     * @returns {boolean} - true if the transaction was discarded.
+     */
+    discard() {
+        return this.#target.discard();
+    }
+
+    /**
+     * Runs a command as the user, see the end of this file.
+     * @private
+     * @param {string} name - The name of the command.
+     * @param {Array} args - The arguments of the command.
+     * @returns {*} - The result of the command, or a handle running the commands as the user if it returns a handle.
+     */
+    _command(name, args) {
+        const result = this.#kv._withUser(this.#username, () => this.#target[name](...args));
+
+        // A transaction returns itself when a command is queued
+        if (result === this.#target) {
+            return this;
+        }
+        if (result instanceof Transaction || result instanceof Database) {
+            return new UserHandle(this.#kv, result, this.#username);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the number of databases of the instance, see Namespace#flushall().
+     * @private
+     * @returns {number} - The number of databases.
+     */
+    _databaseCount() {
+        return this.#kv.databases.length;
+    }
+
+    /**
+     * Checks whether the handle queues the commands of a transaction, see Namespace#_checkNotQueuing().
+     * @private
+     * @returns {boolean} - true if the commands are queued.
+     */
+    _isQueuing() {
+        return this.#target instanceof Transaction;
+    }
+}
+
+// kvjs methods that are not commands, and are not counted in the statistics
+const NON_COMMAND_METHODS = new Set(['constructor', 'waitForInitialization', 'on', 'off']);
+
+for (const name of Object.getOwnPropertyNames(kvjs.prototype)) {
+    if (name.startsWith('_') || NON_COMMAND_METHODS.has(name)) {
+        continue;
+    }
+    const command = kvjs.prototype[name];
+    kvjs.prototype[name] = function (...args) {
+        return this._call(name, command, args);
+    };
+}
+
+// kvjs methods that are not data commands and cannot be queued in a transaction
+const NON_QUEUEABLE_METHODS = new Set(['constructor', 'waitForInitialization', 'on', 'off', 'multi', 'watch', 'database', 'swapdb', 'namespace', 'readonly', 'auth']);
+
+for (const name of Object.getOwnPropertyNames(kvjs.prototype)) {
+    if (name.startsWith('_') || NON_QUEUEABLE_METHODS.has(name)) {
+        continue;
+    }
+    Transaction.prototype[name] = function (...args) {
+        if (this.isDone) {
+            throw new Error('ERR transaction was already executed or discarded');
+        }
+        this.commands.push([name, args]);
+        return this;
+    };
+}
+
+// kvjs methods that are not commands running against a database
+const NON_DATABASE_METHODS = new Set(['constructor', 'waitForInitialization', 'on', 'off', 'multi', 'watch', 'select', 'database', 'namespace', 'readonly', 'auth']);
+
+for (const name of Object.getOwnPropertyNames(kvjs.prototype)) {
+    if (name.startsWith('_') || NON_DATABASE_METHODS.has(name)) {
+        continue;
+    }
+    Database.prototype[name] = function (...args) {
+        return this.kv._withDatabase(this.index, () => this.kv[name](...args));
+    };
+}
+
+// kvjs methods that are not commands, or that a namespace implements to only see its own keys
+const NON_NAMESPACE_METHODS = new Set(['constructor', 'waitForInitialization', 'on', 'off']);
+
+for (const name of Object.getOwnPropertyNames(kvjs.prototype)) {
+    if (name.startsWith('_') || NON_NAMESPACE_METHODS.has(name)
+        || Object.prototype.hasOwnProperty.call(Namespace.prototype, name)) {
+        continue;
+    }
+    Namespace.prototype[name] = function (...args) {
+        const result = this.target[name](...mapKeyArguments(name, args, key => this.prefix + key));
+
+        // A transaction returns itself when a command is queued, and the prefix is removed once it executes
+        if (result === this.target) {
+            this.resultMappers.push(NAMESPACE_KEY_RESULTS[name]);
+            return this;
+        }
+        if (result instanceof Transaction || result instanceof Database || result instanceof UserHandle) {
+            return new Namespace(result, this.prefix);
+        }
+        return this._mapResult(NAMESPACE_KEY_RESULTS[name], result);
+    };
+}
+
+// kvjs methods that are not commands, and commands returning a handle which a read-only handle makes read-only
+const NON_READONLY_METHODS = new Set(['constructor', 'waitForInitialization', 'on', 'off']);
+const HANDLE_METHODS = new Set(['multi', 'watch', 'database', 'namespace']);
+
+for (const name of Object.getOwnPropertyNames(kvjs.prototype)) {
+    if (name.startsWith('_') || NON_READONLY_METHODS.has(name)
+        || Object.prototype.hasOwnProperty.call(ReadOnlyHandle.prototype, name)) {
+        continue;
+    }
+    ReadOnlyHandle.prototype[name] = function (...args) {
+        return this._command(name, args);
+    };
+}
+
+// kvjs methods that are not commands
+const NON_USER_METHODS = new Set(['constructor', 'waitForInitialization', 'on', 'off']);
+
+for (const name of Object.getOwnPropertyNames(kvjs.prototype)) {
+    if (name.startsWith('_') || NON_USER_METHODS.has(name)
+        || Object.prototype.hasOwnProperty.call(UserHandle.prototype, name)) {
+        continue;
     }
+    UserHandle.prototype[name] = function (...args) {
+        return this._command(name, args);
+    };
 }
 
-module.exports = kvjs;
\ No newline at end of file
+module.exports = kvjs;
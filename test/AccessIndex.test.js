@@ -0,0 +1,71 @@
+const assert = require('assert');
+const AccessIndex = require('../AccessIndex');
+
+describe('AccessIndex', function() {
+    describe('#constructor()', function() {
+        it('should initialize empty', function() {
+            const index = new AccessIndex();
+            assert.strictEqual(index.size, 0);
+            assert.deepStrictEqual([...index.keys()], []);
+        });
+    });
+
+    describe('#set() and #get()', function() {
+        it('should set and get access records', function() {
+            const index = new AccessIndex();
+            const access = { time: 10, frequency: 5 };
+            index.set('a', access);
+            assert.strictEqual(index.get('a'), access);
+            assert.strictEqual(index.has('a'), true);
+            assert.strictEqual(index.get('b'), undefined);
+            assert.strictEqual(index.size, 1);
+        });
+
+        it('should move keys to the end when they are set again', function() {
+            const index = new AccessIndex();
+            index.set('a', 1).set('b', 2).set('c', 3);
+            index.set('a', 4);
+            assert.deepStrictEqual([...index.keys()], ['b', 'c', 'a']);
+            assert.deepStrictEqual([...index], [['b', 2], ['c', 3], ['a', 4]]);
+            assert.strictEqual(index.size, 3);
+        });
+    });
+
+    describe('#delete() and #clear()', function() {
+        it('should delete access records and return true if the key had one', function() {
+            const index = new AccessIndex();
+            index.set('a', 1).set('b', 2).set('c', 3);
+            assert.strictEqual(index.delete('b'), true);
+            assert.strictEqual(index.delete('b'), false);
+            assert.deepStrictEqual([...index.keys()], ['a', 'c']);
+            assert.strictEqual(index.delete('a'), true);
+            assert.strictEqual(index.delete('c'), true);
+            assert.deepStrictEqual([...index.keys()], []);
+            index.set('d', 4);
+            assert.deepStrictEqual([...index.keys()], ['d']);
+        });
+
+        it('should remove all access records', function() {
+            const index = new AccessIndex();
+            index.set('a', 1).set('b', 2);
+            index.clear();
+            assert.strictEqual(index.size, 0);
+            assert.deepStrictEqual([...index.keys()], []);
+        });
+    });
+
+    describe('#keys()', function() {
+        it('should find the least recently used key quickly after many updates', function() {
+            const index = new AccessIndex();
+            const start = Date.now();
+            for (let i = 0; i < 200000; i++) {
+                index.set(i, i);
+                if (index.size > 1000) {
+                    index.delete(index.keys().next().value);
+                }
+            }
+            assert.strictEqual(index.keys().next().value, 199000);
+            assert.ok(Date.now() - start < 1000);
+        });
+    });
+});
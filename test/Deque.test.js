@@ -0,0 +1,125 @@
+const assert = require('assert');
+const Deque = require('../Deque');
+
+describe('Deque', function() {
+    describe('#constructor()', function() {
+        it('should initialize empty with no arguments', function() {
+            const deque = new Deque();
+            assert.strictEqual(deque.length, 0);
+            assert.deepStrictEqual(deque.toArray(), []);
+        });
+
+        it('should initialize with provided elements', function() {
+            const deque = new Deque(['a', 'b', 'c']);
+            assert.strictEqual(deque.length, 3);
+            assert.deepStrictEqual(deque.toArray(), ['a', 'b', 'c']);
+        });
+    });
+
+    describe('#push(), #unshift(), #pop() and #shift()', function() {
+        it('should add and remove elements at both ends', function() {
+            const deque = new Deque();
+            assert.strictEqual(deque.push('c', 'd'), 2);
+            assert.strictEqual(deque.unshift('a', 'b'), 4);
+            assert.deepStrictEqual(deque.toArray(), ['a', 'b', 'c', 'd']);
+            assert.strictEqual(deque.shift(), 'a');
+            assert.strictEqual(deque.pop(), 'd');
+            assert.deepStrictEqual(deque.toArray(), ['b', 'c']);
+        });
+
+        it('should return undefined when empty', function() {
+            const deque = new Deque();
+            assert.strictEqual(deque.pop(), undefined);
+            assert.strictEqual(deque.shift(), undefined);
+        });
+
+        it('should behave like an array when growing and shrinking around the buffer', function() {
+            const deque = new Deque();
+            const array = [];
+            for (let i = 0; i < 1000; i++) {
+                if (i % 3 === 0) {
+                    deque.unshift(i);
+                    array.unshift(i);
+                } else {
+                    deque.push(i);
+                    array.push(i);
+                }
+            }
+            assert.deepStrictEqual(deque.toArray(), array);
+
+            for (let i = 0; i < 990; i++) {
+                assert.strictEqual(i % 2 ? deque.shift() : deque.pop(), i % 2 ? array.shift() : array.pop());
+            }
+            assert.deepStrictEqual(deque.toArray(), array);
+        });
+
+        it('should handle queues of hundreds of thousands of elements quickly', function() {
+            const deque = new Deque();
+            const start = Date.now();
+            for (let i = 0; i < 200000; i++) {
+                deque.unshift(i);
+            }
+            for (let i = 0; i < 200000; i++) {
+                deque.shift();
+            }
+            assert.strictEqual(deque.length, 0);
+            assert.ok(Date.now() - start < 1000);
+        });
+    });
+
+    describe('#at() and #set()', function() {
+        it('should access elements by index', function() {
+            const deque = new Deque(['b', 'c']);
+            deque.unshift('a');
+            assert.strictEqual(deque.at(0), 'a');
+            assert.strictEqual(deque.at(-1), 'c');
+            assert.strictEqual(deque.at(3), undefined);
+            assert.strictEqual(deque.at(-4), undefined);
+            deque.set(1, 'x');
+            assert.deepStrictEqual(deque.toArray(), ['a', 'x', 'c']);
+        });
+    });
+
+    describe('#slice()', function() {
+        it('should return elements between two indexes like Array#slice', function() {
+            const array = ['a', 'b', 'c', 'd', 'e'];
+            const deque = new Deque(array);
+            for (const [start, end] of [[0, 5], [1, 3], [-2, undefined], [-10, 2], [2, -1], [4, 2], [3, 100]]) {
+                assert.deepStrictEqual(deque.slice(start, end), array.slice(start, end));
+            }
+        });
+    });
+
+    describe('#indexOf(), #insert() and #removeAt()', function() {
+        it('should find elements', function() {
+            const deque = new Deque(['a', 'b', 'a']);
+            assert.strictEqual(deque.indexOf('a'), 0);
+            assert.strictEqual(deque.indexOf('a', 1), 2);
+            assert.strictEqual(deque.indexOf('z'), -1);
+        });
+
+        it('should insert and remove elements anywhere', function() {
+            const deque = new Deque(['a', 'b', 'c', 'd', 'e']);
+            const array = deque.toArray();
+            for (const index of [0, 1, 3, 5, 7]) {
+                deque.insert(index, index);
+                array.splice(index, 0, index);
+                assert.deepStrictEqual(deque.toArray(), array);
+            }
+            for (const index of [0, 8, 2, 5, 3]) {
+                assert.strictEqual(deque.removeAt(index), array.splice(index, 1)[0]);
+                assert.deepStrictEqual(deque.toArray(), array);
+            }
+        });
+    });
+
+    describe('#clone() and iteration', function() {
+        it('should create an independent copy', function() {
+            const deque = new Deque(['a', 'b']);
+            const copy = deque.clone();
+            copy.push('c');
+            assert.deepStrictEqual([...deque], ['a', 'b']);
+            assert.deepStrictEqual([...copy], ['a', 'b', 'c']);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const ExpiryIndex = require('../ExpiryIndex');
+
+describe('ExpiryIndex', function() {
+    describe('#constructor()', function() {
+        it('should initialize empty with no arguments', function() {
+            const index = new ExpiryIndex();
+            assert.strictEqual(index.size, 0);
+            assert.strictEqual(index.peek(), undefined);
+        });
+
+        it('should initialize with provided entries', function() {
+            const index = new ExpiryIndex([['a', 30], ['b', 10]]);
+            assert.strictEqual(index.size, 2);
+            assert.deepStrictEqual(index.peek(), ['b', 10]);
+        });
+    });
+
+    describe('#set() and #get()', function() {
+        it('should set and get expire times', function() {
+            const index = new ExpiryIndex();
+            index.set('a', 20);
+            assert.strictEqual(index.get('a'), 20);
+            assert.strictEqual(index.has('a'), true);
+            assert.strictEqual(index.get('b'), undefined);
+        });
+
+        it('should reorder keys when their expire time changes', function() {
+            const index = new ExpiryIndex([['a', 10], ['b', 20], ['c', 30]]);
+            index.set('a', 40);
+            assert.deepStrictEqual(index.peek(), ['b', 20]);
+            index.set('c', 5);
+            assert.deepStrictEqual(index.peek(), ['c', 5]);
+            assert.strictEqual(index.size, 3);
+        });
+    });
+
+    describe('#delete() and #clear()', function() {
+        it('should delete expire times and return true if the key had one', function() {
+            const index = new ExpiryIndex([['a', 10], ['b', 20]]);
+            assert.strictEqual(index.delete('a'), true);
+            assert.strictEqual(index.delete('a'), false);
+            assert.deepStrictEqual(index.peek(), ['b', 20]);
+        });
+
+        it('should clear all expire times', function() {
+            const index = new ExpiryIndex([['a', 10], ['b', 20]]);
+            index.clear();
+            assert.strictEqual(index.size, 0);
+            assert.deepStrictEqual(Array.from(index.keys()), []);
+        });
+    });
+
+    describe('#peek()', function() {
+        it('should return the keys in expire time order as they are removed', function() {
+            const index = new ExpiryIndex();
+            const times = [];
+            for (let i = 0; i < 500; i++) {
+                const time = (i * 7919) % 1000;
+                index.set(`key${i}`, time);
+                times.push(time);
+            }
+            for (let i = 0; i < 500; i += 3) {
+                index.delete(`key${i}`);
+                times[i] = undefined;
+            }
+
+            const expected = times.filter(time => time !== undefined).sort((a, b) => a - b);
+            const actual = [];
+            for (let next = index.peek(); next; next = index.peek()) {
+                actual.push(next[1]);
+                index.delete(next[0]);
+            }
+            assert.deepStrictEqual(actual, expected);
+        });
+    });
+});
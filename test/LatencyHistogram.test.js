@@ -0,0 +1,60 @@
+const assert = require('assert');
+const LatencyHistogram = require('../LatencyHistogram');
+
+describe('LatencyHistogram', function() {
+    describe('#constructor()', function() {
+        it('should initialize empty', function() {
+            const histogram = new LatencyHistogram();
+            assert.strictEqual(histogram.count, 0);
+            assert.strictEqual(histogram.max, 0);
+            assert.strictEqual(histogram.percentile(50), 0);
+        });
+    });
+
+    describe('#record()', function() {
+        it('should count the values and keep the largest one', function() {
+            const histogram = new LatencyHistogram();
+            histogram.record(5).record(1200).record(30);
+            assert.strictEqual(histogram.count, 3);
+            assert.strictEqual(histogram.max, 1200);
+        });
+
+        it('should round the values to non-negative integers', function() {
+            const histogram = new LatencyHistogram();
+            histogram.record(-3).record(2.6);
+            assert.strictEqual(histogram.percentile(50), 0);
+            assert.strictEqual(histogram.max, 3);
+        });
+    });
+
+    describe('#percentile()', function() {
+        it('should be exact for small values', function() {
+            const histogram = new LatencyHistogram();
+            for (let value = 1; value <= 10; value++) {
+                histogram.record(value);
+            }
+            assert.strictEqual(histogram.percentile(50), 5);
+            assert.strictEqual(histogram.percentile(90), 9);
+            assert.strictEqual(histogram.percentile(100), 10);
+            assert.strictEqual(histogram.percentile(0), 1);
+        });
+
+        it('should be accurate to a sixteenth for large values', function() {
+            const histogram = new LatencyHistogram();
+            for (let value = 1; value <= 100000; value++) {
+                histogram.record(value);
+            }
+            for (const [percentile, expected] of [[50, 50000], [99, 99000], [99.9, 99900]]) {
+                const value = histogram.percentile(percentile);
+                assert.ok(value >= expected && value <= expected * (1 + 1 / 16), `p${percentile}: ${value}`);
+            }
+            assert.strictEqual(histogram.percentile(100), 100000);
+        });
+
+        it('should not exceed the largest value', function() {
+            const histogram = new LatencyHistogram();
+            histogram.record(1000).record(1000);
+            assert.strictEqual(histogram.percentile(99), 1000);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const SortedSet = require('../SortedSet');
+
+describe('SortedSet', function() {
+    describe('#constructor()', function() {
+        it('should initialize empty with no arguments', function() {
+            const sortedSet = new SortedSet();
+            assert.strictEqual(sortedSet.size, 0);
+            assert.deepStrictEqual(Array.from(sortedSet), []);
+        });
+
+        it('should initialize with provided entries', function() {
+            const sortedSet = new SortedSet([['b', 2], ['a', 1]]);
+            assert.strictEqual(sortedSet.size, 2);
+            assert.deepStrictEqual(Array.from(sortedSet), [['a', 1], ['b', 2]]);
+        });
+    });
+
+    describe('#set(), #get() and #delete()', function() {
+        it('should add members and update their scores', function() {
+            const sortedSet = new SortedSet();
+            assert.strictEqual(sortedSet.set('a', 3), true);
+            assert.strictEqual(sortedSet.set('b', 2), true);
+            assert.strictEqual(sortedSet.set('a', 1), false);
+            assert.strictEqual(sortedSet.get('a'), 1);
+            assert.deepStrictEqual(Array.from(sortedSet.keys()), ['a', 'b']);
+        });
+
+        it('should remove members', function() {
+            const sortedSet = new SortedSet([['a', 1], ['b', 2]]);
+            assert.strictEqual(sortedSet.delete('a'), true);
+            assert.strictEqual(sortedSet.delete('a'), false);
+            assert.strictEqual(sortedSet.has('a'), false);
+            assert.deepStrictEqual(Array.from(sortedSet), [['b', 2]]);
+        });
+
+        it('should order members with the same score lexicographically', function() {
+            const sortedSet = new SortedSet([['c', 1], ['a', 1], ['b', 0], ['B', 1]]);
+            assert.deepStrictEqual(Array.from(sortedSet.keys()), ['b', 'B', 'a', 'c']);
+        });
+    });
+
+    describe('#rank()', function() {
+        it('should return the rank of a member in both directions', function() {
+            const sortedSet = new SortedSet([['a', 1], ['b', 2], ['c', 3]]);
+            assert.strictEqual(sortedSet.rank('a'), 0);
+            assert.strictEqual(sortedSet.rank('c'), 2);
+            assert.strictEqual(sortedSet.rank('a', true), 2);
+            assert.strictEqual(sortedSet.rank('d'), undefined);
+        });
+    });
+
+    describe('#rangeByRank()', function() {
+        it('should return the members within a range of ranks', function() {
+            const sortedSet = new SortedSet([['a', 1], ['b', 2], ['c', 3], ['d', 4]]);
+            assert.deepStrictEqual(sortedSet.rangeByRank(1, 2), [['b', 2], ['c', 3]]);
+            assert.deepStrictEqual(sortedSet.rangeByRank(-2, 10), [['c', 3], ['d', 4]]);
+            assert.deepStrictEqual(sortedSet.rangeByRank(0, 1, true), [['d', 4], ['c', 3]]);
+            assert.deepStrictEqual(sortedSet.rangeByRank(3, 1), []);
+        });
+    });
+
+    describe('#rangeByScore() and #countByScore()', function() {
+        const sortedSet = new SortedSet([['a', 1], ['b', 2], ['c', 2], ['d', 3], ['e', 4]]);
+
+        it('should return the members within a range of scores', function() {
+            assert.deepStrictEqual(sortedSet.rangeByScore(2, 3), [['b', 2], ['c', 2], ['d', 3]]);
+            assert.deepStrictEqual(sortedSet.rangeByScore(2, 3, { minExclusive: true }), [['d', 3]]);
+            assert.deepStrictEqual(sortedSet.rangeByScore(-Infinity, 2, { maxExclusive: true }), [['a', 1]]);
+            assert.deepStrictEqual(sortedSet.rangeByScore(5, 10), []);
+        });
+
+        it('should support reverse order, offset and count', function() {
+            assert.deepStrictEqual(sortedSet.rangeByScore(1, 4, { reverse: true, offset: 1, count: 2 }), [['d', 3], ['c', 2]]);
+            assert.deepStrictEqual(sortedSet.rangeByScore(0, 0.5, { reverse: true }), []);
+        });
+
+        it('should count the members within a range of scores', function() {
+            assert.strictEqual(sortedSet.countByScore(2, 4), 4);
+            assert.strictEqual(sortedSet.countByScore(2, 4, { minExclusive: true, maxExclusive: true }), 1);
+            assert.strictEqual(sortedSet.countByScore(10, 20), 0);
+        });
+    });
+
+    describe('#rangeByLex() and #countByLex()', function() {
+        it('should return the members within a range of members', function() {
+            const sortedSet = new SortedSet([['a', 0], ['b', 0], ['c', 0], ['d', 0]]);
+            assert.deepStrictEqual(sortedSet.rangeByLex('b', 'c'), [['b', 0], ['c', 0]]);
+            assert.deepStrictEqual(sortedSet.rangeByLex('a', 'z', { reverse: true, count: 2 }), [['d', 0], ['c', 0]]);
+            assert.strictEqual(sortedSet.countByLex('bb', 'z'), 2);
+        });
+    });
+
+    describe('#popMin() and #popMax()', function() {
+        it('should remove the members at both ends', function() {
+            const sortedSet = new SortedSet([['a', 1], ['b', 2], ['c', 3]]);
+            assert.deepStrictEqual(sortedSet.popMax(), [['c', 3]]);
+            assert.deepStrictEqual(sortedSet.popMin(5), [['a', 1], ['b', 2]]);
+            assert.strictEqual(sortedSet.size, 0);
+            assert.deepStrictEqual(sortedSet.popMin(), []);
+        });
+    });
+
+    describe('#clone()', function() {
+        it('should not be affected by changes to the original', function() {
+            const sortedSet = new SortedSet([['a', 1]]);
+            const copy = sortedSet.clone();
+            sortedSet.set('b', 2);
+            assert.deepStrictEqual(Array.from(copy), [['a', 1]]);
+        });
+    });
+
+    describe('ranks on many members', function() {
+        it('should keep ranks consistent through insertions and deletions', function() {
+            const sortedSet = new SortedSet();
+            const scores = new Map();
+            for (let i = 0; i < 2000; i++) {
+                const member = `m${i % 300}`;
+                if (i % 5 === 0) {
+                    sortedSet.delete(member);
+                    scores.delete(member);
+                } else {
+                    sortedSet.set(member, i % 17);
+                    scores.set(member, i % 17);
+                }
+            }
+
+            const expected = Array.from(scores).sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1));
+            assert.deepStrictEqual(Array.from(sortedSet), expected);
+            expected.forEach(([member], rank) => assert.strictEqual(sortedSet.rank(member), rank));
+            assert.deepStrictEqual(sortedSet.rangeByRank(10, 20), expected.slice(10, 21));
+        });
+    });
+});
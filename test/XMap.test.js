@@ -51,6 +51,15 @@ describe('XMap', function() {
         });
     });
 
+    describe('#poolCount', function() {
+        it('should start with a single map', function() {
+            const map = new XMap([['key1', 'value1']]);
+            assert.strictEqual(map.poolCount, 1);
+            map.clear();
+            assert.strictEqual(map.poolCount, 1);
+        });
+    });
+
     describe('#clear()', function() {
         it('should clear all key-value pairs', function() {
             const map = new XMap([['key1', 'value1'], ['key2', 'value2']]);
@@ -0,0 +1,212 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('acl', () => {
+        let instance;
+
+        beforeEach(() => {
+            instance = new kvjs();
+            instance.acl('SETUSER', 'alice', 'on', '>secret', '~user:*', '+@read', '+@write', '+@transaction', '-@dangerous');
+        });
+
+        it('should run the commands as the default user without a handle', () => {
+            assert.equal(instance.acl('WHOAMI'), 'default');
+            assert.deepEqual(instance.acl('USERS'), ['alice', 'default']);
+            assert.equal(instance.flushall(), true);
+        });
+
+        it('should authenticate with a password', () => {
+            const alice = instance.auth('alice', 'secret');
+            assert.equal(alice.set('user:1', 'one'), true);
+            assert.equal(alice.get('user:1'), 'one');
+            assert.throws(() => instance.auth('alice', 'wrong'),
+                /^Error: WRONGPASS invalid username-password pair or user is disabled.$/);
+            assert.throws(() => instance.auth('bob', 'secret'), /WRONGPASS/);
+
+            instance.acl('SETUSER', 'alice', 'off');
+            assert.throws(() => instance.auth('alice', 'secret'), /WRONGPASS/);
+            instance.acl('SETUSER', 'alice', 'on', 'nopass');
+            assert.equal(instance.auth('alice').username, 'alice');
+        });
+
+        it('should deny the commands not allowed to the user', () => {
+            const alice = instance.auth('alice', 'secret');
+            assert.throws(() => alice.flushall(),
+                /^Error: NOPERM User alice has no permissions to run the 'flushall' command$/);
+            assert.throws(() => alice.keys('*'), /no permissions to run the 'keys' command/);
+            assert.throws(() => alice.config('GET', '*'), /no permissions to run the 'config' command/);
+            assert.throws(() => alice.acl('WHOAMI'), /no permissions to run the 'acl' command/);
+
+            instance.acl('SETUSER', 'alice', '+acl');
+            assert.equal(alice.acl('WHOAMI'), 'alice');
+            assert.equal(instance.acl('WHOAMI'), 'default');
+        });
+
+        it('should deny the keys not matching a pattern of the user', () => {
+            const alice = instance.auth('alice', 'secret');
+            instance.set('other', 'value');
+            assert.throws(() => alice.get('other'), /^Error: NOPERM No permissions to access a key$/);
+            assert.throws(() => alice.mset('user:1', 'one', 'other', 'two'), /No permissions to access a key/);
+            assert.equal(instance.get('user:1'), undefined);
+            assert.equal(alice.dbsize(), 1);
+
+            instance.acl('SETUSER', 'alice', 'allkeys');
+            assert.equal(alice.get('other'), 'value');
+        });
+
+        it('should only return the keys matching the patterns of the user', () => {
+            instance.acl('SETUSER', 'alice', '+keys');
+            const alice = instance.auth('alice', 'secret');
+            instance.mset('user:1', 'one', 'tenant:1', 'other', 'tenant:2', 'other');
+            assert.deepEqual(alice.keys('*'), ['user:1']);
+            assert.deepEqual(alice.scan(0, '*', 100), [0, ['user:1']]);
+            for (let i = 0; i < 10; i++) {
+                assert.equal(alice.randomkey(), 'user:1');
+            }
+            assert.equal(alice.namespace('tenant:').randomkey(), undefined);
+
+            instance.del('user:1');
+            assert.equal(alice.randomkey(), undefined);
+            assert.equal(instance.keys('*').length, 2);
+        });
+
+        it('should keep the default user able to change the users', () => {
+            assert.throws(() => instance.acl('SETUSER', 'default', 'off'),
+                /^Error: ERR The 'default' user cannot be disabled or denied the 'acl' command$/);
+            assert.throws(() => instance.acl('SETUSER', 'default', '-@all'), /cannot be disabled or denied/);
+            assert.throws(() => instance.acl('SETUSER', 'default', 'reset'), /cannot be disabled or denied/);
+            assert.equal(instance.acl('LIST')[1], 'user default on nopass ~* +@all');
+
+            assert.equal(instance.acl('SETUSER', 'default', '-@dangerous', '+acl', '~app:*'), true);
+            assert.throws(() => instance.flushall(), /no permissions to run the 'flushall' command/);
+            assert.equal(instance.acl('SETUSER', 'default', '+@all', 'allkeys'), true);
+            assert.equal(instance.flushall(), true);
+        });
+
+        it('should check the queued commands when the transaction executes', () => {
+            const alice = instance.auth('alice', 'secret');
+            assert.deepEqual(alice.multi().set('user:1', 'one').get('user:1').exec(), [true, 'one']);
+            assert.throws(() => alice.multi().set('user:2', 'two').set('other', 'value').exec(), /No permissions to access a key/);
+            assert.equal(instance.exists('user:2'), 0);
+            assert.equal(instance.acl('LOG', 1)[0].context, 'multi');
+        });
+
+        it('should send the keyspace notifications of the commands of a user', () => {
+            const events = [];
+            instance.psubscribe('__keyspace__:*', (event, channel) => events.push([event, channel]));
+            const alice = instance.auth('alice', 'secret');
+            assert.deepEqual(alice.multi().set('user:1', 'one').exec(), [true]);
+            assert.equal(alice.set('user:2', 'two'), true);
+            assert.deepEqual(events, [['set', '__keyspace__:user:1'], ['set', '__keyspace__:user:2']]);
+            assert.deepEqual(instance.acl('LOG'), []);
+        });
+
+        it('should run the commands of the derived handles as the user', () => {
+            instance.acl('SETUSER', 'alice', '+@connection');
+            const alice = instance.auth('alice', 'secret');
+            alice.namespace('user:').set('1', 'one');
+            assert.equal(instance.get('user:1'), 'one');
+            alice.database(1).set('user:2', 'two');
+            assert.equal(instance.database(1).get('user:2'), 'two');
+            assert.throws(() => alice.database(1).get('other'), /No permissions to access a key/);
+            assert.throws(() => alice.readonly().set('user:1', 'one'), /^Error: READONLY/);
+            assert.equal(instance.database(1).auth('alice', 'secret').get('user:2'), 'two');
+        });
+
+        it('should not expose the instance through the handles of a user', () => {
+            instance.acl('SETUSER', 'alice', '+@connection');
+            const alice = instance.auth('alice', 'secret');
+            for (const handle of [alice, alice.database(1), alice.multi()]) {
+                assert.deepEqual(Object.keys(handle), []);
+                assert.equal(handle.kv, undefined);
+                assert.equal(handle.target, undefined);
+            }
+            assert.throws(() => Object.assign(alice, { username: 'default' }), TypeError);
+            assert.equal(alice.username, 'alice');
+            assert.throws(() => alice.multi().namespace('user:').flushdb(), /cannot be queued in a namespaced transaction/);
+            assert.throws(() => alice._command('flushall', []), /no permissions to run the 'flushall' command/);
+        });
+
+        it('should fail the handles of a deleted user', () => {
+            const alice = instance.auth('alice', 'secret');
+            assert.equal(instance.acl('DELUSER', 'alice', 'bob'), 1);
+            assert.throws(() => alice.get('user:1'), /^Error: NOAUTH Authentication required.$/);
+            assert.throws(() => instance.acl('DELUSER', 'default'), /^Error: ERR The 'default' user cannot be removed$/);
+        });
+
+        it('should describe the users', () => {
+            assert.deepEqual(instance.acl('LIST'), [
+                'user alice on ~user:* -@all +@read +@write +@transaction -@dangerous',
+                'user default on nopass ~* +@all',
+            ]);
+            assert.deepEqual(instance.acl('GETUSER', 'alice'), {
+                flags: ['on'],
+                commands: '-@all +@read +@write +@transaction -@dangerous',
+                keys: '~user:*',
+            });
+            assert.equal(instance.acl('GETUSER', 'bob'), null);
+
+            instance.acl('SETUSER', 'alice', 'reset', '+GET');
+            assert.equal(instance.acl('LIST')[0], 'user alice off resetkeys -@all +get');
+        });
+
+        it('should apply either all the rules or none', () => {
+            assert.throws(() => instance.acl('SETUSER', 'alice', 'off', '+nope'),
+                /^Error: ERR Error in ACL SETUSER modifier '\+nope': Unknown command or category name in ACL$/);
+            assert.throws(() => instance.acl('SETUSER', 'alice', 'off', '@read'),
+                /^Error: ERR Error in ACL SETUSER modifier '@read': Syntax error$/);
+            assert.throws(() => instance.acl('SETUSER', 'bob', '+@nope'), /Unknown command or category name/);
+            assert.deepEqual(instance.acl('GETUSER', 'alice').flags, ['on']);
+            assert.equal(instance.acl('GETUSER', 'bob'), null);
+            assert.equal(instance.acl('SETUSER', 'bob', ['on', 'nopass']), true);
+            assert.deepEqual(instance.acl('GETUSER', 'bob').flags, ['on', 'nopass']);
+        });
+
+        it('should classify the dangerous commands', () => {
+            const dangerous = instance.acl('CAT', 'dangerous');
+            for (const name of ['flushall', 'flushdb', 'keys', 'config', 'acl']) {
+                assert.ok(dangerous.includes(name), name);
+            }
+            assert.ok(!dangerous.includes('get'));
+            assert.ok(instance.acl('CAT').includes('read'));
+            assert.throws(() => instance.acl('CAT', 'nope'), /^Error: ERR Unknown category 'nope'$/);
+        });
+
+        it('should log the denials, grouping the same ones', () => {
+            const alice = instance.auth('alice', 'secret');
+            assert.throws(() => alice.get('other'));
+            assert.throws(() => alice.get('other'));
+            assert.throws(() => alice.flushall());
+            assert.throws(() => instance.auth('alice', 'wrong'));
+
+            const log = instance.acl('LOG');
+            assert.deepEqual(log.map(({ reason, object, count }) => [reason, object, count]), [
+                ['auth', 'AUTH', 1],
+                ['command', 'flushall', 1],
+                ['key', 'other', 2],
+            ]);
+            assert.equal(log[0].username, 'alice');
+            assert.equal(log[0].context, 'toplevel');
+            assert.equal(instance.acl('LOG', 1).length, 1);
+
+            assert.equal(instance.acl('LOG', 'RESET'), true);
+            assert.deepEqual(instance.acl('LOG'), []);
+        });
+
+        it('should keep at most acllogMaxLen entries', () => {
+            instance = new kvjs({ acllogMaxLen: 2 });
+            for (const name of ['a', 'b', 'c']) {
+                assert.throws(() => instance.auth(name));
+            }
+            assert.deepEqual(instance.acl('LOG').map(entry => entry.username), ['c', 'b']);
+            instance.config('SET', 'acllogMaxLen', 1);
+            assert.deepEqual(instance.acl('LOG').map(entry => entry.username), ['c']);
+        });
+
+        it('should throw for unknown subcommands', () => {
+            assert.throws(() => instance.acl('NOPE'), /^Error: ERR unknown subcommand 'NOPE'. Try ACL HELP.$/);
+            assert.ok(instance.acl('help').length > 0);
+        });
+    });
+});
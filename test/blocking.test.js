@@ -0,0 +1,158 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('blpop/brpop', () => {
+        it('should pop right away from the first non-empty list', async () => {
+            instance.rpush('list2', 'a', 'b');
+            assert.deepStrictEqual(await instance.blpop(1, 'list1', 'list2'), ['list2', 'a']);
+            assert.deepStrictEqual(await instance.brpop(1, 'list1', 'list2'), ['list2', 'b']);
+        });
+
+        it('should wait for an element to be pushed', async () => {
+            const promise = instance.blpop(0, 'list');
+            setTimeout(() => instance.rpush('list', 'a'), 10);
+            assert.deepStrictEqual(await promise, ['list', 'a']);
+            assert.strictEqual(instance.blockedClients.size, 0);
+        });
+
+        it('should not block the event loop while waiting', async () => {
+            let ticked = false;
+            setTimeout(() => { ticked = true; }, 5);
+            assert.strictEqual(await instance.brpop(0.03, 'list'), null);
+            assert.ok(ticked);
+            assert.strictEqual(instance.blockedClients.size, 0);
+        });
+
+        it('should serve waiting clients in FIFO order', async () => {
+            const results = [];
+            const first = instance.blpop(0, 'list').then(result => results.push(['first', result[1]]));
+            const second = instance.brpop(0, 'list').then(result => results.push(['second', result[1]]));
+            const third = instance.blpop(0, 'list').then(result => results.push(['third', result[1]]));
+
+            instance.rpush('list', 'a', 'b');
+            await Promise.all([first, second]);
+            instance.lpush('list', 'c');
+            await third;
+
+            assert.deepStrictEqual(results, [['first', 'a'], ['second', 'b'], ['third', 'c']]);
+        });
+
+        it('should serve waiting clients before new callers', async () => {
+            const waiting = instance.blpop(0, 'list');
+            instance.rpush('list', 'a');
+            const caller = instance.blpop(0.05, 'list');
+            assert.deepStrictEqual(await waiting, ['list', 'a']);
+            assert.strictEqual(await caller, null);
+        });
+
+        it('should wait for any of the keys', async () => {
+            const promise = instance.blpop(0, 'list1', 'list2');
+            instance.rpush('list2', 'a');
+            assert.deepStrictEqual(await promise, ['list2', 'a']);
+            assert.strictEqual(instance.blockedClients.size, 0);
+        });
+
+        it('should stop waiting when aborted', async () => {
+            const controller = new AbortController();
+            const promise = instance.blpop({ timeout: 0, signal: controller.signal }, 'list');
+            controller.abort();
+            await assert.rejects(promise, { name: 'AbortError' });
+            assert.strictEqual(instance.blockedClients.size, 0);
+
+            instance.rpush('list', 'a');
+            await assert.rejects(instance.blpop({ signal: controller.signal }, 'list'), { name: 'AbortError' });
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), ['a']);
+        });
+
+        it('should resolve to null on timeout', async () => {
+            const start = Date.now();
+            assert.strictEqual(await instance.blpop({ timeout: 0.03 }, 'list'), null);
+            assert.ok(Date.now() - start >= 25);
+        });
+
+        it('should reject invalid timeouts and keys holding another type', async () => {
+            await assert.rejects(instance.blpop(-1, 'list'), /timeout is negative/);
+            await assert.rejects(instance.blpop('soon', 'list'), /not a float/);
+            instance.set('string', 'value');
+            await assert.rejects(instance.blpop(0, 'string'), /wrong kind of value/);
+        });
+
+        it('should not block inside transactions', async () => {
+            const [result] = instance.multi().blpop(0, 'list').exec();
+            assert.strictEqual(await result, null);
+            assert.strictEqual(instance.blockedClients.size, 0);
+        });
+    });
+
+    describe('blmove/brpoplpush', () => {
+        it('should move an element once it is available', async () => {
+            const promise = instance.blmove('source', 'destination', 'LEFT', 'RIGHT', 0);
+            instance.rpush('destination', 'x');
+            instance.rpush('source', 'a', 'b');
+            assert.strictEqual(await promise, 'a');
+            assert.deepStrictEqual(instance.lrange('source', 0, -1), ['b']);
+            assert.deepStrictEqual(instance.lrange('destination', 0, -1), ['x', 'a']);
+        });
+
+        it('should move the last element to the head of the destination', async () => {
+            instance.rpush('source', 'a', 'b');
+            instance.rpush('destination', 'x');
+            assert.strictEqual(await instance.brpoplpush('source', 'destination', 1), 'b');
+            assert.deepStrictEqual(instance.lrange('destination', 0, -1), ['b', 'x']);
+        });
+
+        it('should wake clients waiting for the destination', async () => {
+            const waiting = instance.blpop(0, 'destination');
+            const moving = instance.brpoplpush('source', 'destination', 0);
+            instance.rpush('source', 'a');
+            assert.strictEqual(await moving, 'a');
+            assert.deepStrictEqual(await waiting, ['destination', 'a']);
+        });
+    });
+
+    describe('blmpop', () => {
+        it('should pop several elements from the first non-empty list', async () => {
+            instance.rpush('list2', 'a', 'b', 'c');
+            assert.deepStrictEqual(await instance.blmpop(2, 1, ['list1', 'list2'], 'RIGHT'), ['list2', ['c', 'b']]);
+            assert.deepStrictEqual(await instance.blmpop(5, 1, 'list2'), ['list2', ['a']]);
+        });
+
+        it('should wait for an element to be pushed', async () => {
+            const promise = instance.blmpop(2, 0, ['list1', 'list2']);
+            instance.lpush('list1', 'a');
+            assert.deepStrictEqual(await promise, ['list1', ['a']]);
+        });
+    });
+
+    describe('bzpopmin/bzpopmax/bzmpop', () => {
+        it('should pop right away from the first non-empty sorted set', async () => {
+            instance.zadd('zset', 1, 'a');
+            instance.zadd('zset', 2, 'b');
+            instance.zadd('zset', 3, 'c');
+            assert.deepStrictEqual(await instance.bzpopmin(1, 'missing', 'zset'), ['zset', 'a', 1]);
+            assert.deepStrictEqual(await instance.bzpopmax(1, 'zset'), ['zset', 'c', 3]);
+            assert.deepStrictEqual(await instance.bzmpop(5, 1, ['zset'], 'MAX'), ['zset', [['b', 2]]]);
+        });
+
+        it('should wait for a member to be added', async () => {
+            const min = instance.bzpopmin(0, 'zset');
+            const many = instance.bzmpop(2, 0, 'zset');
+            instance.zadd('zset', 5, 'a');
+            assert.deepStrictEqual(await min, ['zset', 'a', 5]);
+
+            instance.zincrby('zset', 1, 'b');
+            assert.deepStrictEqual(await many, ['zset', [['b', 1]]]);
+        });
+
+        it('should resolve to null on timeout', async () => {
+            assert.strictEqual(await instance.bzpopmax(0.02, 'zset'), null);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('config', () => {
+        it('should get the parameters matching patterns', () => {
+            const instance = new kvjs({ maxKeys: 10, slowlogMaxLen: 64 });
+            assert.deepEqual(instance.config('GET', 'slowlog*'), { slowlogLogSlowerThan: 10000, slowlogMaxLen: 64 });
+            assert.deepEqual(instance.config('GET', 'maxKeys', 'cleanup*'), { cleanupInterval: 20, cleanupBudget: 5, maxKeys: 10 });
+            assert.deepEqual(instance.config('GET', 'unknown'), {});
+            assert.equal(Object.keys(instance.config('get', '*')).length, 15);
+            assert.deepEqual(instance.config('GET', 'databases'), { databases: 16 });
+            assert.equal(new kvjs({ databases: 4 }).config('GET', '*').databases, 4);
+            assert.throws(() => instance.config('GET'), /wrong number of arguments/);
+        });
+
+        it('should set parameters', () => {
+            const instance = new kvjs();
+            assert.equal(instance.config('SET', 'slowlogLogSlowerThan', 0, 'latencyMonitorThreshold', 5), true);
+            assert.deepEqual(instance.config('GET', 'slowlogLogSlowerThan', 'latencyMonitorThreshold'), {
+                slowlogLogSlowerThan: 0,
+                latencyMonitorThreshold: 5,
+            });
+            instance.set('key', 'value');
+            assert.deepEqual(instance.slowlog('GET', 1)[0][3], ['set', 'key', 'value']);
+        });
+
+        it('should reject invalid values without setting any parameter', () => {
+            const instance = new kvjs();
+            assert.throws(
+                () => instance.config('SET', 'maxKeys', 10, 'cleanupInterval', -1),
+                /^Error: ERR CONFIG SET failed \(possibly related to argument 'cleanupInterval'\) - argument must be a positive number$/
+            );
+            assert.equal(instance.maxKeys, 0);
+            assert.throws(() => instance.config('SET', 'maxmemoryPolicy', 'lru'), /argument must be one of noeviction, allkeys-lru/);
+            assert.throws(() => instance.config('SET', 'trackAccess', 'yes'), /argument must be a boolean/);
+            assert.throws(() => instance.config('SET', 'maxKeys', 1, 'maxKeys', 2), /duplicate parameter/);
+            assert.throws(() => instance.config('SET', 'unknown', 1), /^Error: ERR Unknown option or number of arguments for CONFIG SET - 'unknown'$/);
+            assert.throws(() => instance.config('SET', 'dbName', ''), /argument must be a non-empty string/);
+            assert.throws(() => instance.config('SET', 'dbVersion', 1.5), /argument must be a positive integer/);
+            assert.throws(() => instance.config('SET', 'databases', 4), /can't set immutable config/);
+            assert.throws(() => instance.config('SET', 'maxKeys'), /wrong number of arguments/);
+        });
+
+        it('should restart the cleanup loop with a new interval', async () => {
+            const instance = new kvjs({ cleanupInterval: 60000 });
+            instance.set('key', 'value', { PX: 1 });
+            const loop = instance.cleanupLoop;
+            instance.config('SET', 'cleanupInterval', 5);
+            assert.notEqual(instance.cleanupLoop, loop);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal(instance.store.size, 0);
+            assert.equal(instance.cleanupLoop, null);
+        });
+
+        it('should evict keys when maxKeys is lowered', () => {
+            const instance = new kvjs({ evictionPolicy: 'lru' });
+            for (let i = 0; i < 10; i++) {
+                instance.set(`key${i}`, i);
+            }
+            assert.equal(instance.trackAccess, false);
+
+            // The keys count as accessed once the tracking starts
+            instance.config('SET', 'maxKeys', 8);
+            assert.equal(instance.trackAccess, true);
+            assert.deepEqual(instance.keys('*').sort(), ['key2', 'key3', 'key4', 'key5', 'key6', 'key7', 'key8', 'key9']);
+
+            instance.get('key2');
+            instance.config('SET', 'maxKeys', 5);
+            assert.deepEqual(instance.keys('*').sort(), ['key2', 'key6', 'key7', 'key8', 'key9']);
+            assert.equal(instance.stats.evictedKeys, 5);
+        });
+
+        it('should evict keys when maxmemory is set', () => {
+            const instance = new kvjs({ maxmemoryPolicy: 'allkeys-lru' });
+            for (let i = 0; i < 50; i++) {
+                instance.set(`key${i}`, 'x'.repeat(100));
+            }
+            instance.config('SET', 'maxmemory', 5000);
+            assert.ok(instance.stats.evictedKeys > 0);
+            assert.ok(instance._usedMemory() <= 5000);
+            assert.equal(instance.get('key49'), 'x'.repeat(100));
+
+            instance.config('SET', 'maxmemory', 0);
+            for (let i = 0; i < 50; i++) {
+                instance.set(`other${i}`, 'x'.repeat(100));
+            }
+            assert.equal(instance.keySizes.size, 0);
+        });
+
+        it('should keep tracking accesses while a limit is set', () => {
+            const instance = new kvjs({ maxKeys: 10 });
+            instance.config('SET', 'trackAccess', false);
+            assert.equal(instance.trackAccess, true);
+            instance.config('SET', 'maxKeys', 0);
+            instance.config('SET', 'trackAccess', false);
+            assert.equal(instance.trackAccess, false);
+            assert.equal(instance.keyAccess.size, 0);
+        });
+
+        it('should trim the slow log when slowlogMaxLen is lowered', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 0 });
+            for (let i = 0; i < 10; i++) {
+                instance.set(`key${i}`, i);
+            }
+            instance.config('SET', 'slowlogMaxLen', 3);
+            assert.equal(instance.slowlog('LEN'), 3);
+        });
+
+        it('should reset the statistics', () => {
+            const instance = new kvjs({ latencyTracking: true });
+            instance.set('key', 'value');
+            instance.get('key');
+            instance.get('missing');
+            assert.equal(instance.config('RESETSTAT'), true);
+            assert.deepEqual(instance.info('stats'), {
+                total_commands_processed: 1,
+                instantaneous_ops_per_sec: 0,
+                keyspace_hits: 0,
+                keyspace_misses: 0,
+                expired_keys: 0,
+                evicted_keys: 0,
+            });
+            assert.deepEqual(Object.keys(instance.latency('HISTOGRAM')), ['config', 'info']);
+        });
+
+        it('should reject unknown subcommands', () => {
+            const instance = new kvjs();
+            assert.ok(instance.config('HELP').length > 0);
+            assert.throws(() => instance.config('REWRITE'), /^Error: ERR unknown subcommand 'REWRITE'. Try CONFIG HELP.$/);
+        });
+    });
+});
@@ -0,0 +1,241 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('databases', () => {
+        let instance;
+
+        beforeEach(() => {
+            instance = new kvjs();
+        });
+
+        it('should keep the keys of every database apart', () => {
+            instance.set('key', 'zero');
+            assert.equal(instance.select(1), true);
+            assert.equal(instance.get('key'), undefined);
+            instance.set('key', 'one');
+            instance.rpush('list', 'a');
+            assert.deepEqual(instance.keys('*').sort(), ['key', 'list']);
+
+            instance.select(0);
+            assert.equal(instance.get('key'), 'zero');
+            assert.deepEqual(instance.keys('*'), ['key']);
+        });
+
+        it('should reject database indexes out of range', () => {
+            assert.throws(() => instance.select(16), /^Error: ERR DB index is out of range$/);
+            assert.throws(() => instance.select(-1), /DB index is out of range/);
+            assert.throws(() => instance.database(1.5), /DB index is out of range/);
+            assert.equal(new kvjs({ databases: 2 }).select(1), true);
+            assert.throws(() => new kvjs({ databases: 2 }).select(2), /DB index is out of range/);
+        });
+
+        it('should run the commands of a handle against its database', () => {
+            const sessions = instance.database(3);
+            sessions.set('session', 'abc', { EX: 60 });
+            assert.equal(sessions.get('session'), 'abc');
+            assert.ok(sessions.ttl('session') > 0);
+            assert.equal(instance.get('session'), undefined);
+            assert.equal(instance.selectedDb, 0);
+
+            instance.select(3);
+            assert.equal(instance.get('session'), 'abc');
+        });
+
+        it('should restore the selected database when a command of a handle throws', () => {
+            const db = instance.database(2);
+            db.set('key', 'value');
+            assert.throws(() => db.lpush('key', 'a'), /WRONGTYPE/);
+            assert.equal(instance.selectedDb, 0);
+        });
+
+        it('should count the keys of the selected database', () => {
+            instance.mset('a', 1, 'b', 2);
+            instance.database(1).set('c', 3);
+            instance.set('expired', 1, { PX: 1 });
+            const start = Date.now();
+            while (Date.now() - start < 5) {
+                // Wait for the key to expire
+            }
+            assert.equal(instance.dbsize(), 2);
+            assert.equal(instance.database(1).dbsize(), 1);
+            assert.equal(instance.database(2).dbsize(), 0);
+        });
+
+        it('should move keys with their expire time', () => {
+            instance.set('key', 'value', { EX: 100 });
+            instance.set('taken', 'zero');
+            instance.database(1).set('taken', 'one');
+            const events = [];
+            instance.on('move_from', key => events.push(['move_from', key]));
+            instance.on('move_to', key => events.push(['move_to', key]));
+
+            assert.equal(instance.move('key', 1), 1);
+            assert.equal(instance.exists('key'), 0);
+            assert.equal(instance.database(1).get('key'), 'value');
+            assert.ok(instance.database(1).ttl('key') > 90);
+            assert.deepEqual(events, [['move_to', 'key'], ['move_from', 'key']]);
+
+            assert.equal(instance.move('taken', 1), 0);
+            assert.equal(instance.get('taken'), 'zero');
+            assert.equal(instance.move('missing', 1), 0);
+            assert.throws(() => instance.move('taken', 0), /^Error: ERR source and destination objects are the same$/);
+            assert.throws(() => instance.move('taken', 99), /DB index is out of range/);
+        });
+
+        it('should swap databases', () => {
+            instance.set('key', 'zero', { EX: 100 });
+            instance.database(1).set('key', 'one');
+            instance.database(1).set('other', 'one');
+            const transaction = instance.watch('key');
+
+            assert.equal(instance.swapdb(0, 1), true);
+            assert.equal(instance.get('key'), 'one');
+            assert.equal(instance.dbsize(), 2);
+            assert.equal(instance.ttl('key'), -1);
+            assert.equal(instance.database(1).get('key'), 'zero');
+            assert.ok(instance.database(1).ttl('key') > 90);
+            assert.equal(transaction.set('key', 'new').exec(), null);
+
+            assert.equal(instance.swapdb(1, 1), true);
+            assert.throws(() => instance.swapdb(0, 16), /DB index is out of range/);
+        });
+
+        it('should only abort the transactions watching a key in the database it is modified in', () => {
+            instance.set('key', 'zero');
+            const transaction = instance.watch('key');
+            const other = instance.database(2).watch('key');
+            instance.database(1).set('key', 'one');
+            assert.deepEqual(transaction.set('key', 'new').exec(), [true]);
+
+            instance.database(2).set('key', 'two');
+            assert.equal(other.set('key', 'new').exec(), null);
+
+            // Swapping databases only modifies the keys watched in them
+            const watching = instance.watch('key');
+            instance.swapdb(1, 2);
+            assert.deepEqual(watching.get('key').exec(), ['new']);
+        });
+
+        it('should serve clients blocked on a database with the keys swapped in', async () => {
+            const promise = instance.blpop(0, 'list');
+            instance.database(1).rpush('list', 'a');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            instance.swapdb(0, 1);
+            assert.deepEqual(await promise, ['list', 'a']);
+            assert.equal(instance.database(1).exists('list'), 0);
+        });
+
+        it('should serve blocked clients from their own database', async () => {
+            const promise = instance.database(1).blpop(0, 'list');
+            instance.rpush('list', 'zero');
+            instance.database(1).rpush('list', 'one');
+            assert.deepEqual(await promise, ['list', 'one']);
+            assert.deepEqual(instance.lrange('list', 0, -1), ['zero']);
+        });
+
+        it('should flush the selected database or all of them', () => {
+            instance.set('a', 1);
+            instance.database(1).set('b', 2);
+            instance.database(2).set('c', 3);
+
+            assert.equal(instance.database(1).flushdb(), true);
+            assert.equal(instance.database(1).dbsize(), 0);
+            assert.equal(instance.dbsize(), 1);
+
+            assert.equal(instance.flushall(), true);
+            assert.equal(instance.dbsize(), 0);
+            assert.equal(instance.database(2).dbsize(), 0);
+        });
+
+        it('should expire the keys of every database with a single cleanup loop', async () => {
+            instance.database(1).set('a', 1, { PX: 5 });
+            instance.database(2).set('b', 2, { PX: 5 });
+            const expired = [];
+            instance.on('expired', key => expired.push(key));
+            await new Promise(resolve => setTimeout(resolve, 60));
+            assert.deepEqual(expired.sort(), ['a', 'b']);
+            assert.equal(instance.cleanupLoop, null);
+        });
+
+        it('should run transactions against the database they were created in', () => {
+            const transaction = instance.database(1).multi();
+            instance.select(2);
+            transaction.set('a', 1).incr('a').select(3).set('b', 2);
+            assert.deepEqual(transaction.exec(), [true, 2, true, true]);
+
+            assert.equal(instance.selectedDb, 2);
+            assert.equal(instance.database(1).get('a'), '2');
+            assert.equal(instance.database(3).get('b'), 2);
+            assert.equal(instance.exists('a', 'b'), 0);
+        });
+
+        it('should keep the database selected by a transaction once it succeeded', () => {
+            assert.deepEqual(instance.multi().select(1).set('a', 1).select(2).exec(), [true, true, true]);
+            assert.equal(instance.selectedDb, 2);
+            assert.equal(instance.database(1).get('a'), 1);
+
+            assert.throws(() => instance.multi().select(3).lpush('a', 'x').select(1).lpush('a', 'x').exec(), /WRONGTYPE/);
+            assert.equal(instance.selectedDb, 2);
+
+            const transaction = instance.watch('b').select(4);
+            instance.set('b', 1);
+            assert.equal(transaction.exec(), null);
+            assert.equal(instance.selectedDb, 2);
+
+            instance.database(5).watch('c').select(6).exec();
+            assert.equal(instance.selectedDb, 2);
+        });
+
+        it('should roll back the changes made to every database by a failing transaction', () => {
+            instance.set('key', 'value');
+            instance.database(1).set('other', 'value');
+            const transaction = instance.multi()
+                .move('key', 1)
+                .select(1)
+                .set('other', 'changed')
+                .lpush('other', 'a');
+            assert.throws(() => transaction.exec(), /WRONGTYPE/);
+
+            assert.equal(instance.get('key'), 'value');
+            assert.equal(instance.database(1).exists('key'), 0);
+            assert.equal(instance.database(1).get('other'), 'value');
+            assert.throws(() => instance.multi().swapdb(0, 1), /^Error: ERR SWAPDB inside MULTI is not allowed$/);
+            assert.throws(() => instance.database(1).multi().swapdb(0, 1), /SWAPDB inside MULTI is not allowed/);
+        });
+
+        it('should apply the limits to all the databases together', () => {
+            const limited = new kvjs({ maxKeys: 3, evictionPolicy: 'lru' });
+            limited.mset('a', 1, 'b', 2);
+            limited.database(1).set('c', 3);
+            assert.equal(limited.stats.evictedKeys, 0);
+            limited.database(1).set('d', 4);
+            assert.deepEqual(limited.keys('*'), ['b']);
+            assert.deepEqual(limited.database(1).keys('*').sort(), ['c', 'd']);
+            limited.config('SET', 'maxKeys', 1);
+            assert.equal(limited.dbsize() + limited.database(1).dbsize(), 1);
+
+            const cache = new kvjs({ maxmemory: 2000, maxmemoryPolicy: 'allkeys-lru' });
+            for (let index = 0; index < 16; index++) {
+                cache.database(index).set('key', 'x'.repeat(100));
+            }
+            // The least recently used keys are evicted whatever their database, before each write
+            assert.equal(cache.stats.evictedKeys, 8);
+            assert.equal(cache.database(7).exists('key'), 0);
+            assert.equal(cache.database(8).exists('key'), 1);
+            assert.equal(cache.database(15).get('key'), 'x'.repeat(100));
+
+            const full = new kvjs({ maxKeys: 1 });
+            full.set('a', 1);
+            assert.throws(() => full.database(1).set('b', 2), /OOM command not allowed when the number of keys >= 'maxKeys'/);
+        });
+
+        it('should report the keyspace of every database having keys', () => {
+            instance.database(4).set('a', 1);
+            assert.deepEqual(instance.info('keyspace'), {
+                db0: { keys: 0, expires: 0, avg_ttl: 0 },
+                db4: { keys: 1, expires: 0, avg_ttl: 0 },
+            });
+        });
+    });
+});
@@ -0,0 +1,218 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('maxmemory', () => {
+        // Every key takes about 256 bytes
+        const fill = (instance, count, prefix = 'key') => {
+            for (let i = 0; i < count; i++) {
+                instance.set(`${prefix}${i}`, 'x'.repeat(100));
+            }
+        };
+
+        it('should not evict keys without maxmemory', () => {
+            const instance = new kvjs();
+            fill(instance, 1000);
+            assert.equal(instance.keys('*').length, 1000);
+            assert.equal(instance.stats.evictedKeys, 0);
+        });
+
+        it('should reject an unknown policy', () => {
+            assert.throws(() => new kvjs({ maxmemory: 1000, maxmemoryPolicy: 'lru' }), /invalid maxmemory policy/);
+        });
+
+        it('should reject writes with the noeviction policy', () => {
+            const instance = new kvjs({ maxmemory: 2000 });
+            assert.throws(() => fill(instance, 100), /^Error: OOM command not allowed/);
+            assert.throws(() => instance.rpush('list', 'a'), /^Error: OOM command not allowed/);
+            assert.equal(instance.stats.evictedKeys, 0);
+
+            // Reads and deletions are still allowed
+            assert.equal(instance.get('key0'), 'x'.repeat(100));
+            assert.equal(instance.del('key0'), 1);
+        });
+
+        it('should evict the least recently used keys with allkeys-lru', () => {
+            const instance = new kvjs({ maxmemory: 5000, maxmemoryPolicy: 'allkeys-lru' });
+            const evicted = [];
+            instance.on('evicted', key => evicted.push(key));
+
+            fill(instance, 10);
+            instance.get('key0');
+            fill(instance, 40, 'other');
+
+            assert.ok(instance.stats.evictedKeys > 0);
+            assert.equal(evicted.length, instance.stats.evictedKeys);
+            assert.equal(evicted[0], 'key1');
+            assert.ok(!evicted.includes('other39'));
+            assert.ok(instance._usedMemory() <= 5000 + 500);
+        });
+
+        it('should evict the least frequently used keys with allkeys-lfu', () => {
+            const instance = new kvjs({ maxmemory: 5000, maxmemoryPolicy: 'allkeys-lfu' });
+            fill(instance, 10);
+            for (let i = 0; i < 100; i++) {
+                instance.get('key9');
+            }
+            fill(instance, 40, 'other');
+            assert.equal(instance.get('key9'), 'x'.repeat(100));
+            assert.equal(instance.get('key0'), undefined);
+        });
+
+        it('should only evict keys with an expire time with the volatile policies', () => {
+            for (const policy of ['volatile-lru', 'volatile-lfu', 'volatile-random', 'volatile-ttl']) {
+                const instance = new kvjs({ maxmemory: 10000, maxmemoryPolicy: policy });
+                fill(instance, 20);
+                for (let i = 10; i < 20; i++) {
+                    instance.expire(`key${i}`, 100 + i);
+                }
+                assert.throws(() => fill(instance, 60, 'other'), /OOM/, policy);
+                for (let i = 0; i < 10; i++) {
+                    assert.equal(instance.get(`key${i}`), 'x'.repeat(100), policy);
+                }
+                assert.ok(instance.stats.evictedKeys > 0, policy);
+            }
+        });
+
+        it('should evict the keys expiring first with volatile-ttl', () => {
+            const instance = new kvjs({ maxmemory: 10000, maxmemoryPolicy: 'volatile-ttl' });
+            fill(instance, 20);
+            for (let i = 0; i < 20; i++) {
+                instance.expire(`key${i}`, 1000 - i);
+            }
+            const evicted = [];
+            instance.on('evicted', key => evicted.push(key));
+            fill(instance, 25, 'other');
+            assert.ok(evicted.length > 0);
+            assert.deepEqual(evicted, Array.from(evicted, (key, i) => `key${19 - i}`));
+        });
+
+        it('should evict random keys with allkeys-random', () => {
+            const instance = new kvjs({ maxmemory: 5000, maxmemoryPolicy: 'allkeys-random' });
+            fill(instance, 100);
+            assert.ok(instance.stats.evictedKeys > 0);
+            assert.ok(instance._usedMemory() <= 5000 + 500);
+        });
+
+        it('should evict keys when collections grow in place', () => {
+            const instance = new kvjs({ maxmemory: 5000, maxmemoryPolicy: 'allkeys-lru' });
+            fill(instance, 10);
+            for (let i = 0; i < 50; i++) {
+                instance.rpush('list', 'x'.repeat(50));
+                instance.hset('hash', `field${i}`, 'x'.repeat(10));
+            }
+            assert.ok(instance.stats.evictedKeys >= 10);
+            assert.equal(instance.get('key0'), undefined);
+            assert.equal(instance.type('hash'), 'hash');
+        });
+
+        it('should estimate the memory of strings, arrays, sets and hashes', () => {
+            const instance = new kvjs();
+            const string = instance._estimateMemory('abcd');
+            assert.ok(string > instance._estimateMemory('ab'));
+            assert.ok(instance._estimateMemory(['abcd', 'abcd']) > 2 * string);
+            assert.ok(instance._estimateMemory(new Set(['abcd', 'abcd', 'efgh'])) > 2 * string);
+            instance.hset('hash', 'abcd', 'abcd');
+            assert.ok(instance._estimateMemory(instance._lookupKey('hash')) > 2 * string);
+        });
+    });
+
+    describe('maxKeys', () => {
+        it('should evict the least recently used key with the lru policy', () => {
+            const evicted = [];
+            const instance = new kvjs({
+                maxKeys: 3,
+                evictionPolicy: 'lru',
+                onEvict: (key, value, reason) => evicted.push([key, value, reason]),
+            });
+            instance.set('a', 1);
+            instance.rpush('b', 'x');
+            instance.sadd('c', 'x');
+            instance.get('a');
+            instance.lrange('b', 0, -1);
+            instance.set('d', 4);
+            instance.hset('e', 'field', 'value');
+
+            assert.deepEqual(instance.keys('*').sort(), ['b', 'd', 'e']);
+            assert.deepEqual(evicted, [['c', new Set(['x']), 'maxkeys'], ['a', 1, 'maxkeys']]);
+            assert.equal(instance.stats.evictedKeys, 2);
+        });
+
+        it('should keep the command result when onEvict throws', () => {
+            const instance = new kvjs({
+                maxKeys: 1,
+                evictionPolicy: 'lru',
+                onEvict: () => {
+                    throw new Error('callback failed');
+                },
+            });
+            const warn = console.warn;
+            const warnings = [];
+            console.warn = (...args) => warnings.push(args);
+            try {
+                instance.set('a', 1);
+                assert.equal(instance.set('b', 2), true);
+            } finally {
+                console.warn = warn;
+            }
+            assert.deepEqual(instance.keys('*'), ['b']);
+            assert.equal(warnings.length, 1);
+        });
+
+        it('should call onEvict once the transaction commits, and not for a rolled back one', () => {
+            const evicted = [];
+            const instance = new kvjs({
+                maxKeys: 2,
+                evictionPolicy: 'lru',
+                onEvict: key => evicted.push(key),
+            });
+            instance.set('a', 1);
+            instance.set('b', 2);
+
+            assert.throws(() => instance.multi().set('c', 3).incr('c').lpush('c', 'x').exec(), /WRONGTYPE/);
+            assert.deepEqual(instance.keys('*').sort(), ['a', 'b']);
+            assert.deepEqual(evicted, []);
+
+            const transaction = instance.multi().set('c', 3).set('d', 4);
+            transaction.exec();
+            assert.deepEqual(evicted.sort(), ['a', 'b']);
+        });
+
+        it('should not evict when updating an existing key', () => {
+            const instance = new kvjs({ maxKeys: 2, evictionPolicy: 'lru' });
+            instance.set('a', 1);
+            instance.set('b', 2);
+            instance.set('a', 3);
+            instance.rpush('list', 'x');
+            instance.rpush('list', 'y');
+            assert.deepEqual(instance.keys('*').sort(), ['a', 'list']);
+            assert.equal(instance.stats.evictedKeys, 1);
+        });
+
+        it('should reject new keys with the noeviction policy', () => {
+            const instance = new kvjs({ maxKeys: 2 });
+            instance.set('a', 1);
+            instance.set('b', 2);
+            assert.throws(() => instance.set('c', 3), /^Error: OOM command not allowed when the number of keys/);
+            assert.equal(instance.set('a', 4), true);
+            instance.del('b');
+            assert.equal(instance.set('c', 3), true);
+        });
+
+        it('should reject an unknown policy', () => {
+            assert.throws(() => new kvjs({ maxKeys: 2, evictionPolicy: 'fifo' }), /invalid eviction policy/);
+        });
+
+        it('should evict in constant time', () => {
+            const instance = new kvjs({ maxKeys: 10000, evictionPolicy: 'lru' });
+            const start = Date.now();
+            for (let i = 0; i < 100000; i++) {
+                instance.set(`key${i}`, i);
+                instance.get('key0');
+            }
+            assert.equal(instance.get('key0'), 0);
+            assert.equal(instance.stats.evictedKeys, 90000);
+            assert.ok(Date.now() - start < 2000);
+        });
+    });
+});
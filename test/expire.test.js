@@ -48,4 +48,60 @@ describe('kvjs', () => {
             assert.strictEqual(instance.expire('key', 5, { LT: true }), 0);
         });
     });
+
+    describe('cleanup loop', () => {
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        it('should remove expired keys and stop when no key has an expire time', async () => {
+            instance.set('key', 'value', { PX: 10 });
+            instance.set('persistent', 'value');
+            assert.ok(instance.cleanupLoop);
+            await wait(50);
+            assert.strictEqual(instance.store.has('key'), false);
+            assert.strictEqual(instance.store.has('persistent'), true);
+            assert.strictEqual(instance.cleanupLoop, null);
+        });
+
+        it('should restart when an expire time is set again', async () => {
+            instance.set('key1', 'value', { PX: 10 });
+            await wait(50);
+            assert.strictEqual(instance.cleanupLoop, null);
+
+            instance.set('key2', 'value');
+            assert.strictEqual(instance.cleanupLoop, null);
+            instance.pexpire('key2', 10);
+            assert.ok(instance.cleanupLoop);
+            await wait(50);
+            assert.strictEqual(instance.store.has('key2'), false);
+        });
+
+        it('should only remove the keys that are due', async () => {
+            instance.set('soon', 'value', { PX: 10 });
+            instance.set('later', 'value', { EX: 60 });
+            await wait(50);
+            assert.strictEqual(instance.store.has('soon'), false);
+            assert.strictEqual(instance.store.has('later'), true);
+            assert.ok(instance.cleanupLoop);
+            instance.persist('later');
+        });
+
+        it('should stop a cycle when it runs out of time', () => {
+            for (let i = 0; i < 100; i++) {
+                instance.set(`key${i}`, 'value', { PXAT: Date.now() - 1 });
+            }
+            assert.strictEqual(instance._activeExpireCycle(0), 16);
+            assert.strictEqual(instance.expireTimes.size, 84);
+            assert.strictEqual(instance._activeExpireCycle(1000), 84);
+            assert.strictEqual(instance.store.size, 0);
+        });
+
+        it('should run at the configured interval', async () => {
+            instance = new kvjs({ cleanupInterval: 100 });
+            instance.set('key', 'value', { PX: 1 });
+            await wait(50);
+            assert.strictEqual(instance.store.has('key'), true);
+            await wait(100);
+            assert.strictEqual(instance.store.has('key'), false);
+        });
+    });
 });
@@ -372,6 +372,118 @@ describe('IndexedDB Persistence', () => {
         });
     });
 
+    describe('Transactions', () => {
+        it('should persist all writes of a transaction in a single IndexedDB transaction', async () => {
+            instance.set('txDeleted', 'value');
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const originalTransaction = instance.db.transaction.bind(instance.db);
+            let transactionCount = 0;
+            instance.db.transaction = (...args) => {
+                transactionCount++;
+                return originalTransaction(...args);
+            };
+
+            instance.multi()
+                .set('txKey1', 'value1')
+                .set('txKey2', 'value2', { EX: 60 })
+                .del('txDeleted')
+                .exec();
+
+            instance.db.transaction = originalTransaction;
+            assert.strictEqual(transactionCount, 1);
+
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const newInstance = new kvjs({ dbName: 'test-kv-store' });
+            await newInstance.waitForInitialization();
+
+            assert.strictEqual(newInstance.get('txKey1'), 'value1');
+            assert.strictEqual(newInstance.get('txKey2'), 'value2');
+            assert(newInstance.ttl('txKey2') > 0);
+            assert.strictEqual(newInstance.get('txDeleted'), undefined);
+
+            if (newInstance.db) {
+                newInstance.db.close();
+            }
+        });
+
+        it('should not persist anything when a transaction fails', async () => {
+            assert.throws(() => instance.multi().set('txFailed', 'value').mset('odd').exec());
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const transaction = instance.db.transaction(['store'], 'readonly');
+            const request = transaction.objectStore('store').get('txFailed');
+            const result = await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            assert.strictEqual(result, undefined);
+        });
+    });
+
+    describe('Lists', () => {
+        it('should persist lists and load them back as lists', async () => {
+            instance.multi().rpush('list', 'a', 'b').lpush('list', 'first').exec();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const newInstance = new kvjs({ dbName: 'test-kv-store' });
+            await newInstance.waitForInitialization();
+
+            assert.deepStrictEqual(newInstance.lrange('list', 0, -1), ['first', 'a', 'b']);
+            assert.strictEqual(newInstance.rpush('list', 'c'), 4);
+
+            if (newInstance.db) {
+                newInstance.db.close();
+            }
+        });
+    });
+
+    describe('Streams', () => {
+        it('should persist streams with their consumer groups and load them back as streams', async () => {
+            instance.multi()
+                .xadd('stream', '1-1', { field: 'a' })
+                .xadd('stream', '2-1', { field: 'b' })
+                .xdel('stream', '2-1')
+                .xgroup('CREATE', 'stream', 'group', '0')
+                .xreadgroup('group', 'consumer', { stream: '>' })
+                .exec();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const newInstance = new kvjs({ dbName: 'test-kv-store' });
+            await newInstance.waitForInitialization();
+
+            assert.strictEqual(newInstance.type('stream'), 'stream');
+            assert.deepStrictEqual(newInstance.xrange('stream', '-', '+'), [['1-1', { field: 'a' }]]);
+            assert.deepStrictEqual(newInstance.xpending('stream', 'group'), instance.xpending('stream', 'group'));
+            assert.throws(() => newInstance.xadd('stream', '2-1', { field: 'c' }), /equal or smaller than the target stream top item/);
+
+            if (newInstance.db) {
+                newInstance.db.close();
+            }
+        });
+    });
+
+    describe('Sets and hashes', () => {
+        it('should persist sets and hashes and load them back with their type', async () => {
+            instance.multi().sadd('set', 'a', 'b').hset('hash', 'field', 'value').exec();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            const newInstance = new kvjs({ dbName: 'test-kv-store' });
+            await newInstance.waitForInitialization();
+
+            assert.strictEqual(newInstance.type('set'), 'set');
+            assert.deepStrictEqual(newInstance.smembers('set').sort(), ['a', 'b']);
+            assert.strictEqual(newInstance.type('hash'), 'hash');
+            assert.strictEqual(newInstance.hget('hash', 'field'), 'value');
+
+            if (newInstance.db) {
+                newInstance.db.close();
+            }
+        });
+    });
+
     describe('Error Handling', () => {
         it('should handle IndexedDB errors gracefully', async () => {
             // Close the database to simulate an error
@@ -405,6 +517,138 @@ describe('IndexedDB Persistence', () => {
             // Restore global
             global.indexedDB = originalIndexedDB;
         });
+
+        it('should report pending writes and the last error in info', async () => {
+            instance.set('key', 'value');
+            assert.ok(instance.info('persistence').pending_writes > 0);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.deepStrictEqual(instance.info('persistence'), {
+                indexeddb_available: true,
+                indexeddb_initialized: true,
+                pending_writes: 0,
+                last_error: null,
+            });
+
+            // Writing to a closed database fails
+            instance.db.close();
+            const originalWarn = console.warn;
+            console.warn = () => {};
+            try {
+                instance.set('key', 'other');
+            } finally {
+                console.warn = originalWarn;
+            }
+            assert.strictEqual(instance.info('persistence').pending_writes, 0);
+            assert.ok(instance.info('persistence').last_error);
+        });
+    });
+
+    describe('Latency Monitoring', () => {
+        it('should record the latency of loading and writing to IndexedDB', async () => {
+            const monitored = new kvjs({ dbName: 'test-kv-store', latencyMonitorThreshold: 0.001 });
+            await monitored.waitForInitialization();
+            monitored.set('key', 'value');
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const events = monitored.latency('LATEST').map(([event]) => event);
+            assert.ok(events.includes('indexeddb-load'));
+            assert.ok(events.includes('indexeddb-flush'));
+            assert.strictEqual(monitored.latency('HISTORY', 'indexeddb-load').length, 1);
+
+            monitored.db.close();
+        });
+    });
+
+    describe('Databases', () => {
+        it('should persist every database to its own object stores', async () => {
+            const objectStoreNames = Array.from(instance.db.objectStoreNames);
+            assert(objectStoreNames.includes('store15'));
+            assert(objectStoreNames.includes('expireTimes15'));
+
+            instance.set('key', 'zero');
+            instance.database(1).set('key', 'one', { EX: 100 });
+            instance.database(2).set('key', 'two');
+            instance.database(2).move('key', 3);
+            instance.swapdb(0, 4);
+            instance.database(1).flushdb();
+            instance.database(1).set('other', 'one');
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const newInstance = new kvjs({ dbName: 'test-kv-store' });
+            await newInstance.waitForInitialization();
+
+            assert.strictEqual(newInstance.dbsize(), 0);
+            assert.deepStrictEqual(newInstance.database(1).keys('*'), ['other']);
+            assert.strictEqual(newInstance.database(2).dbsize(), 0);
+            assert.strictEqual(newInstance.database(3).get('key'), 'two');
+            assert.strictEqual(newInstance.database(4).get('key'), 'zero');
+
+            newInstance.db.close();
+        });
+
+        it('should add the object stores of the databases to an existing IndexedDB database', async () => {
+            instance.set('key', 'zero');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            instance.db.close();
+
+            const newInstance = new kvjs({ dbName: 'test-kv-store', databases: 20 });
+            await newInstance.waitForInitialization();
+            assert(Array.from(newInstance.db.objectStoreNames).includes('store19'));
+            assert.strictEqual(newInstance.get('key'), 'zero');
+
+            newInstance.database(19).set('key', 'nineteen');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            newInstance.db.close();
+
+            const lastInstance = new kvjs({ dbName: 'test-kv-store', databases: 20 });
+            await lastInstance.waitForInitialization();
+            assert.strictEqual(lastInstance.database(19).get('key'), 'nineteen');
+            lastInstance.db.close();
+        });
+    });
+
+    describe('config', () => {
+        it('should persist the keys to the database set with config()', async () => {
+            instance.set('key', 'zero', { EX: 60 });
+            instance.database(1).set('key', 'one');
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            assert.strictEqual(instance.config('SET', 'dbName', 'other-kv-store', 'dbVersion', 3), true);
+            await instance.waitForInitialization();
+            assert.strictEqual(instance.db.name, 'other-kv-store');
+            assert.strictEqual(instance.db.version, 3);
+            instance.set('other', 'value');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            instance.db.close();
+
+            const newInstance = new kvjs({ dbName: 'other-kv-store' });
+            await newInstance.waitForInitialization();
+            assert.deepStrictEqual(newInstance.keys('*').sort(), ['key', 'other']);
+            assert(newInstance.ttl('key') > 0);
+            assert.strictEqual(newInstance.database(1).get('key'), 'one');
+            newInstance.db.close();
+
+            // The previous database keeps the keys it had
+            const previousInstance = new kvjs({ dbName: 'test-kv-store' });
+            await previousInstance.waitForInitialization();
+            assert.deepStrictEqual(previousInstance.keys('*'), ['key']);
+            previousInstance.db.close();
+        });
+
+        it('should reopen the database with a new version', async () => {
+            instance.set('key', 'value');
+            instance.config('SET', 'dbVersion', 5);
+            await instance.waitForInitialization();
+            assert.strictEqual(instance.db.version, 5);
+            assert.strictEqual(instance.get('key'), 'value');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            instance.db.close();
+
+            const newInstance = new kvjs({ dbName: 'test-kv-store', dbVersion: 5 });
+            await newInstance.waitForInitialization();
+            assert.strictEqual(newInstance.get('key'), 'value');
+            newInstance.db.close();
+        });
     });
 
     describe('Integration Tests', () => {
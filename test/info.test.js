@@ -0,0 +1,139 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('info', () => {
+        it('should return all the sections by default', () => {
+            assert.deepEqual(Object.keys(instance.info()), ['keyspace', 'stats', 'memory', 'persistence']);
+            assert.deepEqual(Object.keys(instance.info('all')), ['keyspace', 'stats', 'memory', 'persistence']);
+            assert.throws(() => instance.info('cpu'), /^Error: ERR unknown section 'cpu'$/);
+        });
+
+        it('should report the keyspace', () => {
+            assert.deepEqual(instance.info('keyspace'), { db0: { keys: 0, expires: 0, avg_ttl: 0 } });
+            instance.set('a', 1);
+            instance.set('b', 2, { PX: 10000 });
+            instance.set('c', 3, { PX: 20000 });
+            const { db0 } = instance.info('KEYSPACE');
+            assert.equal(db0.keys, 3);
+            assert.equal(db0.expires, 2);
+            assert.ok(db0.avg_ttl > 14000 && db0.avg_ttl <= 15000);
+        });
+
+        it('should count keyspace hits and misses', () => {
+            instance.set('key', 'value');
+            instance.get('key');
+            instance.get('key');
+            instance.get('missing');
+            instance.hget('missing', 'field');
+            const stats = instance.info('stats');
+            assert.equal(stats.keyspace_hits, 2);
+            assert.equal(stats.keyspace_misses, 2);
+        });
+
+        it('should not count the keys looked up by the commands writing keys', () => {
+            for (let i = 0; i < 10; i++) {
+                instance.rpush(`list${i}`, 'a');
+            }
+            instance.hset('hash', 'field', 'value');
+            instance.incr('counter');
+            let stats = instance.info('stats');
+            assert.equal(stats.keyspace_hits, 0);
+            assert.equal(stats.keyspace_misses, 0);
+
+            // The commands of a transaction are counted as they run
+            instance.multi().sadd('set', 'a').get('missing').exec();
+            stats = instance.info('stats');
+            assert.equal(stats.keyspace_hits, 0);
+            assert.equal(stats.keyspace_misses, 1);
+        });
+
+        it('should count expired and evicted keys', () => {
+            const cache = new kvjs({ maxKeys: 1, evictionPolicy: 'lru' });
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.expireTimes.set('b', Date.now() - 1);
+            assert.equal(cache.get('b'), undefined);
+            const stats = cache.info('stats');
+            assert.equal(stats.evicted_keys, 1);
+            assert.equal(stats.expired_keys, 1);
+        });
+
+        it('should count the commands called by the user only', () => {
+            instance.set('key', 'value');
+            instance.mset('a', 1, 'b', 2);
+            instance.multi().set('c', 3).get('c').exec();
+            assert.equal(instance.info('stats').total_commands_processed, 5);
+            assert.equal(instance.info('stats').total_commands_processed, 6);
+        });
+
+        it('should not count the work done by the store itself', async () => {
+            instance.subscribe('__keyevent__:expired', () => {});
+            instance.on('set', () => instance.exists('c'));
+            instance.set('a', 1, { PX: 1 });
+            instance.set('b', 1, { PX: 1 });
+            instance.multi().set('c', 3).exec();
+            assert.equal(instance.info('stats').total_commands_processed, 5);
+
+            await new Promise(resolve => setTimeout(resolve, 10));
+            assert.equal(instance.get('a'), undefined);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            const stats = instance.info('stats');
+            assert.equal(stats.expired_keys, 2);
+            assert.equal(stats.total_commands_processed, 7);
+        });
+
+        it('should count failing commands', () => {
+            instance.rpush('list', 'a');
+            assert.throws(() => instance.get('list'), /WRONGTYPE/);
+            assert.equal(instance.info('stats').total_commands_processed, 2);
+        });
+
+        it('should report the number of commands per second', () => {
+            const now = Date.now();
+            const originalNow = Date.now;
+            try {
+                Date.now = () => now;
+                instance = new kvjs();
+                for (let i = 0; i < 99; i++) {
+                    instance.set('key', i);
+                }
+                Date.now = () => now + 2000;
+                assert.equal(instance.info('stats').instantaneous_ops_per_sec, 50);
+            } finally {
+                Date.now = originalNow;
+            }
+        });
+
+        it('should report the memory usage and the eviction settings', () => {
+            instance.set('key', 'value');
+            assert.deepEqual(instance.info('memory'), {
+                used_memory: instance.memoryUsage('key'),
+                maxmemory: 0,
+                maxmemory_policy: 'noeviction',
+                maxkeys: 0,
+                eviction_policy: 'noeviction',
+            });
+
+            const cache = new kvjs({ maxmemory: 100000, maxmemoryPolicy: 'allkeys-lru' });
+            cache.set('key', 'value');
+            assert.equal(cache.info('memory').used_memory, cache.memoryUsage('key'));
+            assert.equal(cache.info('memory').maxmemory_policy, 'allkeys-lru');
+        });
+
+        it('should report the persistence state', () => {
+            assert.deepEqual(instance.info('persistence'), {
+                indexeddb_available: false,
+                indexeddb_initialized: true,
+                pending_writes: 0,
+                last_error: null,
+            });
+        });
+    });
+});
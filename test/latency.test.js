@@ -0,0 +1,134 @@
+const assert = require('assert').strict;
+const { performance } = require('perf_hooks');
+const kvjs = require('../kv.js');
+
+const busyWait = (ms) => {
+    const start = Date.now();
+    while (Date.now() - start < ms) {
+        // Block like a slow command would
+    }
+};
+
+describe('kvjs', () => {
+    describe('latency', () => {
+        it('should count the durations of the commands', () => {
+            const instance = new kvjs({ latencyTracking: true });
+            for (let i = 0; i < 100; i++) {
+                instance.set(`key${i}`, i);
+            }
+            instance.get('key0');
+            instance.mset('a', 1, 'b', 2);
+
+            const histograms = instance.latency('HISTOGRAM');
+            assert.deepEqual(Object.keys(histograms), ['set', 'get', 'mset']);
+            const { calls, p50, p99, p999, max } = histograms.set;
+            assert.equal(calls, 100);
+            assert.ok(p50 <= p99 && p99 <= p999 && p999 <= max);
+            assert.deepEqual(Object.keys(instance.latency('HISTOGRAM', 'get', 'unknown')), ['get']);
+        });
+
+        it('should not count the durations by default', () => {
+            const instance = new kvjs();
+            instance.set('key', 'value');
+            assert.deepEqual(instance.latency('HISTOGRAM'), {});
+            assert.equal(instance.config('GET', 'latencyTracking').latencyTracking, false);
+        });
+
+        it('should not record events without a threshold', () => {
+            const instance = new kvjs();
+            instance.on('set', () => busyWait(5));
+            instance.set('key', 'value');
+            assert.deepEqual(instance.latency('LATEST'), []);
+        });
+
+        it('should record the commands taking longer than the threshold', () => {
+            const instance = new kvjs({ latencyMonitorThreshold: 3 });
+            instance.set('fast', 'value');
+            assert.deepEqual(instance.latency('HISTORY', 'command'), []);
+
+            // The listener takes 5ms on a clock that only it moves, whatever the speed of the machine
+            const now = performance.now;
+            let clock = now.call(performance);
+            performance.now = () => clock;
+            try {
+                instance.on('set', () => {
+                    clock += 5;
+                });
+                instance.set('key', 'value');
+                instance.set('key', 'value');
+            } finally {
+                performance.now = now;
+            }
+
+            const history = instance.latency('HISTORY', 'command');
+            assert.equal(history.length, 1);
+            const [time, latency] = history[0];
+            assert.ok(Math.abs(time - Date.now() / 1000) < 2);
+            assert.ok(latency >= 5);
+
+            const [[event, latestTime, latest, max]] = instance.latency('LATEST');
+            assert.equal(event, 'command');
+            assert.equal(latestTime, time);
+            assert.equal(latest, latency);
+            assert.equal(max, latency);
+        });
+
+        it('should record the expire cycles taking longer than the threshold', async () => {
+            const instance = new kvjs({ latencyMonitorThreshold: 2, cleanupInterval: 5 });
+            const now = performance.now;
+            let clock = now.call(performance);
+            performance.now = () => clock;
+            try {
+                instance.on('expired', () => {
+                    clock += 3;
+                });
+                instance.set('key', 'value', { PX: 1 });
+                await new Promise(resolve => setTimeout(resolve, 50));
+            } finally {
+                performance.now = now;
+            }
+
+            const history = instance.latency('HISTORY', 'expire-cycle');
+            assert.equal(history.length, 1);
+            assert.ok(history[0][1] >= 3);
+            assert.deepEqual(instance.latency('LATEST').map(([event]) => event), ['expire-cycle']);
+        });
+
+        it('should keep the largest latency of every second for the last 160 seconds', () => {
+            const instance = new kvjs({ latencyMonitorThreshold: 1 });
+            const now = Date.now;
+            try {
+                for (let i = 0; i < 200; i++) {
+                    Date.now = () => 1000000 + i * 1000;
+                    instance._addLatencySample('test', 10 + i);
+                    instance._addLatencySample('test', 5);
+                }
+            } finally {
+                Date.now = now;
+            }
+
+            const history = instance.latency('HISTORY', 'test');
+            assert.equal(history.length, 160);
+            assert.deepEqual(history[0], [1040, 50]);
+            assert.deepEqual(history[159], [1199, 209]);
+            assert.deepEqual(instance.latency('LATEST'), [['test', 1199, 209, 209]]);
+        });
+
+        it('should reset the events', () => {
+            const instance = new kvjs({ latencyMonitorThreshold: 1 });
+            instance._addLatencySample('a', 10);
+            instance._addLatencySample('b', 10);
+            instance._addLatencySample('c', 10);
+            assert.equal(instance.latency('RESET', 'a', 'unknown'), 1);
+            assert.deepEqual(instance.latency('LATEST').map(([event]) => event), ['b', 'c']);
+            assert.equal(instance.latency('RESET'), 2);
+            assert.deepEqual(instance.latency('LATEST'), []);
+        });
+
+        it('should reject unknown subcommands', () => {
+            const instance = new kvjs();
+            assert.ok(instance.latency('HELP').length > 0);
+            assert.throws(() => instance.latency('DOCTOR'), /^Error: ERR unknown subcommand 'DOCTOR'. Try LATENCY HELP.$/);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    // Makes a key expire without giving the cleanup loop a chance to remove it
+    const expireNow = (key) => instance.expireTimes.set(key, Date.now() - 1);
+
+    beforeEach(() => {
+        instance = new kvjs();
+        instance.set('string', 'value');
+        instance.set('counter', '10');
+        instance.hset('hash', 'field', 'value');
+        instance.rpush('list', 'a', 'b');
+        instance.sadd('set', 'a', 'b');
+        instance.zadd('zset', 1, 'a');
+        instance.geoadd('geo', 13.361389, 38.115556, 'Palermo');
+        ['string', 'counter', 'hash', 'list', 'set', 'zset', 'geo'].forEach(expireNow);
+    });
+
+    describe('lazy expiration', () => {
+        it('should hide expired keys from read commands', () => {
+            assert.strictEqual(instance.get('string'), undefined);
+            assert.strictEqual(instance.hget('hash', 'field'), undefined);
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), []);
+            assert.strictEqual(instance.llen('list'), 0);
+            assert.deepStrictEqual(instance.smembers('set'), []);
+            assert.deepStrictEqual(instance.zrange('zset', 0, -1), []);
+            assert.deepStrictEqual(instance.georadius('geo', 15, 37, 200, 'km'), []);
+            assert.strictEqual(instance.type('string'), 'none');
+            assert.strictEqual(instance.exists('string', 'hash', 'list'), 0);
+            assert.strictEqual(instance.ttl('string'), -2);
+            assert.strictEqual(instance.expiretime('string'), undefined);
+        });
+
+        it('should treat expired keys as missing in write commands', () => {
+            assert.strictEqual(instance.incrby('counter', 1), 1);
+            assert.strictEqual(instance.expire('string', 10), 0);
+            assert.strictEqual(instance.set('string', 'new', { NX: true }), true);
+            assert.strictEqual(instance.hset('hash', 'other', 'value'), 1);
+            assert.deepStrictEqual(instance.hgetall('hash'), { other: 'value' });
+            assert.strictEqual(instance.rpush('list', 'c'), 1);
+            assert.strictEqual(instance.sadd('set', 'c'), 1);
+            assert.strictEqual(instance.smembers('set').length, 1);
+        });
+
+        it('should not rename or copy expired keys', () => {
+            assert.throws(() => instance.rename('string', 'renamed'), /no such key/);
+            assert.strictEqual(instance.copy('hash', 'copied'), 0);
+            assert.strictEqual(instance.exists('renamed', 'copied'), 0);
+        });
+
+        it('should hide expired keys when listing keys', () => {
+            instance.set('live', 'value');
+            assert.deepStrictEqual(instance.keys('*'), ['live']);
+            assert.strictEqual(instance.randomkey(), 'live');
+            assert.strictEqual(instance.store.size, 1);
+        });
+
+        it('should emit an expired event when a command finds an expired key', () => {
+            const expired = [];
+            instance.on('expired', key => expired.push(key));
+            instance.smembers('set');
+            instance.hget('hash', 'field');
+            assert.deepStrictEqual(expired, ['set', 'hash']);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('lists', () => {
+        it('should push and pop at both ends', () => {
+            assert.strictEqual(instance.rpush('list', 'c', 'd'), 2);
+            assert.strictEqual(instance.lpush('list', 'a', 'b'), 4);
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), ['a', 'b', 'c', 'd']);
+            assert.strictEqual(instance.lpop('list'), 'a');
+            assert.strictEqual(instance.rpop('list'), 'd');
+            assert.strictEqual(instance.llen('list'), 2);
+            assert.strictEqual(instance.lpushx('missing', 'a'), 0);
+            assert.strictEqual(instance.rpushx('list', 'e'), 3);
+        });
+
+        it('should access elements by index', () => {
+            instance.rpush('list', 'a', 'b', 'c');
+            assert.strictEqual(instance.lindex('list', 0), 'a');
+            assert.strictEqual(instance.lindex('list', -1), 'c');
+            assert.strictEqual(instance.lindex('list', 3), null);
+            assert.strictEqual(instance.lset('list', 1, 'x'), true);
+            assert.throws(() => instance.lset('list', 3, 'x'), /index out of range/);
+            assert.deepStrictEqual(instance.lrange('list', 1, 5), ['x', 'c']);
+            assert.deepStrictEqual(instance.lrange('list', -2, -1), ['x', 'c']);
+        });
+
+        it('should insert, remove, trim and find elements', () => {
+            instance.rpush('list', 'a', 'b', 'a', 'c', 'a');
+            assert.strictEqual(instance.linsert('list', 'BEFORE', 'c', 'x'), 6);
+            assert.strictEqual(instance.linsert('list', 'AFTER', 'c', 'y'), 7);
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), ['a', 'b', 'a', 'x', 'c', 'y', 'a']);
+            assert.strictEqual(instance.lpos('list', 'a', { rank: 1 }), 2);
+
+            assert.strictEqual(instance.lrem('list', -1, 'a'), 1);
+            assert.strictEqual(instance.lrem('list', 1, 'a'), 1);
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), ['b', 'a', 'x', 'c', 'y']);
+
+            assert.strictEqual(instance.ltrim('list', 1, -2), true);
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), ['a', 'x', 'c']);
+            assert.strictEqual(instance.lrem('list', 0, 'x'), 1);
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), ['a', 'c']);
+        });
+
+        it('should move elements between lists', () => {
+            instance.rpush('source', 'a', 'b');
+            assert.strictEqual(instance.lmove('source', 'destination', 'LEFT', 'RIGHT'), 'a');
+            assert.strictEqual(instance.rpoplpush('source', 'destination'), 'b');
+            assert.deepStrictEqual(instance.lrange('destination', 0, -1), ['b', 'a']);
+            assert.deepStrictEqual(instance.sort('destination', 'ASC', true), ['a', 'b']);
+        });
+
+        it('should not treat array values as lists', () => {
+            instance.set('array', ['a', 'b']);
+            assert.throws(() => instance.rpush('array', 'c'), /wrong kind of value/);
+            assert.throws(() => instance.lrange('array', 0, -1), /wrong kind of value/);
+        });
+
+        it('should keep head operations fast on long lists', () => {
+            const start = Date.now();
+            for (let i = 0; i < 100000; i++) {
+                instance.lpush('queue', i);
+            }
+            for (let i = 0; i < 100000; i++) {
+                instance.lpop('queue');
+            }
+            assert.ok(Date.now() - start < 2000);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('memoryUsage', () => {
+        it('should estimate the memory usage of every type', () => {
+            instance.set('string', 'x'.repeat(100));
+            instance.set('number', 42);
+            instance.set('array', ['a', 'b', 'c']);
+            instance.rpush('list', 'a', 'b', 'c');
+            instance.sadd('set', 'a', 'b', 'c');
+            instance.hset('hash', 'field', 'value');
+            instance.zadd('zset', 1, 'a');
+            instance.geoadd('geo', 13.361389, 38.115556, 'Palermo');
+
+            for (const key of ['string', 'number', 'array', 'list', 'set', 'hash', 'zset', 'geo']) {
+                assert.ok(instance.memoryUsage(key) > 0, key);
+            }
+            assert.ok(instance.memoryUsage('string') > 200);
+            assert.ok(instance.memoryUsage('string') > instance.memoryUsage('number'));
+            assert.equal(instance.memoryUsage('missing'), undefined);
+        });
+
+        it('should grow with the number of elements', () => {
+            instance.rpush('small', 'value');
+            for (let i = 0; i < 100; i++) {
+                instance.rpush('large', 'value');
+                instance.hset('hash', `field${i}`, 'value');
+            }
+            assert.ok(instance.memoryUsage('large') > 10 * instance.memoryUsage('small'));
+            assert.ok(instance.memoryUsage('hash') > instance.memoryUsage('large'));
+        });
+
+        it('should estimate collections from samples', () => {
+            instance.rpush('list', 'a', 'a', 'a', 'a', 'a', 'x'.repeat(1000));
+            assert.ok(instance.memoryUsage('list', { samples: 0 }) > instance.memoryUsage('list') + 1500);
+            assert.equal(instance.memoryUsage('list', { samples: 6 }), instance.memoryUsage('list', { samples: 0 }));
+            assert.throws(() => instance.memoryUsage('list', { samples: -1 }), /out of range/);
+        });
+    });
+
+    describe('memoryStats', () => {
+        it('should report the memory usage by type', () => {
+            instance.set('a', 'value');
+            instance.set('b', 'value');
+            instance.rpush('list', 'a', 'b');
+            instance.hset('hash', 'field', 'value');
+            instance.expire('a', 100);
+
+            const stats = instance.memoryStats();
+            assert.equal(stats.keys, 4);
+            assert.equal(stats.types.string.keys, 2);
+            assert.equal(stats.types.string.bytes, instance.memoryUsage('a') + instance.memoryUsage('b'));
+            assert.equal(stats.types.list.keys, 1);
+            assert.equal(stats.types.hash.keys, 1);
+            assert.deepEqual(stats.types.zset, { keys: 0, bytes: 0 });
+            assert.equal(stats.datasetBytes, ['a', 'b', 'list', 'hash'].reduce((sum, key) => sum + instance.memoryUsage(key), 0));
+            assert.equal(stats.expires, 1);
+            assert.ok(stats.expiresBytes > 0);
+            assert.equal(stats.totalBytes, stats.datasetBytes + stats.expiresBytes);
+            assert.equal(stats.pools, 1);
+        });
+
+        it('should report an empty store', () => {
+            const stats = instance.memoryStats();
+            assert.equal(stats.keys, 0);
+            assert.equal(stats.totalBytes, 0);
+        });
+    });
+});
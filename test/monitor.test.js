@@ -0,0 +1,147 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('monitor', () => {
+        it('should pass every command with its arguments and result', () => {
+            const instance = new kvjs();
+            const entries = [];
+            instance.monitor(entry => entries.push(entry));
+            const before = Date.now();
+            instance.set('key', 'value');
+            instance.get('key');
+
+            assert.deepEqual(entries.map(({ command, args, result }) => [command, args, result]), [
+                ['set', ['key', 'value'], true],
+                ['get', ['key'], 'value'],
+            ]);
+            assert.ok(entries[0].time >= before && entries[0].time <= Date.now());
+        });
+
+        it('should not pass the commands called by other commands', () => {
+            const instance = new kvjs();
+            const entries = [];
+            instance.monitor(entry => entries.push(entry.command));
+            instance.getset('key', 'value');
+            instance.mset('a', 1, 'b', 2);
+            assert.deepEqual(entries, ['getset', 'mset']);
+        });
+
+        it('should pass failed commands with their error', () => {
+            const instance = new kvjs();
+            const entries = [];
+            instance.monitor(entry => entries.push(entry));
+            instance.set('key', 'value');
+            assert.throws(() => instance.lpush('key', 'a'), /WRONGTYPE/);
+            assert.equal(entries[1].command, 'lpush');
+            assert.match(entries[1].error.message, /WRONGTYPE/);
+            assert.ok(!('result' in entries[1]));
+        });
+
+        it('should pass asynchronous commands once settled', async () => {
+            const instance = new kvjs();
+            const entries = [];
+            instance.monitor(entry => entries.push(entry));
+            const promise = instance.blpop(1, 'list');
+            instance.rpush('list', 'a');
+            await promise;
+            assert.deepEqual(entries.map(({ command, result }) => [command, result]), [
+                ['rpush', 1],
+                ['blpop', ['list', 'a']],
+            ]);
+        });
+
+        it('should pass the keys removed as expired', async () => {
+            const instance = new kvjs();
+            const entries = [];
+            instance.set('key', 'value', { PX: 10 });
+            instance.monitor(entry => entries.push(entry));
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.equal(instance.get('key'), undefined);
+            assert.deepEqual(entries.map(({ command, args, expired }) => [command, args, expired]), [
+                ['del', ['key'], true],
+                ['get', ['key'], undefined],
+            ]);
+        });
+
+        it('should only pass the expiry when keyspace notifications are published', async () => {
+            const instance = new kvjs();
+            const entries = [];
+            const messages = [];
+            instance.set('key', 'value', { PX: 10 });
+            instance.psubscribe('__key*__:*', (message, channel) => messages.push([channel, message]));
+            instance.monitor(entry => entries.push(entry));
+            await new Promise(resolve => setTimeout(resolve, 60));
+            instance.info('stats');
+            assert.deepEqual(entries.map(({ command, expired }) => [command, expired]), [
+                ['del', true],
+                ['info', undefined],
+            ]);
+            assert.deepEqual(messages, [['__keyspace__:key', 'expired'], ['__keyevent__:expired', 'key']]);
+        });
+
+        it('should stop monitoring', () => {
+            const instance = new kvjs();
+            const entries = [];
+            const callback = entry => entries.push(entry.command);
+            const stop = instance.monitor(callback);
+            const stopOther = instance.monitor(callback);
+            instance.set('key', 'value');
+            stop();
+            instance.get('key');
+            stopOther();
+            instance.del('key');
+            assert.deepEqual(entries, ['set', 'set', 'get']);
+        });
+
+        it('should not let a failing callback affect commands', () => {
+            const instance = new kvjs();
+            const warn = console.warn;
+            console.warn = () => {};
+            try {
+                instance.monitor(() => {
+                    throw new Error('failed');
+                });
+                assert.equal(instance.set('key', 'value'), true);
+            } finally {
+                console.warn = warn;
+            }
+        });
+
+        it('should reject a callback that is not a function', () => {
+            const instance = new kvjs();
+            assert.throws(() => instance.monitor('callback'), /callback must be a function/);
+        });
+
+        it('should iterate over the entries', async () => {
+            const instance = new kvjs();
+            const commands = [];
+            const iterating = (async () => {
+                for await (const entry of instance.monitor()) {
+                    commands.push(entry.command);
+                    if (entry.command === 'del') {
+                        break;
+                    }
+                }
+            })();
+            instance.set('key', 'value');
+            instance.get('key');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            instance.del('key');
+            await iterating;
+
+            assert.deepEqual(commands, ['set', 'get', 'del']);
+            assert.equal(instance.monitors.size, 0);
+        });
+
+        it('should end the iteration when returned', async () => {
+            const instance = new kvjs();
+            const iterator = instance.monitor();
+            const next = iterator.next();
+            await iterator.return();
+            assert.deepEqual(await next, { value: undefined, done: true });
+            instance.set('key', 'value');
+            assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('multi', () => {
+        it('should queue commands without executing them', () => {
+            const tx = instance.multi();
+            tx.set('key', 'value').rpush('list', 'a');
+            assert.strictEqual(instance.get('key'), undefined);
+            assert.strictEqual(instance.exists('list'), 0);
+        });
+
+        it('should execute queued commands in order and return their results', () => {
+            const results = instance.multi()
+                .set('counter', '1')
+                .incrby('counter', 5)
+                .hset('hash', 'field', 'value')
+                .get('counter')
+                .exec();
+
+            assert.deepStrictEqual(results, [true, 6, 1, '6']);
+            assert.strictEqual(instance.hget('hash', 'field'), 'value');
+        });
+
+        it('should leave the store untouched when discarded', () => {
+            instance.set('key', 'value');
+            const tx = instance.multi().set('key', 'other').del('key');
+            assert.strictEqual(tx.discard(), true);
+            assert.strictEqual(instance.get('key'), 'value');
+            assert.throws(() => tx.exec(), /EXEC without MULTI/);
+        });
+
+        it('should roll back every change when a command throws', () => {
+            instance.set('string', 'value');
+            instance.rpush('list', 'a', 'b');
+            instance.sadd('set', 'x');
+            instance.hset('hash', 'field', 'old');
+            instance.set('volatile', 'value', { EX: 100 });
+
+            const tx = instance.multi()
+                .rpush('list', 'c')
+                .sadd('set', 'y')
+                .hset('hash', 'field', 'new')
+                .set('created', 'value')
+                .persist('volatile')
+                .del('string')
+                .sadd('list', 'z');
+
+            assert.throws(() => tx.exec(), /wrong kind of value/);
+
+            assert.deepStrictEqual(instance.lrange('list', 0, -1), ['a', 'b']);
+            assert.deepStrictEqual(instance.smembers('set'), ['x']);
+            assert.strictEqual(instance.hget('hash', 'field'), 'old');
+            assert.strictEqual(instance.get('created'), undefined);
+            assert.strictEqual(instance.get('string'), 'value');
+            assert.ok(instance.ttl('volatile') > 0);
+        });
+
+        it('should roll back a flushall', () => {
+            instance.set('key1', 'value1');
+            instance.lpush('key2', 'value2');
+
+            assert.throws(() => instance.multi().flushall().set('key3', 'value3').mset('odd').exec());
+
+            assert.strictEqual(instance.get('key1'), 'value1');
+            assert.deepStrictEqual(instance.lrange('key2', 0, -1), ['value2']);
+        });
+
+        it('should not allow a transaction to be executed twice', () => {
+            const tx = instance.multi().set('key', 'value');
+            tx.exec();
+            assert.throws(() => tx.exec(), /EXEC without MULTI/);
+            assert.throws(() => tx.set('key', 'other'));
+        });
+    });
+});
@@ -0,0 +1,177 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('namespace', () => {
+        let instance;
+        let users;
+
+        beforeEach(() => {
+            instance = new kvjs();
+            users = instance.namespace('users:');
+        });
+
+        it('should prefix the keys of the commands', () => {
+            assert.equal(users.set('alice', 'admin'), true);
+            assert.equal(users.get('alice'), 'admin');
+            assert.equal(instance.get('users:alice'), 'admin');
+            assert.equal(instance.get('alice'), undefined);
+
+            users.hset('profile', 'name', 'Alice');
+            users.expire('profile', 100);
+            assert.deepEqual(instance.hgetall('users:profile'), { name: 'Alice' });
+            assert.ok(instance.ttl('users:profile') > 90);
+        });
+
+        it('should reject prefixes that are not non-empty strings', () => {
+            assert.throws(() => instance.namespace(''), /^Error: ERR namespace prefix must be a non-empty string$/);
+            assert.throws(() => instance.namespace(1), /namespace prefix must be a non-empty string/);
+            assert.throws(() => users.namespace(''), /namespace prefix must be a non-empty string/);
+        });
+
+        it('should prefix every key of the multi-key commands', () => {
+            users.mset('a', 1, 'b', 2);
+            instance.set('a', 'outside');
+            assert.deepEqual(users.mget('a', 'b', 'c'), [1, 2, undefined]);
+            assert.equal(users.exists('a', 'b', 'c'), 2);
+
+            users.sadd('s1', 'x', 'y');
+            users.sadd('s2', 'y', 'z');
+            assert.equal(users.sunionstore('union', 's1', 's2'), 3);
+            assert.deepEqual(instance.smembers('users:union').sort(), ['x', 'y', 'z']);
+
+            users.zadd('z1', 1, 'one');
+            users.zadd('z2', 2, 'two');
+            assert.equal(users.zunionstore('zunion', ['z1', 'z2']), 2);
+            assert.equal(instance.zcard('users:zunion'), 2);
+
+            assert.equal(users.rename('a', 'renamed'), true);
+            assert.equal(instance.get('users:renamed'), 1);
+            assert.equal(instance.get('a'), 'outside');
+
+            assert.equal(users.del('renamed', 'b'), 2);
+            assert.equal(instance.exists('users:renamed', 'users:b'), 0);
+        });
+
+        it('should only see its own keys with keys, scan, randomkey and dbsize', () => {
+            users.mset('alice', 1, 'bob', 2, 'amy', 3);
+            instance.mset('orders:1', 1, 'users', 2);
+
+            assert.deepEqual(users.keys('*').sort(), ['alice', 'amy', 'bob']);
+            assert.deepEqual(users.keys('a*').sort(), ['alice', 'amy']);
+            assert.deepEqual(users.keys('users:*'), []);
+            assert.equal(users.dbsize(), 3);
+            assert.ok(['alice', 'amy', 'bob'].includes(users.randomkey()));
+            assert.equal(instance.namespace('none:').randomkey(), undefined);
+
+            const [cursor, keys] = users.scan(0, '*', 2);
+            assert.equal(cursor, 2);
+            assert.equal(keys.length, 2);
+            assert.deepEqual(users.scan(cursor, '*', 2)[0], 0);
+        });
+
+        it('should only flush its own keys', () => {
+            users.set('a', 1);
+            users.database(1).set('b', 2);
+            instance.set('other', 1);
+            instance.database(1).set('other', 2);
+
+            assert.equal(users.flushdb(), true);
+            assert.equal(users.dbsize(), 0);
+            assert.equal(instance.database(1).get('users:b'), 2);
+
+            users.set('a', 1);
+            assert.equal(users.flushall(), true);
+            assert.deepEqual(instance.keys('*'), ['other']);
+            assert.deepEqual(instance.database(1).keys('*'), ['other']);
+        });
+
+        it('should not select or swap the databases of the instance', () => {
+            users.set('a', 1);
+            instance.database(1).set('b', 2);
+            assert.throws(() => users.select(1), /^Error: ERR select is not allowed on a namespace/);
+            assert.throws(() => users.swapdb(0, 1), /^Error: ERR swapdb is not allowed on a namespace$/);
+            assert.throws(() => users.multi().swapdb(0, 1), /^Error: ERR swapdb is not allowed on a namespace$/);
+            assert.equal(instance.get('users:a'), 1);
+            assert.equal(instance.database(1).get('b'), 2);
+            assert.equal(users.database(1).get('a'), undefined);
+        });
+
+        it('should only move its own keys', () => {
+            users.set('a', 1);
+            instance.set('other', 2);
+            assert.equal(users.move('a', 1), 1);
+            assert.equal(users.move('other', 1), 0);
+            assert.equal(instance.database(1).get('users:a'), 1);
+            assert.equal(instance.get('other'), 2);
+            assert.deepEqual(instance.database(1).keys('*'), ['users:a']);
+        });
+
+        it('should remove the prefix from the keys returned by the commands', async () => {
+            users.rpush('jobs', 'job1');
+            assert.deepEqual(await users.blpop(0, 'queue', 'jobs'), ['jobs', 'job1']);
+
+            const promise = users.bzpopmin(0, 'tasks');
+            users.zadd('tasks', 1, 'task1');
+            assert.deepEqual(await promise, ['tasks', 'task1', 1]);
+
+            users.zadd('scores', 1, 'a');
+            assert.deepEqual(users.zmpop(1, 'missing', 'scores')[0][0], 'scores');
+
+            const id = users.xadd('events', '*', { type: 'login' });
+            assert.deepEqual(users.xread({ events: '0' }), [['events', [[id, { type: 'login' }]]]]);
+            users.xgroup('CREATE', 'events', 'workers', '0');
+            assert.deepEqual(users.xreadgroup('workers', 'w1', { events: '>' })[0][0], 'events');
+        });
+
+        it('should nest namespaces', () => {
+            const admins = users.namespace('admins:');
+            admins.set('alice', 1);
+            assert.equal(instance.get('users:admins:alice'), 1);
+            assert.deepEqual(users.keys('*'), ['admins:alice']);
+            assert.deepEqual(admins.keys('*'), ['alice']);
+        });
+
+        it('should prefix the keys of a database handle', () => {
+            const sessions = instance.database(2).namespace('sessions:');
+            sessions.set('s1', 'alice');
+            assert.equal(instance.database(2).get('sessions:s1'), 'alice');
+            assert.equal(users.database(2).namespace('sessions:').get('s1'), undefined);
+            assert.equal(users.database(2).keys('*').length, 0);
+        });
+
+        it('should queue the commands of a transaction with the prefix', () => {
+            users.set('counter', 1);
+            const results = users.multi()
+                .incr('counter')
+                .zadd('scores', 1, 'a')
+                .zmpop(1, 'scores')
+                .exec();
+            assert.deepEqual(results, [2, 1, [['scores', ['a', 1]]]]);
+            assert.equal(instance.get('users:counter'), '2');
+
+            assert.throws(() => users.multi().keys('*'), /^Error: ERR keys cannot be queued in a namespaced transaction$/);
+        });
+
+        it('should watch the keys of the namespace', () => {
+            users.set('balance', 10);
+            const transaction = users.watch('balance');
+            instance.set('users:balance', 20);
+            assert.equal(transaction.set('balance', 30).exec(), null);
+            assert.equal(users.get('balance'), 20);
+
+            const other = users.watch('balance');
+            instance.set('balance', 0);
+            assert.deepEqual(other.set('balance', 30).exec(), [true]);
+            assert.equal(users.get('balance'), 30);
+        });
+
+        it('should not prefix the commands that are not about keys', () => {
+            const messages = [];
+            instance.subscribe('news', message => messages.push(message));
+            assert.equal(users.publish('news', 'hello'), 1);
+            assert.deepEqual(messages, ['hello']);
+            assert.ok('db0' in users.info('keyspace'));
+        });
+    });
+});
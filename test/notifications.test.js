@@ -0,0 +1,164 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+    let events;
+
+    beforeEach(() => {
+        instance = new kvjs();
+        events = [];
+    });
+
+    describe('keyspace notifications', () => {
+        it('should call listeners with the key and the event', () => {
+            instance.on('set', (key, event) => events.push([key, event]));
+            instance.set('key', 'value');
+            instance.mset('key1', 'value1', 'key2', 'value2');
+            assert.deepStrictEqual(events, [['key', 'set'], ['key1', 'set'], ['key2', 'set']]);
+        });
+
+        it('should emit events for every command family', () => {
+            instance.on('__keyevent__:*', (key, channel) => events.push([channel.slice('__keyevent__:'.length), key]));
+
+            instance.set('string', 'value', { EX: 10 });
+            instance.incr('counter');
+            instance.lpush('list', 'a');
+            instance.rpush('list', 'b');
+            instance.lpop('list');
+            instance.sadd('set', 'a');
+            instance.srem('set', 'a');
+            instance.hset('hash', 'field', 'value');
+            instance.hdel('hash', 'field');
+            instance.zadd('zset', 1, 'a');
+            instance.zincrby('zset', 1, 'a');
+            instance.zrem('zset', 'a');
+            instance.rename('string', 'renamed');
+            instance.persist('renamed');
+            instance.del('counter');
+
+            assert.deepStrictEqual(events, [
+                ['set', 'string'],
+                ['expire', 'string'],
+                ['incrby', 'counter'],
+                ['lpush', 'list'],
+                ['rpush', 'list'],
+                ['lpop', 'list'],
+                ['sadd', 'set'],
+                ['srem', 'set'],
+                ['hset', 'hash'],
+                ['hdel', 'hash'],
+                ['zadd', 'zset'],
+                ['zincr', 'zset'],
+                ['zrem', 'zset'],
+                ['rename_from', 'string'],
+                ['rename_to', 'renamed'],
+                ['persist', 'renamed'],
+                ['del', 'counter'],
+            ]);
+        });
+
+        it('should emit the events of the string commands and of copy', () => {
+            instance.on('__keyevent__:*', (key, channel) => events.push([channel.slice('__keyevent__:'.length), key]));
+
+            instance.append('string', 'abc');
+            instance.setrange('string', 1, 'x');
+            instance.setbit('bits', 7, 1);
+            instance.copy('string', 'copy');
+
+            assert.deepStrictEqual(events, [
+                ['append', 'string'],
+                ['setrange', 'string'],
+                ['setbit', 'bits'],
+                ['copy_to', 'copy'],
+            ]);
+        });
+
+        it('should keep the expire time of a string modified in place', () => {
+            instance.set('string', 'abc', { EX: 10 });
+            instance.set('copy', 'value', { EX: 10 });
+            instance.append('string', 'def');
+            instance.setrange('string', 0, 'x');
+            instance.setbit('string', 0, 1);
+            instance.copy('string', 'copy');
+            assert.ok(instance.ttl('string') > 0);
+            assert.equal(instance.ttl('copy'), -1);
+        });
+
+        it('should emit swapdb events for the keys of both databases', () => {
+            instance.set('key', 'zero');
+            instance.database(1).mset('key1', 'one', 'key2', 'one');
+            instance.on('swapdb', key => events.push([key, instance.database(0).exists(key)]));
+            instance.swapdb(0, 1);
+            assert.deepStrictEqual(events, [['key1', 1], ['key2', 1], ['key', 0]]);
+        });
+
+        it('should not emit events for commands that change nothing', () => {
+            instance.on('__keyevent__:*', (key, channel) => events.push(channel));
+            instance.sadd('set', 'a');
+            events = [];
+
+            instance.sadd('set', 'a');
+            instance.srem('set', 'b');
+            instance.del('missing');
+            instance.lpop('missing');
+            instance.expire('missing', 10);
+
+            assert.deepStrictEqual(events, []);
+        });
+
+        it('should match keyspace channel patterns', () => {
+            instance.on('__keyspace__:user:*', (event, channel) => events.push([event, channel]));
+            instance.hset('user:1', 'name', 'Alice');
+            instance.hset('session:1', 'user', 'user:1');
+            instance.del('user:1');
+            assert.deepStrictEqual(events, [['hset', '__keyspace__:user:1'], ['del', '__keyspace__:user:1']]);
+        });
+
+        it('should emit expired events for lazily expired keys', (done) => {
+            instance.on('expired', key => events.push(key));
+            instance.set('key', 'value', { PX: 20 });
+            setTimeout(() => {
+                assert.strictEqual(instance.get('key'), undefined);
+                assert.deepStrictEqual(events, ['key']);
+                done();
+            }, 30);
+        });
+
+        it('should emit expired events from the cleanup loop', (done) => {
+            instance.on('expired', (key) => {
+                assert.strictEqual(key, 'key');
+                done();
+            });
+            instance.set('key', 'value', { PX: 10 });
+        });
+
+        it('should emit del events for every key on flushall', () => {
+            instance.set('key1', 'value1');
+            instance.sadd('key2', 'member');
+            instance.on('del', key => events.push(key));
+            instance.flushall();
+            assert.deepStrictEqual(events, ['key1', 'key2']);
+        });
+
+        it('should emit the events of a transaction only once it succeeded', () => {
+            instance.on('set', key => events.push(key));
+
+            assert.throws(() => instance.multi().set('key1', 'value').mset('odd').exec());
+            assert.deepStrictEqual(events, []);
+
+            instance.multi().set('key2', 'value').set('key3', 'value').exec();
+            assert.deepStrictEqual(events, ['key2', 'key3']);
+        });
+
+        it('should stop calling listeners removed with off', () => {
+            const listener = key => events.push(key);
+            instance.on('set', listener);
+            instance.set('key1', 'value');
+            instance.off('set', listener);
+            instance.set('key2', 'value');
+            assert.deepStrictEqual(events, ['key1']);
+            assert.strictEqual(instance.listeners.size, 0);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs({ trackAccess: true });
+    });
+
+    describe('object', () => {
+        it('should report the encoding of every type', () => {
+            instance.set('string', 'value');
+            instance.set('number', 42);
+            instance.set('array', ['a']);
+            instance.rpush('list', 'a');
+            instance.sadd('set', 'a');
+            instance.hset('hash', 'field', 'value');
+            instance.zadd('zset', 1, 'a');
+            instance.xadd('stream', '*', { field: 'value' });
+
+            assert.equal(instance.object('ENCODING', 'string'), 'string');
+            assert.equal(instance.object('encoding', 'number'), 'number');
+            assert.equal(instance.object('ENCODING', 'array'), 'array');
+            assert.equal(instance.object('ENCODING', 'list'), 'deque');
+            assert.equal(instance.object('ENCODING', 'set'), 'set');
+            assert.equal(instance.object('ENCODING', 'hash'), 'xmap');
+            assert.equal(instance.object('ENCODING', 'zset'), 'skiplist');
+            assert.equal(instance.object('ENCODING', 'stream'), 'stream');
+            assert.equal(instance.object('ENCODING', 'missing'), undefined);
+        });
+
+        it('should report the idle time without counting as an access', () => {
+            const now = Date.now();
+            const originalNow = Date.now;
+            try {
+                Date.now = () => now;
+                instance.set('key', 'value');
+                Date.now = () => now + 5500;
+                assert.equal(instance.object('IDLETIME', 'key'), 5);
+                assert.equal(instance.object('IDLETIME', 'key'), 5);
+                instance.get('key');
+                assert.equal(instance.object('IDLETIME', 'key'), 0);
+                Date.now = () => now + 7000;
+                assert.equal(instance.touch('key', 'missing'), 1);
+                Date.now = () => now + 8000;
+                assert.equal(instance.object('IDLETIME', 'key'), 1);
+            } finally {
+                Date.now = originalNow;
+            }
+        });
+
+        it('should report the access frequency', () => {
+            instance.set('cold', 'value');
+            instance.set('hot', 'value');
+            for (let i = 0; i < 100; i++) {
+                instance.get('hot');
+                instance.hset('hash', 'field', i);
+            }
+            assert.equal(instance.object('FREQ', 'cold'), 5);
+            assert.ok(instance.object('FREQ', 'hot') > 6);
+            assert.ok(instance.object('FREQ', 'hash') > 6);
+            assert.equal(instance.object('FREQ', 'cold'), 5);
+        });
+
+        it('should decay the access frequency over time', () => {
+            const now = Date.now();
+            const originalNow = Date.now;
+            try {
+                Date.now = () => now;
+                instance.set('key', 'value');
+                Date.now = () => now + 3 * 60000;
+                assert.equal(instance.object('FREQ', 'key'), 2);
+            } finally {
+                Date.now = originalNow;
+            }
+        });
+
+        it('should report the reference count and help', () => {
+            instance.set('key', 'value');
+            assert.equal(instance.object('REFCOUNT', 'key'), 1);
+            assert.ok(instance.object('HELP').length > 0);
+            assert.throws(() => instance.object('SIZE', 'key'), /^Error: ERR unknown subcommand 'SIZE'. Try OBJECT HELP.$/);
+        });
+
+        it('should require access tracking for the idle time and frequency', () => {
+            const untracked = new kvjs();
+            untracked.set('key', 'value');
+            assert.equal(untracked.object('ENCODING', 'key'), 'string');
+            assert.throws(() => untracked.object('IDLETIME', 'key'), /not tracked/);
+            assert.throws(() => untracked.object('FREQ', 'key'), /not tracked/);
+            assert.equal(new kvjs({ maxKeys: 10 }).trackAccess, true);
+        });
+    });
+});
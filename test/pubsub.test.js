@@ -0,0 +1,115 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+    let messages;
+
+    beforeEach(() => {
+        instance = new kvjs();
+        messages = [];
+    });
+
+    describe('publish/subscribe', () => {
+        it('should deliver messages to channel subscribers', () => {
+            instance.subscribe('news', (message, channel) => messages.push([message, channel]));
+            assert.strictEqual(instance.publish('news', 'hello'), 1);
+            assert.strictEqual(instance.publish('sports', 'goal'), 0);
+            assert.deepStrictEqual(messages, [['hello', 'news']]);
+        });
+
+        it('should subscribe a listener to several channels at once', () => {
+            const listener = (message, channel) => messages.push(channel);
+            assert.strictEqual(instance.subscribe('a', 'b', listener), 2);
+            instance.publish('a', 1);
+            instance.publish('b', 2);
+            assert.deepStrictEqual(messages, ['a', 'b']);
+        });
+
+        it('should deliver messages to pattern subscribers', () => {
+            instance.psubscribe('news.*', (message, channel, pattern) => messages.push([message, channel, pattern]));
+            assert.strictEqual(instance.publish('news.tech', { title: 'kv.js' }), 1);
+            assert.strictEqual(instance.publish('sports', 'goal'), 0);
+            assert.deepStrictEqual(messages, [[{ title: 'kv.js' }, 'news.tech', 'news.*']]);
+        });
+
+        it('should stop delivering messages after unsubscribe', () => {
+            const listener1 = message => messages.push(['1', message]);
+            const listener2 = message => messages.push(['2', message]);
+            instance.subscribe('news', listener1);
+            instance.subscribe('news', listener2);
+
+            assert.strictEqual(instance.unsubscribe('news', listener1), 0);
+            instance.publish('news', 'first');
+            instance.unsubscribe('news');
+            instance.publish('news', 'second');
+
+            assert.deepStrictEqual(messages, [['2', 'first']]);
+        });
+
+        it('should unsubscribe a listener from all channels and patterns', () => {
+            const listener = message => messages.push(message);
+            instance.subscribe('a', 'b', listener);
+            instance.psubscribe('c*', listener);
+
+            assert.strictEqual(instance.unsubscribe(listener), 1);
+            assert.strictEqual(instance.punsubscribe(listener), 0);
+            assert.strictEqual(instance.publish('a', 1) + instance.publish('c1', 2), 0);
+        });
+
+        it('should not break the publisher when a listener throws', () => {
+            const warn = console.warn;
+            console.warn = () => {};
+            instance.subscribe('news', () => {
+                throw new Error('failure');
+            });
+            instance.subscribe('news', message => messages.push(message));
+            try {
+                assert.strictEqual(instance.publish('news', 'hello'), 2);
+            } finally {
+                console.warn = warn;
+            }
+            assert.deepStrictEqual(messages, ['hello']);
+        });
+
+        it('should receive keyspace notifications through pattern subscriptions', () => {
+            instance.psubscribe('__keyspace__:user:*', (event, channel) => messages.push([event, channel]));
+            instance.hset('user:1', 'name', 'Alice');
+            instance.set('other', 'value');
+            assert.deepStrictEqual(messages, [['hset', '__keyspace__:user:1']]);
+        });
+
+        it('should validate arguments', () => {
+            assert.throws(() => instance.subscribe('news'), /listener must be a function/);
+            assert.throws(() => instance.psubscribe(() => {}), /wrong number of arguments/);
+        });
+    });
+
+    describe('pubsub', () => {
+        it('should list active channels', () => {
+            const listener = () => {};
+            instance.subscribe('news.tech', 'news.art', 'sports', listener);
+            assert.deepStrictEqual(instance.pubsub('CHANNELS'), ['news.tech', 'news.art', 'sports']);
+            assert.deepStrictEqual(instance.pubsub('channels', 'news.*'), ['news.tech', 'news.art']);
+
+            instance.unsubscribe('sports', listener);
+            assert.deepStrictEqual(instance.pubsub('CHANNELS', 'sports'), []);
+        });
+
+        it('should count subscribers of channels', () => {
+            instance.subscribe('news', () => {});
+            instance.subscribe('news', 'sports', () => {});
+            assert.deepStrictEqual(instance.pubsub('NUMSUB', 'news', 'sports', 'weather'), [['news', 2], ['sports', 1], ['weather', 0]]);
+        });
+
+        it('should count patterns', () => {
+            instance.psubscribe('a*', 'b*', () => {});
+            instance.psubscribe('a*', () => {});
+            assert.strictEqual(instance.pubsub('NUMPAT'), 2);
+        });
+
+        it('should reject unknown subcommands', () => {
+            assert.throws(() => instance.pubsub('FOO'), /unknown subcommand/);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('command', () => {
+        let instance;
+
+        beforeEach(() => {
+            instance = new kvjs();
+        });
+
+        it('should flag every command', () => {
+            const commands = Object.getOwnPropertyNames(kvjs.prototype)
+                .filter(name => !name.startsWith('_') && !['constructor', 'waitForInitialization', 'on', 'off'].includes(name));
+            assert.deepEqual(instance.command('LIST').sort(), commands.sort());
+            assert.equal(instance.command('COUNT'), commands.length);
+        });
+
+        it('should return the flags and categories of the commands', () => {
+            assert.deepEqual(instance.command('INFO', 'get', 'set', 'blpop', 'config', 'publish', 'multi', 'missing'), {
+                get: { flags: ['readonly'], categories: ['@read'] },
+                set: { flags: ['write'], categories: ['@write'] },
+                blpop: { flags: ['write', 'blocking'], categories: ['@write', '@blocking'] },
+                config: { flags: ['admin'], categories: ['@admin', '@dangerous'] },
+                publish: { flags: ['pubsub'], categories: ['@pubsub'] },
+                multi: { flags: [], categories: ['@transaction'] },
+                missing: null,
+            });
+            assert.equal(Object.keys(instance.command('INFO')).length, instance.command('COUNT'));
+        });
+
+        it('should not let the flags be modified', () => {
+            instance.command('INFO', 'get').get.flags.push('write');
+            assert.deepEqual(instance.command('INFO', 'get').get.flags, ['readonly']);
+        });
+
+        it('should throw for unknown subcommands', () => {
+            assert.throws(() => instance.command('NOPE'), /^Error: ERR unknown subcommand 'NOPE'. Try COMMAND HELP.$/);
+            assert.ok(instance.command('help').length > 0);
+        });
+    });
+
+    describe('readonly', () => {
+        let instance;
+        let readonly;
+
+        beforeEach(() => {
+            instance = new kvjs();
+            instance.set('key', 'value');
+            instance.hset('hash', 'field', 'value');
+            instance.rpush('list', 'a', 'b');
+            instance.zadd('zset', 1, 'one');
+            readonly = instance.readonly();
+        });
+
+        it('should run the read commands', () => {
+            assert.equal(readonly.get('key'), 'value');
+            assert.equal(readonly.hget('hash', 'field'), 'value');
+            assert.deepEqual(readonly.lrange('list', 0, -1), ['a', 'b']);
+            assert.deepEqual(readonly.zrange('zset', 0, -1), instance.zrange('zset', 0, -1));
+            assert.deepEqual(readonly.scan(0)[1].sort(), ['hash', 'key', 'list', 'zset']);
+            assert.equal(readonly.dbsize(), 4);
+        });
+
+        it('should reject the commands modifying the store', () => {
+            for (const call of [
+                () => readonly.set('key', 'other'),
+                () => readonly.del('key'),
+                () => readonly.lpush('list', 'c'),
+                () => readonly.expire('key', 10),
+                () => readonly.flushall(),
+                () => readonly.blpop(0, 'list'),
+            ]) {
+                assert.throws(call, /^Error: READONLY You can't run '\w+' against a read only handle.$/);
+            }
+            assert.equal(instance.get('key'), 'value');
+            assert.equal(instance.ttl('key'), -1);
+            assert.equal(instance.llen('list'), 2);
+        });
+
+        it('should reject the commands managing the store', () => {
+            assert.throws(() => readonly.config('SET', 'maxKeys', 1), /READONLY You can't run 'config'/);
+            assert.throws(() => readonly.select(1), /READONLY You can't run 'select'/);
+            assert.throws(() => readonly.publish('channel', 'message'), /READONLY You can't run 'publish'/);
+            assert.equal(instance.selectedDb, 0);
+        });
+
+        it('should return read-only handles', () => {
+            instance.database(1).set('key', 'one');
+            instance.namespace('users:').set('alice', 1);
+
+            const database = readonly.database(1);
+            assert.equal(database.get('key'), 'one');
+            assert.throws(() => database.set('key', 'two'), /READONLY/);
+
+            const users = readonly.namespace('users:');
+            assert.deepEqual(users.keys('*'), ['alice']);
+            assert.throws(() => users.flushdb(), /READONLY/);
+            assert.equal(instance.namespace('users:').readonly().get('alice'), 1);
+            assert.equal(instance.database(1).readonly().get('key'), 'one');
+            assert.equal(readonly.readonly(), readonly);
+        });
+
+        it('should not expose a writable path', () => {
+            for (const handle of [readonly, readonly.database(1), readonly.namespace('users:'), readonly.multi()]) {
+                assert.deepEqual(Object.keys(handle), []);
+                assert.equal(handle.target, undefined);
+                assert.equal(handle.kv, undefined);
+            }
+            assert.throws(() => readonly._command('set', ['key', 'other']), /READONLY You can't run 'set'/);
+            assert.equal(instance.get('key'), 'value');
+        });
+
+        it('should only queue read commands in transactions', () => {
+            const transaction = readonly.multi();
+            assert.deepEqual(transaction.get('key').llen('list').exec(), ['value', 2]);
+            assert.throws(() => readonly.multi().get('key').set('key', 'other'), /READONLY You can't run 'set'/);
+            assert.equal(readonly.watch('key').get('key').exec()[0], 'value');
+        });
+    });
+});
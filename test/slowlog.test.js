@@ -0,0 +1,99 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    describe('slowlog', () => {
+        it('should not log fast commands with the default threshold', () => {
+            const instance = new kvjs();
+            instance.set('key', 'value');
+            instance.get('key');
+            assert.equal(instance.slowlog('LEN'), 0);
+            assert.deepEqual(instance.slowlog('GET'), []);
+        });
+
+        it('should log every command with a zero threshold, from the newest', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 0 });
+            instance.set('key', 'value');
+            instance.get('key');
+            const entries = instance.slowlog('GET');
+            assert.equal(entries.length, 2);
+
+            const [id, timestamp, duration, args] = entries[0];
+            assert.equal(id, 1);
+            assert.ok(Math.abs(timestamp - Date.now() / 1000) < 2);
+            assert.ok(Number.isInteger(duration) && duration >= 0);
+            assert.deepEqual(args, ['get', 'key']);
+            assert.equal(entries[1][0], 0);
+            assert.deepEqual(entries[1][3], ['set', 'key', 'value']);
+        });
+
+        it('should not log nested commands', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 0 });
+            instance.rpush('list', 'a', 'b');
+            instance.getset('key', 'value');
+            assert.deepEqual(instance.slowlog('GET').map(entry => entry[3][0]), ['getset', 'rpush']);
+        });
+
+        it('should log slow commands only', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 1000000 });
+            instance.set('key', 'value');
+            assert.equal(instance.slowlog('LEN'), 0);
+            instance.slowlogLogSlowerThan = 0;
+            instance.set('key', 'value');
+            assert.equal(instance.slowlog('LEN'), 1);
+        });
+
+        it('should be disabled by a negative threshold', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: -1 });
+            instance.set('key', 'value');
+            assert.equal(instance.slowlog('LEN'), 0);
+        });
+
+        it('should keep the last slowlogMaxLen entries', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 0, slowlogMaxLen: 3 });
+            for (let i = 0; i < 10; i++) {
+                instance.set(`key${i}`, i);
+            }
+            // The slowlog('LEN') calls are logged too
+            assert.equal(instance.slowlog('LEN'), 3);
+            assert.deepEqual(instance.slowlog('GET', -1).map(entry => entry[0]), [10, 9, 8]);
+        });
+
+        it('should return count entries', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 0 });
+            for (let i = 0; i < 20; i++) {
+                instance.set(`key${i}`, i);
+            }
+            assert.equal(instance.slowlog('GET').length, 10);
+            assert.equal(instance.slowlog('get', 5).length, 5);
+            assert.equal(instance.slowlog('GET', -1).length, 22);
+            assert.throws(() => instance.slowlog('GET', -2), /count should be greater than or equal to -1/);
+        });
+
+        it('should truncate long arguments', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 0 });
+            instance.set('key', 'x'.repeat(200));
+            instance.rpush('list', ...Array.from({ length: 40 }, (_, i) => `${i}`));
+
+            const [[, , , rpush], [, , , set]] = instance.slowlog('GET');
+            assert.equal(set[2], `${'x'.repeat(128)}... (72 more bytes)`);
+            assert.equal(rpush.length, 32);
+            assert.equal(rpush[30], '28');
+            assert.equal(rpush[31], '... (11 more arguments)');
+        });
+
+        it('should reset the log', () => {
+            const instance = new kvjs({ slowlogLogSlowerThan: 0 });
+            instance.set('key', 'value');
+            assert.equal(instance.slowlog('RESET'), true);
+            assert.equal(instance.slowlog('LEN'), 1);
+            assert.deepEqual(instance.slowlog('GET', 1)[0][3], ['slowlog', 'LEN']);
+        });
+
+        it('should reject unknown subcommands', () => {
+            const instance = new kvjs();
+            assert.ok(instance.slowlog('HELP').length > 0);
+            assert.throws(() => instance.slowlog('FOO'), /^Error: ERR unknown subcommand 'FOO'. Try SLOWLOG HELP.$/);
+        });
+    });
+});
@@ -0,0 +1,198 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+        for (let i = 1; i <= 3; i++) {
+            instance.xadd('jobs', `${i}-0`, { job: i });
+        }
+    });
+
+    describe('xgroup', () => {
+        it('should create and destroy groups', () => {
+            assert.strictEqual(instance.xgroup('CREATE', 'jobs', 'workers', '0'), true);
+            assert.throws(() => instance.xgroup('CREATE', 'jobs', 'workers', '0'), /BUSYGROUP/);
+            assert.strictEqual(instance.xgroup('DESTROY', 'jobs', 'workers'), 1);
+            assert.strictEqual(instance.xgroup('DESTROY', 'jobs', 'workers'), 0);
+            assert.throws(() => instance.xreadgroup('workers', 'alice', { jobs: '>' }), /NOGROUP/);
+        });
+
+        it('should require the stream to exist unless MKSTREAM is set', () => {
+            assert.throws(() => instance.xgroup('CREATE', 'missing', 'workers', '$'), /requires the key to exist/);
+            assert.strictEqual(instance.xgroup('CREATE', 'missing', 'workers', '$', { MKSTREAM: true }), true);
+            assert.strictEqual(instance.type('missing'), 'stream');
+            assert.strictEqual(instance.xlen('missing'), 0);
+        });
+
+        it('should only deliver the entries added after $', () => {
+            instance.xgroup('CREATE', 'jobs', 'workers', '$');
+            assert.strictEqual(instance.xreadgroup('workers', 'alice', { jobs: '>' }), null);
+            instance.xadd('jobs', '4-0', { job: 4 });
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'alice', { jobs: '>' }), [['jobs', [['4-0', { job: 4 }]]]]);
+        });
+
+        it('should manage consumers', () => {
+            instance.xgroup('CREATE', 'jobs', 'workers', '0');
+            assert.strictEqual(instance.xgroup('CREATECONSUMER', 'jobs', 'workers', 'alice'), 1);
+            assert.strictEqual(instance.xgroup('CREATECONSUMER', 'jobs', 'workers', 'alice'), 0);
+            instance.xreadgroup('workers', 'alice', { jobs: '>' }, { COUNT: 2 });
+            assert.strictEqual(instance.xgroup('DELCONSUMER', 'jobs', 'workers', 'alice'), 2);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers'), [0, null, null, []]);
+        });
+
+        it('should set the last delivered ID', () => {
+            instance.xgroup('CREATE', 'jobs', 'workers', '0');
+            instance.xreadgroup('workers', 'alice', { jobs: '>' });
+            assert.strictEqual(instance.xgroup('SETID', 'jobs', 'workers', '1-0'), true);
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'bob', { jobs: '>' })[0][1].map(([id]) => id), ['2-0', '3-0']);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers', { COUNT: 10 }).map(([id, consumer, , deliveries]) => [id, consumer, deliveries]), [
+                ['1-0', 'alice', 1],
+                ['2-0', 'bob', 2],
+                ['3-0', 'bob', 2],
+            ]);
+        });
+
+        it('should throw on unknown subcommands', () => {
+            assert.throws(() => instance.xgroup('FOO', 'jobs', 'workers'), /unknown subcommand 'FOO'/);
+        });
+    });
+
+    describe('xreadgroup', () => {
+        beforeEach(() => {
+            instance.xgroup('CREATE', 'jobs', 'workers', '0');
+        });
+
+        it('should split the entries between consumers', () => {
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'alice', { jobs: '>' }, { COUNT: 1 }), [['jobs', [['1-0', { job: 1 }]]]]);
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'bob', { jobs: '>' }, { COUNT: 1 }), [['jobs', [['2-0', { job: 2 }]]]]);
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'alice', { jobs: '>' }), [['jobs', [['3-0', { job: 3 }]]]]);
+            assert.strictEqual(instance.xreadgroup('workers', 'bob', { jobs: '>' }), null);
+        });
+
+        it('should return the pending entries of the consumer for other IDs', () => {
+            instance.xreadgroup('workers', 'alice', { jobs: '>' }, { COUNT: 2 });
+            instance.xreadgroup('workers', 'bob', { jobs: '>' });
+            instance.xack('jobs', 'workers', '1-0');
+            instance.xdel('jobs', '2-0');
+
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'alice', { jobs: '0' }), [['jobs', [['2-0', null]]]]);
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'bob', { jobs: '0' }), [['jobs', [['3-0', { job: 3 }]]]]);
+            assert.deepStrictEqual(instance.xreadgroup('workers', 'bob', { jobs: '3-0' }), [['jobs', []]]);
+        });
+
+        it('should not track entries read with NOACK', () => {
+            instance.xreadgroup('workers', 'alice', { jobs: '>' }, { NOACK: true });
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers'), [0, null, null, []]);
+        });
+
+        it('should wait for new entries when blocking', async () => {
+            instance.xreadgroup('workers', 'alice', { jobs: '>' });
+            const alice = instance.xreadgroup('workers', 'alice', { jobs: '>' }, { BLOCK: 0 });
+            const bob = instance.xreadgroup('workers', 'bob', { jobs: '>' }, { BLOCK: 50 });
+            instance.xadd('jobs', '4-0', { job: 4 });
+
+            assert.deepStrictEqual(await alice, [['jobs', [['4-0', { job: 4 }]]]]);
+            assert.strictEqual(await bob, null);
+        });
+    });
+
+    describe('xack/xpending', () => {
+        beforeEach(() => {
+            instance.xgroup('CREATE', 'jobs', 'workers', '0');
+            instance.xreadgroup('workers', 'alice', { jobs: '>' }, { COUNT: 2 });
+            instance.xreadgroup('workers', 'bob', { jobs: '>' });
+        });
+
+        it('should summarize the pending entries', () => {
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers'), [3, '1-0', '3-0', [['alice', 2], ['bob', 1]]]);
+        });
+
+        it('should acknowledge entries', () => {
+            assert.strictEqual(instance.xack('jobs', 'workers', '1-0', '3-0', '9-0'), 2);
+            assert.strictEqual(instance.xack('jobs', 'workers', '1-0'), 0);
+            assert.strictEqual(instance.xack('jobs', 'missing', '2-0'), 0);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers'), [1, '2-0', '2-0', [['alice', 1]]]);
+        });
+
+        it('should detail the pending entries', async () => {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            const pending = instance.xpending('jobs', 'workers', { START: '-', END: '+', COUNT: 10 });
+            assert.deepStrictEqual(pending.map(([id, consumer, , deliveries]) => [id, consumer, deliveries]), [
+                ['1-0', 'alice', 1],
+                ['2-0', 'alice', 1],
+                ['3-0', 'bob', 1],
+            ]);
+            assert.ok(pending.every(([, , idle]) => idle >= 15));
+
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers', { COUNT: 1, CONSUMER: 'alice' }).map(([id]) => id), ['1-0']);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers', { START: '(1-0', END: '2', COUNT: 10 }).map(([id]) => id), ['2-0']);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers', { COUNT: 10, IDLE: 10000 }), []);
+        });
+    });
+
+    describe('xclaim/xautoclaim', () => {
+        beforeEach(() => {
+            instance.xgroup('CREATE', 'jobs', 'workers', '0');
+            instance.xreadgroup('workers', 'crashed', { jobs: '>' });
+        });
+
+        it('should claim the entries idle for long enough', async () => {
+            assert.deepStrictEqual(instance.xclaim('jobs', 'workers', 'alice', 1000, ['1-0']), []);
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            assert.deepStrictEqual(instance.xclaim('jobs', 'workers', 'alice', 10, ['1-0', '2-0']), [
+                ['1-0', { job: 1 }],
+                ['2-0', { job: 2 }],
+            ]);
+            assert.deepStrictEqual(instance.xclaim('jobs', 'workers', 'bob', 10, ['1-0']), []);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers', { COUNT: 10 }).map(([id, consumer, , deliveries]) => [id, consumer, deliveries]), [
+                ['1-0', 'alice', 2],
+                ['2-0', 'alice', 2],
+                ['3-0', 'crashed', 1],
+            ]);
+        });
+
+        it('should support the IDLE, RETRYCOUNT, JUSTID and FORCE options', () => {
+            assert.deepStrictEqual(instance.xclaim('jobs', 'workers', 'alice', 0, ['1-0'], { IDLE: 5000, RETRYCOUNT: 7, JUSTID: true }), ['1-0']);
+            const [[, consumer, idle, deliveries]] = instance.xpending('jobs', 'workers', { COUNT: 1 });
+            assert.strictEqual(consumer, 'alice');
+            assert.ok(idle >= 5000);
+            assert.strictEqual(deliveries, 7);
+
+            instance.xack('jobs', 'workers', '2-0');
+            assert.deepStrictEqual(instance.xclaim('jobs', 'workers', 'alice', 0, ['2-0']), []);
+            assert.deepStrictEqual(instance.xclaim('jobs', 'workers', 'alice', 0, ['2-0'], { FORCE: true }), [['2-0', { job: 2 }]]);
+        });
+
+        it('should remove deleted entries from the pending entries', () => {
+            instance.xdel('jobs', '1-0');
+            assert.deepStrictEqual(instance.xclaim('jobs', 'workers', 'alice', 0, ['1-0']), []);
+            assert.strictEqual(instance.xpending('jobs', 'workers')[0], 2);
+        });
+
+        it('should scan and claim the idle pending entries', () => {
+            instance.xdel('jobs', '2-0');
+            assert.deepStrictEqual(instance.xautoclaim('jobs', 'workers', 'alice', 0, '0-0', { COUNT: 1 }), ['2-0', [['1-0', { job: 1 }]], []]);
+            assert.deepStrictEqual(instance.xautoclaim('jobs', 'workers', 'alice', 0, '2-0', { JUSTID: true }), ['0-0', ['3-0'], ['2-0']]);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers'), [2, '1-0', '3-0', [['alice', 2]]]);
+            assert.deepStrictEqual(instance.xautoclaim('jobs', 'workers', 'bob', 10000), ['0-0', [], []]);
+        });
+    });
+
+    describe('transactions', () => {
+        it('should roll back consumer group changes', () => {
+            instance.xgroup('CREATE', 'jobs', 'workers', '0');
+            assert.throws(() => instance.multi()
+                .xreadgroup('workers', 'alice', { jobs: '>' })
+                .xack('jobs', 'workers', '1-0')
+                .xgroup('DESTROY', 'jobs', 'workers')
+                .xgroup('SETID', 'jobs', 'workers', '0')
+                .exec(), /NOGROUP/);
+            assert.deepStrictEqual(instance.xpending('jobs', 'workers'), [0, null, null, []]);
+            assert.strictEqual(instance.xreadgroup('workers', 'alice', { jobs: '>' })[0][1].length, 3);
+        });
+    });
+});
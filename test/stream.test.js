@@ -0,0 +1,187 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('xadd', () => {
+        it('should generate increasing IDs', () => {
+            const before = Date.now();
+            const id1 = instance.xadd('stream', '*', { action: 'login' });
+            const id2 = instance.xadd('stream', '*', { action: 'logout' });
+            const [ms1, seq1] = id1.split('-').map(Number);
+            const [ms2, seq2] = id2.split('-').map(Number);
+
+            assert.ok(ms1 >= before);
+            assert.ok(ms2 > ms1 || (ms2 === ms1 && seq2 === seq1 + 1));
+            assert.strictEqual(instance.xlen('stream'), 2);
+            assert.strictEqual(instance.type('stream'), 'stream');
+        });
+
+        it('should accept explicit IDs and generated sequence numbers', () => {
+            assert.strictEqual(instance.xadd('stream', '5-1', { a: 1 }), '5-1');
+            assert.strictEqual(instance.xadd('stream', '5-*', { a: 2 }), '5-2');
+            assert.strictEqual(instance.xadd('stream', '7-*', { a: 3 }), '7-0');
+        });
+
+        it('should reject IDs that are not greater than the last ID', () => {
+            instance.xadd('stream', '5-1', { a: 1 });
+            assert.throws(() => instance.xadd('stream', '5-1', { a: 2 }), /equal or smaller/);
+            assert.throws(() => instance.xadd('stream', '4-*', { a: 2 }), /equal or smaller/);
+            assert.throws(() => instance.xadd('other', '0-0', { a: 2 }), /greater than 0-0/);
+            assert.throws(() => instance.xadd('other', 'abc', { a: 2 }), /Invalid stream ID/);
+            assert.strictEqual(instance.exists('other'), 0);
+        });
+
+        it('should not create the stream with NOMKSTREAM', () => {
+            assert.strictEqual(instance.xadd('stream', '*', { a: 1 }, { NOMKSTREAM: true }), null);
+            assert.strictEqual(instance.exists('stream'), 0);
+        });
+
+        it('should trim the stream with MAXLEN and MINID', () => {
+            for (let i = 1; i <= 5; i++) {
+                instance.xadd('stream', `${i}-0`, { i }, { MAXLEN: 3 });
+            }
+            assert.deepStrictEqual(instance.xrange('stream').map(([id]) => id), ['3-0', '4-0', '5-0']);
+
+            instance.xadd('stream', '6-0', { i: 6 }, { MINID: '5' });
+            assert.deepStrictEqual(instance.xrange('stream').map(([id]) => id), ['5-0', '6-0']);
+        });
+
+        it('should throw on keys holding another type', () => {
+            instance.set('string', 'value');
+            assert.throws(() => instance.xadd('string', '*', { a: 1 }), /wrong kind of value/);
+            assert.throws(() => instance.xlen('string'), /wrong kind of value/);
+        });
+    });
+
+    describe('xrange/xrevrange', () => {
+        beforeEach(() => {
+            instance.xadd('stream', '1000-0', { n: 1 });
+            instance.xadd('stream', '1000-1', { n: 2 });
+            instance.xadd('stream', '2000-0', { n: 3 });
+            instance.xadd('stream', '3000-0', { n: 4 });
+        });
+
+        it('should return the entries in a range of IDs', () => {
+            assert.deepStrictEqual(instance.xrange('stream', '-', '+', { COUNT: 2 }), [
+                ['1000-0', { n: 1 }],
+                ['1000-1', { n: 2 }],
+            ]);
+            assert.deepStrictEqual(instance.xrange('stream', '1000-1', '2000-0').map(([id]) => id), ['1000-1', '2000-0']);
+            assert.deepStrictEqual(instance.xrange('stream', '(1000-1', '+').map(([id]) => id), ['2000-0', '3000-0']);
+            assert.deepStrictEqual(instance.xrange('missing'), []);
+        });
+
+        it('should select whole milliseconds when IDs have no sequence number', () => {
+            assert.deepStrictEqual(instance.xrange('stream', '1000', '1000').map(([id]) => id), ['1000-0', '1000-1']);
+            assert.deepStrictEqual(instance.xrange('stream', '1500', '2500').map(([id]) => id), ['2000-0']);
+        });
+
+        it('should return the entries in reverse order', () => {
+            assert.deepStrictEqual(instance.xrevrange('stream', '+', '-', { COUNT: 2 }).map(([id]) => id), ['3000-0', '2000-0']);
+            assert.deepStrictEqual(instance.xrevrange('stream', '2000', '1000-1').map(([id]) => id), ['2000-0', '1000-1']);
+        });
+
+        it('should not expose the stored fields', () => {
+            instance.xrange('stream')[0][1].n = 100;
+            assert.deepStrictEqual(instance.xrange('stream', '-', '+', { COUNT: 1 }), [['1000-0', { n: 1 }]]);
+        });
+    });
+
+    describe('xdel/xtrim', () => {
+        beforeEach(() => {
+            for (let i = 1; i <= 5; i++) {
+                instance.xadd('stream', `${i}-0`, { i });
+            }
+        });
+
+        it('should delete entries by ID', () => {
+            assert.strictEqual(instance.xdel('stream', '2-0', '4-0', '9-0'), 2);
+            assert.deepStrictEqual(instance.xrange('stream').map(([id]) => id), ['1-0', '3-0', '5-0']);
+        });
+
+        it('should keep generating IDs after the deleted last entry', () => {
+            instance.xdel('stream', '5-0');
+            assert.throws(() => instance.xadd('stream', '5-0', { i: 5 }), /equal or smaller/);
+            assert.strictEqual(instance.xadd('stream', '5-*', { i: 5 }), '5-1');
+        });
+
+        it('should trim the stream', () => {
+            assert.strictEqual(instance.xtrim('stream', { MAXLEN: 3 }), 2);
+            assert.strictEqual(instance.xtrim('stream', { MINID: '4-0' }), 1);
+            assert.deepStrictEqual(instance.xrange('stream').map(([id]) => id), ['4-0', '5-0']);
+            assert.throws(() => instance.xtrim('stream'), /syntax error/);
+        });
+    });
+
+    describe('xread', () => {
+        it('should read the entries after the given IDs from several streams', () => {
+            instance.xadd('audit', '1-0', { a: 1 });
+            instance.xadd('audit', '2-0', { a: 2 });
+            instance.xadd('feed', '1-0', { f: 1 });
+
+            assert.deepStrictEqual(instance.xread({ audit: '1-0', feed: '1-0' }), [
+                ['audit', [['2-0', { a: 2 }]]],
+            ]);
+            assert.deepStrictEqual(instance.xread({ audit: '0', feed: '0' }, { COUNT: 1 }), [
+                ['audit', [['1-0', { a: 1 }]]],
+                ['feed', [['1-0', { f: 1 }]]],
+            ]);
+            assert.strictEqual(instance.xread({ audit: '$', missing: '$' }), null);
+        });
+
+        it('should resolve immediately when blocking on available entries', async () => {
+            instance.xadd('stream', '1-0', { a: 1 });
+            const result = await instance.xread({ stream: '0' }, { BLOCK: 100 });
+            assert.deepStrictEqual(result, [['stream', [['1-0', { a: 1 }]]]]);
+        });
+
+        it('should wait for new entries when blocking', async () => {
+            instance.xadd('stream', '1-0', { a: 1 });
+            const promise = instance.xread({ stream: '$' }, { BLOCK: 0 });
+            setTimeout(() => instance.xadd('stream', '2-0', { a: 2 }), 10);
+            assert.deepStrictEqual(await promise, [['stream', [['2-0', { a: 2 }]]]]);
+            assert.strictEqual(instance.blockedClients.size, 0);
+        });
+
+        it('should serve every client blocked on the stream', async () => {
+            const first = instance.xread({ stream: '$' }, { BLOCK: 0 });
+            const second = instance.xread({ stream: '$' }, { BLOCK: 0 });
+            instance.xadd('stream', '1-0', { a: 1 });
+            assert.deepStrictEqual(await first, [['stream', [['1-0', { a: 1 }]]]]);
+            assert.deepStrictEqual(await second, [['stream', [['1-0', { a: 1 }]]]]);
+        });
+
+        it('should resolve to null on timeout', async () => {
+            const start = Date.now();
+            assert.strictEqual(await instance.xread({ stream: '$' }, { BLOCK: 30 }), null);
+            assert.ok(Date.now() - start >= 25);
+            assert.strictEqual(instance.blockedClients.size, 0);
+        });
+
+        it('should not block the event loop while waiting', async () => {
+            let ticked = false;
+            setTimeout(() => { ticked = true; }, 5);
+            await instance.xread({ stream: '$' }, { BLOCK: 30 });
+            assert.ok(ticked);
+        });
+    });
+
+    describe('transactions', () => {
+        it('should roll back stream changes', () => {
+            instance.xadd('stream', '1-0', { a: 1 });
+            assert.throws(() => instance.multi()
+                .xadd('stream', '2-0', { a: 2 })
+                .xdel('stream', '1-0')
+                .xadd('stream', '1-0', { a: 3 })
+                .exec(), /equal or smaller/);
+            assert.deepStrictEqual(instance.xrange('stream'), [['1-0', { a: 1 }]]);
+            assert.strictEqual(instance.xadd('stream', '2-0', { a: 4 }), '2-0');
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('types', () => {
+        it('should report the type of each key', () => {
+            instance.set('string', 'value');
+            instance.rpush('list', 'a');
+            instance.sadd('set', 'a');
+            instance.zadd('zset', 1, 'a');
+            instance.hset('hash', 'field', 'value');
+            instance.xadd('stream', '*', { field: 'value' });
+
+            assert.equal(instance.type('string'), 'string');
+            assert.equal(instance.type('list'), 'list');
+            assert.equal(instance.type('set'), 'set');
+            assert.equal(instance.type('zset'), 'zset');
+            assert.equal(instance.type('hash'), 'hash');
+            assert.equal(instance.type('stream'), 'stream');
+            assert.equal(instance.type('missing'), 'none');
+        });
+
+        it('should reject commands on keys of the wrong type', () => {
+            instance.set('string', 'value');
+            instance.rpush('list', 'a');
+            instance.sadd('set', 'a');
+            instance.zadd('zset', 1, 'a');
+            instance.hset('hash', 'field', 'value');
+
+            const wrongType = /^Error: WRONGTYPE Operation against a key holding the wrong kind of value$/;
+            assert.throws(() => instance.hget('zset', 'a'), wrongType);
+            assert.throws(() => instance.zadd('hash', 1, 'a'), wrongType);
+            assert.throws(() => instance.lpop('set'), wrongType);
+            assert.throws(() => instance.get('list'), wrongType);
+            assert.throws(() => instance.incr('hash'), wrongType);
+            assert.throws(() => instance.sadd('string', 'a'), wrongType);
+            assert.throws(() => instance.zscore('list', 'a'), wrongType);
+            assert.throws(() => instance.sort('hash'), wrongType);
+
+            assert.equal(instance.hget('hash', 'field'), 'value');
+            assert.equal(instance.zscore('zset', 'a'), 1);
+        });
+
+        it('should keep the JavaScript objects stored with set() as strings', () => {
+            const set = new Set(['a']);
+            const map = new Map([['field', 'value']]);
+            instance.set('set', set);
+            instance.set('map', map);
+            assert.equal(instance.get('set'), set);
+            assert.equal(instance.get('map'), map);
+            assert.equal(instance.type('set'), 'string');
+            assert.throws(() => instance.sadd('set', 'b'), /^Error: WRONGTYPE/);
+            assert.deepEqual(instance.mget('set', 'map'), [set, map]);
+        });
+
+        it('should return undefined from mget for keys that do not hold strings', () => {
+            instance.set('string', 'value');
+            instance.rpush('list', 'a');
+            assert.deepEqual(instance.mget('string', 'list', 'missing'), ['value', undefined, undefined]);
+        });
+
+        it('should copy values of any type independently', () => {
+            instance.hset('hash', 'field', 'value');
+            assert.equal(instance.copy('hash', 'copy'), 1);
+            instance.hset('copy', 'field', 'changed');
+            assert.equal(instance.type('copy'), 'hash');
+            assert.equal(instance.hget('hash', 'field'), 'value');
+        });
+
+        it('should sort sets and sorted sets', () => {
+            instance.sadd('set', 3, 1, 2);
+            instance.zadd('zset', 1, 'b');
+            instance.zadd('zset', 2, 'a');
+            assert.deepEqual(instance.sort('set'), [1, 2, 3]);
+            assert.deepEqual(instance.sort('zset', 'ASC', true), ['a', 'b']);
+        });
+
+        it('should store geospatial indexes as sorted sets', () => {
+            assert.equal(instance.geoadd('Sicily', 13.361389, 38.115556, 'Palermo'), 1);
+            assert.equal(instance.geoadd('Sicily', 15.087269, 37.502669, 'Catania'), 1);
+            assert.equal(instance.geoadd('Sicily', 15, 37, 'Catania'), 0);
+            assert.throws(() => instance.geoadd('Sicily', 13, 86, 'Pole'), /invalid longitude,latitude pair/);
+
+            assert.equal(instance.type('Sicily'), 'zset');
+            assert.equal(instance.zcard('Sicily'), 2);
+            assert.equal(instance.zscore('Sicily', 'Palermo'), 3479099956230698);
+
+            const [[latitude, longitude]] = instance.geopos('Sicily', 'Palermo');
+            assert.ok(Math.abs(latitude - 38.115556) < 1e-5);
+            assert.ok(Math.abs(longitude - 13.361389) < 1e-5);
+            assert.deepEqual(instance.georadius('Sicily', 15, 37, 200000), ['Palermo', 'Catania']);
+            assert.throws(() => instance.hget('Sicily', 'Palermo'), /WRONGTYPE/);
+        });
+    });
+});
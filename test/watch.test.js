@@ -0,0 +1,103 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+    });
+
+    describe('watch', () => {
+        it('should execute the transaction if watched keys were not modified', () => {
+            instance.set('counter', '1');
+            const tx = instance.watch('counter');
+            const value = Number(instance.get('counter'));
+            assert.deepStrictEqual(tx.set('counter', value + 1).exec(), [true]);
+            assert.strictEqual(instance.get('counter'), 2);
+        });
+
+        it('should abort the transaction if a watched key was set', () => {
+            instance.set('counter', '1');
+            const tx = instance.watch('counter');
+            instance.incr('counter');
+            assert.strictEqual(tx.set('counter', '100').exec(), null);
+            assert.strictEqual(instance.get('counter'), '2');
+        });
+
+        it('should abort the transaction if a watched key was deleted', () => {
+            instance.set('key', 'value');
+            const tx = instance.watch('key');
+            instance.del('key');
+            assert.strictEqual(tx.set('other', 'value').exec(), null);
+            assert.strictEqual(instance.get('other'), undefined);
+        });
+
+        it('should abort the transaction if a watched key was created', () => {
+            const tx = instance.watch('key');
+            instance.set('key', 'value');
+            assert.strictEqual(tx.set('key', 'mine').exec(), null);
+        });
+
+        it('should abort the transaction if a watched collection was modified in place', () => {
+            instance.rpush('list', 'a');
+            instance.sadd('set', 'a');
+            instance.hset('hash', 'field', 'a');
+
+            for (const [key, modify] of [
+                ['list', () => instance.rpush('list', 'b')],
+                ['set', () => instance.sadd('set', 'b')],
+                ['hash', () => instance.hset('hash', 'field', 'b')],
+            ]) {
+                const tx = instance.watch(key);
+                modify();
+                assert.strictEqual(tx.del(key).exec(), null);
+            }
+        });
+
+        it('should abort the transaction if a watched key expired', (done) => {
+            instance.set('key', 'value', { PX: 20 });
+            const tx = instance.watch('key');
+            setTimeout(() => {
+                assert.strictEqual(tx.set('key', 'value').exec(), null);
+                done();
+            }, 40);
+        });
+
+        it('should abort the transaction if flushall was called', () => {
+            instance.set('key', 'value');
+            const tx = instance.watch('key');
+            instance.flushall();
+            assert.strictEqual(tx.set('key', 'value').exec(), null);
+        });
+
+        it('should abort the transaction if another transaction modified a watched key', () => {
+            instance.set('key', 'value');
+            const tx1 = instance.watch('key');
+            const tx2 = instance.watch('key');
+            assert.deepStrictEqual(tx2.set('key', 'two').exec(), [true]);
+            assert.strictEqual(tx1.set('key', 'one').exec(), null);
+            assert.strictEqual(instance.get('key'), 'two');
+        });
+
+        it('should ignore modifications after unwatch', () => {
+            instance.set('key', 'value');
+            const tx = instance.watch('key');
+            tx.unwatch();
+            instance.set('key', 'other');
+            assert.deepStrictEqual(tx.get('key').exec(), ['other']);
+            assert.strictEqual(instance.keyVersions.size, 0);
+        });
+
+        it('should release watched keys on exec and discard', () => {
+            instance.watch('key1').exec();
+            instance.watch('key2').discard();
+            assert.strictEqual(instance.keyVersions.size, 0);
+        });
+
+        it('should not allow watch after commands were queued', () => {
+            const tx = instance.multi().set('key', 'value');
+            assert.throws(() => tx.watch('key'), /WATCH inside MULTI/);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const assert = require('assert').strict;
+const kvjs = require('../kv.js');
+
+describe('kvjs', () => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new kvjs();
+        instance.zadd('zset', 2, 'c');
+        instance.zadd('zset', 1, 'b');
+        instance.zadd('zset', 2, 'a');
+        instance.zadd('zset', 3, 'd');
+    });
+
+    describe('zadd/zincrby', () => {
+        it('should only count new members as added', () => {
+            assert.strictEqual(instance.zadd('zset', 5, 'e'), 1);
+            assert.strictEqual(instance.zadd('zset', 0, 'e'), 0);
+            assert.strictEqual(instance.zscore('zset', 'e'), 0);
+            assert.strictEqual(instance.zcard('zset'), 5);
+        });
+
+        it('should reject scores that are not numbers', () => {
+            assert.throws(() => instance.zadd('zset', 'high', 'e'), /not a valid float/);
+            assert.throws(() => instance.zincrby('zset', 'high', 'a'), /not a valid float/);
+            instance.zadd('inf', '+inf', 'a');
+            assert.throws(() => instance.zincrby('inf', '-inf', 'a'), /NaN/);
+        });
+
+        it('should move members when their score changes', () => {
+            assert.strictEqual(instance.zincrby('zset', 5, 'b'), 6);
+            assert.deepStrictEqual(instance.zrange('zset', 0, -1).map(([member]) => member), ['a', 'c', 'd', 'b']);
+        });
+
+        it('should throw for keys holding another type', () => {
+            instance.set('string', 'value');
+            assert.throws(() => instance.zadd('string', 1, 'a'), /wrong kind of value/);
+            assert.throws(() => instance.zrange('string', 0, -1), /wrong kind of value/);
+        });
+    });
+
+    describe('ranks and ranges', () => {
+        it('should order members with the same score lexicographically', () => {
+            assert.deepStrictEqual(instance.zrange('zset', 0, -1), [['b', 1], ['a', 2], ['c', 2], ['d', 3]]);
+            assert.deepStrictEqual(instance.zrevrange('zset', 0, 1), [['d', 3], ['c', 2]]);
+            assert.strictEqual(instance.zrank('zset', 'c'), 2);
+            assert.strictEqual(instance.zrevrank('zset', 'c'), 1);
+            assert.strictEqual(instance.zrank('zset', 'missing'), undefined);
+        });
+
+        it('should select members by score', () => {
+            assert.deepStrictEqual(instance.zrangebyscore('zset', 2, '+inf'), ['a', 'c', 'd']);
+            assert.deepStrictEqual(instance.zrangebyscore('zset', '(1', 3, { withscores: true, limit: { offset: 1, count: 1 } }), [['c', 2]]);
+            assert.deepStrictEqual(instance.zrevrangebyscore('zset', '(3', '-inf'), ['c', 'a', 'b']);
+            assert.strictEqual(instance.zcount('zset', 2, 2), 2);
+            assert.strictEqual(instance.zcount('zset', '(1', '(3'), 2);
+            assert.throws(() => instance.zcount('zset', 'low', 3), /min or max is not a float/);
+        });
+
+        it('should select members by lexicographical order', () => {
+            instance.zadd('lex', 0, 'b');
+            instance.zadd('lex', 0, 'a');
+            instance.zadd('lex', 0, 'c');
+            assert.deepStrictEqual(instance.zrangebylex('lex', 'a', 'b'), ['a', 'b']);
+            assert.deepStrictEqual(instance.zrevrangebylex('lex', 'c', 'a', { limit: { offset: 0, count: 2 } }), ['c', 'b']);
+            assert.strictEqual(instance.zlexcount('lex', 'b', 'z'), 2);
+        });
+    });
+
+    describe('pops and removals', () => {
+        it('should pop members at both ends', () => {
+            assert.deepStrictEqual(instance.zpopmin('zset'), [['b', 1]]);
+            assert.deepStrictEqual(instance.zpopmax('zset', 2), [['d', 3], ['c', 2]]);
+            assert.deepStrictEqual(instance.zmpop(5, 'missing', 'zset'), [['zset', ['a', 2]]]);
+            assert.deepStrictEqual(instance.zpopmin('zset'), []);
+        });
+
+        it('should remove members by rank, score and lexicographical order', () => {
+            assert.strictEqual(instance.zremrangebyrank('zset', 0, 0), 1);
+            assert.strictEqual(instance.zremrangebyscore('zset', '(2', 10), 1);
+            assert.strictEqual(instance.zremrangebylex('zset', 'a', 'a'), 1);
+            assert.deepStrictEqual(instance.zrange('zset', 0, -1), [['c', 2]]);
+        });
+    });
+
+    describe('set operations', () => {
+        beforeEach(() => {
+            instance.zadd('other', 10, 'a');
+            instance.zadd('other', 20, 'e');
+        });
+
+        it('should store the difference and intersection of sorted sets', () => {
+            assert.strictEqual(instance.zdiffstore('diff', 'zset', 'other'), 3);
+            assert.deepStrictEqual(instance.zrange('diff', 0, -1), [['b', 1], ['c', 2], ['d', 3]]);
+            assert.strictEqual(instance.zintercard('zset', 'other'), 1);
+            assert.strictEqual(instance.zinterstore('inter', 'zset', 'other'), 1);
+            assert.deepStrictEqual(instance.zrange('inter', 0, -1), [['a', 10]]);
+        });
+
+        it('should store the union of sorted sets', () => {
+            assert.strictEqual(instance.zunionstore('union', ['zset', 'other']), 5);
+            assert.deepStrictEqual(instance.zrevrange('union', 0, 1), [['e', 20], ['a', 12]]);
+            assert.strictEqual(instance.zrangestore('top', 'union', -2, -1), 2);
+            assert.deepStrictEqual(instance.zrange('top', 0, -1), [['a', 12], ['e', 20]]);
+        });
+    });
+
+    describe('transactions', () => {
+        it('should roll back sorted set changes', () => {
+            assert.throws(() => instance.multi()
+                .zadd('zset', 0, 'e')
+                .zpopmax('zset')
+                .zrem('zset', 'b')
+                .lpush('zset', 'x')
+                .exec(), /wrong kind of value/);
+            assert.deepStrictEqual(instance.zrange('zset', 0, -1), [['b', 1], ['a', 2], ['c', 2], ['d', 3]]);
+        });
+    });
+});